@@ -7,7 +7,9 @@ const ERR = {
   INVALID_ARGS: (m) => new ToolError('E_INVALID_ARGS', m),
   DANGEROUS_CMD: (c) => new ToolError('E_DANGEROUS_CMD', `危险命令: ${c}`),
   LIMIT_REACHED: (m) => new ToolError('E_LIMIT_REACHED', m),
-  FILE_TOO_LARGE: (size, limit) => new ToolError('E_FILE_TOO_LARGE', `文件大小 (${formatBytes(size)}) 超过限制 (${formatBytes(limit)})，请使用分块读取`)
+  CONFLICT: (m) => new ToolError('E_CONFLICT', m),
+  READ_ONLY: (m) => new ToolError('E_READ_ONLY', m),
+  FILE_TOO_LARGE: (size, limit) => new ToolError('E_FILE_TOO_LARGE', `文件大小 (${formatBytes(size)}) 超过限制 (${formatBytes(limit)})，请使用 offset/length 或 start_line/end_line 分块读取`)
 };
 module.exports = { ToolError, ERR };
 
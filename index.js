@@ -9,11 +9,21 @@
 // 注意：@modelcontextprotocol/sdk 是 ESM-only，需使用动态 import 以兼容 CommonJS
 // 我们在启动阶段动态加载并注入依赖，避免 ERR_REQUIRE_ESM
 
+const os = require('os');
+const path = require('path');
+
 // 重构：集中注册
-const { instances, getToolInstance } = require('./tools/registry.js');
+const registry = require('./tools/registry.js');
+const { instances, getToolInstance, listDescriptors, isToolEnabled, setReadOnly, assertReadOnlyAllowed } = registry;
+const { loadPlugins } = require('./lib/pluginLoader');
+const { loadConfig } = require('./lib/config');
+const { loadPolicy, POLICY_FILE } = require('./lib/commandRules');
+const { startHttpTransport, isLoopbackHost, MCP_ENDPOINT, SSE_ENDPOINT } = require('./lib/httpTransport');
 
 // 导入工作目录管理器实例
 const workspaceManager = instances.workspace_manager;
+const ProcessManagerTool = require('./tools/processManager');
+const processManager = instances.process_manager;
 
 // 处理命令行参数
 if (process.argv.includes('--help')) {
@@ -22,10 +32,19 @@ if (process.argv.includes('--help')) {
   console.log(`Options:`);
   console.log(`  --help           显示本帮助信息`);
   console.log(`  --version        显示版本号`);
-  console.log(`  --default-dir    设置默认工作目录\n`);
+  console.log(`  --default-dir    设置默认工作目录`);
+  console.log(`  --read-only      只读模式：隐藏并拒绝写入、删除、命令执行等破坏性工具与操作`);
+  console.log(`  --profile        使用的配置 profile：readonly、dev、ci 或配置文件中自定义的名称（也可通过环境变量 AX_MCP_PROFILE 设置）`);
+  console.log(`  --policy         命令策略文件，默认 ~/.axlocalop/policy.json（也可通过环境变量 AX_MCP_POLICY 设置）`);
+  console.log(`  --transport      传输方式：stdio(默认)、http(Streamable HTTP)、sse(旧版 HTTP+SSE)`);
+  console.log(`  --host           HTTP/SSE 绑定地址，默认 127.0.0.1`);
+  console.log(`  --port           HTTP/SSE 监听端口，默认 3000`);
+  console.log(`  --auth-token     HTTP/SSE Bearer Token（也可通过环境变量 AX_MCP_AUTH_TOKEN 设置）\n`);
   console.log(`示例 (作为 MCP Server 被客户端通过 stdio 连接):`);
   console.log(`  npx -y ax-local-operations-mcp@file:/path/to/project`);
   console.log(`  ax-local-operations-mcp --default-dir 'c:/user/a/note1'\n`);
+  console.log(`示例 (多个客户端共享一个 HTTP 实例):`);
+  console.log(`  ax-local-operations-mcp --transport http --host 0.0.0.0 --port 3000 --auth-token <token>\n`);
   process.exit(0);
 }
 
@@ -46,12 +65,110 @@ if (defaultDirIndex !== -1 && defaultDirIndex + 1 < process.argv.length) {
   process.exit(0);
 }
 
+// 读取形如 `--name value` 的命令行参数
+function getArgValue(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 && index + 1 < process.argv.length ? process.argv[index + 1] : null;
+}
+
+const transportOptions = {
+  transport: getArgValue('--transport') || 'stdio',
+  host: getArgValue('--host') || '127.0.0.1',
+  port: Number(getArgValue('--port') || 3000),
+  authToken: getArgValue('--auth-token') || process.env.AX_MCP_AUTH_TOKEN || null
+};
+
+if (!['stdio', 'http', 'sse'].includes(transportOptions.transport)) {
+  console.error(`不支持的传输方式: ${transportOptions.transport}（可选 stdio、http、sse）`);
+  process.exit(1);
+}
+
+if (!Number.isInteger(transportOptions.port) || transportOptions.port < 0 || transportOptions.port > 65535) {
+  console.error(`无效的端口: ${getArgValue('--port')}`);
+  process.exit(1);
+}
+
+// 非本机地址必须配置 token，避免把命令执行能力暴露给整个网络
+if (transportOptions.transport !== 'stdio' && !isLoopbackHost(transportOptions.host) && !transportOptions.authToken) {
+  console.error(`绑定到非本机地址 ${transportOptions.host} 时必须通过 --auth-token 或 AX_MCP_AUTH_TOKEN 设置访问令牌`);
+  process.exit(1);
+}
+
+// 加载 ~/.axlocalop/config.json 与项目目录下的 .axlocalop.json，配置无效时拒绝启动
+let serverConfig;
+try {
+  serverConfig = loadConfig({ profile: getArgValue('--profile') || process.env.AX_MCP_PROFILE || null });
+} catch (error) {
+  console.error(`加载配置失败: ${error.message}`);
+  process.exit(1);
+}
+if (serverConfig.profile) {
+  console.error(`使用配置 profile: ${serverConfig.profile}`);
+}
+// 加载命令策略文件，规则无效时拒绝启动
+const policyFile = path.resolve(getArgValue('--policy') || process.env.AX_MCP_POLICY || POLICY_FILE);
+let policy;
+try {
+  policy = loadPolicy(policyFile);
+} catch (error) {
+  console.error(`加载命令策略失败: ${error.message}`);
+  process.exit(1);
+}
+if (policy.file) {
+  console.error(`已加载命令策略: ${policy.file}（${policy.rules.length} 条规则）`);
+}
+try {
+  // 策略文件与配置一样不允许工具读写
+  registry.securityValidator.configure({ ...serverConfig.security, deny: [...serverConfig.security.deny, policyFile] });
+} catch (error) {
+  console.error(`加载配置失败: ${error.message}`);
+  process.exit(1);
+}
+if (serverConfig.security.roots.length > 0) {
+  console.error(`允许访问的根目录: ${registry.securityValidator.listRoots().map(root => `${root.path} (${root.access})`).join(', ')}`);
+}
+setReadOnly(serverConfig.read_only || process.argv.includes('--read-only'));
+if (registry.isReadOnly()) {
+  console.error('只读模式已开启：破坏性工具与操作不可用');
+}
+
+// 加载配置中的插件工具，并应用工具启用/禁用列表
+const pluginResult = loadPlugins(registry);
+if (pluginResult.loaded.length > 0) {
+  console.error(`已加载插件工具: ${pluginResult.loaded.map(tool => tool.name).join(', ')}`);
+}
+
+/**
+ * 工具调用上下文：取消信号，以及客户端提供 progressToken 时发送 notifications/progress 的函数
+ * @param {Object} request - tools/call 请求
+ * @param {Object} extra - SDK 传入的请求上下文
+ * @returns {{signal: AbortSignal, progress: function(number, string): void|null}}
+ */
+function createCallContext(request, extra) {
+  const progressToken = request.params._meta && request.params._meta.progressToken;
+  const progress = progressToken === undefined ? null : (value, message) => {
+    extra.sendNotification({
+      method: 'notifications/progress',
+      params: { progressToken, progress: value, message }
+    }).catch(() => {});  // 连接已断开时忽略
+  };
+  return { signal: extra.signal, progress };
+}
+
 class SecureMCPServer {
-  constructor({ Server, StdioServerTransport, CallToolRequestSchema, ListToolsRequestSchema }) {
+  /**
+   * @param {Object} deps - 动态加载的 SDK 组件
+   * @param {Object} options - 选项
+   * @param {WorkspaceManager} options.workspaceManager - 本会话使用的工作目录管理器（HTTP/SSE 下每个会话独立）
+   * @param {ProcessManagerTool} options.processManager - 本会话的后台进程表，会话结束时结束其中的进程
+   */
+  constructor({ Server, StdioServerTransport, CallToolRequestSchema, ListToolsRequestSchema }, { workspaceManager: sessionWorkspace = workspaceManager, processManager: sessionProcesses = processManager } = {}) {
     this.Server = Server;
     this.StdioServerTransport = StdioServerTransport;
     this.CallToolRequestSchema = CallToolRequestSchema;
     this.ListToolsRequestSchema = ListToolsRequestSchema;
+    this.workspaceManager = sessionWorkspace;
+    this.processManager = sessionProcesses;
 
     this.server = new Server(
       {
@@ -67,18 +184,24 @@ class SecureMCPServer {
 
     this.tools = instances;
 
+    this.server.onclose = () => this.processManager.closeAll();
+
     this.setupHandlers();
   }
 
   setupHandlers() {
     // 列出可用工具
-    this.server.setRequestHandler(this.ListToolsRequestSchema, async () => ({ tools: require('./tools/registry').descriptors }));
+    this.server.setRequestHandler(this.ListToolsRequestSchema, async () => ({ tools: listDescriptors() }));
 
     // 处理工具调用
-    this.server.setRequestHandler(this.CallToolRequestSchema, async (request) => {
+    this.server.setRequestHandler(this.CallToolRequestSchema, async (request, extra) => {
       const { name, arguments: args } = request.params;
+      const workspaceManager = this.workspaceManager;
 
       try {
+        // 只读模式下拒绝破坏性工具与操作
+        assertReadOnlyAllowed(name, args);
+
         // 检查所有参数值中是否包含工作目录设置命令
         let workspacePath = null;
         
@@ -130,19 +253,23 @@ class SecureMCPServer {
           toolArgs.working_directory = currentWorkspace;
         }
 
-        const tool = getToolInstance(name);
+        // workspace_manager、process_manager 需要作用于本会话的状态
+        // 被配置禁用的工具视为不存在
+        const sessionTools = { workspace_manager: workspaceManager, process_manager: this.processManager };
+        const tool = !isToolEnabled(name) ? null : sessionTools[name] || getToolInstance(name);
         if (tool) {
-          return await tool.handle(toolArgs);
+          return await tool.handle(toolArgs, createCallContext(request, extra));
         } else {
           throw new Error(`未知工具: ${name}`);
         }
       } catch (error) {
-        // 结构化错误响应，添加 isError 标记（MCP 规范）
+        // 结构化错误响应，添加 isError 标记（MCP 规范）；工具错误码（E_*）前置，便于调用方区分冲突、越权等情况
+        const code = typeof error.code === 'string' && error.code.startsWith('E_') ? `[${error.code}] ` : '';
         return {
           content: [
             {
               type: 'text',
-              text: error.message
+              text: `${code}${error.message}`
             }
           ],
           isError: true
@@ -151,12 +278,29 @@ class SecureMCPServer {
     });
   }
 
+  async connect(transport) {
+    await this.server.connect(transport);
+  }
+
+  async close() {
+    this.processManager.closeAll();
+    await this.server.close();
+  }
+
   async start() {
     const transport = new this.StdioServerTransport();
-    await this.server.connect(transport);
+    await this.connect(transport);
+    // stdio 传输在客户端关闭输入时不会触发 onclose，需自行结束会话
+    process.stdin.once('end', () => this.close());
   }
 }
 
+// 服务退出时结束所有后台进程；收到终止信号时先正常退出以触发 exit 事件
+process.on('exit', () => ProcessManagerTool.killAll());
+for (const signal of ['SIGINT', 'SIGTERM', 'SIGHUP']) {
+  process.on(signal, () => process.exit(128 + os.constants.signals[signal]));
+}
+
 // 启动服务器（动态加载 ESM 依赖）
 (async () => {
   try {
@@ -166,13 +310,40 @@ class SecureMCPServer {
       import('@modelcontextprotocol/sdk/types.js'),
     ]);
 
-    const server = new SecureMCPServer({
+    const deps = {
       Server,
       StdioServerTransport,
       CallToolRequestSchema,
       ListToolsRequestSchema,
+    };
+
+    if (transportOptions.transport === 'stdio') {
+      const server = new SecureMCPServer(deps);
+      await server.start();
+      return;
+    }
+
+    const [{ StreamableHTTPServerTransport }, { SSEServerTransport }, { isInitializeRequest }] = await Promise.all([
+      import('@modelcontextprotocol/sdk/server/streamableHttp.js'),
+      import('@modelcontextprotocol/sdk/server/sse.js'),
+      import('@modelcontextprotocol/sdk/types.js'),
+    ]);
+
+    const { transport, host, port, authToken } = transportOptions;
+    await startHttpTransport({
+      mode: transport,
+      host,
+      port,
+      authToken,
+      createSessionServer: () => new SecureMCPServer(deps, {
+        workspaceManager: workspaceManager.createSession(),
+        processManager: processManager.createSession()
+      }),
+      sdk: { StreamableHTTPServerTransport, SSEServerTransport, isInitializeRequest }
     });
-    await server.start();
+
+    const endpoint = transport === 'sse' ? SSE_ENDPOINT : MCP_ENDPOINT;
+    console.log(`AX Local Operations MCP Server 已启动: http://${host}:${port}${endpoint} (${transport}${authToken ? ', 已启用 Bearer Token 鉴权' : ''})`);
   } catch (err) {
     console.error('启动失败: ', err);
     process.exitCode = 1;
@@ -0,0 +1,104 @@
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { resolveRealPath } = require('./pathUtils');
+
+/**
+ * 原子写入与内容校验
+ * 先写入同目录下的临时文件并 fsync，再 rename 覆盖目标：进程中途崩溃时目标文件要么是旧内容，要么是新内容；
+ * rename 会替换符号链接本身，因此目标是符号链接时改为写入（经过校验的）链接目标，与直接写入的行为一致；
+ * 同时提供内容哈希，供写入前的乐观并发校验（expected_hash）使用
+ */
+
+const HASH_ALGORITHM = 'sha256';
+
+function hashBuffer(data) {
+  return crypto.createHash(HASH_ALGORITHM).update(data).digest('hex');
+}
+
+/**
+ * 流式计算文件哈希
+ * @param {string} filePath - 文件路径
+ * @returns {Promise<string>} 十六进制哈希
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(HASH_ALGORITHM);
+    createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * 确定实际写入的文件：路径是符号链接（包括悬空链接）时返回其真实目标
+ * @param {string} filePath - 目标绝对路径
+ * @param {Object} options - 选项
+ * @param {Function} options.verify - (realPath) => boolean，校验链接的真实目标；未提供或校验失败时拒绝
+ * @returns {Promise<string>}
+ */
+async function resolveWriteTarget(filePath, { verify } = {}) {
+  try {
+    if (!(await fs.lstat(filePath)).isSymbolicLink()) return filePath;
+  } catch (error) {
+    if (error.code === 'ENOENT') return filePath;
+    throw error;
+  }
+  const realPath = resolveRealPath(filePath);
+  if (!verify || !verify(realPath)) {
+    const err = new Error(`不允许写入符号链接: ${filePath} -> ${realPath}`);
+    err.code = 'E_SYMLINK_DENIED';
+    throw err;
+  }
+  return realPath;
+}
+
+/**
+ * 原子写入文件；目标已存在时保留其权限位
+ * @param {string} filePath - 目标绝对路径
+ * @param {string|Buffer} data - 写入内容
+ * @param {Object} options - 选项
+ * @param {string} options.encoding - data 为字符串时的编码，默认 utf8
+ * @param {number} options.mode - 新文件的权限位（目标已存在时忽略）
+ * @param {Function} options.verify - 目标为符号链接时校验其真实目标（见 resolveWriteTarget）
+ * @returns {Promise<{path: string, hash: string, size: number, mtime: Date}>} path 为实际写入的文件
+ */
+async function writeFileAtomic(filePath, data, { encoding = 'utf8', mode, verify } = {}) {
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, encoding);
+  const target = await resolveWriteTarget(filePath, { verify });
+  let fileMode = mode;
+  try {
+    fileMode = (await fs.stat(target)).mode & 0o7777;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const dir = path.dirname(target);
+  const tempPath = path.join(dir, `.${path.basename(target)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+  const handle = await fs.open(tempPath, 'wx', fileMode !== undefined ? fileMode : 0o666);
+  try {
+    await handle.writeFile(buffer);
+    await handle.sync();
+    await handle.close();
+    // 打开时的 mode 受 umask 影响，已有文件需显式恢复原权限
+    if (fileMode !== undefined) await fs.chmod(tempPath, fileMode);
+    await fs.rename(tempPath, target);
+  } catch (error) {
+    await handle.close().catch(() => {});
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+
+  const stats = await fs.stat(target);
+  return { path: target, hash: hashBuffer(buffer), size: buffer.length, mtime: stats.mtime };
+}
+
+module.exports = {
+  writeFileAtomic,
+  resolveWriteTarget,
+  hashFile,
+  hashBuffer,
+  HASH_ALGORITHM
+};
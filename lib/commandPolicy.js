@@ -1,4 +1,9 @@
+const os = require('os');
+const path = require('path');
 const platformUtils = require('./platformUtils');
+const { getConfig } = require('./config');
+const { listCommands } = require('./shellParser');
+const { matchRule } = require('./commandRules');
 const { exec } = require('child_process');
 const util = require('util');
 const execAsync = util.promisify(exec);
@@ -6,37 +11,117 @@ const execAsync = util.promisify(exec);
 /**
  * 跨平台命令策略系统
  * 支持Windows、Linux、macOS不同平台的安全命令检测
+ * Unix 下先用 shellParser 将命令行拆成实际执行的各个程序（含管道、子 shell、命令替换、
+ * sh -c 与 env/sudo/xargs/watch 等包装），规则逐个匹配这些片段，而不是匹配原始字符串；
+ * 内置规则按程序名与规范化后的选项、位置参数判断（rm -fr、rm -r -f、rm --recursive --force 等价），
+ * Windows 规则与配置中的正则匹配片段文本
+ *
+ * 判定顺序：内置与配置（command.deny）的拒绝规则 → 策略文件中的自定义规则（见 commandRules）→ 内置警告规则。
+ * 自定义 allow 规则可以放行内置警告，但不能放行内置拒绝；结果中的 rule 为触发判定的规则 id，
+ * 内置规则为 builtin:*，配置中的正则为 config:command.deny[i] / config:command.warn[i]
  */
 
-// Unix/Linux 危险命令模式
+// 递归与强制选项
+const RECURSIVE_FLAGS = ['-r', '-R', '--recursive'];
+const FORCE_FLAGS = ['-f', '--force'];
+// 块设备
+const BLOCK_DEVICE = /^\/dev\/(sd|hd|vd|xvd|nvme|mmcblk|disk)/i;
+// 递归删除时视为破坏整个系统或家目录的路径
+const DANGEROUS_PATHS = new Set([
+  '/', '~', '$HOME', '${HOME}', os.homedir(),
+  '/bin', '/boot', '/dev', '/etc', '/home', '/lib', '/lib64', '/opt', '/proc', '/root', '/sbin', '/sys', '/usr', '/var',
+  '/Applications', '/Library', '/System', '/Users'
+]);
+
+/**
+ * 拆分参数中的选项与位置参数：合并的短选项（-rf）拆成单个字母，长选项去掉 =值，-- 之后均为位置参数
+ * @param {string[]} argv - 片段的 argv（含程序名）
+ * @returns {{flags: Set<string>, positional: string[]}}
+ */
+function parseArgs(argv) {
+  const flags = new Set();
+  const positional = [];
+  let ended = false;
+  for (const arg of argv.slice(1)) {
+    if (ended || arg === '-' || !arg.startsWith('-')) {
+      positional.push(arg);
+    } else if (arg === '--') {
+      ended = true;
+    } else if (arg.startsWith('--')) {
+      flags.add(arg.split('=')[0]);
+    } else {
+      for (const ch of arg.slice(1)) flags.add(`-${ch}`);
+    }
+  }
+  return { flags, positional };
+}
+
+const hasFlag = (flags, names) => names.some(name => flags.has(name));
+
+// 去掉末尾的 / 与 /*（rm -rf /* 与 rm -rf / 等价）
+function isDangerousPath(arg) {
+  const normalized = arg.replace(/\/\*$/, '').replace(/\/+$/, '');
+  return DANGEROUS_PATHS.has(normalized || '/');
+}
+
+// find 的起始路径：第一个表达式之前的参数
+function findRoots(argv) {
+  const roots = [];
+  for (const arg of argv.slice(1)) {
+    if (/^[-(!]/.test(arg)) break;
+    roots.push(arg);
+  }
+  return roots;
+}
+
+// find 是否会删除文件：-delete，或 -exec/-execdir/-ok 调用 rm
+function findDeletes(argv) {
+  return argv.some((arg, index) => arg === '-delete' || (/^-(exec|execdir|ok|okdir)$/.test(arg) && path.basename(argv[index + 1] || '') === 'rm'));
+}
+
+// killall 是否发送 SIGKILL：-9、-KILL、-SIGKILL、-s KILL、--signal=KILL
+function sendsKill(argv) {
+  const isKill = value => /^(9|(SIG)?KILL)$/i.test(value);
+  return argv.slice(1).some((arg, index, args) =>
+    (arg.startsWith('-') && !arg.startsWith('--') && isKill(arg.slice(1))) ||
+    ((arg === '-s' || arg === '--signal') && isKill(args[index + 1] || '')) ||
+    (arg.startsWith('--signal=') && isKill(arg.slice('--signal='.length))));
+}
+
+/**
+ * Unix/Linux 内置规则：按程序名（路径的最后一级，不区分大小写）匹配，
+ * test(args, segment) 为附加的参数条件，args 为 parseArgs 的结果；program 为 null 时对所有片段生效
+ */
 const UNIX_DENY = [
-  /\bpasswd\b/i,
-  /\bsu\s+/i,                    // su 切换用户
-  /\buserdel\b/i,               // 删除用户
-  /\buseradd\b/i,               // 添加用户
-  /\bfdisk\b/i,                 // 磁盘分区
-  /\bmkfs\b/i,                  // 创建文件系统
-  /\bmount.*\s+\/\s*/i,         // 挂载到根目录
-  /\breboot\b/i,                // 重启系统
-  /\bshutdown\b/i,              // 关闭系统
-  /\bkillall\s+-9/i,           // 强制杀死所有进程
+  { program: /^(passwd|su|userdel|useradd|fdisk|reboot|shutdown|halt|poweroff)$/i },
+  { program: /^mkfs(\.\w+)?$/i },                                           // 创建文件系统
+  { program: /^mount$/i, test: ({ positional }) => positional.includes('/') },  // 挂载到根目录
+  { program: /^killall$/i, test: (args, segment) => sendsKill(segment.argv) }, // 强制杀死所有进程
+  { program: /^dd$/i, test: (args, segment) => segment.argv.some(arg => arg.startsWith('of=') && BLOCK_DEVICE.test(arg.slice(3))) },
+  { program: /^rm$/i, test: ({ flags, positional }) => hasFlag(flags, RECURSIVE_FLAGS) && positional.some(isDangerousPath) },
+  { program: /^find$/i, test: (args, segment) => findDeletes(segment.argv) && findRoots(segment.argv).some(isDangerousPath) },
+  { program: null, test: (args, segment) => segment.redirects.some(redirect => redirect.op.includes('>') && BLOCK_DEVICE.test(redirect.target)) } // 重定向写入块设备
 ];
 
 const UNIX_WARN = [
-  /\brm\s+-rf\b/i,              // 递归删除
-  /\brm\s+.*\/\*/i,            // 删除通配符文件
-  /\bsudo\b/i,                 // sudo命令
-  /\bchown\b/i,                // 修改所有者
-  /chmod\s+777/i,              // 设置全权限
-  /\bchmod\s+.*7.*7.*7/i,      // 另一种777模式
-  /\bdiskutil\b/i,             // macOS磁盘工具
-  /\bsystemctl\s+(stop|disable|mask)/i, // 停止系统服务
-  /\bservice\s+.*\s+(stop|restart)/i,   // 停止服务
-  /\bcrontab\s+-r/i,           // 删除定时任务
-  /\biptables\s+-F/i,          // 清空防火墙规则
-  /\bufw\s+(disable|reset)/i,  // Ubuntu防火墙
+  { program: /^rm$/i, test: ({ flags }) => hasFlag(flags, RECURSIVE_FLAGS) && hasFlag(flags, FORCE_FLAGS) }, // 递归删除
+  { program: /^rm$/i, test: ({ positional }) => positional.some(arg => arg.endsWith('/*')) },               // 删除通配符文件
+  { program: /^find$/i, test: (args, segment) => findDeletes(segment.argv) },                               // find 删除文件
+  { program: null, test: (args, segment) => isSudo(segment) },                                               // sudo命令
+  { program: /^chown$/i },                                                                                    // 修改所有者
+  { program: /^chmod$/i, test: ({ positional }) => positional.some(arg => /^[0-7]?777$|^(a|ugo)?[+=]rwx$/.test(arg)) }, // 设置全权限
+  { program: /^diskutil$/i },                                                                                 // macOS磁盘工具
+  { program: /^systemctl$/i, test: ({ positional }) => ['stop', 'disable', 'mask'].includes(positional[0]) }, // 停止系统服务
+  { program: /^service$/i, test: ({ positional }) => ['stop', 'restart'].includes(positional[1]) },           // 停止服务
+  { program: /^crontab$/i, test: ({ flags }) => flags.has('-r') },                                          // 删除定时任务
+  { program: /^iptables$/i, test: ({ flags }) => hasFlag(flags, ['-F', '--flush']) },                       // 清空防火墙规则
+  { program: /^ufw$/i, test: ({ positional }) => ['disable', 'reset'].includes(positional[0]) }              // Ubuntu防火墙
 ];
 
+function isSudo(segment) {
+  return segment.program === 'sudo' || segment.wrappers.includes('sudo');
+}
+
 // Windows 危险命令模式
 const WINDOWS_DENY = [
   /\bformat\s+[c-zC-Z]:/i,      // 格式化磁盘
@@ -170,22 +255,60 @@ function identifyCommandType(command) {
   };
 }
 
+/**
+ * 将命令拆成需要检查的片段
+ * Windows 的 cmd/PowerShell 语法不同于 POSIX shell，整条命令作为一个片段
+ * @param {string} cmd - 命令
+ * @returns {Array<Object>} 片段列表（结构见 shellParser.listCommands）
+ */
+function splitSegments(cmd) {
+  if (platformUtils.isWindows) {
+    return [{ program: cmd.split(/\s+/)[0], argv: cmd.split(/\s+/), text: cmd, source: cmd, redirects: [], wrappers: [], env: {}, dynamic: false, stdinScript: false }];
+  }
+  return listCommands(cmd);
+}
+
+// 记录触发决定的片段与规则
+function decide(result, level, reason, segment, rule) {
+  result.level = level;
+  result.reason = reason;
+  result.rule = rule;
+  result.segment = segment ? segment.source : null;
+  result.program = segment ? segment.program : null;
+  return result;
+}
+
+// 规则统一为 { id, match(segment) }：正则匹配片段文本，Unix 内置规则匹配程序名与参数
+const textRule = (id, regex) => ({ id, match: segment => regex.test(segment.text) });
+const withId = prefix => (regex, index) => textRule(`${prefix}[${index}]`, regex);
+const builtin = id => rule => rule instanceof RegExp ? textRule(id, rule) : {
+  id,
+  match: segment => (!rule.program || rule.program.test(segment.program)) && (!rule.test || rule.test(parseArgs(segment.argv), segment))
+};
+
 /**
  * 评估命令安全性
  * @param {string} command - 要评估的命令
  * @param {Object} options - 选项
  * @param {boolean} options.allowSudo - 是否允许sudo命令
  * @param {boolean} options.checkSudoConfig - 是否检查sudo配置
- * @returns {Promise<Object>} 评估结果
+ * @param {string} options.cwd - 执行目录（自定义规则的 cwd 条件），默认服务进程的当前目录
+ * @param {Object} options.env - 执行环境（自定义规则的 env 条件），默认服务进程的环境变量
+ * @returns {Promise<Object>} 评估结果；rule/segment/program 为触发判定的规则 id、片段与程序，
+ *   matches 列出命中自定义规则的全部片段
  */
 async function evaluate(command, options = {}) {
-  const { allowSudo = false, checkSudoConfig: checkSudo = false } = options;
+  const { allowSudo = false, checkSudoConfig: checkSudo = false, cwd = process.cwd(), env = process.env } = options;
   const cmd = command.trim();
   const cmdType = identifyCommandType(cmd);
   
   const result = {
     level: 'allow',
     reason: null,
+    rule: null,
+    segment: null,
+    program: null,
+    matches: [],
     platform: cmdType.platform,
     commandType: cmdType.type,
     suggestions: [],
@@ -194,9 +317,7 @@ async function evaluate(command, options = {}) {
   
   // 空命令检查
   if (!cmd) {
-    result.level = 'deny';
-    result.reason = '空命令';
-    return result;
+    return decide(result, 'deny', '空命令', null, 'builtin:empty');
   }
   
   // 根据平台选择对应的检查规则
@@ -216,44 +337,82 @@ async function evaluate(command, options = {}) {
     denyPatterns = [...UNIX_DENY];
     warnPatterns = [...UNIX_WARN];
   }
+
+  // 配置文件中追加的规则（command.deny / command.warn，正则源码，不区分大小写）
+  const { command: extra } = getConfig();
+  denyPatterns = [
+    ...denyPatterns.map(builtin('builtin:deny')),
+    ...extra.deny.map(source => new RegExp(source, 'i')).map(withId('config:command.deny'))
+  ];
+  warnPatterns = [
+    ...warnPatterns.map(builtin('builtin:warn')),
+    ...extra.warn.map(source => new RegExp(source, 'i')).map(withId('config:command.warn'))
+  ];
+
+  // 无法解析的命令无法逐段检查，按高风险处理
+  let segments;
+  try {
+    segments = splitSegments(cmd);
+  } catch (error) {
+    return decide(result, 'warn', `无法解析命令: ${error.message}`, null, 'builtin:parse');
+  }
+
+  const matched = segments.map(segment => matchRule(segment, { cwd, env }));
+  result.matches = segments
+    .map((segment, index) => matched[index] && { segment: segment.source, program: segment.program, rule: matched[index].id, action: matched[index].action })
+    .filter(Boolean);
+  const ruleReason = rule => rule.reason || `命中规则 ${rule.id}`;
   
-  // 检查拒绝列表
-  for (const pattern of denyPatterns) {
-    if (pattern.test(cmd)) {
-      result.level = 'deny';
-      result.reason = '禁止的危险命令';
-      return result;
-    }
+  // 检查拒绝列表：任一片段命中即拒绝；内置拒绝不能被自定义规则放行
+  for (const segment of segments) {
+    const hit = denyPatterns.find(pattern => pattern.match(segment));
+    if (hit) return decide(result, 'deny', '禁止的危险命令', segment, hit.id);
+  }
+  const deniedIndex = matched.findIndex(rule => rule && rule.action === 'deny');
+  if (deniedIndex !== -1) {
+    return decide(result, 'deny', ruleReason(matched[deniedIndex]), segments[deniedIndex], matched[deniedIndex].id);
   }
   
-  // 检查警告列表
-  for (const pattern of warnPatterns) {
-    if (pattern.test(cmd)) {
-      // sudo特定处理
-      if (/\bsudo\b/i.test(cmd)) {
-        if (checkSudo) {
-          result.sudoInfo = await checkSudoConfig();
-        }
-        
-        if (!allowSudo) {
-          result.level = 'warn';
-          result.reason = 'sudo命令需要特殊权限';
-          result.suggestions.push('如果在Linux系统上，请考虑配置sudoers文件');
-          result.suggestions.push('或者使用allowSudo选项允许sudo命令');
-          return result;
-        } else if (result.sudoInfo && !result.sudoInfo.noPassword) {
-          result.level = 'warn';
-          result.reason = 'sudo需要密码验证，可能导致阻塞';
-          result.suggestions.push('建议配置无密码sudo以提高自动化程度');
-          return result;
-        }
-      } else {
-        result.level = 'warn';
-        result.reason = '高风险命令';
-        return result;
+  // 检查警告列表；命中自定义规则的片段以规则为准
+  for (const [index, segment] of segments.entries()) {
+    const rule = matched[index];
+    if (rule) {
+      if (rule.action === 'warn') return decide(result, 'warn', ruleReason(rule), segment, rule.id);
+      continue;
+    }
+    if (segment.dynamic) {
+      return decide(result, 'warn', '程序名由变量或命令替换生成，无法检查', segment, 'builtin:dynamic');
+    }
+    if (segment.stdinScript) {
+      return decide(result, 'warn', '交给 shell 从标准输入执行的脚本无法检查', segment, 'builtin:stdin');
+    }
+    const hit = warnPatterns.find(pattern => pattern.match(segment));
+    if (!hit) continue;
+
+    // sudo特定处理
+    if (isSudo(segment)) {
+      if (checkSudo && !result.sudoInfo) {
+        result.sudoInfo = await checkSudoConfig();
+      }
+      
+      if (!allowSudo) {
+        result.suggestions.push('如果在Linux系统上，请考虑配置sudoers文件');
+        result.suggestions.push('或者使用allowSudo选项允许sudo命令');
+        return decide(result, 'warn', 'sudo命令需要特殊权限', segment, 'builtin:sudo');
+      } else if (result.sudoInfo && !result.sudoInfo.noPassword) {
+        result.suggestions.push('建议配置无密码sudo以提高自动化程度');
+        return decide(result, 'warn', 'sudo需要密码验证，可能导致阻塞', segment, 'builtin:sudo');
       }
+    } else {
+      return decide(result, 'warn', '高风险命令', segment, hit.id);
     }
   }
+
+  // 放行：命中 allow 规则时报告该规则
+  const allowedIndex = matched.findIndex(Boolean);
+  if (allowedIndex !== -1) {
+    return decide(result, 'allow', ruleReason(matched[allowedIndex]), segments[allowedIndex], matched[allowedIndex].id);
+  }
   
   return result;
 }
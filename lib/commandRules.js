@@ -0,0 +1,215 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CONFIG_DIR, validate } = require('./config');
+const { globToRegExp } = require('./glob');
+const platformUtils = require('./platformUtils');
+const { ERR } = require('../errors');
+
+/**
+ * 用户自定义命令规则
+ * 规则写在策略文件中（默认 ~/.axlocalop/policy.json，可用 --policy 或 AX_MCP_POLICY 指定），
+ * 逐个匹配 shellParser 拆出的每个执行片段：
+ *
+ *   {
+ *     "rules": [
+ *       { "id": "git-push-origin", "action": "allow", "program": "git", "args": ["push", "origin"], "priority": 10 },
+ *       { "id": "git-push", "action": "deny", "program": "git", "args": ["push"], "reason": "只允许推送到 origin" },
+ *       { "id": "npm-publish", "action": "deny", "program": "npm", "args": ["publish"] },
+ *       { "id": "docker-rm", "action": "warn", "program": "docker", "args": ["{rm,rmi}"] },
+ *       { "id": "prod-kubectl", "action": "deny", "program": "kubectl", "env": { "KUBECONFIG": "**prod**" } }
+ *     ]
+ *   }
+ *
+ * 匹配条件（均为可选，同时满足才算命中）：
+ *   program    程序名 glob（取路径的最后一级）
+ *   args       依次匹配前几个参数的 glob，实际参数可以更多；程序名后的全局选项（git -C . push）之后的子命令同样匹配
+ *   args_regex 匹配以空格连接的全部参数的正则
+ *   cwd        执行目录 glob，支持 ~
+ *   env        变量名到值 glob 的映射；命令前缀或 env 中设置的变量优先于服务进程的环境变量
+ * glob 中的 * 不匹配 /，需要时使用 **。
+ * 同一片段命中多条规则时 priority 大者优先，相同时 deny > warn > allow。
+ */
+
+const POLICY_FILE = path.join(CONFIG_DIR, 'policy.json');
+
+const ACTIONS = ['allow', 'warn', 'deny'];
+const SEVERITY = { allow: 0, warn: 1, deny: 2 };
+
+const RULE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['id', 'action'],
+  properties: {
+    id: { type: 'string' },
+    action: { type: 'string', enum: ACTIONS },
+    reason: { type: 'string' },
+    priority: { type: 'integer' },
+    program: { type: 'string' },
+    args: { type: 'array', items: { type: 'string' } },
+    args_regex: { type: 'string', format: 'regex' },
+    cwd: { type: 'string' },
+    env: { type: 'object', additionalProperties: { type: 'string' } }
+  }
+};
+
+const POLICY_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['rules'],
+  properties: {
+    $schema: { type: 'string' },
+    rules: { type: 'array', items: RULE_SCHEMA }
+  }
+};
+
+const toGlob = (pattern, caseSensitive = !platformUtils.isWindows) => globToRegExp(pattern, { caseSensitive });
+
+// 展开 ~ 并统一为 / 分隔
+function toGlobPath(value) {
+  const expanded = value === '~' || value.startsWith('~/') ? path.join(os.homedir(), value.slice(1)) : value;
+  return expanded.split(path.sep).join('/');
+}
+
+function compileRule(rule) {
+  return {
+    id: rule.id,
+    action: rule.action,
+    reason: rule.reason || null,
+    priority: rule.priority || 0,
+    program: rule.program ? toGlob(rule.program) : null,
+    args: (rule.args || []).map(pattern => toGlob(pattern, true)),
+    argsRegex: rule.args_regex ? new RegExp(rule.args_regex) : null,
+    cwd: rule.cwd ? toGlob(toGlobPath(rule.cwd)) : null,
+    env: Object.entries(rule.env || {}).map(([name, pattern]) => [name, toGlob(pattern, true)])
+  };
+}
+
+let activePolicy = { file: null, rules: [] };
+
+/**
+ * 读取、校验并启用策略文件；文件不存在时没有自定义规则
+ * @param {string} policyFile - 策略文件，默认 ~/.axlocalop/policy.json
+ * @returns {{file: string|null, rules: Array}} file 为实际读取的文件
+ */
+function loadPolicy(policyFile = POLICY_FILE) {
+  let raw;
+  try {
+    raw = fs.readFileSync(policyFile, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    activePolicy = { file: null, rules: [] };
+    return activePolicy;
+  }
+  let policy;
+  try {
+    policy = JSON.parse(raw);
+  } catch (error) {
+    throw ERR.INVALID_ARGS(`策略文件不是有效的 JSON: ${policyFile} (${error.message})`);
+  }
+  const errors = validate(policy, POLICY_SCHEMA);
+  const seen = new Set();
+  (Array.isArray(policy.rules) ? policy.rules : []).forEach((rule, index) => {
+    if (rule && seen.has(rule.id)) errors.push(`rules[${index}].id 重复: ${rule.id}`);
+    if (rule) seen.add(rule.id);
+  });
+  if (errors.length > 0) {
+    throw ERR.INVALID_ARGS(`策略文件无效: ${policyFile}\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+  activePolicy = { file: policyFile, rules: policy.rules.map(compileRule) };
+  return activePolicy;
+}
+
+/**
+ * 当前生效的策略
+ * @returns {{file: string|null, rules: Array}}
+ */
+function getPolicy() {
+  return activePolicy;
+}
+
+// 常见程序的全局选项中带参数的选项（--name=value 的写法无需列出）
+const GLOBAL_OPTIONS_WITH_ARG = {
+  git: ['-C', '-c', '--git-dir', '--work-tree', '--namespace', '--super-prefix', '--config-env'],
+  docker: ['-c', '--context', '--config', '-H', '--host', '-l', '--log-level', '--tlscacert', '--tlscert', '--tlskey'],
+  kubectl: ['-n', '--namespace', '--context', '--kubeconfig', '--cluster', '--user', '-s', '--server', '--token', '--as', '--as-group', '--request-timeout', '-v']
+};
+
+const isOption = arg => arg.startsWith('-') && arg !== '-';
+
+/**
+ * 规则的 args 可以从哪些位置开始匹配
+ * 位置 0 为原始参数；此外子命令前的全局选项（git -C . push、git --no-pager push）需要跳过，否则加一个选项就能绕过规则。
+ * 已知程序按其带参数的选项精确跳过；其他程序无法判断选项是否带参数，deny/warn 规则在每个可能的子命令位置尝试匹配（宁可多拦），
+ * allow 规则只匹配原始位置
+ * @param {string} program - 程序名
+ * @param {string[]} args - 程序名之后的参数
+ * @param {string} action - 规则动作
+ * @returns {number[]}
+ */
+function argOffsets(program, args, action) {
+  const offsets = [0];
+  const withArg = GLOBAL_OPTIONS_WITH_ARG[program];
+  if (withArg) {
+    let i = 0;
+    while (i < args.length && isOption(args[i])) {
+      if (args[i] === '--') {
+        i++;
+        break;
+      }
+      i += withArg.includes(args[i]) ? 2 : 1;
+    }
+    if (i > 0) offsets.push(i);
+    return offsets;
+  }
+  if (action === 'allow') return offsets;
+  for (let i = 0; i < args.length; i++) {
+    const previous = args[i - 1];
+    const maybeValue = previous !== undefined && isOption(previous) && previous !== '--' && !previous.includes('=');
+    if (!isOption(args[i]) && !maybeValue) break;
+    offsets.push(i + 1);
+  }
+  return offsets;
+}
+
+function ruleMatches(rule, segment, { cwd, env }) {
+  if (rule.program && !rule.program.test(segment.program)) return false;
+  const args = segment.argv.slice(1);
+  if (rule.args.length > 0) {
+    const matchesAt = offset => rule.args.length <= args.length - offset && rule.args.every((pattern, index) => pattern.test(args[offset + index]));
+    if (!argOffsets(segment.program, args, rule.action).some(matchesAt)) return false;
+  }
+  if (rule.argsRegex && !rule.argsRegex.test(args.join(' '))) return false;
+  if (rule.cwd && !rule.cwd.test(cwd.split(path.sep).join('/'))) return false;
+  return rule.env.every(([name, pattern]) => {
+    const value = name in segment.env ? segment.env[name] : env[name];
+    return value !== undefined && pattern.test(value);
+  });
+}
+
+/**
+ * 返回片段命中的规则中优先级最高的一条
+ * @param {Object} segment - shellParser.listCommands 返回的片段
+ * @param {Object} context - 上下文
+ * @param {string} context.cwd - 执行目录，默认服务进程的当前目录
+ * @param {Object} context.env - 执行环境，默认服务进程的环境变量
+ * @returns {{id: string, action: string, reason: string|null, priority: number}|null}
+ */
+function matchRule(segment, { cwd = process.cwd(), env = process.env } = {}) {
+  let best = null;
+  for (const rule of activePolicy.rules) {
+    if (!ruleMatches(rule, segment, { cwd, env })) continue;
+    if (!best || rule.priority > best.priority || (rule.priority === best.priority && SEVERITY[rule.action] > SEVERITY[best.action])) {
+      best = rule;
+    }
+  }
+  return best && { id: best.id, action: best.action, reason: best.reason, priority: best.priority };
+}
+
+module.exports = {
+  POLICY_FILE,
+  POLICY_SCHEMA,
+  loadPolicy,
+  getPolicy,
+  matchRule
+};
@@ -0,0 +1,330 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { ERR } = require('../errors');
+const { escapeGlob } = require('./glob');
+
+/**
+ * 服务器配置
+ * 启动时按以下顺序逐层合并，后者覆盖前者：
+ *   内置默认值 → ~/.axlocalop/config.json → 项目目录下的 .axlocalop.json → 选中的 profile
+ * profile 由 --profile 参数、AX_MCP_PROFILE 环境变量或配置中的 profile 字段依次决定。
+ * command.deny / command.warn / tools.disabled 逐层累加、read_only 一旦开启不能被后续层关闭，只能收紧不能放宽；
+ * 其余字段后者覆盖前者。
+ * 项目配置随代码仓库分发，不允许声明 plugins 与 security，避免打开仓库即加载其中的代码或扩大可访问的目录。
+ * plugins.directories 中的目录会自动追加到 security.deny，工具不能读写插件代码。
+ *
+ *   {
+ *     "profile": "dev",
+ *     "read_only": false,
+ *     "limits": { "max_file_size": 10485760, "max_read_size": 2097152, "max_entries": 1000, "stdout_max": 4000, "stderr_max": 2000 },
+ *     "command": { "deny": ["\\bterraform\\s+destroy\\b"], "warn": ["\\bgit\\s+push\\b"] },
+ *     "plugins": { "directories": ["~/my-tools"], "packages": [] },
+ *     "security": { "roots": [{ "path": "~", "access": "read-write" }, { "path": "/srv/shared", "access": "read", "deny": ["secrets/**"] }], "deny": ["~/.kube/config"] },
+ *     "tools": { "enabled": [], "disabled": [] },
+ *     "profiles": { "dev": { "limits": { "stdout_max": 20000 } } }
+ *   }
+ */
+
+const CONFIG_DIR = path.join(os.homedir(), '.axlocalop');
+const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
+const PROJECT_CONFIG_NAME = '.axlocalop.json';
+
+const DEFAULT_CONFIG = {
+  profile: null,
+  read_only: false,                   // 只读模式：隐藏并拒绝破坏性工具与操作
+  limits: {
+    max_file_size: 10 * 1024 * 1024,  // file_operation 最大文件大小: 10MB
+    max_read_size: 2 * 1024 * 1024,   // 单次读取输出上限: 2MB
+    max_entries: 1000,                // 目录列表单页最大条目数
+    stdout_max: 4000,                 // execute_command 默认 stdout 截断长度
+    stderr_max: 2000,                 // execute_command 默认 stderr 截断长度
+    max_processes: 8,                 // process_manager 每个会话同时运行的后台进程数
+    process_buffer: 256 * 1024        // process_manager 每个输出流保留的字符数
+  },
+  command: { deny: [], warn: [] },
+  plugins: { directories: [], packages: [] },
+  security: { roots: [], deny: [] },  // roots 为空时只允许家目录；deny 追加在内置规则之后
+  tools: { enabled: [], disabled: [] }
+};
+
+// 内置 profile；配置文件中同名的 profile 在其基础上合并
+const BUILTIN_PROFILES = {
+  readonly: {
+    read_only: true
+  },
+  dev: {
+    limits: { max_file_size: 50 * 1024 * 1024, max_read_size: 8 * 1024 * 1024, stdout_max: 20000, stderr_max: 10000 }
+  },
+  ci: {
+    limits: { stdout_max: 20000, stderr_max: 20000 },
+    tools: { disabled: ['file_watch', 'workspace_manager', 'sudo_config'] }
+  }
+};
+
+// 逐层累加的列表字段
+const ACCUMULATED_LISTS = ['command.deny', 'command.warn', 'security.deny', 'tools.disabled'];
+// 一旦开启不能被后续层关闭的开关
+const STICKY_FLAGS = ['read_only'];
+
+const POSITIVE_INTEGER = { type: 'integer', minimum: 1 };
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+const PATTERN_LIST = { type: 'array', items: { type: 'string', format: 'regex' } };
+
+// 可出现在配置文件顶层与 profile 中的字段
+const LAYER_PROPERTIES = {
+  read_only: { type: 'boolean' },
+  limits: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      max_file_size: POSITIVE_INTEGER,
+      max_read_size: POSITIVE_INTEGER,
+      max_entries: POSITIVE_INTEGER,
+      stdout_max: POSITIVE_INTEGER,
+      stderr_max: POSITIVE_INTEGER,
+      max_processes: POSITIVE_INTEGER,
+      process_buffer: POSITIVE_INTEGER
+    }
+  },
+  command: {
+    type: 'object',
+    additionalProperties: false,
+    properties: { deny: PATTERN_LIST, warn: PATTERN_LIST }
+  },
+  tools: {
+    type: 'object',
+    additionalProperties: false,
+    properties: { enabled: STRING_LIST, disabled: STRING_LIST }
+  }
+};
+
+const PROFILE_SCHEMA = { type: 'object', additionalProperties: false, properties: LAYER_PROPERTIES };
+
+const PROJECT_CONFIG_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    $schema: { type: 'string' },
+    profile: { type: 'string' },
+    ...LAYER_PROPERTIES,
+    profiles: { type: 'object', additionalProperties: PROFILE_SCHEMA }
+  }
+};
+
+const CONFIG_SCHEMA = {
+  ...PROJECT_CONFIG_SCHEMA,
+  properties: {
+    ...PROJECT_CONFIG_SCHEMA.properties,
+    plugins: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { directories: STRING_LIST, packages: STRING_LIST }
+    },
+    security: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        roots: {
+          type: 'array',
+          items: {
+            type: 'object',
+            additionalProperties: false,
+            required: ['path'],
+            properties: {
+              path: { type: 'string' },
+              access: { type: 'string', enum: ['read', 'read-write'] },
+              deny: STRING_LIST
+            }
+          }
+        },
+        deny: STRING_LIST
+      }
+    }
+  }
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * 按 schema 校验配置（支持 type、enum、properties、required、additionalProperties、items、minimum 与 format: regex）
+ * @param {*} value - 待校验的值
+ * @param {Object} schema - schema
+ * @param {string} at - 当前字段路径
+ * @returns {string[]} 错误描述列表
+ */
+function validate(value, schema, at = '') {
+  const actual = typeOf(value);
+  const typeMatches = actual === schema.type || (schema.type === 'number' && actual === 'integer');
+  if (!typeMatches) return [`${at || '(根)'} 应为 ${schema.type}，实际为 ${actual}`];
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${at} 应为 ${schema.enum.join('、')} 之一，实际为 ${value}`);
+  if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} 不能小于 ${schema.minimum}`);
+  if (schema.format === 'regex') {
+    try {
+      new RegExp(value, 'i');
+    } catch (error) {
+      errors.push(`${at} 不是有效的正则表达式: ${error.message}`);
+    }
+  }
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, index) => errors.push(...validate(item, schema.items, `${at}[${index}]`)));
+  }
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`缺少字段 ${at ? `${at}.${key}` : key}`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const child = at ? `${at}.${key}` : key;
+      const propertySchema = (schema.properties || {})[key];
+      if (propertySchema) {
+        errors.push(...validate(item, propertySchema, child));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`不支持的字段 ${child}`);
+      } else if (schema.additionalProperties) {
+        errors.push(...validate(item, schema.additionalProperties, child));
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * 读取并校验单个配置文件；不存在时返回 null
+ * @param {string} configFile - 配置文件路径
+ * @param {Object} schema - 校验使用的 schema
+ * @returns {Object|null}
+ */
+function readConfigFile(configFile, schema = CONFIG_SCHEMA) {
+  let raw;
+  try {
+    raw = fs.readFileSync(configFile, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  let config;
+  try {
+    config = JSON.parse(raw);
+  } catch (error) {
+    throw ERR.INVALID_ARGS(`配置文件不是有效的 JSON: ${configFile} (${error.message})`);
+  }
+  const errors = validate(config, schema);
+  if (errors.length > 0) {
+    throw ERR.INVALID_ARGS(`配置文件无效: ${configFile}\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+  return config;
+}
+
+// 展开 ~ 并将相对路径解析为相对配置文件所在目录
+function resolveConfigPath(value, baseDir) {
+  const expanded = value === '~' || value.startsWith('~/') ? path.join(os.homedir(), value.slice(1)) : value;
+  return path.resolve(baseDir, expanded);
+}
+
+// 插件目录（含其真实路径）对应的 deny glob：其中的代码在启动时加载，与配置文件一样不允许工具读写
+function pluginDenyGlobs(directories) {
+  const paths = directories.flatMap(dir => {
+    const abs = path.resolve(dir);
+    try {
+      return [abs, fs.realpathSync.native(abs)];
+    } catch (error) {
+      return [abs];
+    }
+  });
+  return [...new Set(paths)].map(dir => `${escapeGlob(dir)}/**`);
+}
+
+// 将一层配置合并进 target（就地修改）
+function mergeLayer(target, layer, prefix = '') {
+  for (const [key, value] of Object.entries(layer)) {
+    const field = prefix ? `${prefix}.${key}` : key;
+    if (STICKY_FLAGS.includes(field)) {
+      target[key] = Boolean(target[key] || value);
+    } else if (ACCUMULATED_LISTS.includes(field)) {
+      target[key] = [...new Set([...(target[key] || []), ...value])];
+    } else if (typeOf(value) === 'object') {
+      target[key] = mergeLayer(typeOf(target[key]) === 'object' ? target[key] : {}, value, field);
+    } else {
+      target[key] = Array.isArray(value) ? [...value] : value;
+    }
+  }
+  return target;
+}
+
+// 取出配置文件中参与合并的字段（profile 与 profiles 单独处理）
+function layerOf(config) {
+  const { profile, profiles, $schema, ...layer } = config;
+  return layer;
+}
+
+let activeConfig = mergeLayer({}, DEFAULT_CONFIG);
+
+/**
+ * 加载配置并设为当前生效配置
+ * @param {Object} options - 选项
+ * @param {string} options.profile - 指定的 profile（优先于配置文件中的 profile 字段）
+ * @param {string} options.configFile - 用户配置文件，默认 ~/.axlocalop/config.json
+ * @param {string} options.projectDir - 项目目录，读取其中的 .axlocalop.json，默认当前目录
+ * @returns {Object} 合并后的配置，sources 为实际读取的配置文件
+ */
+function loadConfig({ profile = null, configFile = CONFIG_FILE, projectDir = process.cwd() } = {}) {
+  const userConfig = readConfigFile(configFile);
+  const baseDir = path.dirname(configFile);
+  if (userConfig && userConfig.plugins && userConfig.plugins.directories) {
+    userConfig.plugins.directories = userConfig.plugins.directories.map(dir => resolveConfigPath(dir, baseDir));
+  }
+  if (userConfig && userConfig.security && userConfig.security.roots) {
+    userConfig.security.roots = userConfig.security.roots.map(root => ({ ...root, path: resolveConfigPath(root.path, baseDir) }));
+  }
+  const projectFile = path.join(projectDir, PROJECT_CONFIG_NAME);
+  const projectConfig = path.resolve(projectFile) === path.resolve(configFile)
+    ? null
+    : readConfigFile(projectFile, PROJECT_CONFIG_SCHEMA);
+
+  const files = [[configFile, userConfig], [projectFile, projectConfig]].filter(([, config]) => config);
+  const profiles = mergeLayer({}, BUILTIN_PROFILES);
+  for (const [, config] of files) {
+    for (const [key, value] of Object.entries(config.profiles || {})) profiles[key] = mergeLayer(profiles[key] || {}, value);
+  }
+
+  const name = profile || [...files].reverse().map(([, config]) => config.profile).find(Boolean) || null;
+  if (name && !profiles[name]) {
+    throw ERR.INVALID_ARGS(`未知的配置 profile: ${name}（可选: ${Object.keys(profiles).join(', ')}）`);
+  }
+
+  const config = mergeLayer({}, DEFAULT_CONFIG);
+  for (const [, layer] of files) mergeLayer(config, layerOf(layer));
+  if (name) mergeLayer(config, profiles[name]);
+  config.security.deny = [...new Set([...config.security.deny, ...pluginDenyGlobs(config.plugins.directories)])];
+  config.profile = name;
+  config.sources = files.map(([file]) => file);
+  activeConfig = config;
+  return config;
+}
+
+/**
+ * 当前生效的配置；未调用 loadConfig 时为内置默认值
+ * @returns {Object}
+ */
+function getConfig() {
+  return activeConfig;
+}
+
+module.exports = {
+  CONFIG_DIR,
+  CONFIG_FILE,
+  PROJECT_CONFIG_NAME,
+  DEFAULT_CONFIG,
+  BUILTIN_PROFILES,
+  CONFIG_SCHEMA,
+  validate,
+  loadConfig,
+  getConfig
+};
@@ -0,0 +1,228 @@
+/**
+ * 行级差异引擎
+ * Myers O(ND) 算法（线性空间的中间蛇分治版本），生成编辑脚本、差异块与标准 unified diff 文本
+ */
+
+/**
+ * 按 \n 拆分文本；末尾换行不产生空行，单独记录
+ * @param {string} text - 文本内容
+ * @returns {{lines: string[], finalNewline: boolean}}
+ */
+function splitLines(text) {
+  if (text === '') return { lines: [], finalNewline: false };
+  const lines = text.split('\n');
+  const finalNewline = lines[lines.length - 1] === '';
+  if (finalNewline) lines.pop();
+  return { lines, finalNewline };
+}
+
+/**
+ * 生成比较用的行键
+ * @param {string} line - 原始行
+ * @param {Object} options - 忽略选项
+ */
+function normalizeLine(line, { ignoreWhitespace = false, ignoreCase = false, ignoreLineEnding = false } = {}) {
+  let key = line;
+  if (ignoreLineEnding && key.endsWith('\r')) key = key.slice(0, -1);
+  if (ignoreWhitespace) key = key.replace(/\s+/g, ' ').trim();
+  if (ignoreCase) key = key.toLowerCase();
+  return key;
+}
+
+/**
+ * 计算两个行数组的最短编辑脚本
+ * @param {string[]} a - 原行
+ * @param {string[]} b - 新行
+ * @param {Object} options - ignoreWhitespace / ignoreCase / ignoreLineEnding
+ * @returns {Array<{type: 'equal'|'delete'|'insert', a: number, b: number}>} 编辑操作（a/b 为 0 起始行下标）
+ */
+function diffLines(a, b, options = {}) {
+  // 行键映射为整数，比较更快
+  const ids = new Map();
+  const toId = (line) => {
+    const key = normalizeLine(line, options);
+    if (!ids.has(key)) ids.set(key, ids.size);
+    return ids.get(key);
+  };
+  const A = Int32Array.from(a, toId);
+  const B = Int32Array.from(b, toId);
+  const ops = [];
+
+  function middleSnake(aLo, aHi, bLo, bHi) {
+    const N = aHi - aLo;
+    const M = bHi - bLo;
+    const delta = N - M;
+    const odd = (delta & 1) !== 0;
+    const max = Math.ceil((N + M) / 2);
+    const offset = max + 1;
+    const vf = new Int32Array(2 * max + 3);
+    const vb = new Int32Array(2 * max + 3);
+
+    for (let d = 0; d <= max; d++) {
+      for (let k = -d; k <= d; k += 2) {
+        let x = (k === -d || (k !== d && vf[offset + k - 1] < vf[offset + k + 1])) ? vf[offset + k + 1] : vf[offset + k - 1] + 1;
+        let y = x - k;
+        while (x < N && y < M && A[aLo + x] === B[bLo + y]) { x++; y++; }
+        vf[offset + k] = x;
+        const kr = delta - k;
+        if (odd && kr >= -(d - 1) && kr <= d - 1 && x + vb[offset + kr] >= N) {
+          return [aLo + x, bLo + y];
+        }
+      }
+      for (let k = -d; k <= d; k += 2) {
+        let x = (k === -d || (k !== d && vb[offset + k - 1] < vb[offset + k + 1])) ? vb[offset + k + 1] : vb[offset + k - 1] + 1;
+        let y = x - k;
+        while (x < N && y < M && A[aHi - 1 - x] === B[bHi - 1 - y]) { x++; y++; }
+        vb[offset + k] = x;
+        const kf = delta - k;
+        if (!odd && kf >= -d && kf <= d && x + vf[offset + kf] >= N) {
+          return [aHi - x, bHi - y];
+        }
+      }
+    }
+    throw new Error('diff: 未找到中间蛇');
+  }
+
+  function compare(aLo, aHi, bLo, bHi) {
+    // 公共前缀
+    while (aLo < aHi && bLo < bHi && A[aLo] === B[bLo]) {
+      ops.push({ type: 'equal', a: aLo++, b: bLo++ });
+    }
+    // 公共后缀（稍后输出）
+    let suffix = 0;
+    while (aHi - suffix > aLo && bHi - suffix > bLo && A[aHi - 1 - suffix] === B[bHi - 1 - suffix]) suffix++;
+    const aEnd = aHi - suffix;
+    const bEnd = bHi - suffix;
+
+    if (aLo === aEnd) {
+      for (let j = bLo; j < bEnd; j++) ops.push({ type: 'insert', a: aLo, b: j });
+    } else if (bLo === bEnd) {
+      for (let i = aLo; i < aEnd; i++) ops.push({ type: 'delete', a: i, b: bLo });
+    } else {
+      const [x, y] = middleSnake(aLo, aEnd, bLo, bEnd);
+      compare(aLo, x, bLo, y);
+      compare(x, aEnd, y, bEnd);
+    }
+
+    for (let s = 0; s < suffix; s++) {
+      ops.push({ type: 'equal', a: aEnd + s, b: bEnd + s });
+    }
+  }
+
+  compare(0, A.length, 0, B.length);
+  return ops;
+}
+
+/**
+ * 将编辑脚本分组为带上下文的差异块
+ * @param {Array} ops - diffLines 的结果
+ * @param {number} context - 上下文行数
+ * @returns {Array<{oldStart: number, oldLines: number, newStart: number, newLines: number, ops: Array}>}
+ */
+function buildHunks(ops, context = 3) {
+  const hunks = [];
+  const changeIdx = [];
+  ops.forEach((op, i) => { if (op.type !== 'equal') changeIdx.push(i); });
+  if (changeIdx.length === 0) return hunks;
+
+  // 相邻变更间隔不超过 2*context 时合并为一个块
+  let start = changeIdx[0];
+  let end = changeIdx[0];
+  const ranges = [];
+  for (const i of changeIdx.slice(1)) {
+    if (i - end - 1 <= context * 2) {
+      end = i;
+    } else {
+      ranges.push([start, end]);
+      start = end = i;
+    }
+  }
+  ranges.push([start, end]);
+
+  for (const [first, last] of ranges) {
+    const from = Math.max(0, first - context);
+    const to = Math.min(ops.length - 1, last + context);
+    const hunkOps = ops.slice(from, to + 1);
+    const oldLines = hunkOps.filter(op => op.type !== 'insert').length;
+    const newLines = hunkOps.filter(op => op.type !== 'delete').length;
+    // unified diff 约定：行数为 0 时起始行号取前一行
+    const oldStart = oldLines === 0 ? hunkOps[0].a : hunkOps[0].a + 1;
+    const newStart = newLines === 0 ? hunkOps[0].b : hunkOps[0].b + 1;
+    hunks.push({ oldStart, oldLines, newStart, newLines, ops: hunkOps });
+  }
+  return hunks;
+}
+
+/**
+ * 输出标准 unified diff 文本
+ * @param {Array} hunks - buildHunks 的结果
+ * @param {string[]} a - 原行
+ * @param {string[]} b - 新行
+ * @param {Object} options - 选项
+ * @param {string} options.fromFile - 原文件标签
+ * @param {string} options.toFile - 新文件标签
+ * @param {boolean} options.aFinalNewline - 原文件末尾是否有换行
+ * @param {boolean} options.bFinalNewline - 新文件末尾是否有换行
+ * @returns {string} unified diff 文本，无差异时为空字符串
+ */
+function formatUnified(hunks, a, b, { fromFile = 'a', toFile = 'b', aFinalNewline = true, bFinalNewline = true } = {}) {
+  if (hunks.length === 0) return '';
+  const out = [`--- ${fromFile}`, `+++ ${toFile}`];
+  const noNewline = '\\ No newline at end of file';
+  const range = (start, count) => (count === 1 ? `${start}` : `${start},${count}`);
+
+  for (const hunk of hunks) {
+    out.push(`@@ -${range(hunk.oldStart, hunk.oldLines)} +${range(hunk.newStart, hunk.newLines)} @@`);
+    for (const op of hunk.ops) {
+      if (op.type === 'equal') {
+        out.push(` ${a[op.a]}`);
+        if (op.a === a.length - 1 && !aFinalNewline) out.push(noNewline);
+      } else if (op.type === 'delete') {
+        out.push(`-${a[op.a]}`);
+        if (op.a === a.length - 1 && !aFinalNewline) out.push(noNewline);
+      } else {
+        out.push(`+${b[op.b]}`);
+        if (op.b === b.length - 1 && !bFinalNewline) out.push(noNewline);
+      }
+    }
+  }
+  return out.join('\n') + '\n';
+}
+
+/**
+ * 便捷函数：直接比较两段文本
+ * @param {string} oldText - 原文本
+ * @param {string} newText - 新文本
+ * @param {Object} options - context / fromFile / toFile / ignoreWhitespace / ignoreCase / ignoreLineEnding
+ * @returns {{ops: Array, hunks: Array, unified: string, oldLines: string[], newLines: string[]}}
+ */
+function diffText(oldText, newText, options = {}) {
+  const { context = 3, fromFile, toFile } = options;
+  const left = splitLines(oldText);
+  const right = splitLines(newText);
+  const ops = diffLines(left.lines, right.lines, options);
+  // 仅末尾换行不同也算差异（除非忽略换行差异）
+  if (left.finalNewline !== right.finalNewline && !options.ignoreLineEnding && left.lines.length > 0 && right.lines.length > 0) {
+    const last = ops[ops.length - 1];
+    if (last && last.type === 'equal') {
+      ops.splice(ops.length - 1, 1, { type: 'delete', a: last.a, b: last.b }, { type: 'insert', a: last.a + 1, b: last.b });
+    }
+  }
+  const hunks = buildHunks(ops, context);
+  const unified = formatUnified(hunks, left.lines, right.lines, {
+    fromFile,
+    toFile,
+    aFinalNewline: left.finalNewline,
+    bFinalNewline: right.finalNewline
+  });
+  return { ops, hunks, unified, oldLines: left.lines, newLines: right.lines };
+}
+
+module.exports = {
+  splitLines,
+  normalizeLine,
+  diffLines,
+  buildHunks,
+  formatUnified,
+  diffText
+};
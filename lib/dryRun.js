@@ -0,0 +1,82 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { diffText } = require('./diff');
+
+/**
+ * 演练模式（dry_run）辅助
+ * 变更类工具在 dry_run 时只计算将要发生的修改并返回预览：文本修改给出 unified diff，
+ * 批量操作给出受影响的路径列表，均不写入磁盘，便于人工审核后再执行
+ */
+
+const MAX_PREVIEW_PATHS = 1000;   // 预览中最多列出的路径数
+
+/**
+ * 生成文本修改的 unified diff 预览
+ * @param {string} filePath - 文件路径（用作 diff 标签）
+ * @param {string} oldText - 修改前文本（文件不存在时为空字符串）
+ * @param {string} newText - 修改后文本
+ * @returns {{diff: string, lines_added: number, lines_removed: number}}
+ */
+function previewDiff(filePath, oldText, newText) {
+  const { ops, unified } = diffText(oldText, newText, { fromFile: filePath, toFile: filePath });
+  return {
+    diff: unified,
+    lines_added: ops.filter(op => op.type === 'insert').length,
+    lines_removed: ops.filter(op => op.type === 'delete').length
+  };
+}
+
+/**
+ * 收集操作将影响的路径（先序遍历，包含根路径本身，不跟随符号链接）
+ * @param {string} rootPath - 根路径
+ * @param {Object} options - 选项
+ * @param {number} options.maxDepth - 最大深度，根路径为 0；超过深度的子项不列出并标记 depth_exceeded
+ * @param {number} options.limit - 最多列出的路径数
+ * @returns {Promise<{paths: Array<{path: string, type: string, depth: number}>, truncated: boolean, depth_exceeded: boolean}>}
+ */
+async function collectPaths(rootPath, { maxDepth = Infinity, limit = MAX_PREVIEW_PATHS } = {}) {
+  const result = { paths: [], truncated: false, depth_exceeded: false };
+
+  async function visit(current, depth) {
+    if (result.paths.length >= limit) {
+      result.truncated = true;
+      return;
+    }
+    const stats = await fs.lstat(current);
+    const type = stats.isSymbolicLink() ? 'symlink' : stats.isDirectory() ? 'directory' : 'file';
+    result.paths.push({ path: current, type, depth });
+    if (type !== 'directory') return;
+
+    const items = await fs.readdir(current);
+    if (items.length > 0 && depth + 1 > maxDepth) {
+      result.depth_exceeded = true;
+      return;
+    }
+    for (const item of items.sort()) {
+      await visit(path.join(current, item), depth + 1);
+      if (result.truncated) return;
+    }
+  }
+
+  await visit(rootPath, 0);
+  return result;
+}
+
+/**
+ * 格式化路径列表文本
+ * @param {Array<{path: string, type: string}>} paths - collectPaths 的结果
+ * @param {boolean} truncated - 是否截断
+ * @returns {string}
+ */
+function formatPathList(paths, truncated) {
+  const lines = paths.map(entry => `  ${entry.type === 'directory' ? '[目录]' : entry.type === 'symlink' ? '[链接]' : '[文件]'} ${entry.path}`);
+  if (truncated) lines.push(`  ...（超过 ${MAX_PREVIEW_PATHS} 项，已截断）`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  MAX_PREVIEW_PATHS,
+  previewDiff,
+  collectPaths,
+  formatPathList
+};
@@ -0,0 +1,311 @@
+const fs = require('fs').promises;
+const { ERR } = require('../errors');
+
+/**
+ * 文本编码检测与转换
+ * 识别 BOM、UTF-16LE/BE、UTF-8、GBK/GB18030、Shift-JIS 与 Latin-1，并按原编码写回；
+ * 解码依赖 Node 内置的 ICU TextDecoder，多字节编码的写回通过解码全部码位反推出编码表
+ */
+
+const ENCODINGS = ['auto', 'utf8', 'utf16le', 'utf16be', 'gbk', 'gb18030', 'shift_jis', 'latin1', 'base64'];
+const ALIASES = {
+  'utf-8': 'utf8',
+  'utf-16le': 'utf16le',
+  'ucs2': 'utf16le',
+  'utf-16be': 'utf16be',
+  'gb2312': 'gbk',
+  'cp936': 'gbk',
+  'sjis': 'shift_jis',
+  'shift-jis': 'shift_jis',
+  'cp932': 'shift_jis',
+  'iso-8859-1': 'latin1',
+  'binary': 'base64'
+};
+// TextDecoder 使用的 WHATWG 编码标签
+const DECODER_LABELS = {
+  utf8: 'utf-8',
+  utf16le: 'utf-16le',
+  utf16be: 'utf-16be',
+  gbk: 'gbk',
+  gb18030: 'gb18030',
+  shift_jis: 'shift_jis'
+};
+const BOMS = {
+  utf8: Buffer.from([0xEF, 0xBB, 0xBF]),
+  utf16le: Buffer.from([0xFF, 0xFE]),
+  utf16be: Buffer.from([0xFE, 0xFF])
+};
+const SNIFF_BYTES = 8000;   // 检测时采样的字节数
+const HEAD_BYTES = 64 * 1024;  // 按文件检测时读取的头部字节数
+
+/**
+ * 归一化编码名称
+ * @param {string} encoding - 编码名称（大小写与常见别名均可）
+ * @returns {string} ENCODINGS 中的标准名称
+ */
+function normalizeEncoding(encoding) {
+  if (encoding === undefined || encoding === null || encoding === '') return 'auto';
+  const name = String(encoding).toLowerCase();
+  const normalized = ALIASES[name] || name;
+  if (!ENCODINGS.includes(normalized)) {
+    throw ERR.INVALID_ARGS(`不支持的编码: ${encoding}，可选 ${ENCODINGS.join('/')}`);
+  }
+  return normalized;
+}
+
+// partial 为 true 时缓冲区只是文件开头，末尾被截断的多字节字符不视为错误
+function tryDecode(buffer, encoding, partial = false) {
+  try {
+    return new TextDecoder(DECODER_LABELS[encoding], { fatal: true, ignoreBOM: true }).decode(buffer, { stream: partial });
+  } catch {
+    return null;
+  }
+}
+
+// 无 BOM 的 UTF-16：ASCII 为主的文本中零字节集中出现在奇数位（LE）或偶数位（BE）
+function sniffUtf16(sample) {
+  const pairs = Math.floor(sample.length / 2);
+  if (pairs < 4) return null;
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < pairs * 2; i += 2) {
+    if (sample[i] === 0) evenZeros++;
+    if (sample[i + 1] === 0) oddZeros++;
+  }
+  if (oddZeros / pairs > 0.3 && evenZeros / pairs < 0.05) return 'utf16le';
+  if (evenZeros / pairs > 0.3 && oddZeros / pairs < 0.05) return 'utf16be';
+  return null;
+}
+
+function looksBinary(sample) {
+  if (sample.includes(0)) return true;
+  let control = 0;
+  for (const byte of sample) {
+    if ((byte < 32 && byte !== 0x09 && byte !== 0x0A && byte !== 0x0D && byte !== 0x0C && byte !== 0x1B) || byte === 0x7F) control++;
+  }
+  return sample.length > 0 && control / sample.length > 0.3;
+}
+
+// 日文文本解码为 Shift-JIS 时会出现全角假名；GBK 文本误解为 Shift-JIS 时多为半角片假名
+function preferShiftJis(text) {
+  let kana = 0;
+  let halfWidth = 0;
+  for (const ch of text) {
+    const cp = ch.codePointAt(0);
+    if (cp >= 0x3040 && cp <= 0x30FF) kana++;
+    else if (cp >= 0xFF61 && cp <= 0xFF9F) halfWidth++;
+  }
+  return kana > 0 && kana > halfWidth;
+}
+
+/**
+ * 检测缓冲区的编码
+ * @param {Buffer} buffer - 文件内容
+ * @param {Object} options - 选项
+ * @param {boolean} options.partial - 缓冲区是否只是文件开头
+ * @returns {{encoding: string, bom: boolean, binary: boolean}} 二进制内容的 encoding 为 base64
+ */
+function detectEncoding(buffer, { partial = false } = {}) {
+  for (const [encoding, bom] of Object.entries(BOMS)) {
+    if (buffer.length >= bom.length && buffer.subarray(0, bom.length).equals(bom)) {
+      return { encoding, bom: true, binary: false };
+    }
+  }
+
+  const sample = buffer.subarray(0, SNIFF_BYTES);
+  const utf16 = sniffUtf16(sample);
+  if (utf16) return { encoding: utf16, bom: false, binary: false };
+  if (looksBinary(sample)) return { encoding: 'base64', bom: false, binary: true };
+
+  if (tryDecode(buffer, 'utf8', partial) !== null) return { encoding: 'utf8', bom: false, binary: false };
+  const sjis = tryDecode(buffer, 'shift_jis', partial);
+  if (sjis !== null && preferShiftJis(sjis)) return { encoding: 'shift_jis', bom: false, binary: false };
+  if (tryDecode(buffer, 'gb18030', partial) !== null) return { encoding: 'gb18030', bom: false, binary: false };
+  return { encoding: 'latin1', bom: false, binary: false };
+}
+
+/**
+ * 根据文件头部检测编码，用于分块读取与写入时保留原编码
+ * @param {string} filePath - 文件路径
+ * @returns {Promise<{encoding: string, bom: boolean, binary: boolean}|null>} 文件不存在时返回 null
+ */
+async function detectFileEncoding(filePath) {
+  let handle;
+  try {
+    handle = await fs.open(filePath, 'r');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  try {
+    const buffer = Buffer.alloc(HEAD_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, HEAD_BYTES, 0);
+    return detectEncoding(buffer.subarray(0, bytesRead), { partial: bytesRead === HEAD_BYTES });
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * 按指定编码解码；encoding 为 auto 时先检测
+ * @param {Buffer} buffer - 文件内容
+ * @param {string} encoding - 编码名称
+ * @returns {{text: string, encoding: string, bom: boolean, binary: boolean}} base64 模式下 text 为 base64 字符串
+ */
+function decodeBuffer(buffer, encoding = 'auto') {
+  const name = normalizeEncoding(encoding);
+  const detected = name === 'auto' ? detectEncoding(buffer) : null;
+  const resolved = detected ? detected.encoding : name;
+  if (resolved === 'base64') {
+    return { text: buffer.toString('base64'), encoding: 'base64', bom: false, binary: detected ? detected.binary : true };
+  }
+
+  const bom = BOMS[resolved];
+  const hasBom = Boolean(bom) && buffer.length >= bom.length && buffer.subarray(0, bom.length).equals(bom);
+  const body = hasBom ? buffer.subarray(bom.length) : buffer;
+  const text = resolved === 'latin1'
+    ? body.toString('latin1')
+    : new TextDecoder(DECODER_LABELS[resolved], { ignoreBOM: true }).decode(body);
+  return { text, encoding: resolved, bom: hasBom, binary: false };
+}
+
+// 反向编码表：码位 -> 字节序列，首次使用时由解码器逐一解码所有合法字节序列生成
+const encodeTables = new Map();
+
+function buildEncodeTable(encoding) {
+  const table = new Map();
+  const sequences = [];
+  if (encoding === 'shift_jis') {
+    for (let lead = 0x81; lead <= 0xFC; lead++) {
+      if (lead > 0x9F && lead < 0xE0) continue;
+      for (let trail = 0x40; trail <= 0xFC; trail++) {
+        if (trail !== 0x7F) sequences.push([lead, trail]);
+      }
+    }
+  } else {
+    for (let lead = 0x81; lead <= 0xFE; lead++) {
+      for (let trail = 0x40; trail <= 0xFE; trail++) {
+        if (trail !== 0x7F) sequences.push([lead, trail]);
+      }
+    }
+    // GB18030 四字节区（BMP 部分）
+    if (encoding === 'gb18030') {
+      for (let b1 = 0x81; b1 <= 0x84; b1++) {
+        for (let b2 = 0x30; b2 <= 0x39; b2++) {
+          for (let b3 = 0x81; b3 <= 0xFE; b3++) {
+            for (let b4 = 0x30; b4 <= 0x39; b4++) sequences.push([b1, b2, b3, b4]);
+          }
+        }
+      }
+    }
+  }
+  // 单字节放在最后，使同一字符优先采用标准的双字节编码
+  for (let byte = 0x80; byte <= 0xFF; byte++) sequences.push([byte]);
+
+  // 以换行分隔一次性解码，非法序列会产生替换字符或多个字符而被跳过
+  const joined = [];
+  for (const sequence of sequences) joined.push(...sequence, 0x0A);
+  const pieces = new TextDecoder(DECODER_LABELS[encoding]).decode(Buffer.from(joined)).split('\n');
+  sequences.forEach((sequence, index) => {
+    const piece = pieces[index];
+    if (!piece || piece === '�' || [...piece].length !== 1) return;
+    const cp = piece.codePointAt(0);
+    if (cp >= 0x80 && !table.has(cp)) table.set(cp, sequence);
+  });
+  return table;
+}
+
+function getEncodeTable(encoding) {
+  if (!encodeTables.has(encoding)) encodeTables.set(encoding, buildEncodeTable(encoding));
+  return encodeTables.get(encoding);
+}
+
+// GB18030 四字节区按线性序号映射补充平面
+function gb18030Supplementary(cp) {
+  let linear = cp - 0x10000 + 189000;
+  const b4 = 0x30 + (linear % 10); linear = Math.floor(linear / 10);
+  const b3 = 0x81 + (linear % 126); linear = Math.floor(linear / 126);
+  const b2 = 0x30 + (linear % 10);
+  const b1 = 0x81 + Math.floor(linear / 10);
+  return [b1, b2, b3, b4];
+}
+
+function encodeMultiByte(text, encoding) {
+  const table = getEncodeTable(encoding);
+  const bytes = [];
+  for (const ch of text) {
+    const cp = ch.codePointAt(0);
+    if (cp < 0x80) {
+      bytes.push(cp);
+    } else if (table.has(cp)) {
+      bytes.push(...table.get(cp));
+    } else if (encoding === 'gb18030' && cp >= 0x10000) {
+      bytes.push(...gb18030Supplementary(cp));
+    } else {
+      throw ERR.INVALID_ARGS(`字符 "${ch}" (U+${cp.toString(16).toUpperCase().padStart(4, '0')}) 无法用 ${encoding} 编码`);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * 将文本编码为字节
+ * @param {string} text - 文本内容；base64 模式下为 base64 字符串
+ * @param {string} encoding - 目标编码（不接受 auto）
+ * @param {Object} options - 选项
+ * @param {boolean} options.bom - 是否写入 BOM（仅 UTF-8/UTF-16 有效）
+ * @returns {Buffer}
+ */
+function encodeText(text, encoding, { bom = false } = {}) {
+  const name = normalizeEncoding(encoding);
+  let body;
+  switch (name) {
+    case 'auto':
+    case 'utf8':
+      body = Buffer.from(text, 'utf8');
+      break;
+    case 'base64':
+      if (!/^[A-Za-z0-9+/\s]*={0,2}\s*$/.test(text)) throw ERR.INVALID_ARGS('content 不是有效的 base64 字符串');
+      return Buffer.from(text, 'base64');
+    case 'utf16le':
+      body = Buffer.from(text, 'utf16le');
+      break;
+    case 'utf16be':
+      body = Buffer.from(text, 'utf16le').swap16();
+      break;
+    case 'latin1':
+      for (const ch of text) {
+        if (ch.codePointAt(0) > 0xFF) {
+          throw ERR.INVALID_ARGS(`字符 "${ch}" (U+${ch.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}) 无法用 latin1 编码`);
+        }
+      }
+      body = Buffer.from(text, 'latin1');
+      break;
+    default:
+      body = encodeMultiByte(text, name);
+  }
+  const prefix = bom && BOMS[name === 'auto' ? 'utf8' : name];
+  return prefix ? Buffer.concat([prefix, body]) : body;
+}
+
+/**
+ * 检测文本的主要换行风格
+ * @param {string} text - 文本内容
+ * @returns {'lf'|'crlf'|'none'}
+ */
+function detectLineEnding(text) {
+  const crlf = (text.match(/\r\n/g) || []).length;
+  const lf = (text.match(/\n/g) || []).length - crlf;
+  if (crlf === 0 && lf === 0) return 'none';
+  return crlf > lf ? 'crlf' : 'lf';
+}
+
+module.exports = {
+  ENCODINGS,
+  normalizeEncoding,
+  detectEncoding,
+  detectFileEncoding,
+  decodeBuffer,
+  encodeText,
+  detectLineEnding
+};
@@ -0,0 +1,65 @@
+const { execFile } = require('child_process');
+const path = require('path');
+
+/**
+ * Git 工作区状态查询
+ * 调用本机 git 获取 porcelain 状态，供目录列表为每个条目标注修改/新增/未跟踪等状态；
+ * 目录不在仓库中或未安装 git 时返回 null
+ */
+
+const GIT_TIMEOUT_MS = 5000;
+
+function git(args, cwd) {
+  return new Promise((resolve) => {
+    execFile('git', args, { cwd, timeout: GIT_TIMEOUT_MS, maxBuffer: 32 * 1024 * 1024 }, (error, stdout) => {
+      resolve(error ? null : stdout);
+    });
+  });
+}
+
+/**
+ * 读取目录所在仓库的状态
+ * @param {string} dirPath - 目录绝对路径
+ * @returns {Promise<{root: string, statuses: Map<string, string>}|null>} statuses 键为相对仓库根目录的路径（/ 分隔），值为两位 XY 状态码
+ */
+async function readGitStatus(dirPath) {
+  const top = await git(['rev-parse', '--show-toplevel'], dirPath);
+  if (!top) return null;
+  const root = path.resolve(top.trim());
+  const output = await git(['status', '--porcelain=v1', '-z', '--', '.'], dirPath);
+  if (output === null) return null;
+
+  const statuses = new Map();
+  const records = output.split('\0');
+  for (let i = 0; i < records.length; i++) {
+    const record = records[i];
+    if (record.length < 4) continue;
+    const code = record.slice(0, 2);
+    statuses.set(record.slice(3).replace(/\/$/, ''), code);
+    // 重命名/复制记录后跟一个原路径字段
+    if (code[0] === 'R' || code[0] === 'C') i++;
+  }
+  return { root, statuses };
+}
+
+/**
+ * 查询单个路径的状态码
+ * @param {{root: string, statuses: Map<string, string>}} info - readGitStatus 的结果
+ * @param {string} absPath - 绝对路径
+ * @returns {string|null} XY 状态码；未跟踪目录下的条目返回 '??'；无变更返回 null
+ */
+function statusOf(info, absPath) {
+  if (!info) return null;
+  const rel = path.relative(info.root, absPath).split(path.sep).join('/');
+  if (info.statuses.has(rel)) return info.statuses.get(rel);
+  // git 会把未跟踪目录折叠为一条记录
+  for (let dir = path.posix.dirname(rel); dir !== '.' && dir !== '/'; dir = path.posix.dirname(dir)) {
+    if (info.statuses.get(dir) === '??') return '??';
+  }
+  return null;
+}
+
+module.exports = {
+  readGitStatus,
+  statusOf
+};
@@ -0,0 +1,90 @@
+/**
+ * Glob 模式转换
+ * 支持 *、**、?、[abc]/[!abc]、{a,b} 与反斜杠转义，路径分隔符统一为 /
+ */
+
+function escapeRegex(ch) {
+  return /[\\^$.*+?()[\]{}|/]/.test(ch) ? `\\${ch}` : ch;
+}
+
+// 将 glob 片段翻译为正则表达式源码（不含 ^$）
+function translate(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*') {
+      if (glob[i + 1] === '*') {
+        const atSegmentStart = i === 0 || glob[i - 1] === '/';
+        if (atSegmentStart && glob[i + 2] === '/') {
+          re += '(?:.*/)?';  // "**/" 匹配零或多级目录
+          i += 2;
+        } else {
+          re += '.*';
+          i += 1;
+        }
+      } else {
+        re += '[^/]*';
+      }
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '[') {
+      const end = glob.indexOf(']', i + 2);
+      if (end === -1) {
+        re += '\\[';
+      } else {
+        let cls = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+        if (cls[0] === '!') cls = '^' + cls.slice(1);
+        re += `[${cls}]`;
+        i = end;
+      }
+    } else if (c === '{') {
+      const end = glob.indexOf('}', i + 1);
+      if (end === -1) {
+        re += '\\{';
+      } else {
+        re += `(?:${glob.slice(i + 1, end).split(',').map(translate).join('|')})`;
+        i = end;
+      }
+    } else if (c === '\\' && i + 1 < glob.length) {
+      re += escapeRegex(glob[++i]);
+    } else {
+      re += escapeRegex(c);
+    }
+  }
+  return re;
+}
+
+/**
+ * 将 glob 模式转换为正则表达式
+ * @param {string} glob - glob 模式，如 "src/**\/*.test.js"
+ * @param {Object} options - 选项
+ * @param {boolean} options.caseSensitive - 是否区分大小写，默认 true
+ * @returns {RegExp} 匹配完整相对路径的正则
+ */
+function globToRegExp(glob, { caseSensitive = true } = {}) {
+  return new RegExp(`^${translate(glob)}$`, caseSensitive ? '' : 'i');
+}
+
+/**
+ * 判断字符串是否包含 glob 元字符
+ * @param {string} pattern - 模式
+ * @returns {boolean}
+ */
+function hasGlobMagic(pattern) {
+  return /[*?[{]/.test(pattern);
+}
+
+/**
+ * 将字面路径转换为只匹配其自身的 glob（元字符放进字符类，不依赖反斜杠，Windows 路径同样适用）
+ * @param {string} value - 字面路径
+ * @returns {string}
+ */
+function escapeGlob(value) {
+  return value.replace(/[*?[{]/g, ch => `[${ch}]`);
+}
+
+module.exports = {
+  globToRegExp,
+  hasGlobMagic,
+  escapeGlob
+};
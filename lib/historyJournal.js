@@ -0,0 +1,219 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { decodeBuffer } = require('./encoding');
+
+/**
+ * 文件修改历史日志
+ * 在可变更操作（写入、删除、编辑、解压）执行前对目标做快照，存放在 ~/.axlocalop/history，
+ * 供 file_history 工具列出、比较、按 id 回滚和清理
+ *
+ * 每条记录一个目录：<id>/meta.json + <id>/data（文件内容或目录副本）
+ */
+
+const HISTORY_DIR = path.join(os.homedir(), '.axlocalop', 'history');
+const MAX_SNAPSHOT_SIZE = 50 * 1024 * 1024;  // 单次快照上限: 50MB，超出则跳过快照
+const MAX_HISTORY_ENTRIES = 500;             // 自动清理阈值
+
+function getHistoryDir() {
+  return HISTORY_DIR;
+}
+
+function newId() {
+  return `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// 统计目录总大小，超过 limit 时提前返回
+async function directorySize(dirPath, limit) {
+  let total = 0;
+  const stack = [dirPath];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    for (const item of await fs.readdir(current, { withFileTypes: true })) {
+      const full = path.join(current, item.name);
+      if (item.isDirectory()) {
+        stack.push(full);
+      } else if (item.isFile()) {
+        total += (await fs.stat(full)).size;
+        if (total > limit) return total;
+      }
+    }
+  }
+  return total;
+}
+
+/**
+ * 在修改前记录目标路径的快照
+ * @param {string} targetPath - 即将被修改的绝对路径
+ * @param {Object} info - 记录信息
+ * @param {string} info.tool - 工具名
+ * @param {string} info.operation - 操作名
+ * @returns {Promise<string|null>} 历史记录 id；目标过大而跳过时返回 null
+ */
+async function recordSnapshot(targetPath, { tool, operation }) {
+  const absPath = path.resolve(targetPath);
+  let stats = null;
+  try {
+    // 不跟随符号链接：链接本身作为快照对象，避免把链接目标（可能在允许范围之外）复制进历史目录
+    stats = await fs.lstat(absPath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const kind = !stats ? 'absent' : stats.isSymbolicLink() ? 'symlink' : stats.isDirectory() ? 'directory' : 'file';
+  const size = kind === 'file' ? stats.size : kind === 'directory' ? await directorySize(absPath, MAX_SNAPSHOT_SIZE) : 0;
+  if (size > MAX_SNAPSHOT_SIZE) return null;
+
+  const id = newId();
+  const entryDir = path.join(getHistoryDir(), id);
+  await fs.mkdir(entryDir, { recursive: true });
+
+  if (kind === 'file') {
+    await fs.copyFile(absPath, path.join(entryDir, 'data'));
+  } else if (kind === 'directory') {
+    await fs.cp(absPath, path.join(entryDir, 'data'), { recursive: true, verbatimSymlinks: true });
+  }
+
+  const meta = {
+    id,
+    tool,
+    operation,
+    path: absPath,
+    kind,
+    size,
+    mode: stats ? stats.mode & 0o7777 : null,
+    link: kind === 'symlink' ? await fs.readlink(absPath) : undefined,
+    created_at: new Date().toISOString()
+  };
+  await fs.writeFile(path.join(entryDir, 'meta.json'), JSON.stringify(meta, null, 2), 'utf8');
+
+  await pruneEntries({ keep: MAX_HISTORY_ENTRIES });
+  return id;
+}
+
+/**
+ * 列出历史记录（新的在前）
+ * @param {Object} options - 选项
+ * @param {string} options.path - 只列出该路径（含子路径）的记录
+ * @param {number} options.limit - 最大条数
+ * @param {Function} options.filter - 额外的过滤条件，接收元数据，返回 false 时跳过
+ * @returns {Promise<Object[]>} 记录元数据列表
+ */
+async function listEntries({ path: filterPath, limit = Infinity, filter } = {}) {
+  let ids;
+  try {
+    ids = await fs.readdir(getHistoryDir());
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const prefix = filterPath ? path.resolve(filterPath) : null;
+  const entries = [];
+  for (const id of ids.sort().reverse()) {
+    const meta = await getEntry(id).catch(() => null);
+    if (!meta) continue;
+    if (prefix && meta.path !== prefix && !meta.path.startsWith(prefix + path.sep)) continue;
+    if (filter && !filter(meta)) continue;
+    entries.push(meta);
+    if (entries.length >= limit) break;
+  }
+  return entries;
+}
+
+/**
+ * 读取单条记录元数据
+ * @param {string} id - 记录 id
+ * @returns {Promise<Object>} 元数据
+ */
+async function getEntry(id) {
+  if (!/^[\w-]+$/.test(String(id))) {
+    const err = new Error(`无效的历史记录 id: ${id}`);
+    err.code = 'ENOENT';
+    throw err;
+  }
+  const raw = await fs.readFile(path.join(getHistoryDir(), id, 'meta.json'), 'utf8');
+  return JSON.parse(raw);
+}
+
+/**
+ * 读取文件快照内容
+ * @param {Object} meta - 记录元数据
+ * @returns {Promise<string|null>} 快照文本（按检测到的编码解码）；目录或不存在的快照返回 null
+ */
+async function readSnapshot(meta) {
+  if (meta.kind !== 'file') return null;
+  return decodeBuffer(await fs.readFile(path.join(getHistoryDir(), meta.id, 'data'))).text;
+}
+
+/**
+ * 将目标恢复为快照状态（恢复前会再记录一次当前状态，使回滚本身也可撤销）
+ * @param {string} id - 记录 id
+ * @param {Object} options - 选项
+ * @param {Function} options.beforeRemove - async (targetPath) => void，删除已存在的当前内容前调用，抛错时中止恢复
+ * @returns {Promise<{meta: Object, backup_id: string|null}>}
+ */
+async function restoreEntry(id, { beforeRemove } = {}) {
+  const meta = await getEntry(id);
+  if (beforeRemove && await fs.lstat(meta.path).then(() => true, () => false)) {
+    await beforeRemove(meta.path);
+  }
+  const backupId = await recordSnapshot(meta.path, { tool: 'file_history', operation: 'restore' });
+  const data = path.join(getHistoryDir(), meta.id, 'data');
+
+  await fs.rm(meta.path, { recursive: true, force: true });
+  if (meta.kind === 'file') {
+    await fs.mkdir(path.dirname(meta.path), { recursive: true });
+    await fs.copyFile(data, meta.path);
+    if (meta.mode !== null) await fs.chmod(meta.path, meta.mode);
+  } else if (meta.kind === 'directory') {
+    await fs.cp(data, meta.path, { recursive: true, verbatimSymlinks: true });
+  } else if (meta.kind === 'symlink') {
+    await fs.mkdir(path.dirname(meta.path), { recursive: true });
+    await fs.symlink(meta.link, meta.path);
+  }
+  return { meta, backup_id: backupId };
+}
+
+/**
+ * 清理历史记录
+ * @param {Object} options - 选项
+ * @param {string} options.id - 删除指定记录
+ * @param {number} options.olderThanDays - 删除早于 N 天的记录
+ * @param {number} options.keep - 只保留最新的 N 条
+ * @returns {Promise<string[]>} 被删除的记录 id
+ */
+async function pruneEntries({ id, olderThanDays, keep } = {}) {
+  let ids;
+  try {
+    ids = (await fs.readdir(getHistoryDir())).sort().reverse();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const cutoff = olderThanDays !== undefined ? Date.now() - olderThanDays * 24 * 60 * 60 * 1000 : null;
+  const removed = ids.filter((entryId, index) => {
+    if (id !== undefined) return entryId === id;
+    if (keep !== undefined && index >= keep) return true;
+    // id 以毫秒时间戳开头
+    return cutoff !== null && Number(entryId.split('-')[0]) < cutoff;
+  });
+
+  for (const entryId of removed) {
+    await fs.rm(path.join(getHistoryDir(), entryId), { recursive: true, force: true });
+  }
+  return removed;
+}
+
+module.exports = {
+  recordSnapshot,
+  listEntries,
+  getEntry,
+  readSnapshot,
+  restoreEntry,
+  pruneEntries,
+  getHistoryDir,
+  MAX_SNAPSHOT_SIZE
+};
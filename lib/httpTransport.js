@@ -0,0 +1,236 @@
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * HTTP 传输层
+ * 通过 MCP Streamable HTTP（或旧版 SSE）对外提供同一套工具，
+ * 每个 MCP 会话拥有独立的 Server 实例与工作目录状态
+ */
+
+const MCP_ENDPOINT = '/mcp';
+const SSE_ENDPOINT = '/sse';
+const SSE_MESSAGES_ENDPOINT = '/messages';
+const MAX_BODY_SIZE = 4 * 1024 * 1024;  // 请求体上限: 4MB
+
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+/**
+ * 判断主机地址是否为本机回环地址
+ * @param {string} host - 绑定地址
+ * @returns {boolean}
+ */
+function isLoopbackHost(host) {
+  return LOOPBACK_HOSTS.includes(host);
+}
+
+/**
+ * 绑定到本机地址时允许的 Host 与 Origin（防 DNS 重绑定：恶意网页把自己的域名解析到 127.0.0.1 后，
+ * 浏览器发出的请求 Host/Origin 仍是该域名）
+ * @param {number} port - 实际监听的端口
+ * @returns {{allowedHosts: string[], allowedOrigins: string[]}}
+ */
+function loopbackOrigins(port) {
+  const names = LOOPBACK_HOSTS.map(host => (host.includes(':') ? `[${host}]` : host));
+  return {
+    allowedHosts: [...names, ...names.map(name => `${name}:${port}`)],
+    allowedOrigins: names.flatMap(name => [`http://${name}`, `http://${name}:${port}`])
+  };
+}
+
+/**
+ * 校验请求的 Host 与 Origin（未提供 Origin 的非浏览器客户端只校验 Host）
+ * @param {http.IncomingMessage} req - 请求
+ * @param {{allowedHosts: string[], allowedOrigins: string[]}|null} origins - 允许的取值，为空时不校验
+ * @returns {string|null} 不允许时返回错误信息
+ */
+function checkOrigin(req, origins) {
+  if (!origins) return null;
+  const host = (req.headers.host || '').toLowerCase();
+  if (!origins.allowedHosts.includes(host)) return `不允许的 Host: ${req.headers.host || '（缺失）'}`;
+  const origin = req.headers.origin;
+  if (origin && !origins.allowedOrigins.includes(origin.toLowerCase())) return `不允许的 Origin: ${origin}`;
+  return null;
+}
+
+/**
+ * 校验 Bearer Token（恒定时间比较，未配置 token 时直接放行）
+ * @param {http.IncomingMessage} req - 请求
+ * @param {string|null} authToken - 期望的 token
+ * @returns {boolean}
+ */
+function isAuthorized(req, authToken) {
+  if (!authToken) return true;
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers['authorization'] || '');
+  if (!match) return false;
+  const provided = Buffer.from(match[1].trim());
+  const expected = Buffer.from(authToken);
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+/**
+ * 返回 JSON-RPC 格式的错误响应
+ */
+function sendError(res, status, code, message, headers = {}) {
+  if (res.headersSent) return;
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }));
+}
+
+/**
+ * 读取并解析 JSON 请求体
+ * @param {http.IncomingMessage} req - 请求
+ * @returns {Promise<any>} 解析后的对象，空请求体返回 undefined
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(Object.assign(new Error('请求体过大'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size === 0) return resolve(undefined);
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(Object.assign(new Error(`无效的 JSON 请求体: ${error.message}`), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * 启动 HTTP 传输服务
+ * @param {Object} options - 选项
+ * @param {'http'|'sse'} options.mode - 传输模式：http(Streamable HTTP) 或 sse(旧版 HTTP+SSE)
+ * @param {string} options.host - 绑定地址
+ * @param {number} options.port - 监听端口
+ * @param {string|null} options.authToken - Bearer Token，为空时不鉴权（仅允许绑定到本机地址时为空）
+ * @param {Function} options.createSessionServer - 为每个会话创建 SecureMCPServer 的工厂
+ * @param {Object} options.sdk - 动态加载的 SDK 组件 { StreamableHTTPServerTransport, SSEServerTransport, isInitializeRequest }
+ * @returns {Promise<http.Server>} 已开始监听的 HTTP 服务
+ */
+async function startHttpTransport({ mode = 'http', host, port, authToken = null, createSessionServer, sdk }) {
+  // 会话表：sessionId -> { transport, session }
+  const sessions = new Map();
+  // 绑定到本机地址时始终校验 Host/Origin；绑定到其他地址时必须配置 token，浏览器无法替跨站请求附带 token
+  let origins = null;
+  const transportOptions = () => (origins ? { enableDnsRebindingProtection: true, ...origins } : {});
+
+  async function closeSession(sessionId) {
+    const entry = sessions.get(sessionId);
+    if (!entry) return;
+    sessions.delete(sessionId);
+    await entry.session.close().catch(() => {});
+  }
+
+  async function handleStreamable(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+
+    if (sessionId) {
+      const entry = sessions.get(sessionId);
+      if (!entry) return sendError(res, 404, -32001, `会话不存在: ${sessionId}`);
+      return entry.transport.handleRequest(req, res, body);
+    }
+
+    const messages = Array.isArray(body) ? body : [body];
+    if (req.method !== 'POST' || !messages.some(m => m && sdk.isInitializeRequest(m))) {
+      return sendError(res, 400, -32000, '缺少 mcp-session-id，且请求不是 initialize');
+    }
+
+    const session = createSessionServer();
+    const transport = new sdk.StreamableHTTPServerTransport({
+      ...transportOptions(),
+      sessionIdGenerator: () => crypto.randomUUID(),
+      onsessioninitialized: (id) => { sessions.set(id, { transport, session }); }
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) closeSession(transport.sessionId);
+    };
+    await session.connect(transport);
+    try {
+      await transport.handleRequest(req, res, body);
+    } finally {
+      // initialize 未成功（请求头或请求体无效）时会话从未登记，需在此释放
+      if (!sessions.has(transport.sessionId)) await session.close().catch(() => {});
+    }
+  }
+
+  async function handleSse(req, res, url) {
+    if (req.method === 'GET' && url.pathname === SSE_ENDPOINT) {
+      const session = createSessionServer();
+      const transport = new sdk.SSEServerTransport(SSE_MESSAGES_ENDPOINT, res, transportOptions());
+      sessions.set(transport.sessionId, { transport, session });
+      res.on('close', () => closeSession(transport.sessionId));
+      await session.connect(transport);
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === SSE_MESSAGES_ENDPOINT) {
+      const sessionId = url.searchParams.get('sessionId');
+      const entry = sessions.get(sessionId);
+      if (!entry) return sendError(res, 404, -32001, `会话不存在: ${sessionId}`);
+      const body = await readJsonBody(req);
+      return entry.transport.handlePostMessage(req, res, body);
+    }
+
+    return sendError(res, 404, -32601, `未知端点: ${url.pathname}`);
+  }
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    const rejected = checkOrigin(req, origins);
+    if (rejected) return sendError(res, 403, -32000, rejected);
+
+    if (!isAuthorized(req, authToken)) {
+      return sendError(res, 401, -32001, '未授权：缺少或无效的 Bearer Token', { 'WWW-Authenticate': 'Bearer' });
+    }
+
+    try {
+      if (mode === 'sse') {
+        await handleSse(req, res, url);
+      } else if (url.pathname === MCP_ENDPOINT) {
+        await handleStreamable(req, res);
+      } else {
+        sendError(res, 404, -32601, `未知端点: ${url.pathname}`);
+      }
+    } catch (error) {
+      sendError(res, error.status || 500, -32603, error.message);
+    }
+  });
+
+  httpServer.on('close', () => {
+    for (const sessionId of [...sessions.keys()]) closeSession(sessionId);
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+  if (isLoopbackHost(host)) origins = loopbackOrigins(httpServer.address().port);
+
+  return httpServer;
+}
+
+module.exports = {
+  startHttpTransport,
+  isAuthorized,
+  isLoopbackHost,
+  checkOrigin,
+  loopbackOrigins,
+  MCP_ENDPOINT,
+  SSE_ENDPOINT,
+  SSE_MESSAGES_ENDPOINT
+};
@@ -0,0 +1,161 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { globToRegExp } = require('./glob');
+
+/**
+ * 忽略模式匹配
+ * 支持精确名称、前缀通配 (*.log) 与后缀通配 (tmp*)，与 file_search 的 ignore 参数语义一致；
+ * 另提供 .gitignore / .ignore 文件规则的解析与逐层匹配
+ */
+
+/**
+ * 归一化忽略列表：接受数组或逗号分隔字符串
+ * @param {string[]|string} ignore - 忽略模式
+ * @returns {string[]}
+ */
+function normalizeIgnore(ignore) {
+  if (Array.isArray(ignore)) return ignore.filter(Boolean);
+  if (typeof ignore === 'string') return ignore.split(',').map(s => s.trim()).filter(Boolean);
+  return [];
+}
+
+/**
+ * 判断文件/目录名是否命中忽略模式
+ * @param {string} name - 文件或目录名（不含路径）
+ * @param {string[]} ignoreList - 归一化后的忽略模式
+ * @returns {boolean}
+ */
+function isIgnored(name, ignoreList) {
+  return ignoreList.some(pattern => {
+    if (pattern === name) return true;
+    if (pattern.startsWith('*') && name.endsWith(pattern.slice(1))) return true;
+    if (pattern.endsWith('*') && name.startsWith(pattern.slice(0, -1))) return true;
+    return false;
+  });
+}
+
+const IGNORE_FILES = ['.gitignore', '.ignore'];
+
+/**
+ * 解析 .gitignore 风格的规则文本
+ * @param {string} text - 文件内容
+ * @param {string} base - 规则所在目录（相对路径以此为基准）
+ * @returns {Array<{regex: RegExp, negate: boolean, dirOnly: boolean, anchored: boolean, base: string}>}
+ */
+function parseIgnoreRules(text, base) {
+  const rules = [];
+  for (let line of text.split(/\r?\n/)) {
+    if (!line.trim() || line.startsWith('#')) continue;
+    line = line.replace(/([^\\])\s+$/, '$1');
+
+    let negate = false;
+    if (line.startsWith('!')) {
+      negate = true;
+      line = line.slice(1);
+    } else if (line.startsWith('\\#') || line.startsWith('\\!')) {
+      line = line.slice(1);
+    }
+
+    let dirOnly = false;
+    if (line.endsWith('/')) {
+      dirOnly = true;
+      line = line.slice(0, -1);
+    }
+    // 含 / 的模式相对于规则目录锚定，否则匹配任意层级的名称
+    const anchored = line.includes('/');
+    if (line.startsWith('/')) line = line.slice(1);
+    if (!line) continue;
+
+    rules.push({ regex: globToRegExp(line), negate, dirOnly, anchored, base });
+  }
+  return rules;
+}
+
+async function readRules(dirPath) {
+  const rules = [];
+  for (const name of IGNORE_FILES) {
+    try {
+      rules.push(...parseIgnoreRules(await fs.readFile(path.join(dirPath, name), 'utf8'), dirPath));
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'EISDIR' && error.code !== 'EACCES') throw error;
+    }
+  }
+  return rules;
+}
+
+/**
+ * .gitignore / .ignore 规则匹配器
+ * 遍历目录时逐层调用 child() 叠加子目录中的规则，后出现的规则优先（与 git 一致，! 可取消忽略）
+ */
+class IgnoreMatcher {
+  constructor(rules = []) {
+    this.rules = rules;
+  }
+
+  /**
+   * 为搜索根目录创建匹配器，并继承所在 git 仓库中上级目录的规则
+   * @param {string} rootPath - 搜索根目录（绝对路径）
+   * @returns {Promise<IgnoreMatcher>}
+   */
+  static async forRoot(rootPath) {
+    const ancestors = [];
+    let current = path.dirname(rootPath);
+    let inRepo = await exists(path.join(rootPath, '.git'));
+    while (!inRepo && current !== path.dirname(current)) {
+      ancestors.unshift(current);
+      inRepo = await exists(path.join(current, '.git'));
+      current = path.dirname(current);
+    }
+
+    const rules = [];
+    if (inRepo) {
+      for (const dir of ancestors) rules.push(...await readRules(dir));
+    }
+    return new IgnoreMatcher(rules).child(rootPath);
+  }
+
+  /**
+   * 叠加目录下的忽略文件规则
+   * @param {string} dirPath - 目录绝对路径
+   * @returns {Promise<IgnoreMatcher>} 无新规则时返回自身
+   */
+  async child(dirPath) {
+    const rules = await readRules(dirPath);
+    return rules.length === 0 ? this : new IgnoreMatcher([...this.rules, ...rules]);
+  }
+
+  /**
+   * 判断路径是否被忽略
+   * @param {string} fullPath - 绝对路径
+   * @param {boolean} isDirectory - 是否为目录
+   * @returns {boolean}
+   */
+  ignores(fullPath, isDirectory) {
+    let ignored = false;
+    for (const rule of this.rules) {
+      if (rule.dirOnly && !isDirectory) continue;
+      const rel = path.relative(rule.base, fullPath).split(path.sep).join('/');
+      if (!rel || rel.startsWith('..')) continue;
+      const subject = rule.anchored ? rel : rel.slice(rel.lastIndexOf('/') + 1);
+      if (rule.regex.test(subject)) ignored = !rule.negate;
+    }
+    return ignored;
+  }
+}
+
+async function exists(target) {
+  try {
+    await fs.access(target);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  normalizeIgnore,
+  isIgnored,
+  parseIgnoreRules,
+  IgnoreMatcher,
+  IGNORE_FILES
+};
@@ -0,0 +1,169 @@
+/**
+ * 统一 diff (unified diff) 补丁解析与模糊应用
+ * 解析 @@ 块，按期望位置就近查找上下文，支持忽略空白匹配与上下文缩减 (fuzz)
+ */
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * 解析统一 diff 文本
+ * 行数统计不参与解析（模型生成的补丁经常数错），每个块读到下一个 @@ 或文件头为止
+ * @param {string} patchText - 补丁文本
+ * @returns {Array<{header: string, oldStart: number, newStart: number, lines: Array<{op: string, text: string}>}>} 块列表
+ */
+function parsePatch(patchText) {
+  if (!patchText || typeof patchText !== 'string') {
+    throw new Error('补丁内容为空');
+  }
+
+  const hunks = [];
+  let current = null;
+  let seenFileHeader = false;
+
+  for (const raw of patchText.split(/\r?\n/)) {
+    const header = HUNK_HEADER.exec(raw);
+    if (header) {
+      current = {
+        header: raw,
+        oldStart: Number(header[1]),
+        oldCount: header[2] === undefined ? 1 : Number(header[2]),
+        newStart: Number(header[3]),
+        lines: []
+      };
+      hunks.push(current);
+      continue;
+    }
+
+    if (raw.startsWith('--- ') || raw.startsWith('diff ')) {
+      if (seenFileHeader && hunks.length > 0) {
+        throw new Error('apply_patch 仅支持单文件补丁');
+      }
+      seenFileHeader = raw.startsWith('--- ');
+      current = null;
+      continue;
+    }
+    if (!current) continue; // 跳过 +++/index 等文件头
+
+    if (raw.startsWith('\\')) continue; // "\ No newline at end of file"
+    const op = raw === '' ? ' ' : raw[0];
+    if (op !== ' ' && op !== '-' && op !== '+') {
+      throw new Error(`无法解析的补丁行: ${raw}`);
+    }
+    current.lines.push({ op, text: raw.slice(1) });
+  }
+
+  // 去掉块末尾因复制粘贴产生的空行
+  for (const hunk of hunks) {
+    while (hunk.lines.length > 0 && hunk.lines[hunk.lines.length - 1].op === ' ' && hunk.lines[hunk.lines.length - 1].text === '') {
+      hunk.lines.pop();
+    }
+  }
+
+  if (hunks.length === 0) {
+    throw new Error('补丁中没有找到 @@ 块');
+  }
+  return hunks;
+}
+
+function looseEqual(a, b) {
+  return a.replace(/\s+/g, ' ').trim() === b.replace(/\s+/g, ' ').trim();
+}
+
+// 去掉首尾最多 fuzz 行上下文
+function trimContext(lines, fuzz) {
+  let head = 0;
+  let tail = lines.length;
+  while (head < fuzz && head < tail && lines[head].op === ' ') head++;
+  while (lines.length - tail < fuzz && tail > head && lines[tail - 1].op === ' ') tail--;
+  return { lines: lines.slice(head, tail), head };
+}
+
+// 以 expected 为中心向两侧查找 oldLines 的匹配位置
+function findBlock(fileLines, oldLines, expected, minStart, equal) {
+  const maxStart = fileLines.length - oldLines.length;
+  const matchesAt = (pos) => {
+    for (let i = 0; i < oldLines.length; i++) {
+      if (!equal(fileLines[pos + i], oldLines[i])) return false;
+    }
+    return true;
+  };
+  const span = Math.max(expected - minStart, maxStart - expected);
+  for (let distance = 0; distance <= span; distance++) {
+    for (const pos of distance === 0 ? [expected] : [expected - distance, expected + distance]) {
+      if (pos >= minStart && pos <= maxStart && matchesAt(pos)) return pos;
+    }
+  }
+  return -1;
+}
+
+/**
+ * 将补丁块依次应用到行数组
+ * @param {string[]} fileLines - 原文件行
+ * @param {Array} hunks - parsePatch 的结果
+ * @param {Object} options - 选项
+ * @param {number} options.maxFuzz - 最多允许忽略的首尾上下文行数，默认 2
+ * @returns {{lines: string[], report: Array<Object>}} 新的行数组与逐块报告
+ */
+function applyHunks(fileLines, hunks, { maxFuzz = 2 } = {}) {
+  let lines = [...fileLines];
+  let delta = 0;     // 已应用块带来的行号偏移
+  let minStart = 0;  // 后续块不得早于上一块的结束位置
+  const report = [];
+
+  hunks.forEach((hunk, index) => {
+    const entry = { hunk: index + 1, header: hunk.header, status: 'failed' };
+    report.push(entry);
+
+    // 纯插入块（old 段为空）：直接按行号插入
+    if (!hunk.lines.some(l => l.op !== '+')) {
+      const at = Math.min(Math.max(hunk.oldStart + delta - (hunk.oldCount === 0 ? 0 : 1), minStart), lines.length);
+      const added = hunk.lines.map(l => l.text);
+      lines.splice(at, 0, ...added);
+      Object.assign(entry, { status: 'applied', line: at + 1, offset: 0, fuzz: 0, ignore_whitespace: false, removed: 0, added: added.length });
+      delta += added.length;
+      minStart = at + added.length;
+      return;
+    }
+
+    const expectedBase = Math.max(hunk.oldStart - 1 + delta, 0);
+    for (let fuzz = 0; fuzz <= maxFuzz; fuzz++) {
+      const { lines: body, head } = trimContext(hunk.lines, fuzz);
+      if (fuzz > 0 && body.length === hunk.lines.length) break; // 已无上下文可缩减
+      const oldLines = body.filter(l => l.op !== '+').map(l => l.text);
+      if (oldLines.length === 0) break;
+
+      const expected = expectedBase + hunk.lines.slice(0, head).filter(l => l.op !== '+').length;
+      let ignoreWhitespace = false;
+      let pos = findBlock(lines, oldLines, expected, minStart, (a, b) => a === b);
+      if (pos === -1) {
+        ignoreWhitespace = true;
+        pos = findBlock(lines, oldLines, expected, minStart, looseEqual);
+      }
+      if (pos === -1) continue;
+
+      // 上下文保留文件中的原文，只替换删除/新增行
+      const replacement = [];
+      let cursor = pos;
+      let removed = 0;
+      let added = 0;
+      for (const l of body) {
+        if (l.op === ' ') replacement.push(lines[cursor++]);
+        else if (l.op === '-') { cursor++; removed++; }
+        else { replacement.push(l.text); added++; }
+      }
+      lines.splice(pos, oldLines.length, ...replacement);
+
+      Object.assign(entry, { status: 'applied', line: pos + 1, offset: pos - expected, fuzz, ignore_whitespace: ignoreWhitespace, removed, added });
+      delta += added - removed + (pos - expected);
+      minStart = pos + replacement.length;
+      return;
+    }
+  });
+
+  return { lines, report };
+}
+
+module.exports = {
+  parsePatch,
+  applyHunks
+};
@@ -68,67 +68,185 @@ function resolveUserPath(input, { workingDir, allowUNC = false, allowLongPath =
 }
 
 /**
- * 增强的家目录验证，支持跨平台和特殊路径
+ * 判断路径是否位于根目录之内（含根目录本身）；Windows 下不区分大小写
+ * @param {string} targetPath - 绝对路径
+ * @param {string} rootPath - 根目录绝对路径
+ * @returns {boolean}
+ */
+function isWithinRoot(targetPath, rootPath) {
+  let target = path.resolve(targetPath) + path.sep;
+  let root = path.resolve(rootPath);
+  root = root.endsWith(path.sep) ? root : root + path.sep;
+  if (platformUtils.isWindows) {
+    target = target.toLowerCase();
+    root = root.toLowerCase();
+  }
+  return target.startsWith(root);
+}
+
+const MAX_LINK_HOPS = 40;  // 与内核 ELOOP 上限一致
+
+/**
+ * 解析真实路径：跟随所有符号链接；路径（或其中悬空链接的目标）尚不存在时，
+ * 以最近的已存在祖先目录的真实路径拼接剩余部分
  * @param {string} absPath - 绝对路径
+ * @returns {string} 真实绝对路径
+ */
+function resolveRealPath(absPath) {
+  let current = path.resolve(absPath);
+  let pending = [];
+  for (let hops = 0; ;) {
+    try {
+      return path.join(fs.realpathSync.native(current), ...pending);
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error;
+    }
+    let stats = null;
+    try {
+      stats = fs.lstatSync(current);
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error;
+    }
+    if (stats && stats.isSymbolicLink()) {
+      // 悬空链接：按链接内容继续解析，写入时文件会创建在链接目标处
+      if (++hops > MAX_LINK_HOPS) {
+        const err = new Error(`符号链接层级过多: ${absPath}`);
+        err.code = 'ELOOP';
+        throw err;
+      }
+      current = path.resolve(path.dirname(current), fs.readlinkSync(current));
+      continue;
+    }
+    const parent = path.dirname(current);
+    if (parent === current) return path.join(current, ...pending);
+    pending = [path.basename(current), ...pending];
+    current = parent;
+  }
+}
+
+/**
+ * 定位路径本身：父目录取真实路径，最后一级保持原名（最后一级是符号链接时指向链接本身，
+ * 删除、移动等操作作用于链接而非其目标）
+ * @param {string} absPath - 绝对路径
+ * @returns {string}
+ */
+function locatePath(absPath) {
+  const resolved = path.resolve(absPath);
+  const parent = path.dirname(resolved);
+  return parent === resolved ? resolved : path.join(resolveRealPath(parent), path.basename(resolved));
+}
+
+/**
+ * 验证路径位于指定根目录内，支持跨平台和特殊路径
+ * 按真实路径比较：经由中间目录的符号链接或最后一级链接离开根目录时拒绝
+ * @param {string} absPath - 绝对路径
+ * @param {string} rootPath - 根目录
  * @param {Object} options - 选项
- * @param {boolean} options.allowSymlinks - 是否允许符号链接
- * @param {boolean} options.strictMode - 严格模式
- * @returns {string} 验证后的路径
+ * @param {boolean} options.allowSymlinks - 是否允许最后一级为符号链接（目标仍需在根目录内）
+ * @param {boolean} options.strictMode - 严格模式：解析真实路径出错时抛出，否则按字面路径校验
+ * @returns {string} 验证后的路径（父目录为真实路径）
  */
-function assertInHome(absPath, { allowSymlinks = false, strictMode = true } = {}) {
+function assertInRoot(absPath, rootPath, { allowSymlinks = false, strictMode = true } = {}) {
   if (!absPath || typeof absPath !== 'string') {
     const err = new Error('路径参数无效');
     err.code = 'E_INVALID_PATH';
     throw err;
   }
 
-  const home = platformUtils.getHomeDirectory();
-  const homeSeparator = path.resolve(home) + path.sep;
-  let targetPath = path.resolve(absPath);
-  
-  // 处理符号链接
-  if (platformUtils.isUnix && fs.existsSync(targetPath)) {
-    try {
-      const stats = fs.lstatSync(targetPath);
-      if (stats.isSymbolicLink()) {
-        if (!allowSymlinks) {
-          const err = new Error('不允许符号链接');
-          err.code = 'E_SYMLINK_DENIED';
-          throw err;
-        }
-        // 解析符号链接的真实路径
-        targetPath = fs.realpathSync(targetPath);
-      }
-    } catch (error) {
-      if (error.code !== 'ENOENT' && strictMode) {
-        throw error;
-      }
-    }
+  const lexicalPath = path.resolve(absPath);
+  let located = lexicalPath;
+  let target = lexicalPath;
+  let realRoot = path.resolve(rootPath);
+  try {
+    located = locatePath(lexicalPath);
+    target = resolveRealPath(lexicalPath);
+    realRoot = resolveRealPath(rootPath);
+  } catch (error) {
+    if (strictMode) throw error;
   }
-  
-  const targetSeparator = path.resolve(targetPath) + path.sep;
-  
-  // Windows特殊处理
-  if (platformUtils.isWindows) {
-    // Windows路径不区分大小写
-    const homeNorm = homeSeparator.toLowerCase();
-    const targetNorm = targetSeparator.toLowerCase();
-    
-    if (!targetNorm.startsWith(homeNorm)) {
-      const err = new Error('路径不允许');
-      err.code = 'E_PATH_DENIED';
+
+  if (!isWithinRoot(located, realRoot)) {
+    const err = new Error('路径不允许');
+    err.code = 'E_PATH_DENIED';
+    throw err;
+  }
+  if (target !== located) {
+    if (!allowSymlinks && platformUtils.isUnix && isSymlink(located)) {
+      const err = new Error('不允许符号链接');
+      err.code = 'E_SYMLINK_DENIED';
       throw err;
     }
-  } else {
-    // Unix系统区分大小写
-    if (!targetSeparator.startsWith(homeSeparator)) {
-      const err = new Error('路径不允许');
-      err.code = 'E_PATH_DENIED';
+    if (!isWithinRoot(target, realRoot)) {
+      const err = new Error(`符号链接指向允许范围之外: ${target}`);
+      err.code = 'E_SYMLINK_DENIED';
       throw err;
     }
   }
   
-  return targetPath;
+  return located;
+}
+
+function isSymlink(filePath) {
+  try {
+    return fs.lstatSync(filePath).isSymbolicLink();
+  } catch (error) {
+    return false;
+  }
+}
+
+// 不跟随最后一级符号链接的打开标志；平台不支持（如 Windows）时为 0
+const O_NOFOLLOW = fs.constants.O_NOFOLLOW || 0;
+
+/**
+ * 以不跟随符号链接的方式打开文件，缩小校验与使用之间的竞争窗口：
+ * 最后一级在校验后被替换为符号链接时 O_NOFOLLOW 使打开失败（ELOOP）；
+ * 此时只有提供 verify 且链接的真实目标通过校验才打开目标，否则拒绝
+ * @param {string} filePath - 已通过校验的路径
+ * @param {string} flags - 'r' 或 'r+'，默认 'r'
+ * @param {Object} options - 选项
+ * @param {Function} options.verify - (realPath) => boolean，校验符号链接的真实目标
+ * @returns {Promise<import('fs').promises.FileHandle>}
+ */
+async function openNoFollow(filePath, flags = 'r', { verify } = {}) {
+  const modes = { r: fs.constants.O_RDONLY, 'r+': fs.constants.O_RDWR };
+  if (!(flags in modes)) throw new Error(`不支持的打开方式: ${flags}`);
+  try {
+    return await fs.promises.open(filePath, modes[flags] | O_NOFOLLOW);
+  } catch (error) {
+    if (error.code !== 'ELOOP' || !O_NOFOLLOW) throw error;
+  }
+  const realPath = resolveRealPath(filePath);
+  if (!verify || !verify(realPath)) {
+    const err = new Error(`不允许跟随符号链接: ${filePath} -> ${realPath}`);
+    err.code = 'E_SYMLINK_DENIED';
+    throw err;
+  }
+  return fs.promises.open(realPath, modes[flags] | O_NOFOLLOW);
+}
+
+/**
+ * 以不跟随符号链接的方式读取整个文件（见 openNoFollow）
+ * @param {string} filePath - 已通过校验的路径
+ * @param {Object} options - 同 openNoFollow
+ * @returns {Promise<Buffer>}
+ */
+async function readFileNoFollow(filePath, options = {}) {
+  const handle = await openNoFollow(filePath, 'r', options);
+  try {
+    return await handle.readFile();
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * 增强的家目录验证，支持跨平台和特殊路径
+ * @param {string} absPath - 绝对路径
+ * @param {Object} options - 选项（同 assertInRoot）
+ * @returns {string} 验证后的路径
+ */
+function assertInHome(absPath, options = {}) {
+  return assertInRoot(absPath, platformUtils.getHomeDirectory(), options);
 }
 
 /**
@@ -234,6 +352,12 @@ function getPathInfo(inputPath) {
 
 module.exports = {
   resolveUserPath,
+  isWithinRoot,
+  resolveRealPath,
+  locatePath,
+  assertInRoot,
+  openNoFollow,
+  readFileNoFollow,
   assertInHome,
   validatePathSafety,
   getPathInfo,
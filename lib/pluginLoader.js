@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+const { buildOutput } = require('./output');
+const { ERR } = require('../errors');
+const { CONFIG_DIR, getConfig } = require('./config');
+const platformUtils = require('./platformUtils');
+
+/**
+ * 外部工具插件加载
+ * 启动时从配置的目录与 npm 包加载插件工具并注册到 registry，无需修改本仓库即可扩展工具集。
+ *
+ * 插件模块导出一个 manifest、manifest 数组或 { tools: [...] }：
+ *   {
+ *     name: 'team_deploy',                       // 工具名，[A-Za-z0-9_-]，不能与已有工具重名
+ *     description: '...',
+ *     schema: { properties: {...}, required: [...] },   // 输入参数 JSON Schema（也可写作 inputSchema）
+ *     annotations: { readOnlyHint: false, ... }, // 可选，MCP annotations
+ *     outputSchema: {...},                       // 可选
+ *     handler: async (args, context) => result   // context: { securityValidator, buildOutput, ERR }
+ *   }
+ *
+ * 插件目录与 npm 包来自配置的 plugins 字段（见 lib/config.js），工具启用/禁用列表来自 tools 字段：
+ *   {
+ *     "plugins": { "directories": ["~/my-tools"], "packages": ["@team/mcp-tools"] },
+ *     "tools": { "enabled": [], "disabled": ["execute_command"] }
+ *   }
+ * ~/.axlocalop/plugins 目录总会被扫描；enabled 非空时只暴露列出的工具，disabled 中的工具始终隐藏。
+ * npm 包只从 ~/.axlocalop/node_modules 与 npm 全局目录中解析（见 resolvePackage）
+ */
+
+const DEFAULT_PLUGIN_DIR = path.join(CONFIG_DIR, 'plugins');
+const TOOL_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const PLUGIN_EXTENSIONS = ['.js', '.cjs'];
+
+/**
+ * 列出插件目录中的模块：.js/.cjs 文件与子目录（按 package.json main 或 index.js 加载），跳过 . 或 _ 开头的条目
+ * @param {string} dir - 插件目录
+ * @returns {string[]} 模块绝对路径
+ */
+function listPluginModules(dir) {
+  let items;
+  try {
+    items = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  return items
+    .filter(item => !item.name.startsWith('.') && !item.name.startsWith('_'))
+    .filter(item => item.isDirectory() || PLUGIN_EXTENSIONS.includes(path.extname(item.name)))
+    .map(item => path.join(dir, item.name))
+    .sort();
+}
+
+/**
+ * npm 插件包的查找目录：本服务配置目录下的 node_modules 与 npm 全局目录
+ * @returns {string[]}
+ */
+function packageRoots() {
+  const prefix = process.env.npm_config_prefix
+    || (platformUtils.isWindows ? path.dirname(process.execPath) : path.dirname(path.dirname(process.execPath)));
+  return [
+    path.join(CONFIG_DIR, 'node_modules'),
+    platformUtils.isWindows ? path.join(prefix, 'node_modules') : path.join(prefix, 'lib', 'node_modules')
+  ];
+}
+
+/**
+ * 解析 npm 插件包的入口文件
+ * 只在给定目录中查找，不使用 Node 逐级向上的 node_modules 查找：当前目录或家目录下的 node_modules
+ * 可能被工具写入，从那里加载插件等于允许工具注入代码
+ * @param {string} pkg - 包名（可带子路径，如 @team/tools/extra）
+ * @param {string[]} roots - 查找目录，默认 packageRoots()
+ * @returns {string} 入口文件绝对路径
+ */
+function resolvePackage(pkg, roots = packageRoots()) {
+  const parts = String(pkg).split('/');
+  if (path.isAbsolute(pkg) || parts.some(part => !part || part === '.' || part === '..' || part.includes('\\'))) {
+    throw new Error(`无效的包名: ${pkg}`);
+  }
+  for (const root of roots) {
+    try {
+      return require.resolve(path.join(root, ...parts));
+    } catch (error) {
+      if (error.code !== 'MODULE_NOT_FOUND') throw error;
+    }
+  }
+  throw new Error(`找不到插件包 ${pkg}（查找目录: ${roots.join('、')}）`);
+}
+
+/**
+ * 校验插件 manifest 并转换为工具描述与实例
+ * @param {Object} manifest - 插件导出的 manifest
+ * @param {string} source - 来源（用于错误信息）
+ * @param {Object} context - 传给 handler 的上下文
+ * @returns {{descriptor: Object, instance: {handle: Function}}}
+ */
+function normalizeManifest(manifest, source, context) {
+  if (!manifest || typeof manifest !== 'object') throw new Error(`${source}: 插件必须导出 manifest 对象`);
+  const { name, description = '', annotations = {}, outputSchema = null, handler } = manifest;
+  const schema = manifest.schema || manifest.inputSchema || {};
+  if (typeof name !== 'string' || !TOOL_NAME_PATTERN.test(name)) {
+    throw new Error(`${source}: 工具名无效: ${name}（仅允许字母、数字、_ 与 -，最长 64 个字符）`);
+  }
+  if (typeof handler !== 'function') throw new Error(`${source}: 工具 ${name} 缺少 handler 函数`);
+  if (typeof schema !== 'object' || (schema.type && schema.type !== 'object')) {
+    throw new Error(`${source}: 工具 ${name} 的 schema 必须是 type 为 object 的 JSON Schema`);
+  }
+
+  const descriptor = {
+    name,
+    description: String(description),
+    inputSchema: {
+      type: 'object',
+      additionalProperties: schema.additionalProperties !== undefined ? schema.additionalProperties : true,
+      properties: schema.properties || {},
+      required: schema.required || []
+    }
+  };
+  if (Object.keys(annotations).length > 0) descriptor.annotations = annotations;
+  if (outputSchema && Object.keys(outputSchema).length > 0) descriptor.outputSchema = outputSchema;
+
+  const instance = {
+    plugin: source,
+    async handle(args) {
+      return handler(args, context);
+    }
+  };
+  return { descriptor, instance };
+}
+
+// 模块导出可以是 manifest、manifest 数组或 { tools: [...] }
+function manifestsOf(exported) {
+  const value = exported && exported.__esModule && exported.default ? exported.default : exported;
+  if (Array.isArray(value)) return value;
+  if (value && Array.isArray(value.tools)) return value.tools;
+  return [value];
+}
+
+/**
+ * 加载配置中的插件并注册到 registry，同时应用工具启用/禁用列表
+ * 单个插件加载失败只输出警告，不影响服务启动（stdio 模式下 stdout 为协议通道，日志写入 stderr）
+ * @param {Object} registry - tools/registry 模块
+ * @param {Object} options - 选项
+ * @param {Object} options.config - 生效的配置，默认 getConfig()
+ * @param {Function} options.log - 警告输出函数，默认 console.error
+ * @returns {{loaded: Array<{name: string, source: string}>, errors: Array<{source: string, error: string}>}}
+ */
+function loadPlugins(registry, { config = getConfig(), log = console.error } = {}) {
+  const result = { loaded: [], errors: [] };
+  const fail = (source, error) => {
+    result.errors.push({ source, error: error.message });
+    log(`插件加载失败: ${error.message}`);
+  };
+
+  const pluginConfig = config.plugins || {};
+  const toolConfig = config.tools || {};
+  const context = { securityValidator: registry.securityValidator, buildOutput, ERR };
+
+  const modules = [];
+  const directories = [DEFAULT_PLUGIN_DIR, ...(pluginConfig.directories || [])];
+  for (const dir of [...new Set(directories)]) {
+    try {
+      modules.push(...listPluginModules(dir).map(file => ({ source: file, load: () => require(file) })));
+    } catch (error) {
+      fail(dir, new Error(`${dir}: ${error.message}`));
+    }
+  }
+  for (const pkg of pluginConfig.packages || []) {
+    modules.push({ source: pkg, load: () => require(resolvePackage(pkg)) });
+  }
+
+  for (const { source, load } of modules) {
+    let exported;
+    try {
+      exported = load();
+    } catch (error) {
+      // require 的错误信息附带多行调用栈，只保留首行
+      fail(source, new Error(`${source}: ${error.message.split('\n')[0]}`));
+      continue;
+    }
+    for (const manifest of manifestsOf(exported)) {
+      try {
+        const { descriptor, instance } = normalizeManifest(manifest, source, context);
+        registry.registerTool(descriptor, instance);
+        result.loaded.push({ name: descriptor.name, source });
+      } catch (error) {
+        fail(source, error.message.startsWith(source) ? error : new Error(`${source}: ${error.message}`));
+      }
+    }
+  }
+
+  registry.setToolFilter({ enabled: toolConfig.enabled, disabled: toolConfig.disabled });
+  return result;
+}
+
+module.exports = {
+  DEFAULT_PLUGIN_DIR,
+  packageRoots,
+  resolvePackage,
+  normalizeManifest,
+  loadPlugins
+};
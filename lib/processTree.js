@@ -0,0 +1,34 @@
+/**
+ * 结束进程树
+ * POSIX 下子进程需以 detached 启动（成为进程组组长），信号发给整个进程组；
+ * Windows 下用 taskkill /T 结束进程及其子进程（只支持强制结束）。
+ */
+
+const { spawnSync } = require('child_process');
+const platformUtils = require('./platformUtils');
+
+/**
+ * 向进程及其子进程发送信号，进程已退出时忽略
+ * @param {number} pid - 进程组组长的进程ID
+ * @param {string} signal - 信号，默认 SIGTERM
+ */
+function killTree(pid, signal = 'SIGTERM') {
+  if (!pid) return;
+  if (platformUtils.isWindows) {
+    spawnSync('taskkill', ['/pid', String(pid), '/T', '/F'], { stdio: 'ignore' });
+    return;
+  }
+  try {
+    process.kill(-pid, signal);
+  } catch (error) {
+    if (error.code !== 'ESRCH') throw error;
+    // 不是进程组组长（未以 detached 启动）时只结束进程本身
+    try {
+      process.kill(pid, signal);
+    } catch (innerError) {
+      if (innerError.code !== 'ESRCH') throw innerError;
+    }
+  }
+}
+
+module.exports = { killTree };
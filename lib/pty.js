@@ -0,0 +1,100 @@
+/**
+ * 伪终端进程
+ * 借助系统自带的 script 命令（Linux 为 util-linux，macOS 为 BSD 版本）为命令分配伪终端，
+ * 无需原生扩展；子进程看到的标准输入输出是终端，本进程通过管道读写 script 转发的数据。
+ * Windows 没有对应的命令，不支持伪终端。
+ */
+
+const { spawn, spawnSync } = require('child_process');
+const platformUtils = require('./platformUtils');
+const { ERR } = require('../errors');
+
+const COMMAND_ENV = 'AX_PTY_COMMAND';
+const MIN_SIZE = 2;
+const MAX_SIZE = 1000;
+
+function isPtySupported() {
+  return platformUtils.isUnix;
+}
+
+/**
+ * 校验终端尺寸
+ * @param {number} cols
+ * @param {number} rows
+ */
+function assertSize(cols, rows) {
+  for (const [name, value] of [['cols', cols], ['rows', rows]]) {
+    if (!Number.isInteger(value) || value < MIN_SIZE || value > MAX_SIZE) {
+      throw ERR.INVALID_ARGS(`${name} 应为 ${MIN_SIZE}-${MAX_SIZE} 的整数`);
+    }
+  }
+}
+
+/**
+ * 在伪终端中启动命令
+ * 命令通过环境变量传给终端内的 sh，避免再做一次 shell 转义；终端尺寸在命令启动前用 stty 设置。
+ * stdout 为终端输出（stderr 已合并进来），stderr 只包含 script 自身的错误。
+ * @param {string} command - 要执行的命令
+ * @param {Object} options - 选项
+ * @param {string} options.cwd - 工作目录
+ * @param {Object} options.env - 环境变量
+ * @param {number} options.cols - 列数，默认80
+ * @param {number} options.rows - 行数，默认24
+ * @param {boolean} options.detached - 是否以独立进程组启动
+ * @returns {import('child_process').ChildProcess}
+ */
+function spawnPty(command, { cwd, env = process.env, cols = 80, rows = 24, detached = true } = {}) {
+  if (!isPtySupported()) {
+    throw ERR.INVALID_ARGS('当前平台不支持伪终端');
+  }
+  assertSize(cols, rows);
+  const inner = `stty cols ${cols} rows ${rows} 2>/dev/null; exec sh -c "$${COMMAND_ENV}"`;
+  const args = platformUtils.isMacOS
+    ? ['-q', '/dev/null', 'sh', '-c', inner]
+    : ['-qfec', inner, '/dev/null'];
+  return spawn('script', args, {
+    cwd,
+    env: { TERM: 'xterm-256color', ...env, [COMMAND_ENV]: command },
+    stdio: ['pipe', 'pipe', 'pipe'],
+    detached
+  });
+}
+
+/**
+ * 查找 script 在伪终端中启动的子进程及其终端设备
+ * @param {number} pid - script 的进程ID
+ * @returns {{pid: number, tty: string}|null} 子进程尚未启动或已退出时返回 null
+ */
+function findPtyChild(pid) {
+  const result = spawnSync('ps', ['-A', '-o', 'pid=,ppid=,tty='], { encoding: 'utf8' });
+  if (result.status !== 0) return null;
+  for (const line of result.stdout.split('\n')) {
+    const [childPid, parentPid, tty] = line.trim().split(/\s+/);
+    if (parentPid === String(pid) && tty && tty !== '?' && tty !== '??') {
+      return { pid: Number(childPid), tty: tty.startsWith('/dev/') ? tty : `/dev/${tty}` };
+    }
+  }
+  return null;
+}
+
+/**
+ * 调整伪终端尺寸，终端内的前台进程组会收到 SIGWINCH
+ * @param {string} tty - 终端设备，如 /dev/pts/3
+ * @param {number} cols
+ * @param {number} rows
+ */
+function resizePty(tty, cols, rows) {
+  assertSize(cols, rows);
+  const result = spawnSync('stty', [platformUtils.isMacOS ? '-f' : '-F', tty, 'cols', String(cols), 'rows', String(rows)], { encoding: 'utf8' });
+  if (result.status !== 0) {
+    throw ERR.CONFLICT(`调整终端尺寸失败: ${(result.stderr || '').trim() || `stty 退出码 ${result.status}`}`);
+  }
+}
+
+module.exports = {
+  isPtySupported,
+  assertSize,
+  spawnPty,
+  findPtyChild,
+  resizePty
+};
@@ -0,0 +1,46 @@
+/**
+ * 有界输出缓冲
+ * 只保留最近 capacity 个字符；偏移量按写入的总字符数计，读取方据此增量读取，
+ * 被覆盖的部分在结果中以 dropped 标明
+ */
+
+class RingBuffer {
+  /**
+   * @param {number} capacity - 保留的最大字符数
+   */
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.data = '';
+    this.start = 0;  // data[0] 对应的偏移量
+  }
+
+  // 已写入的总字符数（下一次写入的偏移量）
+  get end() {
+    return this.start + this.data.length;
+  }
+
+  write(text) {
+    if (!text) return;
+    this.data += text;
+    const overflow = this.data.length - this.capacity;
+    if (overflow > 0) {
+      this.data = this.data.slice(overflow);
+      this.start += overflow;
+    }
+  }
+
+  /**
+   * 从 offset 开始读取
+   * @param {number} offset - 起始偏移量，早于缓冲区起点时从起点开始
+   * @param {number} maxChars - 最多返回的字符数
+   * @returns {{data: string, offset: number, next_offset: number, dropped: number}}
+   *   offset 为实际起点，dropped 为已被覆盖而无法读取的字符数
+   */
+  read(offset = 0, maxChars = Infinity) {
+    const from = Math.min(Math.max(offset, this.start), this.end);
+    const data = this.data.slice(from - this.start, from - this.start + maxChars);
+    return { data, offset: from, next_offset: from + data.length, dropped: Math.max(0, this.start - offset) };
+  }
+}
+
+module.exports = { RingBuffer };
@@ -0,0 +1,158 @@
+const { spawn, execFile } = require('child_process');
+const { buildMatch, MatchCollector } = require('./searchWorker');
+
+/**
+ * ripgrep 委托
+ * 本机 PATH 中存在 rg 时，file_search 可直接调用它完成搜索，并将 --json 输出转换为内置引擎相同的结果结构
+ */
+
+let locatePromise = null;
+
+/**
+ * 查找本机 rg 可执行文件（结果缓存）
+ * @returns {Promise<string|null>} 可用时返回命令名，否则 null
+ */
+function locateRipgrep() {
+  if (!locatePromise) {
+    locatePromise = new Promise((resolve) => {
+      execFile('rg', ['--version'], { timeout: 3000 }, (error) => resolve(error ? null : 'rg'));
+    });
+  }
+  return locatePromise;
+}
+
+/**
+ * 构建 rg 参数，语义与内置引擎保持一致：
+ * 搜索隐藏文件但跳过 .git；深度 0 表示只搜索根目录下的文件；忽略文件不要求处于 git 仓库中
+ */
+function buildArgs({ root, pattern, caseSensitive, fileTypes, maxDepth, ignoreList, respectIgnore, fixedStrings, wholeWord, multiline, beforeContext, afterContext, mode }) {
+  const args = ['--json', '--hidden', '--no-require-git', '--max-depth', String(maxDepth + 1), '-g', '!.git'];
+  if (!caseSensitive) args.push('-i');
+  if (fixedStrings) args.push('-F');
+  if (wholeWord) args.push('-w');
+  if (multiline) args.push('-U');
+  if (beforeContext > 0) args.push('-B', String(beforeContext));
+  if (afterContext > 0) args.push('-A', String(afterContext));
+  if (mode === 'files_with_matches') args.push('-m', '1');
+  if (!respectIgnore) args.push('--no-ignore');
+  if (fileTypes !== '*') {
+    for (const ext of fileTypes.split(',').map(e => e.trim()).filter(Boolean)) {
+      if (ext !== '*') args.push('--iglob', `*.${ext}`);
+    }
+  }
+  for (const pattern of ignoreList) args.push('-g', `!${pattern}`);
+  args.push('-e', pattern, '--', root);
+  return args;
+}
+
+// rg 报告的是 UTF-8 字节偏移，转换为与内置引擎一致的字符偏移
+function byteToCharOffset(text, byteOffset) {
+  if (Buffer.byteLength(text) === text.length) return byteOffset;
+  return Buffer.from(text).subarray(0, byteOffset).toString('utf8').length;
+}
+
+function splitRgLines(text) {
+  return text.replace(/\r?\n$/, '').split('\n').map(line => (line.endsWith('\r') ? line.slice(0, -1) : line));
+}
+
+/**
+ * 将一条 rg --json 消息送入当前文件的收集器
+ * @returns {Array|null} 文件结束时返回该文件的结果
+ */
+function consumeMessage(message, state, options) {
+  const { type, data } = message;
+  if (type === 'begin') {
+    state.collector = data.path.text ? new MatchCollector(data.path.text, { ...options, maxResults: options.maxResults - state.total }) : null;
+    return null;
+  }
+  const collector = state.collector;
+  if (!collector || data.lines === undefined || data.lines.text === undefined) {
+    return type === 'end' && collector ? collector.finish() : null;
+  }
+
+  const lines = splitRgLines(data.lines.text);
+  if (type === 'match') {
+    const spans = data.submatches.map(sub => ({
+      start: byteToCharOffset(data.lines.text, sub.start),
+      end: byteToCharOffset(data.lines.text, sub.end),
+      text: sub.match.text !== undefined ? sub.match.text : ''
+    }));
+    collector.addMatch(buildMatch(collector.file, data.line_number, lines.join('\n'), spans, data.line_number + lines.length - 1));
+  }
+  if (type === 'match' || type === 'context') {
+    lines.forEach((line, i) => collector.pushLine(data.line_number + i, line));
+  }
+  return null;
+}
+
+/**
+ * 使用 rg 搜索
+ * @param {Object} options - root / pattern / caseSensitive / fileTypes / maxDepth / ignoreList / respectIgnore / maxResults / timeoutMs，
+ *                            以及 fixedStrings / wholeWord / multiline / beforeContext / afterContext / mode
+ * @returns {Promise<{results: Array, timedOut: boolean}>} 结果结构与内置引擎 searchFile 相同
+ *          rg 报错（如正则语法不兼容）时 reject，调用方可回退到内置引擎
+ */
+function ripgrepSearch(options) {
+  const { maxResults, timeoutMs } = options;
+  return new Promise((resolve, reject) => {
+    const child = spawn('rg', buildArgs(options), { stdio: ['ignore', 'pipe', 'pipe'] });
+    const results = [];
+    const state = { collector: null, total: 0 };
+    let buffer = '';
+    let stderr = '';
+    let timedOut = false;
+    let stopped = false;
+
+    const stop = () => {
+      if (!stopped) {
+        stopped = true;
+        child.kill();
+      }
+    };
+    const timer = setTimeout(() => { timedOut = true; stop(); }, timeoutMs);
+
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', (data) => {
+      if (stopped) return;
+      buffer += data;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 1);
+        let message;
+        try {
+          message = JSON.parse(line);
+        } catch {
+          continue;
+        }
+        const finished = consumeMessage(message, state, options);
+        if (!finished) continue;
+        results.push(...finished);
+        state.total = results.length;
+        if (results.length >= maxResults) {
+          stop();
+          return;
+        }
+      }
+    });
+    child.stderr.on('data', (data) => { stderr += data; });
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      // 退出码 0=有匹配 1=无匹配；被主动终止时同样视为正常
+      if (stopped || code === 0 || code === 1) {
+        resolve({ results, timedOut });
+      } else {
+        reject(new Error(`rg 执行失败 (code ${code}): ${stderr.trim()}`));
+      }
+    });
+  });
+}
+
+module.exports = {
+  locateRipgrep,
+  ripgrepSearch
+};
@@ -0,0 +1,346 @@
+const fs = require('fs');
+const os = require('os');
+const { StringDecoder } = require('string_decoder');
+const { Worker, isMainThread, parentPort } = require('worker_threads');
+
+/**
+ * 文件内容搜索执行器
+ * 按块流式读取文件并逐行匹配，不把整个文件载入内存；首块含 NUL 字节视为二进制文件直接跳过。
+ * 同一模块既可在主线程直接调用 searchFile，也可作为 worker_threads 的入口由 SearchWorkerPool 调度
+ */
+
+const CHUNK_SIZE = 64 * 1024;        // 每次读取 64KB
+const BINARY_SNIFF_BYTES = 8000;     // 与 git 一致：检查前 8000 字节是否含 NUL
+const MAX_POOL_SIZE = 4;
+
+const MULTILINE_MAX_SIZE = 16 * 1024 * 1024;  // 多行模式需整体读入，超过 16MB 的文件跳过
+const MAX_SPANS_PER_MATCH = 100;
+
+function isBinaryChunk(chunk) {
+  return chunk.subarray(0, BINARY_SNIFF_BYTES).includes(0);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 根据搜索选项编译正则（始终带 g 标志以便枚举同一行中的全部匹配）
+ * @param {string} pattern - 搜索模式
+ * @param {Object} options - 选项
+ * @param {boolean} options.caseSensitive - 区分大小写
+ * @param {boolean} options.fixedStrings - 按字面量匹配
+ * @param {boolean} options.wholeWord - 只匹配完整单词
+ * @param {boolean} options.multiline - 多行模式（可跨行匹配，^/$ 匹配行首行尾）
+ * @returns {RegExp}
+ */
+function compilePattern(pattern, { caseSensitive = false, fixedStrings = false, wholeWord = false, multiline = false } = {}) {
+  let source = fixedStrings ? escapeRegExp(pattern) : pattern;
+  if (wholeWord) source = `(?<!\\w)(?:${source})(?!\\w)`;
+  return new RegExp(source, `g${caseSensitive ? '' : 'i'}${multiline ? 'm' : ''}`);
+}
+
+/**
+ * 枚举文本中的全部匹配区间
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+function collectSpans(regex, text) {
+  const spans = [];
+  regex.lastIndex = 0;
+  let match;
+  while (spans.length < MAX_SPANS_PER_MATCH && (match = regex.exec(text)) !== null) {
+    spans.push({ start: match.index, end: match.index + match[0].length, text: match[0] });
+    if (match[0] === '') regex.lastIndex++;
+  }
+  return spans;
+}
+
+/**
+ * 构造单条匹配结果；column 为首个匹配的列号（1 起始），
+ * submatches 的 start/end 为相对 line 行首的字符偏移（未去除缩进），content 为去除首尾空白后的内容
+ */
+function buildMatch(file, line, text, spans, endLine = line) {
+  const result = {
+    file,
+    line,
+    column: spans.length > 0 ? spans[0].start + 1 : 1,
+    content: text.trim(),
+    submatches: spans
+  };
+  if (endLine !== line) result.end_line = endLine;
+  return result;
+}
+
+/**
+ * 结果收集器：维护前后文窗口并按输出模式汇总
+ * mode: content(逐条匹配) / files_with_matches(只列文件) / count(每个文件的匹配数)
+ */
+class MatchCollector {
+  constructor(file, { maxResults, beforeContext = 0, afterContext = 0, mode = 'content' }) {
+    this.file = file;
+    this.maxResults = maxResults;
+    this.beforeContext = beforeContext;
+    this.afterContext = afterContext;
+    this.mode = mode;
+    this.results = [];
+    this.count = 0;
+    this.before = [];
+    this.open = [];
+  }
+
+  // 记录一行文本：补入仍在收集后文的结果，并更新前文窗口
+  pushLine(line, text) {
+    if (this.open.length > 0) {
+      for (const result of this.open) {
+        if (line > (result.end_line || result.line)) result.after_context.push({ line, content: text });
+      }
+      this.open = this.open.filter(result => result.after_context.length < this.afterContext);
+    }
+    if (this.beforeContext > 0) {
+      this.before.push({ line, content: text });
+      if (this.before.length > this.beforeContext) this.before.shift();
+    }
+  }
+
+  addMatch(result) {
+    this.count++;
+    if (this.mode !== 'content' || this.results.length >= this.maxResults) return;
+    if (this.beforeContext > 0) {
+      result.before_context = this.before.filter(entry => entry.line >= result.line - this.beforeContext && entry.line < result.line);
+    }
+    if (this.afterContext > 0) {
+      result.after_context = [];
+      this.open.push(result);
+    }
+    this.results.push(result);
+  }
+
+  // 是否可以停止读取当前文件
+  done() {
+    if (this.mode === 'files_with_matches') return this.count > 0;
+    if (this.mode === 'count') return false;
+    return this.results.length >= this.maxResults && this.open.length === 0;
+  }
+
+  finish() {
+    if (this.mode === 'files_with_matches') return this.count > 0 ? [{ file: this.file }] : [];
+    if (this.mode === 'count') return this.count > 0 ? [{ file: this.file, count: this.count }] : [];
+    return this.results;
+  }
+}
+
+/**
+ * 流式搜索单个文件
+ * @param {string} filePath - 文件绝对路径
+ * @param {RegExp} regex - compilePattern 生成的正则
+ * @param {Object} options - maxResults / beforeContext / afterContext / mode / multiline
+ * @returns {Promise<Array>} 匹配结果（content 模式）或文件汇总（files_with_matches / count 模式）
+ */
+async function searchFile(filePath, regex, options) {
+  if (options.maxResults <= 0) return [];
+  const collector = new MatchCollector(filePath, options);
+  try {
+    if (options.multiline) {
+      await searchWholeFile(filePath, regex, collector);
+    } else {
+      await searchLines(filePath, regex, collector);
+    }
+  } catch (error) {
+    // 忽略无法读取的文件
+    if (error.code !== 'EACCES' && error.code !== 'ENOENT' && error.code !== 'EISDIR') {
+      throw error;
+    }
+  }
+  return collector.finish();
+}
+
+async function searchLines(filePath, regex, collector) {
+  const stream = fs.createReadStream(filePath, { highWaterMark: CHUNK_SIZE });
+  const decoder = new StringDecoder('utf8');
+  let pending = '';
+  let lineNo = 0;
+  let sniffed = false;
+
+  const test = (raw) => {
+    const text = raw.endsWith('\r') ? raw.slice(0, -1) : raw;
+    lineNo++;
+    const spans = collectSpans(regex, text);
+    if (spans.length > 0) collector.addMatch(buildMatch(filePath, lineNo, text, spans));
+    collector.pushLine(lineNo, text);
+  };
+
+  try {
+    for await (const chunk of stream) {
+      if (!sniffed) {
+        sniffed = true;
+        if (isBinaryChunk(chunk)) return;
+      }
+      pending += decoder.write(chunk);
+      let start = 0;
+      let newline;
+      while ((newline = pending.indexOf('\n', start)) !== -1) {
+        test(pending.slice(start, newline));
+        start = newline + 1;
+        if (collector.done()) return;
+      }
+      pending = pending.slice(start);
+    }
+    pending += decoder.end();
+    if (pending) test(pending);
+  } finally {
+    stream.destroy();
+  }
+}
+
+// 多行模式：整体读入后在全文上匹配，结果跨越 line..end_line
+async function searchWholeFile(filePath, regex, collector) {
+  const stats = await fs.promises.stat(filePath);
+  if (stats.size > MULTILINE_MAX_SIZE) return;
+  const buffer = await fs.promises.readFile(filePath);
+  if (isBinaryChunk(buffer)) return;
+
+  const content = buffer.toString('utf8');
+  const lines = content.split('\n').map(line => (line.endsWith('\r') ? line.slice(0, -1) : line));
+  const starts = [];
+  let offset = 0;
+  for (const line of content.split('\n')) {
+    starts.push(offset);
+    offset += line.length + 1;
+  }
+  const lineAt = (index) => {
+    let lo = 0;
+    let hi = starts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (starts[mid] <= index) lo = mid; else hi = mid - 1;
+    }
+    return lo;
+  };
+
+  let fed = 0;
+  regex.lastIndex = 0;
+  let match;
+  while ((match = regex.exec(content)) !== null) {
+    if (match[0] === '') regex.lastIndex++;
+    const first = lineAt(match.index);
+    const last = lineAt(Math.max(match.index, match.index + match[0].length - 1));
+    // 先把匹配之前的行送入前后文窗口
+    for (; fed < first; fed++) collector.pushLine(fed + 1, lines[fed]);
+    const region = lines.slice(first, last + 1).join('\n');
+    const span = { start: match.index - starts[first], end: match.index - starts[first] + match[0].length, text: match[0] };
+    collector.addMatch(buildMatch(filePath, first + 1, region, [span], last + 1));
+    if (collector.done()) return;
+  }
+  for (; fed < lines.length && collector.open.length > 0; fed++) collector.pushLine(fed + 1, lines[fed]);
+}
+
+/**
+ * 默认 worker 数量：保留一个核心给主线程遍历目录，单核机器返回 0（直接在主线程搜索）
+ */
+function defaultPoolSize() {
+  const cpus = os.cpus().length;
+  return Math.min(MAX_POOL_SIZE, Math.max(0, cpus - 1));
+}
+
+/**
+ * 搜索 worker 线程池
+ * 按需启动 worker（不超过 size 个），任务排队分发；destroy() 终止全部线程
+ */
+class SearchWorkerPool {
+  constructor(size = defaultPoolSize()) {
+    this.size = size;
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.jobs = new Map();
+  }
+
+  /**
+   * 提交搜索任务
+   * @param {{file: string, source: string, flags: string, options: Object}} task - 任务（options 同 searchFile）
+   * @returns {Promise<Array>} 匹配结果
+   */
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      let worker = this.idle.pop();
+      if (!worker) {
+        if (this.workers.length >= this.size) return;
+        worker = this.spawn();
+      }
+      const job = this.queue.shift();
+      this.jobs.set(worker, job);
+      worker.postMessage(job.task);
+    }
+  }
+
+  spawn() {
+    const worker = new Worker(__filename);
+    worker.on('message', (message) => {
+      const job = this.jobs.get(worker);
+      this.jobs.delete(worker);
+      this.idle.push(worker);
+      if (job) {
+        if (message.error) job.reject(new Error(message.error));
+        else job.resolve(message.results);
+      }
+      this.dispatch();
+    });
+    const fail = (error) => {
+      const job = this.jobs.get(worker);
+      this.jobs.delete(worker);
+      this.workers = this.workers.filter(w => w !== worker);
+      this.idle = this.idle.filter(w => w !== worker);
+      if (job) job.reject(error);
+      this.dispatch();
+    };
+    worker.on('error', fail);
+    worker.on('exit', (code) => {
+      if (this.jobs.has(worker)) fail(new Error(`搜索线程异常退出 (code ${code})`));
+    });
+    this.workers.push(worker);
+    return worker;
+  }
+
+  async destroy() {
+    for (const job of this.queue) job.resolve([]);
+    this.queue = [];
+    const workers = this.workers;
+    this.workers = [];
+    this.idle = [];
+    for (const job of this.jobs.values()) job.resolve([]);
+    this.jobs.clear();
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+}
+
+// worker 线程入口：按 source/flags 缓存正则，逐个处理主线程派发的文件
+if (!isMainThread && parentPort) {
+  const cache = new Map();
+  parentPort.on('message', async ({ file, source, flags, options }) => {
+    try {
+      const key = `${flags}/${source}`;
+      if (!cache.has(key)) cache.set(key, new RegExp(source, flags));
+      const results = await searchFile(file, cache.get(key), options);
+      parentPort.postMessage({ results });
+    } catch (error) {
+      parentPort.postMessage({ error: error.message });
+    }
+  });
+}
+
+module.exports = {
+  searchFile,
+  compilePattern,
+  buildMatch,
+  MatchCollector,
+  isBinaryChunk,
+  defaultPoolSize,
+  SearchWorkerPool
+};
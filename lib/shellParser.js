@@ -0,0 +1,656 @@
+/**
+ * POSIX shell 命令解析
+ * 将命令行解析为语法树（列表、管道、子 shell、命令替换、重定向、here-document），
+ * 并列出实际会执行的每个程序：展开 env/sudo/xargs 等包装命令，递归进入 sh -c、eval 与 watch 的脚本
+ */
+
+const path = require('path');
+
+const MAX_DEPTH = 8;  // sh -c / eval 的最大嵌套层数
+
+// 词法中的元字符：未加引号时结束一个单词
+const META = new Set([' ', '\t', '\n', '|', '&', ';', '<', '>', '(', ')']);
+
+const REDIRECT_OPS = ['&>>', '<<<', '<<-', '&>', '>>', '>&', '>|', '<<', '<&', '<>', '>', '<'];
+
+// 出现在命令开头时不是程序名的保留字
+const RESERVED = new Set(['!', '{', '}', 'if', 'then', 'else', 'elif', 'fi', 'do', 'done', 'while', 'until', 'esac']);
+
+// 之后的内容不是普通命令（循环变量、case 模式、函数名）
+const NON_COMMAND = new Set(['for', 'case', 'select', 'function']);
+
+const SHELLS = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh', 'ash', 'mksh']);
+const SHELL_OPTIONS_WITH_ARG = new Set(['-o', '+o', '-O', '+O', '--rcfile', '--init-file']);
+
+/**
+ * 包装命令：执行其后的另一个程序
+ * args 为带参数的选项，positional 为程序名之前的位置参数个数，
+ * nonExecuting 中的选项使其只查询而不执行，split 中的选项的参数是需要再解析的命令行，
+ * script 表示其后的参数拼接为命令行交给 sh -c 执行
+ */
+const WRAPPERS = {
+  env: { args: ['-u', '--unset', '-C', '--chdir'], assignments: true, split: ['-S', '--split-string'] },
+  sudo: { args: ['-u', '-g', '-h', '-p', '-C', '-D', '-r', '-t', '-U', '-T', '--user', '--group', '--host', '--prompt', '--chdir'] },
+  doas: { args: ['-u', '-C'] },
+  nice: { args: ['-n', '--adjustment'] },
+  nohup: {},
+  setsid: {},
+  time: {},
+  timeout: { args: ['-s', '--signal', '-k', '--kill-after'], positional: 1 },
+  stdbuf: { args: ['-i', '-o', '-e'] },
+  xargs: { args: ['-a', '-d', '-E', '-I', '-L', '-n', '-P', '-s', '--arg-file', '--delimiter', '--max-args', '--max-procs', '--max-chars'] },
+  command: { nonExecuting: ['-v', '-V'] },
+  builtin: {},
+  exec: { args: ['-a'] },
+  watch: { args: ['-n', '--interval', '-q', '--equexit'], script: true },
+  busybox: {},
+  chroot: { args: ['--userspec', '--groups'], positional: 1 },
+  unshare: { args: ['-S', '--setuid', '-G', '--setgid', '-R', '--root', '-w', '--wd', '--propagation', '--setgroups', '--map-user', '--map-group', '--map-users', '--map-groups'] }
+};
+
+function parseError(message, pos) {
+  const err = new Error(`${message}（位置 ${pos}）`);
+  err.code = 'E_SHELL_PARSE';
+  return err;
+}
+
+// $'...' 中的转义
+const ANSI_ESCAPES = { n: '\n', t: '\t', r: '\r', a: '\x07', b: '\b', e: '\x1b', E: '\x1b', f: '\f', v: '\v', '\\': '\\', "'": "'", '"': '"', '?': '?' };
+
+class ShellParser {
+  constructor(source) {
+    this.src = source;
+    this.pos = 0;
+    this.pendingHeredocs = [];
+  }
+
+  /**
+   * 解析整个命令行
+   * @returns {{type: 'list', items: Array}}
+   */
+  parse() {
+    const list = this.parseList(false);
+    if (this.pos < this.src.length) throw parseError(`意外的 ${this.src[this.pos]}`, this.pos);
+    return list;
+  }
+
+  peek(offset = 0) {
+    return this.src[this.pos + offset];
+  }
+
+  startsWith(token) {
+    return this.src.startsWith(token, this.pos);
+  }
+
+  // 跳过空白、续行与注释（不跳过换行）
+  skipBlank() {
+    while (this.pos < this.src.length) {
+      const c = this.peek();
+      if (c === ' ' || c === '\t') {
+        this.pos++;
+      } else if (c === '\\' && this.peek(1) === '\n') {
+        this.pos += 2;
+      } else if (c === '#') {
+        while (this.pos < this.src.length && this.peek() !== '\n') this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  // 列表：由 ; & && || 换行 连接的管道
+  parseList(inSubshell) {
+    const items = [];
+    for (;;) {
+      this.skipSeparators();
+      if (this.pos >= this.src.length) break;
+      if (this.peek() === ')') {
+        if (inSubshell) break;
+        throw parseError('意外的 )', this.pos);
+      }
+      items.push(this.parsePipeline());
+      this.skipBlank();
+      if (this.pos >= this.src.length || this.peek() === ')') continue;
+      const op = ['&&', '||', ';;', ';', '&', '\n'].find(token => this.startsWith(token));
+      if (!op) throw parseError(`意外的 ${this.peek()}`, this.pos);
+      this.pos += op.length;
+      if (op === '\n') this.readHeredocs();
+      if (op === '&&' || op === '||') this.skipSeparators(true);
+    }
+    return { type: 'list', items };
+  }
+
+  // 跳过空行；newlinesOnly 时只跳过换行（&& 与 || 之后）
+  skipSeparators(newlinesOnly = false) {
+    for (;;) {
+      this.skipBlank();
+      const c = this.peek();
+      if (c === '\n') {
+        this.pos++;
+        this.readHeredocs();
+      } else if (c === ';' && !newlinesOnly && !this.startsWith(';;')) {
+        this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  parsePipeline() {
+    const commands = [this.parseCommand()];
+    for (;;) {
+      this.skipBlank();
+      if (this.startsWith('||') || !this.startsWith('|')) break;
+      this.pos += this.startsWith('|&') ? 2 : 1;
+      this.skipSeparators(true);
+      commands.push(this.parseCommand());
+    }
+    return { type: 'pipeline', commands };
+  }
+
+  parseCommand() {
+    this.skipBlank();
+    if (this.peek() === '(') {
+      const start = this.pos++;
+      const body = this.parseList(true);
+      if (this.peek() !== ')') throw parseError('缺少 )', start);
+      this.pos++;
+      return { type: 'subshell', body, redirects: this.readRedirects() };
+    }
+
+    const words = [];
+    const redirects = [];
+    for (;;) {
+      this.skipBlank();
+      const c = this.peek();
+      if (c === undefined || c === '\n' || c === ';' || c === '|' || c === ')') break;
+      if (c === '&' && !this.startsWith('&>')) break;
+      if (c === '(') {
+        // 函数定义 name() { ...; }：函数体按普通命令检查
+        const rest = this.src.slice(this.pos + 1).match(/^[ \t]*\)/);
+        if (words.length !== 1 || !rest) throw parseError('意外的 (', this.pos);
+        this.pos += 1 + rest[0].length;
+        words.length = 0;
+        continue;
+      }
+      const redirect = this.readRedirect();
+      if (redirect) {
+        redirects.push(redirect);
+        continue;
+      }
+      words.push(this.readWord());
+    }
+    if (words.length === 0 && redirects.length === 0) {
+      throw parseError(this.pos < this.src.length ? `意外的 ${this.peek()}` : '缺少命令', this.pos);
+    }
+    return { type: 'simple', words, redirects };
+  }
+
+  readRedirects() {
+    const redirects = [];
+    for (;;) {
+      this.skipBlank();
+      const redirect = this.readRedirect();
+      if (!redirect) return redirects;
+      redirects.push(redirect);
+    }
+  }
+
+  // 重定向：可带文件描述符前缀，如 2>&1、>>log、<<EOF
+  readRedirect() {
+    const fd = this.src.slice(this.pos).match(/^\d*/)[0];
+    const at = this.pos + fd.length;
+    // <( 与 >( 是进程替换，属于单词
+    if ((this.src[at] === '<' || this.src[at] === '>') && this.src[at + 1] === '(') return null;
+    const op = REDIRECT_OPS.find(token => this.src.startsWith(token, at));
+    if (!op || (fd && op.startsWith('&'))) return null;
+    this.pos = at + op.length;
+    this.skipBlank();
+    if (this.pos >= this.src.length || META.has(this.peek())) throw parseError(`重定向 ${op} 缺少目标`, at);
+    const target = this.readWord();
+    if (op === '<<' || op === '<<-') {
+      this.pendingHeredocs.push({ delimiter: target.value, strip: op === '<<-', expand: !/['"\\]/.test(target.raw), target });
+    }
+    return { op: `${fd}${op}`, target };
+  }
+
+  // 读取换行之后的 here-document 正文；未加引号的定界符下正文中的命令替换会被执行
+  readHeredocs() {
+    const pending = this.pendingHeredocs;
+    this.pendingHeredocs = [];
+    for (const heredoc of pending) {
+      const lines = [];
+      while (this.pos < this.src.length) {
+        let end = this.src.indexOf('\n', this.pos);
+        if (end === -1) end = this.src.length;
+        const line = this.src.slice(this.pos, end);
+        this.pos = Math.min(end + 1, this.src.length);
+        if ((heredoc.strip ? line.replace(/^\t+/, '') : line) === heredoc.delimiter) break;
+        lines.push(line);
+      }
+      if (heredoc.expand) {
+        const body = new ShellParser(lines.join('\n'));
+        const word = newWord();
+        body.readDoubleQuoted(word, null);
+        heredoc.target.substitutions.push(...word.substitutions);
+      }
+    }
+  }
+
+  readWord() {
+    const start = this.pos;
+    const word = newWord();
+    while (this.pos < this.src.length) {
+      const c = this.peek();
+      if ((c === '<' || c === '>') && this.peek(1) === '(' && this.pos === start) {
+        // 进程替换 <(cmd) / >(cmd)
+        this.pos += 2;
+        word.substitutions.push(this.readSubstitution(start));
+        word.value += this.src.slice(start, this.pos);
+        word.dynamic = true;
+        continue;
+      }
+      if (META.has(c)) break;
+      if (c === '\\') {
+        if (this.peek(1) !== '\n' && this.pos + 1 < this.src.length) word.value += this.peek(1);
+        this.pos += 2;
+      } else if (c === "'") {
+        const end = this.src.indexOf("'", this.pos + 1);
+        if (end === -1) throw parseError('缺少配对的单引号', this.pos);
+        word.value += this.src.slice(this.pos + 1, end);
+        word.quoted = true;
+        this.pos = end + 1;
+      } else if (c === '"') {
+        this.pos++;
+        this.readDoubleQuoted(word, '"');
+        word.quoted = true;
+      } else if (c === '$') {
+        this.readDollar(word);
+      } else if (c === '`') {
+        this.readBacktick(word);
+      } else {
+        if (c === '*' || c === '?' || (c === '[' && /^\[[^\s|&;<>()[\]]+\]/.test(this.src.slice(this.pos)))) word.glob = true;
+        word.value += c;
+        this.pos++;
+      }
+    }
+    word.raw = this.src.slice(start, this.pos);
+    return word;
+  }
+
+  // 双引号内容；terminator 为 null 时读到末尾（here-document 正文）
+  readDoubleQuoted(word, terminator) {
+    const start = this.pos;
+    for (;;) {
+      if (this.pos >= this.src.length) {
+        if (terminator === null) return;
+        throw parseError('缺少配对的双引号', start - 1);
+      }
+      const c = this.peek();
+      if (c === terminator) {
+        this.pos++;
+        return;
+      }
+      if (c === '\\' && '$`"\\\n'.includes(this.peek(1) || '')) {
+        if (this.peek(1) !== '\n') word.value += this.peek(1);
+        this.pos += 2;
+      } else if (c === '$') {
+        this.readDollar(word);
+      } else if (c === '`') {
+        this.readBacktick(word);
+      } else {
+        word.value += c;
+        this.pos++;
+      }
+    }
+  }
+
+  readDollar(word) {
+    const start = this.pos;
+    const next = this.peek(1);
+    if (next === "'") {
+      this.pos += 2;
+      word.value += this.readAnsiC(start);
+      word.quoted = true;
+      return;
+    }
+    if (next === '"') {
+      this.pos += 2;
+      this.readDoubleQuoted(word, '"');
+      word.quoted = true;
+      return;
+    }
+    if (this.startsWith('$((')) {
+      this.pos = this.matchParens(this.pos + 1, '算术展开');
+    } else if (next === '(') {
+      this.pos += 2;
+      word.substitutions.push(this.readSubstitution(start));
+    } else if (next === '{') {
+      this.pos += 2;
+      this.readBraced(word, start);
+    } else if (next && /[A-Za-z_]/.test(next)) {
+      this.pos += 1 + this.src.slice(this.pos + 1).match(/^\w+/)[0].length;
+    } else if (next && /[0-9@*#?$!-]/.test(next)) {
+      this.pos += 2;
+    } else {
+      word.value += '$';
+      this.pos++;
+      return;
+    }
+    word.dynamic = true;
+    word.value += this.src.slice(start, this.pos);
+  }
+
+  // $( ... ) 的内容按完整命令解析
+  readSubstitution(start) {
+    const body = this.parseList(true);
+    if (this.peek() !== ')') throw parseError('命令替换缺少 )', start);
+    this.pos++;
+    return body;
+  }
+
+  // ${...}，其中可以嵌套命令替换
+  readBraced(word, start) {
+    const inner = newWord();
+    for (;;) {
+      const c = this.peek();
+      if (c === undefined) throw parseError('缺少配对的 }', start);
+      if (c === '}') {
+        this.pos++;
+        word.substitutions.push(...inner.substitutions);
+        return;
+      }
+      if (c === '\\') {
+        this.pos += 2;
+      } else if (c === "'") {
+        const end = this.src.indexOf("'", this.pos + 1);
+        if (end === -1) throw parseError('缺少配对的单引号', this.pos);
+        this.pos = end + 1;
+      } else if (c === '"') {
+        this.pos++;
+        this.readDoubleQuoted(inner, '"');
+      } else if (c === '$') {
+        this.readDollar(inner);
+      } else if (c === '`') {
+        this.readBacktick(inner);
+      } else {
+        this.pos++;
+      }
+    }
+  }
+
+  // 返回与 from 处 ( 配对的 ) 之后的位置
+  matchParens(from, label) {
+    let depth = 0;
+    for (let i = from; i < this.src.length; i++) {
+      if (this.src[i] === '(') depth++;
+      if (this.src[i] === ')' && --depth === 0) return i + 1;
+    }
+    throw parseError(`${label}缺少 )`, from);
+  }
+
+  readBacktick(word) {
+    const start = this.pos++;
+    let body = '';
+    for (;;) {
+      const c = this.peek();
+      if (c === undefined) throw parseError('缺少配对的反引号', start);
+      this.pos++;
+      if (c === '`') break;
+      if (c === '\\' && '$`\\'.includes(this.peek() || '')) {
+        body += this.peek();
+        this.pos++;
+      } else {
+        body += c;
+      }
+    }
+    word.substitutions.push(new ShellParser(body).parse());
+    word.dynamic = true;
+    word.value += this.src.slice(start, this.pos);
+  }
+
+  // $'...'：按 ANSI C 转义解码
+  readAnsiC(start) {
+    let value = '';
+    for (;;) {
+      const c = this.peek();
+      if (c === undefined) throw parseError("缺少配对的 $'", start);
+      this.pos++;
+      if (c === "'") return value;
+      if (c !== '\\') {
+        value += c;
+        continue;
+      }
+      const e = this.peek();
+      const hex = e === 'x' && this.src.slice(this.pos + 1).match(/^[0-9a-fA-F]{1,2}/);
+      const unicode = (e === 'u' || e === 'U') && this.src.slice(this.pos + 1).match(e === 'u' ? /^[0-9a-fA-F]{1,4}/ : /^[0-9a-fA-F]{1,8}/);
+      const octal = this.src.slice(this.pos).match(/^[0-7]{1,3}/);
+      if (hex || unicode) {
+        value += String.fromCodePoint(parseInt((hex || unicode)[0], 16));
+        this.pos += 1 + (hex || unicode)[0].length;
+      } else if (octal) {
+        value += String.fromCharCode(parseInt(octal[0], 8));
+        this.pos += octal[0].length;
+      } else if (e !== undefined && e in ANSI_ESCAPES) {
+        value += ANSI_ESCAPES[e];
+        this.pos++;
+      } else {
+        value += `\\${e || ''}`;
+        this.pos++;
+      }
+    }
+  }
+}
+
+function newWord() {
+  return { raw: '', value: '', quoted: false, dynamic: false, glob: false, substitutions: [] };
+}
+
+/**
+ * 解析命令行为语法树
+ * @param {string} command - 命令行
+ * @returns {{type: 'list', items: Array}} 列表 → 管道 → simple/subshell 命令；单词带 substitutions 子树
+ * @throws {Error} 语法错误（code 为 E_SHELL_PARSE）
+ */
+function parse(command) {
+  return new ShellParser(command).parse();
+}
+
+/**
+ * 列出命令行中会执行的所有程序
+ * @param {string} command - 命令行
+ * @returns {Array<{program: string, argv: string[], text: string, source: string, redirects: Array<{op: string, target: string}>, wrappers: string[], env: Object, dynamic: boolean, stdinScript: boolean}>}
+ *   text 为去掉引号后的命令与重定向（用于规则匹配），source 为原始片段（用于展示），redirects 为去掉引号后的重定向；
+ *   env 为命令前缀与 env 包装中设置的环境变量；
+ *   dynamic 表示程序名由变量或命令替换生成，stdinScript 表示 shell 从标准输入读取脚本
+ * @throws {Error} 语法错误或嵌套层级过多（code 为 E_SHELL_PARSE）
+ */
+function listCommands(command) {
+  const segments = [];
+  collectList(parse(command), segments, 0);
+  return segments;
+}
+
+function collectList(list, segments, depth) {
+  for (const pipeline of list.items) {
+    pipeline.commands.forEach((command, index) => {
+      for (const redirect of command.redirects) collectWord(redirect.target, segments, depth);
+      if (command.type === 'subshell') {
+        collectList(command.body, segments, depth);
+      } else {
+        collectSimple(command, { piped: index > 0 }, segments, depth);
+      }
+    });
+  }
+}
+
+// 单词中的命令替换先于命令本身执行
+function collectWord(word, segments, depth) {
+  for (const substitution of word.substitutions) collectList(substitution, segments, depth);
+}
+
+function collectNested(script, segments, depth) {
+  if (depth >= MAX_DEPTH) throw parseError('sh -c / eval 嵌套层级过多', 0);
+  collectList(parse(script), segments, depth + 1);
+}
+
+function collectSimple(command, { piped }, segments, depth) {
+  const { words, redirects } = command;
+  words.forEach(word => collectWord(word, segments, depth));
+
+  const segment = {
+    program: '',
+    argv: [],
+    text: '',
+    source: [...words.map(word => word.raw), ...redirects.map(redirect => `${redirect.op}${redirect.target.raw}`)].join(' '),
+    redirects: redirects.map(redirect => ({ op: redirect.op, target: redirect.target.value })),
+    wrappers: [],
+    env: {},
+    dynamic: false,
+    stdinScript: false
+  };
+  const redirectText = redirects.map(redirect => `${redirect.op}${redirect.target.value}`);
+  const finish = (end = words.length) => {
+    segment.text = [...words.slice(0, end).map(word => word.value), ...redirectText].join(' ');
+    segments.push(segment);
+  };
+
+  const assign = value => {
+    const index = value.indexOf('=');
+    segment.env[value.slice(0, index).replace(/\+$/, '')] = value.slice(index + 1);
+  };
+
+  let i = 0;
+  // 前置的变量赋值与保留字
+  while (i < words.length) {
+    const value = words[i].value;
+    if (NON_COMMAND.has(value) && !words[i].quoted) return;
+    if (/^[A-Za-z_]\w*\+?=/.test(words[i].raw)) {
+      assign(value);
+      i++;
+      continue;
+    }
+    if (RESERVED.has(value) && !words[i].quoted) {
+      i++;
+      continue;
+    }
+    break;
+  }
+  if (i >= words.length) {
+    if (redirects.length > 0) finish();
+    return;
+  }
+
+  // 展开包装命令
+  for (;;) {
+    const word = words[i];
+    if (word.dynamic || word.glob) {
+      segment.program = word.value;
+      segment.argv = words.slice(i).map(item => item.value);
+      segment.dynamic = true;
+      return finish();
+    }
+    const name = path.basename(word.value);
+    const spec = WRAPPERS[name];
+    if (!spec || i === words.length - 1) break;
+    const start = i;
+    segment.wrappers.push(name);
+    i++;
+    for (; i < words.length; i++) {
+      const option = words[i].value;
+      if (option === '--') {
+        i++;
+        break;
+      }
+      if (spec.assignments && /^[A-Za-z_]\w*=/.test(option)) {
+        assign(option);
+        continue;
+      }
+      if (!option.startsWith('-') || option === '-') break;
+      if ((spec.nonExecuting || []).includes(option)) return;
+      if ((spec.split || []).includes(option) && words[i + 1]) {
+        // env -S 'cmd args'：参数按命令行再解析
+        segment.program = name;
+        if (words[i + 1].dynamic) {
+          segment.dynamic = true;
+          return finish();
+        }
+        finish(i + 1);
+        return collectNested(words[i + 1].value, segments, depth);
+      }
+      if ((spec.args || []).includes(option)) i++;
+    }
+    i += spec.positional || 0;
+    if (i >= words.length) {
+      segment.program = name;
+      return finish();
+    }
+    if (spec.script) {
+      // watch 'cmd args'：与 eval 相同，拼接后的命令行单独检查
+      segment.wrappers.pop();
+      segment.program = name;
+      segment.argv = words.slice(start).map(item => item.value);
+      const args = words.slice(i);
+      if (args.some(item => item.dynamic)) {
+        segment.dynamic = true;
+        return finish();
+      }
+      finish(i);
+      return collectNested(args.map(item => item.value).join(' '), segments, depth);
+    }
+  }
+
+  const program = path.basename(words[i].value);
+  segment.program = program;
+  segment.argv = words.slice(i).map(word => word.value);
+
+  if (program === 'eval') {
+    const args = words.slice(i + 1);
+    if (args.some(word => word.dynamic)) {
+      segment.dynamic = true;
+      return finish();
+    }
+    finish(i + 1);
+    return collectNested(args.map(word => word.value).join(' '), segments, depth);
+  }
+
+  if (SHELLS.has(program)) {
+    let j = i + 1;
+    let inline = false;
+    let fromStdin = false;
+    for (; j < words.length; j++) {
+      const option = words[j].value;
+      if (option === '--' || option === '-') {
+        j++;
+        break;
+      }
+      if (!/^[-+]/.test(option)) break;
+      if (SHELL_OPTIONS_WITH_ARG.has(option)) {
+        j++;
+      } else if (!option.startsWith('--')) {
+        inline = inline || option.slice(1).includes('c');
+        fromStdin = fromStdin || option.slice(1).includes('s');
+      }
+    }
+    if (inline && j < words.length) {
+      // sh -c 'script'：脚本内容单独检查
+      if (words[j].dynamic) {
+        segment.dynamic = true;
+        return finish();
+      }
+      finish(j);
+      return collectNested(words[j].value, segments, depth);
+    }
+    // 脚本来自管道、here-document 或 here-string
+    const fedInline = redirects.some(redirect => /^0?<<(<|-)?$/.test(redirect.op));
+    if (fromStdin || j >= words.length) segment.stdinScript = piped || fedInline;
+  }
+  finish();
+}
+
+module.exports = {
+  parse,
+  listCommands,
+  WRAPPERS,
+  SHELLS
+};
@@ -0,0 +1,526 @@
+/**
+ * 终端屏幕模拟
+ * 按 VT100/xterm 的常用控制序列维护一个字符网格，用于把伪终端的输出渲染成当前屏幕上的文本。
+ * 只处理文本与光标（移动、清屏、滚动区域、插入/删除、备用屏幕），颜色等属性直接忽略；
+ * 程序查询光标位置或终端类型时通过 onReply 回传应答，避免交互程序因等不到应答而卡住。
+ */
+
+const ESC = '\x1b';
+
+// 东亚宽字符与常见 emoji 占两列
+function charWidth(codePoint) {
+  if (codePoint >= 0x300 && codePoint <= 0x36f) return 0;  // 组合附加符号
+  if (codePoint === 0x200b || codePoint === 0x200d || (codePoint >= 0xfe00 && codePoint <= 0xfe0f)) return 0;
+  if ((codePoint >= 0x1100 && codePoint <= 0x115f) ||
+    (codePoint >= 0x2e80 && codePoint <= 0xa4cf && codePoint !== 0x303f) ||
+    (codePoint >= 0xac00 && codePoint <= 0xd7a3) ||
+    (codePoint >= 0xf900 && codePoint <= 0xfaff) ||
+    (codePoint >= 0xfe30 && codePoint <= 0xfe4f) ||
+    (codePoint >= 0xff00 && codePoint <= 0xff60) ||
+    (codePoint >= 0xffe0 && codePoint <= 0xffe6) ||
+    (codePoint >= 0x1f300 && codePoint <= 0x1f64f) ||
+    (codePoint >= 0x1f900 && codePoint <= 0x1f9ff) ||
+    (codePoint >= 0x20000 && codePoint <= 0x3fffd)) {
+    return 2;
+  }
+  return 1;
+}
+
+const blankLine = cols => new Array(cols).fill(' ');
+
+// 宽字符的第二列用空字符串占位，渲染时自然消失
+const renderLine = cells => cells.join('').replace(/\s+$/, '');
+
+/**
+ * 去掉文本中的控制序列与回车，得到可读的输出
+ * @param {string} text
+ * @returns {string}
+ */
+function stripAnsi(text) {
+  return text
+    .replace(/\x1b\[[0-?]*[ -/]*[@-~]/g, '')
+    .replace(/\x1b[\]P^_][\s\S]*?(?:\x07|\x1b\\)/g, '')
+    .replace(/\x1b[()*+#][\s\S]?/g, '')
+    .replace(/\x1b[\s\S]?/g, '')
+    .replace(/\r+\n/g, '\n')
+    .replace(/[\x00-\x08\x0b-\x1f\x7f]/g, '');
+}
+
+// 完整的控制序列（用于判断分块到达的输出末尾是否截断了序列）
+const COMPLETE_SEQUENCE = /^\x1b(?:\[[0-?]*[ -/]*[@-~]|[\]P^_][\s\S]*?(?:\x07|\x1b\\)|[()*+#][\s\S]|[^[\]P^_()*+#])/;
+
+/**
+ * 创建分块去除控制序列的函数：末尾不完整的序列留到下一块一起处理
+ * @returns {function(string): string}
+ */
+function createAnsiStripper() {
+  let carry = '';
+  return (text) => {
+    const input = carry + text;
+    const start = input.lastIndexOf(ESC);
+    carry = '';
+    if (start !== -1 && input.length - start < 4096 && !COMPLETE_SEQUENCE.test(input.slice(start))) {
+      carry = input.slice(start);
+      return stripAnsi(input.slice(0, start));
+    }
+    return stripAnsi(input);
+  };
+}
+
+class TerminalScreen {
+  /**
+   * @param {number} cols - 列数
+   * @param {number} rows - 行数
+   * @param {Object} options - 选项
+   * @param {number} options.scrollback - 保留的滚出屏幕的行数
+   */
+  constructor(cols = 80, rows = 24, { scrollback = 1000 } = {}) {
+    this.scrollbackLimit = scrollback;
+    this.onReply = null;
+    this.cols = cols;
+    this.rows = rows;
+    this.reset();
+  }
+
+  reset() {
+    this.lines = Array.from({ length: this.rows }, () => blankLine(this.cols));
+    this.scrollback = [];
+    this.x = 0;
+    this.y = 0;
+    this.wrapPending = false;
+    this.scrollTop = 0;
+    this.scrollBottom = this.rows - 1;
+    this.saved = { x: 0, y: 0 };
+    this.mainScreen = null;        // 使用备用屏幕时保存的主屏幕
+    this.autowrap = true;
+    this.insertMode = false;
+    this.cursorVisible = true;
+    this.title = '';
+    this.state = 'ground';
+    this.stringType = null;
+    this.sequence = '';
+  }
+
+  /**
+   * 写入终端输出，控制序列可以跨多次写入
+   * @param {string} text
+   */
+  write(text) {
+    for (const ch of text) {
+      switch (this.state) {
+        case 'ground':
+          this.ground(ch);
+          break;
+        case 'escape':
+          this.escape(ch);
+          break;
+        case 'csi':
+          this.sequence += ch;
+          if (ch >= '@' && ch <= '~') {
+            this.state = 'ground';
+            this.csi(this.sequence);
+          }
+          break;
+        case 'string':  // OSC/DCS 等字符串序列，以 BEL 或 ESC \ 结束
+          if (ch === '\x07') {
+            this.endString();
+          } else if (ch === ESC) {
+            this.state = 'string_escape';
+          } else {
+            this.sequence += ch;
+          }
+          break;
+        case 'string_escape':
+          this.endString();
+          if (ch !== '\\') this.escape(ch);
+          break;
+        case 'skip':  // 字符集选择等带一个参数字符的序列
+          this.state = 'ground';
+          break;
+        default:
+          this.state = 'ground';
+      }
+    }
+  }
+
+  ground(ch) {
+    switch (ch) {
+      case ESC:
+        this.state = 'escape';
+        return;
+      case '\r':
+        this.x = 0;
+        this.wrapPending = false;
+        return;
+      case '\n':
+      case '\x0b':
+      case '\x0c':
+        this.lineFeed();
+        return;
+      case '\b':
+        this.x = Math.max(0, this.x - 1);
+        this.wrapPending = false;
+        return;
+      case '\t':
+        this.x = Math.min(this.cols - 1, (Math.floor(this.x / 8) + 1) * 8);
+        this.wrapPending = false;
+        return;
+      default:
+        if (ch < ' ' || ch === '\x7f') return;
+        this.put(ch);
+    }
+  }
+
+  escape(ch) {
+    this.state = 'ground';
+    switch (ch) {
+      case '[':
+        this.state = 'csi';
+        this.sequence = '';
+        break;
+      case ']':
+      case 'P':
+      case '^':
+      case '_':
+        this.state = 'string';
+        this.stringType = ch;
+        this.sequence = '';
+        break;
+      case '(':
+      case ')':
+      case '*':
+      case '+':
+      case '#':
+        this.state = 'skip';
+        break;
+      case '7':
+        this.saved = { x: this.x, y: this.y };
+        break;
+      case '8':
+        this.restoreCursor();
+        break;
+      case 'D':
+        this.lineFeed();
+        break;
+      case 'E':
+        this.x = 0;
+        this.lineFeed();
+        break;
+      case 'M':
+        this.reverseIndex();
+        break;
+      case 'c':
+        this.reset();
+        break;
+      default:
+        // ESC = / ESC > 等键盘模式切换不影响屏幕内容
+        break;
+    }
+  }
+
+  endString() {
+    this.state = 'ground';
+    // OSC 0/2 设置窗口标题
+    const match = this.stringType === ']' && this.sequence.match(/^[02];([\s\S]*)$/);
+    if (match) this.title = match[1];
+    this.sequence = '';
+  }
+
+  put(ch) {
+    const width = charWidth(ch.codePointAt(0));
+    if (width === 0) {
+      const col = this.wrapPending ? this.x : this.x - 1;
+      if (col >= 0) this.lines[this.y][col] += ch;
+      return;
+    }
+    if (this.wrapPending && this.autowrap) {
+      this.x = 0;
+      this.lineFeed();
+    }
+    this.wrapPending = false;
+    if (width === 2 && this.x === this.cols - 1) {
+      if (!this.autowrap) return;
+      this.lines[this.y][this.x] = ' ';
+      this.x = 0;
+      this.lineFeed();
+    }
+    const line = this.lines[this.y];
+    if (this.insertMode) {
+      line.splice(this.x, 0, ...new Array(width).fill(' '));
+      line.length = this.cols;
+    }
+    // 覆盖宽字符的一半时清掉另一半
+    if (line[this.x] === '' && this.x > 0) line[this.x - 1] = ' ';
+    if (this.x + width < this.cols && line[this.x + width] === '') line[this.x + width] = ' ';
+    line[this.x] = ch;
+    if (width === 2) line[this.x + 1] = '';
+    this.x += width;
+    if (this.x >= this.cols) {
+      this.x = this.cols - 1;
+      this.wrapPending = true;
+    }
+  }
+
+  lineFeed() {
+    this.wrapPending = false;
+    if (this.y === this.scrollBottom) {
+      this.scrollUp(1);
+    } else if (this.y < this.rows - 1) {
+      this.y++;
+    }
+  }
+
+  reverseIndex() {
+    this.wrapPending = false;
+    if (this.y === this.scrollTop) {
+      this.scrollDown(1);
+    } else if (this.y > 0) {
+      this.y--;
+    }
+  }
+
+  // 滚动区域内上滚 n 行；主屏幕整屏滚动时滚出的行进入回滚缓冲
+  scrollUp(n, top = this.scrollTop) {
+    const count = Math.min(n, this.scrollBottom - top + 1);
+    const removed = this.lines.splice(top, count);
+    this.lines.splice(this.scrollBottom - count + 1, 0, ...removed.map(() => blankLine(this.cols)));
+    if (top === 0 && !this.mainScreen) this.pushScrollback(removed);
+  }
+
+  scrollDown(n, top = this.scrollTop) {
+    const count = Math.min(n, this.scrollBottom - top + 1);
+    this.lines.splice(this.scrollBottom - count + 1, count);
+    this.lines.splice(top, 0, ...Array.from({ length: count }, () => blankLine(this.cols)));
+  }
+
+  pushScrollback(lines) {
+    this.scrollback.push(...lines.map(renderLine));
+    if (this.scrollback.length > this.scrollbackLimit) {
+      this.scrollback.splice(0, this.scrollback.length - this.scrollbackLimit);
+    }
+  }
+
+  restoreCursor() {
+    this.x = Math.min(this.saved.x, this.cols - 1);
+    this.y = Math.min(this.saved.y, this.rows - 1);
+    this.wrapPending = false;
+  }
+
+  moveTo(y, x) {
+    this.y = Math.min(Math.max(y, 0), this.rows - 1);
+    this.x = Math.min(Math.max(x, 0), this.cols - 1);
+    this.wrapPending = false;
+  }
+
+  eraseCells(y, from, to) {
+    const line = this.lines[y];
+    for (let col = Math.max(from, 0); col < Math.min(to, this.cols); col++) line[col] = ' ';
+  }
+
+  setAlternateScreen(enabled) {
+    if (enabled && !this.mainScreen) {
+      this.mainScreen = { lines: this.lines, x: this.x, y: this.y };
+      this.lines = Array.from({ length: this.rows }, () => blankLine(this.cols));
+    } else if (!enabled && this.mainScreen) {
+      ({ lines: this.lines, x: this.x, y: this.y } = this.mainScreen);
+      this.mainScreen = null;
+    }
+    this.wrapPending = false;
+  }
+
+  reply(text) {
+    if (this.onReply) this.onReply(text);
+  }
+
+  csi(sequence) {
+    const final = sequence[sequence.length - 1];
+    const prefix = /^[?>=<]/.test(sequence) ? sequence[0] : '';
+    const params = sequence.slice(prefix.length, -1).replace(/[ -/]+$/, '').split(/[;:]/).map(value => parseInt(value, 10));
+    const arg = (index, fallback = 1) => (Number.isInteger(params[index]) && params[index] > 0 ? params[index] : fallback);
+    const mode = Number.isInteger(params[0]) ? params[0] : 0;
+
+    if (prefix === '?' && (final === 'h' || final === 'l')) {
+      const enabled = final === 'h';
+      params.forEach(value => {
+        if (value === 1049 || value === 1047 || value === 47) {
+          if (value === 1049 && enabled) this.saved = { x: this.x, y: this.y };
+          this.setAlternateScreen(enabled);
+          if (value === 1049 && !enabled) this.restoreCursor();
+        } else if (value === 25) {
+          this.cursorVisible = enabled;
+        } else if (value === 7) {
+          this.autowrap = enabled;
+        }
+      });
+      return;
+    }
+
+    switch (final) {
+      case 'A':
+        this.moveTo(Math.max(this.y - arg(0), this.y >= this.scrollTop ? this.scrollTop : 0), this.x);
+        break;
+      case 'B':
+      case 'e':
+        this.moveTo(Math.min(this.y + arg(0), this.y <= this.scrollBottom ? this.scrollBottom : this.rows - 1), this.x);
+        break;
+      case 'C':
+      case 'a':
+        this.moveTo(this.y, this.x + arg(0));
+        break;
+      case 'D':
+        this.moveTo(this.y, this.x - arg(0));
+        break;
+      case 'E':
+        this.moveTo(this.y + arg(0), 0);
+        break;
+      case 'F':
+        this.moveTo(this.y - arg(0), 0);
+        break;
+      case 'G':
+      case '`':
+        this.moveTo(this.y, arg(0) - 1);
+        break;
+      case 'H':
+      case 'f':
+        this.moveTo(arg(0) - 1, arg(1) - 1);
+        break;
+      case 'd':
+        this.moveTo(arg(0) - 1, this.x);
+        break;
+      case 'J':
+        if (mode === 0) {
+          this.eraseCells(this.y, this.x, this.cols);
+          for (let row = this.y + 1; row < this.rows; row++) this.lines[row] = blankLine(this.cols);
+        } else if (mode === 1) {
+          for (let row = 0; row < this.y; row++) this.lines[row] = blankLine(this.cols);
+          this.eraseCells(this.y, 0, this.x + 1);
+        } else if (mode === 2) {
+          this.lines = this.lines.map(() => blankLine(this.cols));
+        } else if (mode === 3) {
+          this.scrollback = [];
+        }
+        break;
+      case 'K':
+        if (mode === 0) this.eraseCells(this.y, this.x, this.cols);
+        else if (mode === 1) this.eraseCells(this.y, 0, this.x + 1);
+        else if (mode === 2) this.eraseCells(this.y, 0, this.cols);
+        break;
+      case 'L':
+        if (this.y >= this.scrollTop && this.y <= this.scrollBottom) this.scrollDown(arg(0), this.y);
+        this.x = 0;
+        break;
+      case 'M':
+        if (this.y >= this.scrollTop && this.y <= this.scrollBottom) this.scrollUp(arg(0), this.y);
+        this.x = 0;
+        break;
+      case 'P': {
+        const line = this.lines[this.y];
+        line.splice(this.x, Math.min(arg(0), this.cols - this.x));
+        while (line.length < this.cols) line.push(' ');
+        break;
+      }
+      case '@': {
+        const line = this.lines[this.y];
+        line.splice(this.x, 0, ...new Array(Math.min(arg(0), this.cols - this.x)).fill(' '));
+        line.length = this.cols;
+        break;
+      }
+      case 'X':
+        this.eraseCells(this.y, this.x, this.x + arg(0));
+        break;
+      case 'S':
+        this.scrollUp(arg(0));
+        break;
+      case 'T':
+        if (prefix === '') this.scrollDown(arg(0));
+        break;
+      case 'r':
+        if (prefix === '') {
+          const top = arg(0) - 1;
+          const bottom = Math.min(arg(1, this.rows), this.rows) - 1;
+          if (top < bottom) {
+            this.scrollTop = top;
+            this.scrollBottom = bottom;
+          }
+          this.moveTo(0, 0);
+        }
+        break;
+      case 's':
+        this.saved = { x: this.x, y: this.y };
+        break;
+      case 'u':
+        this.restoreCursor();
+        break;
+      case 'h':
+      case 'l':
+        if (prefix === '' && params.includes(4)) this.insertMode = final === 'h';
+        break;
+      case 'n':
+        if (prefix === '' && mode === 6) this.reply(`${ESC}[${this.y + 1};${this.x + 1}R`);
+        else if (prefix === '' && mode === 5) this.reply(`${ESC}[0n`);
+        break;
+      case 'c':
+        if (prefix === '') this.reply(`${ESC}[?1;2c`);
+        else if (prefix === '>') this.reply(`${ESC}[>0;0;0c`);
+        break;
+      default:
+        // SGR（m）等属性设置不影响文本
+        break;
+    }
+  }
+
+  /**
+   * 调整屏幕大小：行数减少时上方的行滚入回滚缓冲，保证光标所在行仍然可见
+   * @param {number} cols
+   * @param {number} rows
+   */
+  resize(cols, rows) {
+    const fit = line => (line.length >= cols ? line.slice(0, cols) : line.concat(blankLine(cols - line.length)));
+    this.lines = this.lines.map(fit);
+    if (this.mainScreen) this.mainScreen.lines = this.mainScreen.lines.map(fit);
+    if (rows < this.rows) {
+      const excess = this.rows - rows;
+      const fromTop = Math.min(excess, Math.max(0, this.y - rows + 1));
+      const removed = this.lines.splice(0, fromTop);
+      if (!this.mainScreen) this.pushScrollback(removed);
+      this.lines.length = rows;
+      this.y -= fromTop;
+    } else {
+      while (this.lines.length < rows) this.lines.push(blankLine(cols));
+    }
+    if (this.mainScreen) {
+      const main = this.mainScreen.lines.slice(0, rows);
+      while (main.length < rows) main.push(blankLine(cols));
+      this.mainScreen.lines = main;
+    }
+    this.cols = cols;
+    this.rows = rows;
+    this.scrollTop = 0;
+    this.scrollBottom = rows - 1;
+    this.moveTo(this.y, this.x);
+  }
+
+  /**
+   * 当前屏幕的文本
+   * @param {Object} options - 选项
+   * @param {boolean} options.scrollback - 是否包含滚出屏幕的行
+   * @returns {{lines: string[], text: string, cursor: {row: number, col: number, visible: boolean}, cols: number, rows: number, alternate_screen: boolean, title: string}}
+   *   lines 为每一行去掉行尾空白的文本（包含回滚行时在前），text 为去掉末尾空行后的整屏文本
+   */
+  snapshot({ scrollback = false } = {}) {
+    const lines = [...(scrollback ? this.scrollback : []), ...this.lines.map(renderLine)];
+    let end = lines.length;
+    while (end > 0 && lines[end - 1] === '') end--;
+    return {
+      lines,
+      text: lines.slice(0, end).join('\n'),
+      cursor: { row: this.y, col: this.x, visible: this.cursorVisible },
+      cols: this.cols,
+      rows: this.rows,
+      alternate_screen: Boolean(this.mainScreen),
+      title: this.title
+    };
+  }
+}
+
+module.exports = { TerminalScreen, stripAnsi, createAnsiStripper };
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * 原子写入与写入前置条件（expected_hash / expected_mtime）测试脚本
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SecurityValidator = require('../tools/securityValidator');
+const FileOperationTool = require('../tools/fileOperation');
+const { writeFileAtomic, hashBuffer } = require('../lib/atomicWrite');
+
+// 测试结果
+const testResults = {
+    total: 0,
+    passed: 0,
+    failed: 0,
+    errors: []
+};
+
+// 测试函数
+async function runTest(description, testFn) {
+    testResults.total++;
+    try {
+        await testFn();
+        testResults.passed++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        testResults.failed++;
+        testResults.errors.push({ description, error: error.message });
+        console.log(`✗ ${description}`);
+        console.error(`  错误: ${error.message}`);
+    }
+}
+
+const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'ax-atomic-')));
+const project = path.join(root, 'project');
+const readonly = path.join(root, 'readonly');
+const outside = path.join(root, 'outside');
+for (const dir of [project, readonly, outside]) fs.mkdirSync(dir);
+
+const validator = new SecurityValidator({
+    roots: [
+        { path: project, access: 'read-write' },
+        { path: readonly, access: 'read' }
+    ]
+});
+const tool = new FileOperationTool(validator);
+const write = args => tool.handle({ operation: 'write', output_format: 'json', ...args }).then(result => result.content[0].json);
+const read = file => tool.handle({ operation: 'read', path: file, output_format: 'json' }).then(result => result.content[0].json);
+const rejectsWith = (promise, code) => assert.rejects(promise, error => error.code === code);
+// 目录中遗留的临时文件
+const tempFiles = dir => fs.readdirSync(dir).filter(name => name.endsWith('.tmp'));
+
+async function main() {
+    console.log('开始测试原子写入与写入前置条件...\n');
+
+    await runTest('原子写入替换内容并保留权限位，不遗留临时文件', async () => {
+        const file = path.join(project, 'mode.sh');
+        fs.writeFileSync(file, 'old');
+        fs.chmodSync(file, 0o750);
+        const result = await write({ path: file, content: 'new' });
+        assert.strictEqual(fs.readFileSync(file, 'utf8'), 'new');
+        assert.strictEqual(fs.statSync(file).mode & 0o777, 0o750);
+        assert.strictEqual(result.hash, hashBuffer(Buffer.from('new')));
+        assert.deepStrictEqual(tempFiles(project), []);
+    });
+
+    await runTest('写入符号链接时写入其目标，链接本身保留', async () => {
+        const target = path.join(project, 'real.txt');
+        const link = path.join(project, 'link.txt');
+        fs.writeFileSync(target, 'before');
+        fs.symlinkSync(target, link);
+        await write({ path: link, content: 'after' });
+        assert.ok(fs.lstatSync(link).isSymbolicLink());
+        assert.strictEqual(fs.readFileSync(target, 'utf8'), 'after');
+
+        // 悬空链接：在链接目标处创建文件
+        const dangling = path.join(project, 'dangling.txt');
+        fs.symlinkSync(path.join(project, 'created.txt'), dangling);
+        await write({ path: dangling, content: 'created' });
+        assert.ok(fs.lstatSync(dangling).isSymbolicLink());
+        assert.strictEqual(fs.readFileSync(path.join(project, 'created.txt'), 'utf8'), 'created');
+    });
+
+    await runTest('符号链接目标不可写时拒绝写入', async () => {
+        fs.writeFileSync(path.join(outside, 'secret.txt'), 'secret');
+        fs.writeFileSync(path.join(readonly, 'notes.txt'), 'notes');
+        fs.symlinkSync(path.join(outside, 'secret.txt'), path.join(project, 'escape.txt'));
+        fs.symlinkSync(path.join(readonly, 'notes.txt'), path.join(project, 'notes.txt'));
+        await rejectsWith(write({ path: path.join(project, 'escape.txt'), content: 'x' }), 'E_PATH_DENIED');
+        await rejectsWith(write({ path: path.join(project, 'notes.txt'), content: 'x' }), 'E_PATH_DENIED');
+        assert.strictEqual(fs.readFileSync(path.join(outside, 'secret.txt'), 'utf8'), 'secret');
+        assert.strictEqual(fs.readFileSync(path.join(readonly, 'notes.txt'), 'utf8'), 'notes');
+
+        // 直接调用时未提供 verify 则不跟随链接
+        await rejectsWith(writeFileAtomic(path.join(project, 'link.txt'), 'x'), 'E_SYMLINK_DENIED');
+        assert.deepStrictEqual(tempFiles(project), []);
+    });
+
+    await runTest('expected_hash 与当前内容一致时写入，不一致时返回 E_CONFLICT', async () => {
+        const file = path.join(project, 'hash.txt');
+        fs.writeFileSync(file, 'v1');
+        const { hash } = await read(file);
+        await write({ path: file, content: 'v2', expected_hash: hash });
+        assert.strictEqual(fs.readFileSync(file, 'utf8'), 'v2');
+
+        // 读取后文件已被修改（旧 hash 不再匹配）
+        await rejectsWith(write({ path: file, content: 'v3', expected_hash: hash }), 'E_CONFLICT');
+        assert.strictEqual(fs.readFileSync(file, 'utf8'), 'v2');
+        // 大写 hash 同样有效
+        await write({ path: file, content: 'v3', expected_hash: hashBuffer(Buffer.from('v2')).toUpperCase() });
+        assert.strictEqual(fs.readFileSync(file, 'utf8'), 'v3');
+    });
+
+    await runTest('expected_mtime 不一致、文件已删除或时间无效时拒绝写入', async () => {
+        const file = path.join(project, 'mtime.txt');
+        fs.writeFileSync(file, 'v1');
+        const { mtime } = await read(file);
+        fs.utimesSync(file, new Date(), new Date(Date.parse(mtime) + 5000));
+        await rejectsWith(write({ path: file, content: 'v2', expected_mtime: mtime }), 'E_CONFLICT');
+        assert.strictEqual(fs.readFileSync(file, 'utf8'), 'v1');
+
+        const current = (await read(file)).mtime;
+        await write({ path: file, content: 'v2', expected_mtime: Date.parse(current) });
+        assert.strictEqual(fs.readFileSync(file, 'utf8'), 'v2');
+
+        await rejectsWith(write({ path: file, content: 'v3', expected_mtime: 'yesterday' }), 'E_INVALID_ARGS');
+        fs.rmSync(file);
+        await rejectsWith(write({ path: file, content: 'v3', expected_mtime: current }), 'E_CONFLICT');
+        assert.strictEqual(fs.existsSync(file), false);
+    });
+
+    fs.rmSync(root, { recursive: true, force: true });
+
+    console.log('\n测试完成！');
+    console.log(`\n测试结果：`);
+    console.log(`总测试用例数：${testResults.total}`);
+    console.log(`通过：${testResults.passed}`);
+    console.log(`失败：${testResults.failed}`);
+
+    if (testResults.failed > 0) {
+        console.log('\n失败详情：');
+        testResults.errors.forEach((err, index) => {
+            console.log(`${index + 1}. ${err.description}`);
+            console.log(`   错误: ${err.error}`);
+        });
+        process.exit(1);
+    } else {
+        console.log('\n所有测试用例都通过了！');
+        process.exit(0);
+    }
+}
+
+main();
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+/**
+ * 命令输出流式进度通知与取消测试脚本
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CommandExecutionTool = require('../tools/commandExecution');
+
+// 测试结果
+const testResults = {
+    total: 0,
+    passed: 0,
+    failed: 0,
+    errors: []
+};
+
+// 测试函数
+async function runTest(description, testFn) {
+    testResults.total++;
+    try {
+        await testFn();
+        testResults.passed++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        testResults.failed++;
+        testResults.errors.push({ description, error: error.message });
+        console.log(`✗ ${description}`);
+        console.error(`  错误: ${error.message}`);
+    }
+}
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'ax-stream-'));
+const tool = new CommandExecutionTool({ isPathAllowed: () => true });
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// 进程是否仍在运行（已结束但未被回收的僵尸进程视为已结束）
+function isAlive(pid) {
+    try {
+        process.kill(pid, 0);
+    } catch (error) {
+        return false;
+    }
+    try {
+        return !/\)\s+Z\s/.test(fs.readFileSync(`/proc/${pid}/stat`, 'utf8'));
+    } catch (error) {
+        return true;
+    }
+}
+
+async function waitForFile(file) {
+    for (let i = 0; i < 100 && !(fs.existsSync(file) && fs.readFileSync(file, 'utf8').trim()); i++) {
+        await sleep(20);
+    }
+    return Number(fs.readFileSync(file, 'utf8'));
+}
+
+async function main() {
+    console.log('开始测试命令输出流式通知与取消...\n');
+
+    await runTest('提供 progress 时分批发送完整输出，不受 stdout_max 限制', async () => {
+        const notifications = [];
+        const progress = (value, message) => notifications.push({ value, message });
+        const result = (await tool.handle({
+            command: 'i=0; while [ $i -lt 50 ]; do echo line$i; i=$((i+1)); done; echo oops >&2',
+            working_directory: root,
+            stdout_max: 20,
+            output_format: 'json'
+        }, { progress })).content[0].json;
+
+        assert.strictEqual(result.exit_code, 0);
+        assert.strictEqual(result.stdout, 'line0\nline1\nline2\nli');
+        assert.ok(notifications.length > 0);
+        const stdout = notifications.filter(item => !item.message.startsWith('[stderr] ')).map(item => item.message).join('');
+        assert.ok(stdout.startsWith('line0\n') && stdout.endsWith('line49\n'));
+        assert.ok(notifications.some(item => item.message === '[stderr] oops\n'));
+        notifications.reduce((previous, item) => {
+            assert.ok(item.value > previous);
+            return item.value;
+        }, 0);
+    });
+
+    await runTest('执行过程中即发送进度通知', async () => {
+        const times = [];
+        const started = Date.now();
+        await tool.handle({ command: 'echo first; sleep 1; echo second', working_directory: root }, {
+            progress: (value, message) => times.push({ message, at: Date.now() - started })
+        });
+        const first = times.find(item => item.message.includes('first'));
+        assert.ok(first && first.at < 900, `首条通知延迟 ${first && first.at}ms`);
+        assert.ok(times.some(item => item.message.includes('second')));
+    });
+
+    await runTest('取消请求时结束整个进程树', async () => {
+        const pidFile = path.join(root, 'cancel.pid');
+        const controller = new AbortController();
+        const pending = tool.handle({ command: `sleep 30 & echo $! > "${pidFile}"; wait`, working_directory: root, output_format: 'json' }, { signal: controller.signal });
+        const grandchild = await waitForFile(pidFile);
+        assert.ok(isAlive(grandchild));
+
+        const started = Date.now();
+        controller.abort();
+        const result = (await pending).content[0].json;
+        assert.strictEqual(result.status, 'cancelled');
+        assert.ok(Date.now() - started < 3000);
+        for (let i = 0; i < 50 && isAlive(grandchild); i++) await sleep(20);
+        assert.strictEqual(isAlive(grandchild), false);
+
+        const text = (await tool.handle({ command: 'sleep 30', working_directory: root }, { signal: AbortSignal.abort() })).content[0].text;
+        assert.ok(text.startsWith('命令已取消'));
+    });
+
+    await runTest('超时同样结束整个进程树', async () => {
+        const pidFile = path.join(root, 'timeout.pid');
+        const result = (await tool.handle({ command: `sleep 30 & echo $! > "${pidFile}"; wait`, working_directory: root, timeout_ms: 300, output_format: 'json' })).content[0].json;
+        assert.notStrictEqual(result.exit_code, 0);
+        const grandchild = Number(fs.readFileSync(pidFile, 'utf8'));
+        for (let i = 0; i < 50 && isAlive(grandchild); i++) await sleep(20);
+        assert.strictEqual(isAlive(grandchild), false);
+    });
+
+    fs.rmSync(root, { recursive: true, force: true });
+
+    console.log('\n测试完成！');
+    console.log(`\n测试结果：`);
+    console.log(`总测试用例数：${testResults.total}`);
+    console.log(`通过：${testResults.passed}`);
+    console.log(`失败：${testResults.failed}`);
+
+    if (testResults.failed > 0) {
+        console.log('\n失败详情：');
+        testResults.errors.forEach((err, index) => {
+            console.log(`${index + 1}. ${err.description}`);
+            console.log(`   错误: ${err.error}`);
+        });
+        process.exit(1);
+    } else {
+        console.log('\n所有测试用例都通过了！');
+        process.exit(0);
+    }
+}
+
+main();
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+/**
+ * 配置加载与 profile 测试脚本
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, getConfig, DEFAULT_CONFIG } = require('../lib/config');
+const { evaluate } = require('../lib/commandPolicy');
+const registry = require('../tools/registry');
+
+// 测试结果
+const testResults = {
+    total: 0,
+    passed: 0,
+    failed: 0,
+    errors: []
+};
+
+// 测试函数
+async function runTest(description, testFn) {
+    testResults.total++;
+    try {
+        await testFn();
+        testResults.passed++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        testResults.failed++;
+        testResults.errors.push({ description, error: error.message });
+        console.log(`✗ ${description}`);
+        console.error(`  错误: ${error.message}`);
+    }
+}
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'ax-config-'));
+const projectDir = path.join(root, 'project');
+fs.mkdirSync(projectDir);
+const configFile = path.join(root, 'config.json');
+const writeJson = (file, value) => fs.writeFileSync(file, JSON.stringify(value));
+
+async function main() {
+    console.log('开始测试配置加载...\n');
+
+    await runTest('无配置文件时使用内置默认值', () => {
+        const config = loadConfig({ configFile: path.join(root, 'missing.json'), projectDir });
+        assert.deepStrictEqual(config.limits, DEFAULT_CONFIG.limits);
+        assert.strictEqual(config.profile, null);
+        assert.deepStrictEqual(config.sources, []);
+    });
+
+    await runTest('逐层合并：用户配置、项目配置与 profile', () => {
+        writeJson(configFile, {
+            profile: 'dev',
+            limits: { stdout_max: 5000 },
+            command: { deny: ['\\bterraform\\s+destroy\\b'] },
+            plugins: { directories: ['./plugins'] },
+            profiles: { dev: { limits: { stdout_max: 30000 } } }
+        });
+        writeJson(path.join(projectDir, '.axlocalop.json'), { command: { deny: ['\\bgit\\s+push\\b'] }, tools: { disabled: ['file_watch'] } });
+
+        const config = loadConfig({ configFile, projectDir });
+        assert.strictEqual(config.profile, 'dev');
+        assert.strictEqual(config.limits.stdout_max, 30000);
+        assert.strictEqual(config.limits.max_file_size, 50 * 1024 * 1024);
+        assert.deepStrictEqual(config.command.deny, ['\\bterraform\\s+destroy\\b', '\\bgit\\s+push\\b']);
+        assert.deepStrictEqual(config.plugins.directories, [path.join(root, 'plugins')]);
+        // 插件目录不允许工具读写
+        assert.ok(config.security.deny.includes(`${path.join(root, 'plugins')}/**`));
+        registry.securityValidator.configure({ roots: [{ path: root }], deny: config.security.deny });
+        assert.strictEqual(registry.securityValidator.isPathAllowed(path.join(root, 'plugins', 'evil.js'), null, { access: 'write' }), false);
+        assert.strictEqual(registry.securityValidator.isPathAllowed(path.join(root, 'plugins')), false);
+        assert.strictEqual(registry.securityValidator.isPathAllowed(path.join(root, 'plugins-notes.txt')), true);
+        registry.securityValidator.configure();
+
+        const ci = loadConfig({ profile: 'ci', configFile, projectDir });
+        assert.strictEqual(ci.limits.stdout_max, 20000);
+        assert.deepStrictEqual(ci.tools.disabled, ['file_watch', 'workspace_manager', 'sudo_config']);
+    });
+
+    await runTest('配置中的命令规则参与策略评估', async () => {
+        loadConfig({ configFile, projectDir });
+        assert.strictEqual(getConfig().profile, 'dev');
+        assert.strictEqual((await evaluate('terraform destroy -auto-approve')).level, 'deny');
+        assert.strictEqual((await evaluate('echo hello')).level, 'allow');
+    });
+
+    await runTest('无效配置与未知 profile 报错', () => {
+        assert.throws(() => loadConfig({ profile: 'nope', configFile, projectDir }), /未知的配置 profile: nope/);
+
+        const badFile = path.join(root, 'bad.json');
+        writeJson(badFile, { limits: { max_file_size: 0, foo: 1 }, command: { deny: ['('] } });
+        assert.throws(() => loadConfig({ configFile: badFile, projectDir: root }), error => {
+            assert.strictEqual(error.code, 'E_INVALID_ARGS');
+            assert.ok(error.message.includes('limits.max_file_size 不能小于 1'));
+            assert.ok(error.message.includes('不支持的字段 limits.foo'));
+            assert.ok(error.message.includes('command.deny[0] 不是有效的正则表达式'));
+            return true;
+        });
+
+        writeJson(path.join(projectDir, '.axlocalop.json'), { plugins: { directories: ['./evil'] } });
+        assert.throws(() => loadConfig({ configFile, projectDir }), /不支持的字段 plugins/);
+    });
+
+    await runTest('只读模式隐藏并拒绝破坏性工具', () => {
+        writeJson(configFile, { profile: 'readonly' });
+        writeJson(path.join(projectDir, '.axlocalop.json'), { read_only: false });
+        assert.strictEqual(loadConfig({ configFile, projectDir }).read_only, true);
+
+        registry.setReadOnly(true);
+        try {
+            const tools = Object.fromEntries(registry.listDescriptors().map(descriptor => [descriptor.name, descriptor]));
+            assert.ok(!tools.execute_command && !tools.file_edit);
+            assert.deepStrictEqual(tools.file_operation.inputSchema.properties.operation.enum, ['read', 'list']);
+            assert.strictEqual(tools.file_operation.annotations.readOnlyHint, true);
+            assert.doesNotThrow(() => registry.assertReadOnlyAllowed('file_operation', { operation: 'read' }));
+            assert.throws(() => registry.assertReadOnlyAllowed('file_operation', { operation: 'delete' }), error => error.code === 'E_READ_ONLY');
+            assert.throws(() => registry.assertReadOnlyAllowed('execute_command', { command: 'ls' }), error => error.code === 'E_READ_ONLY');
+            // 非破坏性但会写入配置的操作同样受限
+            assert.deepStrictEqual(tools.workspace_manager.inputSchema.properties.operation.enum, ['get_current', 'status']);
+            assert.doesNotThrow(() => registry.assertReadOnlyAllowed('workspace_manager', { operation: 'status' }));
+            assert.throws(() => registry.assertReadOnlyAllowed('workspace_manager', { operation: 'set_default' }), error => error.code === 'E_READ_ONLY');
+            assert.ok(tools.file_search && tools.policy_check);
+        } finally {
+            registry.setReadOnly(false);
+        }
+    });
+
+    // 恢复默认配置，避免影响同进程的其他测试
+    loadConfig({ configFile: path.join(root, 'missing.json'), projectDir: root });
+    fs.rmSync(root, { recursive: true, force: true });
+
+    console.log('\n测试完成！');
+    console.log(`\n测试结果：`);
+    console.log(`总测试用例数：${testResults.total}`);
+    console.log(`通过：${testResults.passed}`);
+    console.log(`失败：${testResults.failed}`);
+
+    if (testResults.failed > 0) {
+        console.log('\n失败详情：');
+        testResults.errors.forEach((err, index) => {
+            console.log(`${index + 1}. ${err.description}`);
+            console.log(`   错误: ${err.error}`);
+        });
+        process.exit(1);
+    } else {
+        console.log('\n所有测试用例都通过了！');
+        process.exit(0);
+    }
+}
+
+main();
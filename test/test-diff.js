@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+/**
+ * 差异引擎测试脚本
+ */
+
+const assert = require('assert');
+const { diffLines, diffText } = require('../lib/diff');
+const { parsePatch, applyHunks } = require('../lib/patch');
+
+// 测试结果
+const testResults = {
+    total: 0,
+    passed: 0,
+    failed: 0,
+    errors: []
+};
+
+// 测试函数
+function runTest(description, testFn) {
+    testResults.total++;
+    try {
+        testFn();
+        testResults.passed++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        testResults.failed++;
+        testResults.errors.push({ description, error: error.message });
+        console.log(`✗ ${description}`);
+        console.error(`  错误: ${error.message}`);
+    }
+}
+
+// 参考实现：动态规划求 LCS 长度
+function lcsLength(a, b) {
+    const dp = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            dp[i][j] = a[i - 1] === b[j - 1] ? dp[i - 1][j - 1] + 1 : Math.max(dp[i - 1][j], dp[i][j - 1]);
+        }
+    }
+    return dp[a.length][b.length];
+}
+
+console.log('开始测试差异引擎...\n');
+
+runTest('顶部插入一行只产生一个新增', () => {
+    const { ops } = diffText('a\nb\nc\n', 'x\na\nb\nc\n');
+    assert.deepStrictEqual(ops.map(o => o.type), ['insert', 'equal', 'equal', 'equal']);
+});
+
+runTest('编辑脚本最短（与 LCS 对照）', () => {
+    for (let t = 0; t < 500; t++) {
+        const gen = () => Array.from({ length: Math.floor(Math.random() * 10) }, () => 'abc'[Math.floor(Math.random() * 3)]);
+        const a = gen();
+        const b = gen();
+        const ops = diffLines(a, b);
+        assert.strictEqual(ops.filter(o => o.type === 'equal').length, lcsLength(a, b));
+        assert.deepStrictEqual(ops.filter(o => o.type !== 'insert').map(o => a[o.a]), a);
+        assert.deepStrictEqual(ops.filter(o => o.type !== 'delete').map(o => b[o.b]), b);
+    }
+});
+
+runTest('unified diff 格式', () => {
+    const { unified } = diffText('a\nb\nc\n', 'a\nB\nc\n', { fromFile: 'x', toFile: 'y' });
+    assert.strictEqual(unified, '--- x\n+++ y\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n');
+});
+
+runTest('末尾换行差异', () => {
+    const { unified } = diffText('a\n', 'a');
+    assert.ok(unified.includes('\\ No newline at end of file'));
+    assert.strictEqual(diffText('a\n', 'a', { ignoreLineEnding: true }).unified, '');
+});
+
+runTest('忽略空白与大小写', () => {
+    assert.strictEqual(diffText('A  b\n', 'a b \n', { ignoreWhitespace: true, ignoreCase: true }).unified, '');
+});
+
+runTest('生成的 diff 可被 apply_patch 还原', () => {
+    const before = 'one\ntwo\nthree\nfour\nfive\nsix\nseven\n';
+    const after = 'zero\none\nthree\nfour\nFIVE\nsix\nseven\neight\n';
+    const { unified, oldLines } = diffText(before, after, { context: 1 });
+    const { lines, report } = applyHunks(oldLines, parsePatch(unified));
+    assert.ok(report.every(h => h.status === 'applied'));
+    assert.strictEqual(lines.join('\n') + '\n', after);
+});
+
+console.log('\n测试完成！');
+console.log(`\n测试结果：`);
+console.log(`总测试用例数：${testResults.total}`);
+console.log(`通过：${testResults.passed}`);
+console.log(`失败：${testResults.failed}`);
+
+if (testResults.failed > 0) {
+    console.log('\n失败详情：');
+    testResults.errors.forEach((err, index) => {
+        console.log(`${index + 1}. ${err.description}`);
+        console.log(`   错误: ${err.error}`);
+    });
+    process.exit(1);
+} else {
+    console.log('\n所有测试用例都通过了！');
+    process.exit(0);
+}
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+/**
+ * 演练模式（dry_run）测试脚本：各变更类工具只返回预览，不修改磁盘
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const SecurityValidator = require('../tools/securityValidator');
+const FileOperationTool = require('../tools/fileOperation');
+const FileEditTool = require('../tools/fileEdit');
+const FilePermissionsTool = require('../tools/filePermissions');
+const FileArchiveTool = require('../tools/fileArchive');
+const CommandExecutionTool = require('../tools/commandExecution');
+const platformUtils = require('../lib/platformUtils');
+
+// 测试结果
+const testResults = {
+    total: 0,
+    passed: 0,
+    failed: 0,
+    errors: []
+};
+
+// 测试函数
+async function runTest(description, testFn) {
+    testResults.total++;
+    try {
+        await testFn();
+        testResults.passed++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        testResults.failed++;
+        testResults.errors.push({ description, error: error.message });
+        console.log(`✗ ${description}`);
+        console.error(`  错误: ${error.message}`);
+    }
+}
+
+const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'ax-dryrun-')));
+const project = path.join(root, 'project');
+fs.mkdirSync(path.join(project, 'dir', 'sub'), { recursive: true });
+fs.writeFileSync(path.join(project, 'dir', 'a.txt'), 'alpha\n');
+fs.writeFileSync(path.join(project, 'dir', 'sub', 'b.txt'), 'beta\n');
+
+const validator = new SecurityValidator({ roots: [{ path: project, access: 'read-write' }] });
+const file = name => path.join(project, name);
+const run = (tool, args) => tool.handle({ output_format: 'json', ...args }).then(result => result.content[0].json);
+
+// 记录文件的字节、mtime 与权限位，用于确认演练前后未变
+function fingerprint(name) {
+    const stats = fs.statSync(file(name));
+    return { bytes: fs.readFileSync(file(name)).toString('hex'), mtime: stats.mtimeMs, mode: stats.mode };
+}
+
+function writeFixture(name, content) {
+    fs.writeFileSync(file(name), content);
+    // 把 mtime 调到过去，写入时必然改变
+    const past = new Date(Date.now() - 60 * 1000);
+    fs.utimesSync(file(name), past, past);
+    return fingerprint(name);
+}
+
+async function main() {
+    console.log('开始测试演练模式...\n');
+
+    await runTest('file_operation write/delete 演练返回 diff 与路径列表', async () => {
+        const tool = new FileOperationTool(validator);
+        const before = writeFixture('write.txt', 'one\ntwo\n');
+        const preview = await run(tool, { operation: 'write', path: file('write.txt'), content: 'one\nTWO\n', dry_run: true });
+        assert.strictEqual(preview.dry_run, true);
+        assert.strictEqual(preview.changed, true);
+        assert.ok(preview.diff.includes('-two\n+TWO'));
+        assert.deepStrictEqual(fingerprint('write.txt'), before);
+
+        await run(tool, { operation: 'write', path: file('new.txt'), content: 'x', dry_run: true });
+        assert.strictEqual(fs.existsSync(file('new.txt')), false);
+
+        const removal = await run(tool, { operation: 'delete', path: file('dir'), dry_run: true });
+        assert.strictEqual(removal.deleted, false);
+        assert.deepStrictEqual(removal.affected.map(entry => path.relative(project, entry.path)).sort(), ['dir', 'dir/a.txt', 'dir/sub', 'dir/sub/b.txt']);
+        assert.ok(fs.existsSync(file('dir/sub/b.txt')));
+    });
+
+    await runTest('file_edit 演练返回 diff 且不修改文件', async () => {
+        const tool = new FileEditTool(validator);
+        const before = writeFixture('edit.txt', 'const a = 1;\nconst b = 2;\n');
+        const preview = await run(tool, { operation: 'str_replace', path: file('edit.txt'), old_string: 'b = 2', new_string: 'b = 3', dry_run: true });
+        assert.strictEqual(preview.dry_run, true);
+        assert.ok(preview.diff.includes('-const b = 2;\n+const b = 3;'));
+        assert.strictEqual(preview.lines_added, 1);
+        assert.strictEqual(preview.lines_removed, 1);
+        assert.deepStrictEqual(fingerprint('edit.txt'), before);
+    });
+
+    await runTest('file_permissions 演练列出当前与计划权限且不修改', async () => {
+        if (platformUtils.isWindows) return;
+        const tool = new FilePermissionsTool(validator);
+        writeFixture('perm.txt', 'p');
+        fs.chmodSync(file('perm.txt'), 0o644);
+        const before = fingerprint('perm.txt');
+        const preview = await run(tool, { path: file('perm.txt'), mode: '600', dry_run: true });
+        assert.strictEqual(preview.dry_run, true);
+        assert.deepStrictEqual(preview.affected.map(entry => [entry.current, entry.planned, entry.changed]), [['644', '600', true]]);
+        assert.deepStrictEqual(fingerprint('perm.txt'), before);
+
+        const recursive = await run(tool, { path: file('dir'), mode: '700', recursive: true, dry_run: true });
+        assert.strictEqual(recursive.affected.length, 4);
+    });
+
+    await runTest('file_archive 压缩与解压演练不写出文件', async () => {
+        const tool = new FileArchiveTool(validator);
+        const compress = await run(tool, { operation: 'compress', source: file('dir'), destination: file('dir.tar'), format: 'tar', dry_run: true });
+        assert.strictEqual(compress.dry_run, true);
+        assert.strictEqual(compress.archive_exists, false);
+        assert.strictEqual(compress.affected.length, 4);
+        assert.strictEqual(fs.existsSync(file('dir.tar')), false);
+
+        execFileSync('tar', ['-cf', file('real.tar'), '-C', project, 'dir']);
+        fs.mkdirSync(file('out/dir'), { recursive: true });
+        const before = writeFixture('out/dir/a.txt', 'old\n');
+        const extract = await run(tool, { operation: 'extract', source: file('real.tar'), destination: file('out'), dry_run: true });
+        assert.strictEqual(extract.overwrites, 1);
+        assert.ok(extract.affected.some(entry => entry.path === file('out/dir/sub/b.txt') && !entry.exists));
+        assert.deepStrictEqual(fingerprint('out/dir/a.txt'), before);
+        assert.strictEqual(fs.existsSync(file('out/dir/sub')), false);
+    });
+
+    await runTest('execute_command 演练只评估策略不启动进程', async () => {
+        const tool = new CommandExecutionTool(validator);
+        const marker = file('marker');
+        const allowed = await run(tool, { command: `touch "${marker}"`, working_directory: project, dry_run: true });
+        assert.strictEqual(allowed.status, 'dry_run');
+        assert.strictEqual(allowed.would_execute, true);
+        const denied = await run(tool, { command: 'reboot', working_directory: project, dry_run: true });
+        assert.strictEqual(denied.would_execute, false);
+        assert.strictEqual(denied.policy.level, 'deny');
+        assert.strictEqual(fs.existsSync(marker), false);
+    });
+
+    fs.rmSync(root, { recursive: true, force: true });
+
+    console.log('\n测试完成！');
+    console.log(`\n测试结果：`);
+    console.log(`总测试用例数：${testResults.total}`);
+    console.log(`通过：${testResults.passed}`);
+    console.log(`失败：${testResults.failed}`);
+
+    if (testResults.failed > 0) {
+        console.log('\n失败详情：');
+        testResults.errors.forEach((err, index) => {
+            console.log(`${index + 1}. ${err.description}`);
+            console.log(`   错误: ${err.error}`);
+        });
+        process.exit(1);
+    } else {
+        console.log('\n所有测试用例都通过了！');
+        process.exit(0);
+    }
+}
+
+main();
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * 编码检测与转换测试脚本
+ */
+
+const assert = require('assert');
+const { detectEncoding, decodeBuffer, encodeText, detectLineEnding } = require('../lib/encoding');
+
+// 测试结果
+const testResults = {
+    total: 0,
+    passed: 0,
+    failed: 0,
+    errors: []
+};
+
+// 测试函数
+function runTest(description, testFn) {
+    testResults.total++;
+    try {
+        testFn();
+        testResults.passed++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        testResults.failed++;
+        testResults.errors.push({ description, error: error.message });
+        console.log(`✗ ${description}`);
+        console.error(`  错误: ${error.message}`);
+    }
+}
+
+const zh = '中文编码测试，你好世界！\nsecond line\n';
+const ja = '日本語のテキストです。ひらがなとカタカナ。\n';
+
+console.log('开始测试编码功能...\n');
+
+runTest('识别 BOM 并在解码时去除', () => {
+    const utf8 = encodeText('héllo', 'utf8', { bom: true });
+    assert.deepStrictEqual(detectEncoding(utf8), { encoding: 'utf8', bom: true, binary: false });
+    assert.strictEqual(decodeBuffer(utf8).text, 'héllo');
+    const utf16 = encodeText(zh, 'utf16be', { bom: true });
+    assert.strictEqual(detectEncoding(utf16).encoding, 'utf16be');
+    assert.strictEqual(decodeBuffer(utf16).text, zh);
+});
+
+runTest('无 BOM 的 UTF-16 与二进制内容', () => {
+    assert.strictEqual(detectEncoding(encodeText('plain ascii text\r\n', 'utf16le')).encoding, 'utf16le');
+    assert.strictEqual(detectEncoding(encodeText('plain ascii text\r\n', 'utf16be')).encoding, 'utf16be');
+    const binary = detectEncoding(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x00, 0x00, 0x01, 0x02, 0x03]));
+    assert.strictEqual(binary.binary, true);
+    assert.strictEqual(binary.encoding, 'base64');
+});
+
+runTest('区分 UTF-8、GBK、Shift-JIS 与 Latin-1', () => {
+    assert.strictEqual(detectEncoding(Buffer.from(zh, 'utf8')).encoding, 'utf8');
+    assert.strictEqual(detectEncoding(encodeText(zh, 'gbk')).encoding, 'gb18030');
+    assert.strictEqual(detectEncoding(encodeText(ja, 'shift_jis')).encoding, 'shift_jis');
+    assert.strictEqual(detectEncoding(Buffer.from('café naïve\n', 'latin1')).encoding, 'latin1');
+});
+
+runTest('多字节编码往返一致', () => {
+    for (const encoding of ['gbk', 'gb18030', 'utf16le', 'utf16be']) {
+        assert.strictEqual(decodeBuffer(encodeText(zh, encoding), encoding).text, zh, encoding);
+    }
+    assert.strictEqual(decodeBuffer(encodeText(ja, 'shift_jis'), 'shift_jis').text, ja);
+    assert.strictEqual(decodeBuffer(encodeText('😀𠀀', 'gb18030'), 'gb18030').text, '😀𠀀');
+    assert.deepStrictEqual([...encodeText('中', 'gbk')], [0xD6, 0xD0]);
+});
+
+runTest('无法编码的字符与无效编码名称', () => {
+    assert.throws(() => encodeText('😀', 'gbk'), /U\+1F600/);
+    assert.throws(() => encodeText('中', 'latin1'), /latin1/);
+    assert.throws(() => decodeBuffer(Buffer.from('a'), 'ebcdic'), /不支持的编码/);
+});
+
+runTest('base64 与换行风格', () => {
+    const bytes = Buffer.from([0, 1, 2, 250, 255]);
+    assert.ok(encodeText(decodeBuffer(bytes, 'base64').text, 'base64').equals(bytes));
+    assert.strictEqual(detectLineEnding('a\r\nb\r\nc\n'), 'crlf');
+    assert.strictEqual(detectLineEnding('a\nb'), 'lf');
+    assert.strictEqual(detectLineEnding('abc'), 'none');
+});
+
+console.log('\n测试完成！');
+console.log(`\n测试结果：`);
+console.log(`总测试用例数：${testResults.total}`);
+console.log(`通过：${testResults.passed}`);
+console.log(`失败：${testResults.failed}`);
+
+if (testResults.failed > 0) {
+    console.log('\n失败详情：');
+    testResults.errors.forEach((err, index) => {
+        console.log(`${index + 1}. ${err.description}`);
+        console.log(`   错误: ${err.error}`);
+    });
+    process.exit(1);
+} else {
+    console.log('\n所有测试用例都通过了！');
+    process.exit(0);
+}
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * 文件与目录比较测试脚本
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SecurityValidator = require('../tools/securityValidator');
+const FileCompareTool = require('../tools/fileCompare');
+
+// 测试结果
+const testResults = {
+    total: 0,
+    passed: 0,
+    failed: 0,
+    errors: []
+};
+
+// 测试函数
+async function runTest(description, testFn) {
+    testResults.total++;
+    try {
+        await testFn();
+        testResults.passed++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        testResults.failed++;
+        testResults.errors.push({ description, error: error.message });
+        console.log(`✗ ${description}`);
+        console.error(`  错误: ${error.message}`);
+    }
+}
+
+const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'ax-compare-')));
+const project = path.join(root, 'project');
+const outside = path.join(root, 'outside');
+const left = path.join(project, 'left');
+const right = path.join(project, 'right');
+for (const dir of [path.join(left, 'src'), path.join(right, 'src'), outside]) fs.mkdirSync(dir, { recursive: true });
+
+// 目录树：仅左侧、仅右侧、相同、内容变更（同大小）、大小变更
+const files = {
+    'left/only-left.txt': 'l\n',
+    'right/only-right.txt': 'r\n',
+    'left/same.txt': 'same\n',
+    'right/same.txt': 'same\n',
+    'left/src/app.js': 'const a = 1;\nconsole.log(a);\n',
+    'right/src/app.js': 'const a = 2;\nconsole.log(a);\n',
+    'left/grow.txt': 'short\n',
+    'right/grow.txt': 'much longer\n'
+};
+for (const [name, content] of Object.entries(files)) fs.writeFileSync(path.join(project, name), content);
+fs.writeFileSync(path.join(outside, 'secret.txt'), 'secret\n');
+fs.symlinkSync(path.join(outside, 'secret.txt'), path.join(project, 'secret-link'));
+
+const tool = new FileCompareTool(new SecurityValidator({ roots: [{ path: project }] }));
+const compare = args => tool.handle({ output_format: 'json', ...args }).then(result => result.content[0].json);
+
+async function main() {
+    console.log('开始测试文件比较...\n');
+
+    await runTest('比较两个文件并输出 unified diff', async () => {
+        const result = await compare({ file1: path.join(left, 'src/app.js'), file2: path.join(right, 'src/app.js') });
+        assert.strictEqual(result.identical, false);
+        assert.deepStrictEqual(result.diff_stats, { added: 0, removed: 0, modified: 1 });
+        assert.ok(result.unified_diff.includes('-const a = 1;\n+const a = 2;'));
+        assert.strictEqual((await compare({ file1: path.join(left, 'same.txt'), file2: path.join(right, 'same.txt') })).identical, true);
+    });
+
+    await runTest('指向允许范围之外的符号链接被拒绝', async () => {
+        const denied = error => error.code === 'E_PATH_DENIED';
+        await assert.rejects(compare({ file1: path.join(project, 'secret-link'), file2: path.join(left, 'same.txt') }), denied);
+        await assert.rejects(compare({ file1: path.join(left, 'same.txt'), file2: path.join(outside, 'secret.txt') }), denied);
+    });
+
+    await runTest('目录比较报告新增、删除与变更的条目', async () => {
+        const result = await compare({ source_path: left, target_path: right });
+        assert.strictEqual(result.mode, 'directory');
+        assert.strictEqual(result.identical, false);
+        assert.deepStrictEqual(result.only_in_left, ['only-left.txt']);
+        assert.deepStrictEqual(result.only_in_right, ['only-right.txt']);
+        assert.deepStrictEqual(result.identical_files, ['same.txt']);
+        assert.deepStrictEqual(result.changed.map(entry => [entry.path, entry.reason]), [['grow.txt', 'size'], ['src/app.js', 'hash']]);
+        assert.ok(result.changed.every(entry => entry.unified_diff === undefined));
+        assert.deepStrictEqual(result.summary, { only_in_left: 1, only_in_right: 1, identical: 1, changed: 2 });
+
+        // 按大小比较时忽略同大小的内容变更
+        const bySize = await compare({ source_path: left, target_path: right, compare_by: 'size' });
+        assert.deepStrictEqual(bySize.changed.map(entry => entry.path), ['grow.txt']);
+        assert.deepStrictEqual(bySize.identical_files, ['same.txt', 'src/app.js']);
+    });
+
+    await runTest('include_diffs 为变更文件附带 unified diff', async () => {
+        const result = await compare({ source_path: left, target_path: right, include_diffs: true });
+        const app = result.changed.find(entry => entry.path === 'src/app.js');
+        assert.ok(app.unified_diff.includes('--- a/src/app.js'));
+        assert.ok(app.unified_diff.includes('-const a = 1;\n+const a = 2;'));
+
+        const text = (await tool.handle({ source_path: left, target_path: right, include_diffs: true })).content[0].text;
+        assert.ok(text.includes('- only-left.txt'));
+        assert.ok(text.includes('+ only-right.txt'));
+        assert.ok(text.includes('M src/app.js (hash)'));
+        assert.ok(text.includes('+much longer'));
+    });
+
+    await runTest('文件与目录不能互相比较', async () => {
+        await assert.rejects(compare({ file1: left, file2: path.join(right, 'same.txt') }), /同为文件或同为目录/);
+    });
+
+    fs.rmSync(root, { recursive: true, force: true });
+
+    console.log('\n测试完成！');
+    console.log(`\n测试结果：`);
+    console.log(`总测试用例数：${testResults.total}`);
+    console.log(`通过：${testResults.passed}`);
+    console.log(`失败：${testResults.failed}`);
+
+    if (testResults.failed > 0) {
+        console.log('\n失败详情：');
+        testResults.errors.forEach((err, index) => {
+            console.log(`${index + 1}. ${err.description}`);
+            console.log(`   错误: ${err.error}`);
+        });
+        process.exit(1);
+    } else {
+        console.log('\n所有测试用例都通过了！');
+        process.exit(0);
+    }
+}
+
+main();
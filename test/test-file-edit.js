@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * 文件编辑测试脚本：CRLF 保留、末尾换行保留、normalize_eol 与错误码透传
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SecurityValidator = require('../tools/securityValidator');
+const FileEditTool = require('../tools/fileEdit');
+
+// 测试结果
+const testResults = {
+    total: 0,
+    passed: 0,
+    failed: 0,
+    errors: []
+};
+
+// 测试函数
+async function runTest(description, testFn) {
+    testResults.total++;
+    try {
+        await testFn();
+        testResults.passed++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        testResults.failed++;
+        testResults.errors.push({ description, error: error.message });
+        console.log(`✗ ${description}`);
+        console.error(`  错误: ${error.message}`);
+    }
+}
+
+const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'ax-edit-')));
+const project = path.join(root, 'project');
+const outside = path.join(root, 'outside');
+fs.mkdirSync(project);
+fs.mkdirSync(outside);
+
+const validator = new SecurityValidator({ roots: [{ path: project, access: 'read-write' }] });
+const tool = new FileEditTool(validator);
+const file = name => path.join(project, name);
+const edit = (name, args) => tool.handle({ path: file(name), output_format: 'json', ...args }).then(result => result.content[0].json);
+const content = name => fs.readFileSync(file(name), 'utf8');
+
+async function main() {
+    console.log('开始测试文件编辑...\n');
+
+    await runTest('str_replace 保留 CRLF，old_string 可用 \\n 书写', async () => {
+        fs.writeFileSync(file('replace.txt'), 'a\r\nb\r\nc\r\n');
+        const result = await edit('replace.txt', { operation: 'str_replace', old_string: 'b\nc', new_string: 'B\nC\nD' });
+        assert.strictEqual(result.line_ending, 'crlf');
+        assert.strictEqual(content('replace.txt'), 'a\r\nB\r\nC\r\nD\r\n');
+    });
+
+    await runTest('insert_lines 保留 CRLF', async () => {
+        fs.writeFileSync(file('insert.txt'), 'a\r\nb\r\n');
+        await edit('insert.txt', { operation: 'insert_lines', start_line: 2, content: 'x\ny' });
+        assert.strictEqual(content('insert.txt'), 'a\r\nx\r\ny\r\nb\r\n');
+    });
+
+    await runTest('apply_patch 保留 CRLF', async () => {
+        fs.writeFileSync(file('patch.txt'), 'one\r\ntwo\r\nthree\r\n');
+        const patch = '--- a/patch.txt\n+++ b/patch.txt\n@@ -1,3 +1,3 @@\n one\n-two\n+TWO\n three\n';
+        const result = await edit('patch.txt', { operation: 'apply_patch', patch });
+        assert.strictEqual(result.applied, 1);
+        assert.strictEqual(content('patch.txt'), 'one\r\nTWO\r\nthree\r\n');
+    });
+
+    await runTest('文件末尾没有换行时编辑后仍不补换行', async () => {
+        fs.writeFileSync(file('tail.txt'), 'a\nb');
+        const replaced = await edit('tail.txt', { operation: 'str_replace', old_string: 'b', new_string: 'B' });
+        assert.strictEqual(replaced.final_newline, false);
+        assert.strictEqual(content('tail.txt'), 'a\nB');
+        await edit('tail.txt', { operation: 'insert_lines', start_line: 3, content: 'c' });
+        assert.strictEqual(content('tail.txt'), 'a\nB\nc');
+
+        fs.writeFileSync(file('tail-crlf.txt'), 'a\r\nb');
+        await edit('tail-crlf.txt', { operation: 'insert_lines', start_line: 1, content: 'z' });
+        assert.strictEqual(content('tail-crlf.txt'), 'z\r\na\r\nb');
+    });
+
+    await runTest('normalize_eol 双向转换', async () => {
+        fs.writeFileSync(file('eol.txt'), 'a\nb\r\nc');
+        const toCrlf = await edit('eol.txt', { operation: 'normalize_eol', line_ending: 'crlf' });
+        assert.strictEqual(toCrlf.changed_lines, 1);
+        assert.strictEqual(toCrlf.from, 'lf');
+        assert.strictEqual(content('eol.txt'), 'a\r\nb\r\nc');
+
+        const toLf = await edit('eol.txt', { operation: 'normalize_eol', line_ending: 'lf' });
+        assert.strictEqual(toLf.changed_lines, 2);
+        assert.strictEqual(toLf.from, 'crlf');
+        assert.strictEqual(content('eol.txt'), 'a\nb\nc');
+    });
+
+    await runTest('normalize_eol 已是目标换行时不写入文件', async () => {
+        fs.writeFileSync(file('same.txt'), 'a\r\nb\r\n');
+        const past = new Date(Date.now() - 60 * 1000);
+        fs.utimesSync(file('same.txt'), past, past);
+        const mtime = fs.statSync(file('same.txt')).mtimeMs;
+
+        const result = await edit('same.txt', { operation: 'normalize_eol', line_ending: 'crlf' });
+        assert.strictEqual(result.changed_lines, 0);
+        assert.strictEqual(result.history_id, null);
+        assert.strictEqual(fs.statSync(file('same.txt')).mtimeMs, mtime);
+        assert.strictEqual(content('same.txt'), 'a\r\nb\r\n');
+        await assert.rejects(edit('same.txt', { operation: 'normalize_eol', line_ending: 'cr' }), /line_ending: lf 或 crlf/);
+    });
+
+    await runTest('带错误码的错误原样抛出', async () => {
+        fs.writeFileSync(file('coded.txt'), 'a\n');
+        await assert.rejects(
+            edit('coded.txt', { operation: 'str_replace', old_string: 'a', new_string: 'b', encoding: 'ebcdic' }),
+            error => error.code === 'E_INVALID_ARGS' && error.message.includes('不支持的编码')
+        );
+
+        // 校验之后被替换为指向允许范围之外的符号链接
+        fs.writeFileSync(path.join(outside, 'secret.txt'), 'secret\n');
+        const readFile = validator.readFile.bind(validator);
+        validator.readFile = async target => {
+            fs.rmSync(target);
+            fs.symlinkSync(path.join(outside, 'secret.txt'), target);
+            return readFile(target);
+        };
+        try {
+            await assert.rejects(edit('coded.txt', { operation: 'str_replace', old_string: 'secret', new_string: 'x' }), error => error.code === 'E_SYMLINK_DENIED');
+        } finally {
+            validator.readFile = readFile;
+        }
+        assert.strictEqual(fs.readFileSync(path.join(outside, 'secret.txt'), 'utf8'), 'secret\n');
+    });
+
+    fs.rmSync(root, { recursive: true, force: true });
+
+    console.log('\n测试完成！');
+    console.log(`\n测试结果：`);
+    console.log(`总测试用例数：${testResults.total}`);
+    console.log(`通过：${testResults.passed}`);
+    console.log(`失败：${testResults.failed}`);
+
+    if (testResults.failed > 0) {
+        console.log('\n失败详情：');
+        testResults.errors.forEach((err, index) => {
+            console.log(`${index + 1}. ${err.description}`);
+            console.log(`   错误: ${err.error}`);
+        });
+        process.exit(1);
+    } else {
+        console.log('\n所有测试用例都通过了！');
+        process.exit(0);
+    }
+}
+
+main();
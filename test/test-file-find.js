@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * 文件查找测试脚本：glob 名称与路径匹配、类型/大小/时间过滤、排序分页与跳过规则
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SecurityValidator = require('../tools/securityValidator');
+const FileFindTool = require('../tools/fileFind');
+
+// 测试结果
+const testResults = {
+    total: 0,
+    passed: 0,
+    failed: 0,
+    errors: []
+};
+
+// 测试函数
+async function runTest(description, testFn) {
+    testResults.total++;
+    try {
+        await testFn();
+        testResults.passed++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        testResults.failed++;
+        testResults.errors.push({ description, error: error.message });
+        console.log(`✗ ${description}`);
+        console.error(`  错误: ${error.message}`);
+    }
+}
+
+const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'ax-find-')));
+const project = path.join(root, 'project');
+for (const dir of ['src/lib', 'docs', 'build', 'secrets']) fs.mkdirSync(path.join(project, dir), { recursive: true });
+
+// 名称 -> [内容, 距今的天数]
+const files = {
+    'README.md': ['# readme\n', 1],
+    'src/index.js': ['x'.repeat(10), 3],
+    'src/lib/util.js': ['x'.repeat(200), 10],
+    'src/lib/util.test.js': ['x'.repeat(50), 5],
+    'docs/guide.md': ['x'.repeat(1000), 20],
+    'build/out.js': ['built', 2],
+    'secrets/key.pem': ['secret', 2],
+    '.gitignore': ['build/\n', 30]
+};
+for (const [name, [content, days]] of Object.entries(files)) {
+    const full = path.join(project, name);
+    fs.writeFileSync(full, content);
+    const time = new Date(Date.now() - days * 24 * 3600 * 1000);
+    fs.utimesSync(full, time, time);
+}
+fs.symlinkSync('index.js', path.join(project, 'src/link.js'));
+
+const tool = new FileFindTool(new SecurityValidator({ roots: [{ path: project, deny: ['secrets/**'] }] }));
+const find = args => tool.handle({ path: project, output_format: 'json', ...args }).then(result => result.content[0].json);
+const names = result => result.entries.map(entry => entry.relative_path);
+const daysAgo = days => new Date(Date.now() - days * 24 * 3600 * 1000).toISOString();
+
+async function main() {
+    console.log('开始测试文件查找...\n');
+
+    await runTest('glob 按名称匹配，含 / 的模式按相对路径匹配', async () => {
+        assert.deepStrictEqual(names(await find({ pattern: '*.js', type: 'file' })), ['src/index.js', 'src/lib/util.js', 'src/lib/util.test.js']);
+        assert.deepStrictEqual(names(await find({ pattern: '*.md' })), ['README.md', 'docs/guide.md']);
+        assert.deepStrictEqual(names(await find({ pattern: 'src/lib/*.js' })), ['src/lib/util.js', 'src/lib/util.test.js']);
+        assert.deepStrictEqual(names(await find({ pattern: ['*.test.js', 'README.*'] })), ['README.md', 'src/lib/util.test.js']);
+        assert.deepStrictEqual(names(await find({ pattern: 'readme.md' })), []);
+        assert.deepStrictEqual(names(await find({ pattern: 'readme.md', case_sensitive: false })), ['README.md']);
+    });
+
+    await runTest('type 过滤文件、目录与符号链接', async () => {
+        assert.deepStrictEqual(names(await find({ type: 'directory' })), ['docs', 'src', 'src/lib']);
+        const links = await find({ type: 'symlink' });
+        assert.deepStrictEqual(names(links), ['src/link.js']);
+        assert.strictEqual(links.entries[0].target, 'index.js');
+        await assert.rejects(find({ type: 'socket' }), error => error.code === 'E_INVALID_ARGS');
+    });
+
+    await runTest('大小与修改时间过滤', async () => {
+        assert.deepStrictEqual(names(await find({ type: 'file', min_size: 50, max_size: 200 })), ['src/lib/util.js', 'src/lib/util.test.js']);
+        assert.deepStrictEqual(names(await find({ type: 'file', modified_after: daysAgo(4) })), ['README.md', 'src/index.js']);
+        assert.deepStrictEqual(names(await find({ type: 'file', modified_before: daysAgo(15) })), ['.gitignore', 'docs/guide.md']);
+        assert.deepStrictEqual(names(await find({ type: 'file', modified_after: daysAgo(12), modified_before: daysAgo(4) })), ['src/lib/util.js', 'src/lib/util.test.js']);
+        await assert.rejects(find({ modified_after: 'not a date' }), error => error.code === 'E_INVALID_ARGS');
+    });
+
+    await runTest('按名称、大小与修改时间排序', async () => {
+        assert.deepStrictEqual(names(await find({ pattern: '*.js', type: 'file', sort_by: 'size' })), ['src/index.js', 'src/lib/util.test.js', 'src/lib/util.js']);
+        assert.deepStrictEqual(names(await find({ pattern: '*.js', type: 'file', sort_by: 'size', order: 'desc' })), ['src/lib/util.js', 'src/lib/util.test.js', 'src/index.js']);
+        assert.deepStrictEqual(names(await find({ pattern: '*.js', type: 'file', sort_by: 'mtime' })), ['src/lib/util.js', 'src/lib/util.test.js', 'src/index.js']);
+        assert.deepStrictEqual(names(await find({ pattern: '*.md', order: 'desc' })), ['docs/guide.md', 'README.md']);
+        await assert.rejects(find({ sort_by: 'owner' }), error => error.code === 'E_INVALID_ARGS');
+    });
+
+    await runTest('offset/limit 分页并返回 next_offset', async () => {
+        const all = names(await find({ type: 'file' }));
+        assert.strictEqual(all.length, 6);
+
+        const first = await find({ type: 'file', limit: 4 });
+        assert.strictEqual(first.total, 6);
+        assert.strictEqual(first.returned, 4);
+        assert.strictEqual(first.next_offset, 4);
+        const second = await find({ type: 'file', limit: 4, offset: first.next_offset });
+        assert.strictEqual(second.returned, 2);
+        assert.strictEqual(second.next_offset, null);
+        assert.deepStrictEqual([...names(first), ...names(second)], all);
+        await assert.rejects(find({ limit: 0 }), error => error.code === 'E_INVALID_ARGS');
+    });
+
+    await runTest('跳过被禁止的路径与 .gitignore/ignore 中的条目', async () => {
+        const all = names(await find({}));
+        assert.ok(!all.some(name => name.startsWith('secrets')));
+        assert.ok(!all.some(name => name.startsWith('build')));
+
+        // 关闭忽略文件后 build 可见，被禁止的路径仍不可见
+        const unignored = names(await find({ respect_ignore_files: false }));
+        assert.ok(unignored.includes('build/out.js'));
+        assert.ok(!unignored.some(name => name.startsWith('secrets')));
+
+        assert.ok(!names(await find({ ignore: ['docs'] })).some(name => name.startsWith('docs')));
+        assert.ok(!names(await find({ include_hidden: false })).includes('.gitignore'));
+        await assert.rejects(find({ path: path.join(project, 'secrets') }), error => error.code === 'E_PATH_DENIED');
+    });
+
+    fs.rmSync(root, { recursive: true, force: true });
+
+    console.log('\n测试完成！');
+    console.log(`\n测试结果：`);
+    console.log(`总测试用例数：${testResults.total}`);
+    console.log(`通过：${testResults.passed}`);
+    console.log(`失败：${testResults.failed}`);
+
+    if (testResults.failed > 0) {
+        console.log('\n失败详情：');
+        testResults.errors.forEach((err, index) => {
+            console.log(`${index + 1}. ${err.description}`);
+            console.log(`   错误: ${err.error}`);
+        });
+        process.exit(1);
+    } else {
+        console.log('\n所有测试用例都通过了！');
+        process.exit(0);
+    }
+}
+
+main();
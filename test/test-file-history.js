@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * 文件修改历史（列出、比较、回滚、清理）测试脚本
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'ax-history-')));
+// 历史目录位于家目录下，加载模块前切换到临时家目录
+process.env.HOME = path.join(root, 'home');
+
+const SecurityValidator = require('../tools/securityValidator');
+const FileOperationTool = require('../tools/fileOperation');
+const FileHistoryTool = require('../tools/fileHistory');
+const journal = require('../lib/historyJournal');
+
+// 测试结果
+const testResults = {
+    total: 0,
+    passed: 0,
+    failed: 0,
+    errors: []
+};
+
+// 测试函数
+async function runTest(description, testFn) {
+    testResults.total++;
+    try {
+        await testFn();
+        testResults.passed++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        testResults.failed++;
+        testResults.errors.push({ description, error: error.message });
+        console.log(`✗ ${description}`);
+        console.error(`  错误: ${error.message}`);
+    }
+}
+
+const project = path.join(root, 'project');
+fs.mkdirSync(project);
+const validator = new SecurityValidator({ roots: [{ path: project, access: 'read-write' }] });
+const files = new FileOperationTool(validator);
+const history = new FileHistoryTool(validator);
+const file = name => path.join(project, name);
+const run = (tool, args) => tool.handle({ output_format: 'json', ...args }).then(result => result.content[0].json);
+const write = (name, content) => run(files, { operation: 'write', path: file(name), content });
+const denied = error => error.code === 'E_PATH_DENIED';
+
+async function main() {
+    console.log('开始测试文件修改历史...\n');
+
+    await runTest('list 按路径过滤并限制条数', async () => {
+        // 新建文件记录为 absent 快照
+        const ids = [];
+        for (const content of ['v1\n', 'v2\n', 'v3\n']) ids.push((await write('notes.txt', content)).history_id);
+        await write('other.txt', 'o1\n');
+
+        const listed = await run(history, { operation: 'list', path: file('notes.txt') });
+        assert.deepStrictEqual(listed.entries.map(entry => entry.id).sort(), ids.sort());
+        assert.ok(listed.entries.every(entry => entry.path === file('notes.txt')));
+        assert.deepStrictEqual(listed.entries.map(entry => entry.kind).sort(), ['absent', 'file', 'file']);
+        assert.strictEqual((await run(history, { operation: 'list', limit: 1 })).entries.length, 1);
+        assert.strictEqual((await run(history, { operation: 'list', path: project })).entries.length, 4);
+    });
+
+    await runTest('diff 比较快照与当前内容', async () => {
+        const { history_id: id } = await write('diff.txt', 'after\n').then(() => write('diff.txt', 'changed\n'));
+        const result = await run(history, { operation: 'diff', id });
+        assert.strictEqual(result.exists, true);
+        assert.ok(result.unified_diff.includes('-after\n+changed'));
+
+        fs.rmSync(file('diff.txt'));
+        const removed = await run(history, { operation: 'diff', id });
+        assert.strictEqual(removed.exists, false);
+        assert.deepStrictEqual(removed.diff_stats, { added: 0, removed: 1, modified: 0 });
+        await assert.rejects(run(history, { operation: 'diff' }), error => error.code === 'E_INVALID_ARGS');
+    });
+
+    await runTest('restore 恢复文件并记录恢复前状态', async () => {
+        await write('restore.txt', 'original\n');
+        const { history_id: id } = await write('restore.txt', 'edited\n');
+        const result = await run(history, { operation: 'restore', id });
+        assert.strictEqual(result.kind, 'file');
+        assert.strictEqual(fs.readFileSync(file('restore.txt'), 'utf8'), 'original\n');
+
+        // 回滚本身也可撤销
+        await run(history, { operation: 'restore', id: result.backup_id });
+        assert.strictEqual(fs.readFileSync(file('restore.txt'), 'utf8'), 'edited\n');
+    });
+
+    await runTest('restore 恢复被删除的目录', async () => {
+        fs.mkdirSync(file('site/assets'), { recursive: true });
+        fs.writeFileSync(file('site/index.html'), '<h1>hi</h1>');
+        fs.writeFileSync(file('site/assets/app.css'), 'body {}');
+        const { history_id: id } = await run(files, { operation: 'delete', path: file('site') });
+        assert.strictEqual(fs.existsSync(file('site')), false);
+
+        const result = await run(history, { operation: 'restore', id });
+        assert.strictEqual(result.kind, 'directory');
+        assert.strictEqual(fs.readFileSync(file('site/index.html'), 'utf8'), '<h1>hi</h1>');
+        assert.strictEqual(fs.readFileSync(file('site/assets/app.css'), 'utf8'), 'body {}');
+    });
+
+    await runTest('路径变为只读或被禁止后拒绝 restore', async () => {
+        await write('locked.txt', 'before\n');
+        const { history_id: id } = await write('locked.txt', 'after\n');
+
+        const readOnly = new FileHistoryTool(new SecurityValidator({ roots: [{ path: project, access: 'read' }] }));
+        await assert.rejects(run(readOnly, { operation: 'restore', id }), denied);
+        const denyRule = new FileHistoryTool(new SecurityValidator({ roots: [{ path: project, access: 'read-write', deny: ['locked.txt'] }] }));
+        await assert.rejects(run(denyRule, { operation: 'restore', id }), denied);
+        // 被禁止的路径也不出现在列表中
+        assert.strictEqual((await run(denyRule, { operation: 'list', path: project })).entries.some(entry => entry.id === id), false);
+        assert.strictEqual(fs.readFileSync(file('locked.txt'), 'utf8'), 'after\n');
+    });
+
+    await runTest('prune 按 id、keep 与 older_than_days 清理', async () => {
+        const all = await journal.listEntries();
+        assert.ok(all.length > 3);
+        const pruned = await run(history, { operation: 'prune', id: all[0].id });
+        assert.deepStrictEqual(pruned.removed, [all[0].id]);
+        assert.strictEqual(fs.existsSync(path.join(journal.getHistoryDir(), all[0].id)), false);
+
+        assert.strictEqual((await run(history, { operation: 'prune', keep: 2 })).removed.length, all.length - 3);
+        assert.strictEqual((await journal.listEntries()).length, 2);
+        assert.deepStrictEqual((await run(history, { operation: 'prune', older_than_days: 1 })).removed, []);
+        assert.strictEqual((await run(history, { operation: 'prune', older_than_days: 0 })).removed.length, 2);
+        await assert.rejects(run(history, { operation: 'prune' }), error => error.code === 'E_INVALID_ARGS');
+    });
+
+    fs.rmSync(root, { recursive: true, force: true });
+
+    console.log('\n测试完成！');
+    console.log(`\n测试结果：`);
+    console.log(`总测试用例数：${testResults.total}`);
+    console.log(`通过：${testResults.passed}`);
+    console.log(`失败：${testResults.failed}`);
+
+    if (testResults.failed > 0) {
+        console.log('\n失败详情：');
+        testResults.errors.forEach((err, index) => {
+            console.log(`${index + 1}. ${err.description}`);
+            console.log(`   错误: ${err.error}`);
+        });
+        process.exit(1);
+    } else {
+        console.log('\n所有测试用例都通过了！');
+        process.exit(0);
+    }
+}
+
+main();
@@ -0,0 +1,334 @@
+#!/usr/bin/env node
+
+/**
+ * 文件读取截断续读、复制/移动冲突策略与目录列表测试脚本
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const SecurityValidator = require('../tools/securityValidator');
+const FileOperationTool = require('../tools/fileOperation');
+const { loadConfig } = require('../lib/config');
+const { encodeText } = require('../lib/encoding');
+
+// 测试结果
+const testResults = {
+    total: 0,
+    passed: 0,
+    failed: 0,
+    errors: []
+};
+
+// 测试函数
+async function runTest(description, testFn) {
+    testResults.total++;
+    try {
+        await testFn();
+        testResults.passed++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        testResults.failed++;
+        testResults.errors.push({ description, error: error.message });
+        console.log(`✗ ${description}`);
+        console.error(`  错误: ${error.message}`);
+    }
+}
+
+const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'ax-fileop-')));
+const project = path.join(root, 'project');
+fs.mkdirSync(project);
+
+// 单次读取上限调小，便于构造截断
+const configFile = path.join(root, 'config.json');
+fs.writeFileSync(configFile, JSON.stringify({ limits: { max_read_size: 16 } }));
+loadConfig({ configFile, projectDir: project });
+
+const tool = new FileOperationTool(new SecurityValidator({ roots: [{ path: project, access: 'read-write' }] }));
+const file = name => path.join(project, name);
+const read = args => tool.handle({ operation: 'read', output_format: 'json', ...args }).then(result => result.content[0].json);
+const run = args => tool.handle({ output_format: 'json', ...args }).then(result => result.content[0].json);
+const content = name => fs.readFileSync(file(name), 'utf8');
+const invalid = error => error.code === 'E_INVALID_ARGS';
+
+// 每个用例使用独立的源文件与已存在的目标文件
+function prepare(prefix) {
+    fs.writeFileSync(file(`${prefix}-src.txt`), 'source');
+    fs.writeFileSync(file(`${prefix}-dst.txt`), 'existing');
+    return { path: file(`${prefix}-src.txt`), destination: file(`${prefix}-dst.txt`) };
+}
+
+// 目录列表用例的固定目录树：名称 -> [内容, 距今的天数]
+function prepareTree(name, entries) {
+    for (const [relative, [data, days]] of Object.entries(entries)) {
+        const full = file(`${name}/${relative}`);
+        fs.mkdirSync(path.dirname(full), { recursive: true });
+        fs.writeFileSync(full, data);
+        const time = new Date(Date.now() - days * 24 * 3600 * 1000);
+        fs.utimesSync(full, time, time);
+    }
+    return file(name);
+}
+const list = args => run({ operation: 'list', ...args });
+const paths = result => result.entries.map(entry => entry.path);
+
+async function main() {
+    console.log('开始测试文件读取...\n');
+
+    await runTest('截断的 UTF-8 读取返回可续读的 next_offset', async () => {
+        fs.writeFileSync(file('plain.txt'), 'abcdefghijklmnopqrstuvwxyz\n');
+        const first = await read({ path: file('plain.txt') });
+        assert.strictEqual(first.truncated, true);
+        assert.strictEqual(first.content, 'abcdefghijklmnop');
+        assert.strictEqual(first.next_offset, 16);
+        const rest = await read({ path: file('plain.txt'), offset: first.next_offset });
+        assert.strictEqual(rest.content, 'qrstuvwxyz\n');
+        assert.strictEqual(rest.eof, true);
+    });
+
+    await runTest('截断按字节计算且不拆分多字节字符', async () => {
+        fs.writeFileSync(file('cjk.txt'), `ab${'中'.repeat(6)}`);
+        const cjk = await read({ path: file('cjk.txt') });
+        assert.strictEqual(cjk.truncated, true);
+        assert.strictEqual(cjk.content, `ab${'中'.repeat(4)}`);
+        assert.strictEqual(cjk.next_offset, 14);
+        assert.strictEqual((await read({ path: file('cjk.txt'), offset: cjk.next_offset })).content, '中中');
+
+        fs.writeFileSync(file('emoji.txt'), `abc${'😀'.repeat(4)}`);
+        const emoji = await read({ path: file('emoji.txt') });
+        assert.strictEqual(emoji.content, `abc${'😀'.repeat(3)}`);
+        assert.ok(Buffer.byteLength(emoji.content) <= 16);
+        assert.strictEqual(emoji.next_offset, 15);
+
+        fs.writeFileSync(file('short.txt'), '中'.repeat(5));
+        assert.strictEqual((await read({ path: file('short.txt') })).truncated, false);
+    });
+
+    await runTest('不支持分块读取的编码截断时不返回 next_offset', async () => {
+        const text = '中文编码测试，你好世界！第二行内容也很长\n';
+        for (const encoding of ['gbk', 'utf16le']) {
+            const name = `${encoding}.txt`;
+            fs.writeFileSync(file(name), encodeText(text, encoding));
+            const result = await read({ path: file(name), encoding });
+            assert.strictEqual(result.truncated, true, encoding);
+            assert.strictEqual(result.next_offset, null, encoding);
+            const output = await tool.handle({ operation: 'read', path: file(name), encoding });
+            assert.ok(output.content[0].text.includes(`${encoding} 编码不支持分块读取`), encoding);
+            assert.ok(!output.content[0].text.includes('offset='), encoding);
+            await assert.rejects(read({ path: file(name), encoding, offset: 0 }), error => error.code === 'E_INVALID_ARGS');
+        }
+    });
+
+    await runTest('按行读取空文件返回空内容', async () => {
+        fs.writeFileSync(file('empty.txt'), '');
+        const result = await read({ path: file('empty.txt'), start_line: 1 });
+        assert.strictEqual(result.content, '');
+        assert.strictEqual(result.end_line, 0);
+        assert.strictEqual(result.next_line, null);
+        assert.strictEqual(result.eof, true);
+        await assert.rejects(read({ path: file('empty.txt'), start_line: 2 }), invalid);
+    });
+
+    await runTest('按行读取截断单行时返回该行的续读偏移', async () => {
+        fs.writeFileSync(file('long-line.txt'), `short\n${'x'.repeat(20)}y\nlast\n`);
+        const first = await read({ path: file('long-line.txt'), start_line: 2 });
+        assert.strictEqual(first.truncated, true);
+        assert.strictEqual(first.content, 'x'.repeat(16));
+        assert.strictEqual(first.end_line, 2);
+        assert.strictEqual(first.eof, false);
+        assert.strictEqual(first.next_offset, 22);
+        assert.strictEqual(first.next_line, 3);
+        assert.strictEqual((await read({ path: file('long-line.txt'), offset: first.next_offset, length: 6 })).content, 'xxxxy\n');
+        const output = await tool.handle({ operation: 'read', path: file('long-line.txt'), start_line: 2 });
+        assert.ok(output.content[0].text.includes('读取该行剩余内容请使用 offset=22'));
+
+        // 多字节字符不被拆分；末行被截断时没有下一行但也未到文件末尾
+        fs.writeFileSync(file('long-cjk.txt'), '中'.repeat(10));
+        const cjk = await read({ path: file('long-cjk.txt'), start_line: 1 });
+        assert.strictEqual(cjk.content, '中'.repeat(5));
+        assert.strictEqual(cjk.next_offset, 15);
+        assert.strictEqual(cjk.next_line, null);
+        assert.strictEqual(cjk.eof, false);
+        assert.strictEqual((await read({ path: file('long-cjk.txt'), offset: cjk.next_offset })).content, '中'.repeat(5));
+    });
+
+    await runTest('复制与移动默认 conflict=fail：目标已存在时报错且不改动文件', async () => {
+        for (const operation of ['copy', 'move']) {
+            const paths = prepare(`fail-${operation}`);
+            await assert.rejects(run({ operation, ...paths }), invalid);
+            assert.strictEqual(content(`fail-${operation}-dst.txt`), 'existing');
+            assert.strictEqual(content(`fail-${operation}-src.txt`), 'source');
+        }
+        await assert.rejects(run({ operation: 'copy', ...prepare('bad'), conflict: 'merge' }), invalid);
+    });
+
+    await runTest('conflict=overwrite 替换已存在的目标', async () => {
+        const copied = await run({ operation: 'copy', ...prepare('ow-copy'), conflict: 'overwrite' });
+        assert.strictEqual(copied.conflict_action, 'overwrite');
+        assert.strictEqual(content('ow-copy-dst.txt'), 'source');
+        assert.strictEqual(content('ow-copy-src.txt'), 'source');
+
+        const moved = await run({ operation: 'move', ...prepare('ow-move'), conflict: 'overwrite' });
+        assert.strictEqual(moved.conflict_action, 'overwrite');
+        assert.strictEqual(content('ow-move-dst.txt'), 'source');
+        assert.strictEqual(fs.existsSync(file('ow-move-src.txt')), false);
+    });
+
+    await runTest('conflict=skip 跳过已存在的目标并保留源文件', async () => {
+        for (const operation of ['copy', 'move']) {
+            const result = await run({ operation, ...prepare(`skip-${operation}`), conflict: 'skip' });
+            assert.strictEqual(result.skipped, true);
+            assert.strictEqual(content(`skip-${operation}-dst.txt`), 'existing');
+            assert.strictEqual(content(`skip-${operation}-src.txt`), 'source');
+        }
+    });
+
+    await runTest('conflict=rename 写入自动改名的新路径', async () => {
+        const copied = await run({ operation: 'copy', ...prepare('rn-copy'), conflict: 'rename' });
+        assert.strictEqual(copied.conflict_action, 'rename');
+        assert.strictEqual(copied.destination, file('rn-copy-dst (1).txt'));
+        assert.strictEqual(content('rn-copy-dst (1).txt'), 'source');
+        assert.strictEqual(content('rn-copy-dst.txt'), 'existing');
+
+        const moved = await run({ operation: 'move', ...prepare('rn-move'), conflict: 'rename' });
+        assert.strictEqual(moved.destination, file('rn-move-dst (1).txt'));
+        assert.strictEqual(content('rn-move-dst (1).txt'), 'source');
+        assert.strictEqual(content('rn-move-dst.txt'), 'existing');
+        assert.strictEqual(fs.existsSync(file('rn-move-src.txt')), false);
+    });
+
+    await runTest('复制目录到已存在的目录：overwrite 合并内容，rename 另建目录', async () => {
+        const setup = name => {
+            fs.mkdirSync(file(`${name}/src`), { recursive: true });
+            fs.mkdirSync(file(`${name}/dst`));
+            fs.writeFileSync(file(`${name}/src/same.txt`), 'source');
+            fs.writeFileSync(file(`${name}/src/new.txt`), 'new');
+            fs.writeFileSync(file(`${name}/dst/same.txt`), 'existing');
+            return { operation: 'copy', path: file(`${name}/src`), destination: file(`${name}/dst`), recursive: true };
+        };
+
+        const merged = await run({ ...setup('merge-overwrite'), conflict: 'overwrite' });
+        assert.strictEqual(merged.files_copied, 2);
+        assert.strictEqual(content('merge-overwrite/dst/same.txt'), 'source');
+        assert.strictEqual(content('merge-overwrite/dst/new.txt'), 'new');
+
+        const renamed = await run({ ...setup('merge-rename'), conflict: 'rename' });
+        assert.strictEqual(renamed.destination, file('merge-rename/dst (1)'));
+        assert.strictEqual(content('merge-rename/dst/same.txt'), 'existing');
+        assert.strictEqual(content('merge-rename/dst (1)/same.txt'), 'source');
+    });
+
+    await runTest('recursive 列表按先序展开并受 max_depth 限制', async () => {
+        const dir = prepareTree('tree', {
+            'b.txt': ['bb', 1],
+            'a/x.txt': ['x', 1],
+            'a/deep/y.txt': ['y', 1]
+        });
+        assert.deepStrictEqual(paths(await list({ path: dir })), ['a', 'b.txt']);
+
+        const all = await list({ path: dir, recursive: true });
+        assert.deepStrictEqual(paths(all), ['a', 'a/deep', 'a/deep/y.txt', 'a/x.txt', 'b.txt']);
+        assert.deepStrictEqual(all.entries.map(entry => entry.depth), [0, 1, 2, 1, 0]);
+
+        const shallow = await list({ path: dir, recursive: true, max_depth: 1 });
+        assert.deepStrictEqual(paths(shallow), ['a', 'a/deep', 'a/x.txt', 'b.txt']);
+        const text = (await tool.handle({ operation: 'list', path: dir, recursive: true })).content[0].text;
+        assert.ok(text.includes('├── a/\n│   ├── deep/\n│   │   └── y.txt'));
+    });
+
+    await runTest('sort_by 按名称、大小、修改时间与类型排序', async () => {
+        const dir = prepareTree('sorted', {
+            'big.txt': ['x'.repeat(300), 5],
+            'mid.txt': ['x'.repeat(20), 1],
+            'small.txt': ['x', 10],
+            'zdir/inner.txt': ['i', 1]
+        });
+        const files = { path: dir, git_status: false };
+        assert.deepStrictEqual(paths(await list(files)), ['big.txt', 'mid.txt', 'small.txt', 'zdir']);
+        assert.deepStrictEqual(paths(await list({ ...files, order: 'desc' })), ['zdir', 'small.txt', 'mid.txt', 'big.txt']);
+        assert.deepStrictEqual(paths(await list({ ...files, sort_by: 'type' })), ['zdir', 'big.txt', 'mid.txt', 'small.txt']);
+
+        const past = new Date(Date.now() - 30 * 24 * 3600 * 1000);
+        fs.utimesSync(file('sorted/zdir'), past, past);
+        assert.deepStrictEqual(paths(await list({ ...files, sort_by: 'mtime' })), ['zdir', 'small.txt', 'big.txt', 'mid.txt']);
+        assert.deepStrictEqual(paths(await list({ ...files, sort_by: 'size' })).slice(0, 3), ['small.txt', 'mid.txt', 'big.txt']);
+        await assert.rejects(list({ ...files, sort_by: 'owner' }), invalid);
+    });
+
+    await runTest('offset/limit 在展开后的列表上分页', async () => {
+        const dir = file('tree');
+        const all = paths(await list({ path: dir, recursive: true }));
+        const first = await list({ path: dir, recursive: true, limit: 2 });
+        assert.strictEqual(first.total, all.length);
+        assert.strictEqual(first.next_offset, 2);
+        assert.strictEqual(first.truncated, true);
+        const rest = await list({ path: dir, recursive: true, limit: 10, offset: first.next_offset });
+        assert.strictEqual(rest.next_offset, null);
+        assert.deepStrictEqual([...paths(first), ...paths(rest)], all);
+
+        const text = (await tool.handle({ operation: 'list', path: dir, recursive: true, limit: 2 })).content[0].text;
+        assert.ok(text.includes(`继续请使用 offset=2`));
+        await assert.rejects(list({ path: dir, offset: -1 }), invalid);
+    });
+
+    await runTest('git_status 为仓库内的条目标注状态', async () => {
+        const dir = prepareTree('repo', {
+            'tracked.txt': ['v1\n', 1],
+            'clean.txt': ['clean\n', 1],
+            'lib/kept.js': ['k\n', 1]
+        });
+        const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: dir, stdio: 'ignore' });
+        git('init', '-q');
+        git('add', '.');
+        git('commit', '-q', '-m', 'init');
+        fs.writeFileSync(file('repo/tracked.txt'), 'v2\n');
+        fs.writeFileSync(file('repo/new.txt'), 'new\n');
+        fs.mkdirSync(file('repo/fresh'));
+        fs.writeFileSync(file('repo/fresh/a.txt'), 'a\n');
+
+        const result = await list({ path: dir, recursive: true, include_hidden: false });
+        assert.strictEqual(result.git.root, dir);
+        const status = Object.fromEntries(result.entries.map(entry => [entry.path, entry.git_status || null]));
+        assert.deepStrictEqual(status, {
+            'clean.txt': null,
+            fresh: '??',
+            'fresh/a.txt': '??',
+            lib: null,
+            'lib/kept.js': null,
+            'new.txt': '??',
+            'tracked.txt': ' M'
+        });
+        const text = (await tool.handle({ operation: 'list', path: dir })).content[0].text;
+        assert.ok(text.includes('tracked.txt  (3 B)  [M]'));
+
+        const plain = await list({ path: dir, git_status: false });
+        assert.strictEqual(plain.git, null);
+        assert.ok(plain.entries.every(entry => entry.git_status === undefined));
+        // 不在仓库中的目录不标注
+        assert.strictEqual((await list({ path: file('tree') })).git, null);
+    });
+
+    fs.rmSync(root, { recursive: true, force: true });
+
+    console.log('\n测试完成！');
+    console.log(`\n测试结果：`);
+    console.log(`总测试用例数：${testResults.total}`);
+    console.log(`通过：${testResults.passed}`);
+    console.log(`失败：${testResults.failed}`);
+
+    if (testResults.failed > 0) {
+        console.log('\n失败详情：');
+        testResults.errors.forEach((err, index) => {
+            console.log(`${index + 1}. ${err.description}`);
+            console.log(`   错误: ${err.error}`);
+        });
+        process.exit(1);
+    } else {
+        console.log('\n所有测试用例都通过了！');
+        process.exit(0);
+    }
+}
+
+main();
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * 文件内容搜索测试脚本：前后文、整词、多行与输出模式，以及 ripgrep 结果一致性
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SecurityValidator = require('../tools/securityValidator');
+const FileSearchTool = require('../tools/fileSearch');
+const { locateRipgrep } = require('../lib/ripgrep');
+
+// 测试结果
+const testResults = {
+    total: 0,
+    passed: 0,
+    failed: 0,
+    errors: []
+};
+
+// 测试函数
+async function runTest(description, testFn) {
+    testResults.total++;
+    try {
+        await testFn();
+        testResults.passed++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        testResults.failed++;
+        testResults.errors.push({ description, error: error.message });
+        console.log(`✗ ${description}`);
+        console.error(`  错误: ${error.message}`);
+    }
+}
+
+const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'ax-search-')));
+const project = path.join(root, 'project');
+fs.mkdirSync(path.join(project, 'src'), { recursive: true });
+
+const files = {
+    'src/app.js': 'const foo = 1;\nconst foobar = 2;\nfunction start() {\n  return foo;\n}\n',
+    'src/util.js': '// helper\nexport const foo = 3;\n',
+    'notes.txt': 'begin\nalpha\nbeta\nend\n'
+};
+for (const [name, content] of Object.entries(files)) fs.writeFileSync(path.join(project, name), content);
+
+const tool = new FileSearchTool(new SecurityValidator({ roots: [{ path: project }] }));
+const file = name => path.join(project, name);
+const search = args => tool.handle({ search_path: project, engine: 'builtin', output_format: 'json', ...args }).then(result => result.content[0].json);
+const locations = result => result.results.map(entry => `${path.relative(project, entry.file)}:${entry.line}`);
+
+async function main() {
+    console.log('开始测试文件内容搜索...\n');
+
+    await runTest('before_context/after_context 附带匹配行前后的内容', async () => {
+        const result = await search({ pattern: 'alpha', before_context: 1, after_context: 2 });
+        assert.strictEqual(result.results.length, 1);
+        const [match] = result.results;
+        assert.strictEqual(match.file, file('notes.txt'));
+        assert.strictEqual(match.line, 2);
+        assert.deepStrictEqual(match.before_context, [{ line: 1, content: 'begin' }]);
+        assert.deepStrictEqual(match.after_context, [{ line: 3, content: 'beta' }, { line: 4, content: 'end' }]);
+
+        // 文件开头不足的前文不补齐
+        const first = await search({ pattern: 'begin', before_context: 3 });
+        assert.deepStrictEqual(first.results[0].before_context, []);
+    });
+
+    await runTest('whole_word 只匹配完整单词', async () => {
+        const loose = await search({ pattern: 'foo', file_types: 'js' });
+        assert.deepStrictEqual(locations(loose), ['src/app.js:1', 'src/app.js:2', 'src/app.js:4', 'src/util.js:2']);
+
+        const whole = await search({ pattern: 'foo', file_types: 'js', whole_word: true });
+        assert.deepStrictEqual(locations(whole), ['src/app.js:1', 'src/app.js:4', 'src/util.js:2']);
+        assert.strictEqual(whole.whole_word, true);
+    });
+
+    await runTest('multiline 匹配跨行内容并返回 end_line', async () => {
+        const single = await search({ pattern: 'alpha\\nbeta' });
+        assert.strictEqual(single.results.length, 0);
+
+        const result = await search({ pattern: 'alpha\\nbeta', multiline: true });
+        assert.strictEqual(result.results.length, 1);
+        assert.strictEqual(result.results[0].line, 2);
+        assert.strictEqual(result.results[0].end_line, 3);
+        assert.strictEqual(result.results[0].column, 1);
+    });
+
+    await runTest('output_mode=files_with_matches 只列出文件', async () => {
+        const result = await search({ pattern: 'foo', output_mode: 'files_with_matches' });
+        assert.deepStrictEqual(result.results, [{ file: file('src/app.js') }, { file: file('src/util.js') }]);
+        assert.strictEqual(result.matches, 2);
+        assert.strictEqual(result.files, 2);
+
+        const text = (await tool.handle({ search_path: project, pattern: 'foo', engine: 'builtin', output_mode: 'files_with_matches' })).content[0].text;
+        assert.ok(text.includes('2 个文件含匹配'));
+    });
+
+    await runTest('output_mode=count 返回每个文件的匹配数与总数', async () => {
+        const result = await search({ pattern: 'foo', output_mode: 'count' });
+        assert.deepStrictEqual(result.results, [{ file: file('src/app.js'), count: 3 }, { file: file('src/util.js'), count: 1 }]);
+        assert.strictEqual(result.matches, 4);
+        assert.strictEqual(result.files, 2);
+        await assert.rejects(search({ pattern: 'foo', output_mode: 'lines' }), /不支持的输出模式/);
+    });
+
+    await runTest('ripgrep 与内置引擎结果一致（未安装 rg 时跳过）', async () => {
+        if (!(await locateRipgrep())) {
+            console.log('  (未找到 rg，跳过)');
+            return;
+        }
+        const cases = [
+            { pattern: 'foo' },
+            { pattern: 'foo', whole_word: true },
+            { pattern: 'alpha', before_context: 1, after_context: 2 },
+            { pattern: 'alpha\\nbeta', multiline: true },
+            { pattern: 'foo', output_mode: 'files_with_matches' },
+            { pattern: 'foo', output_mode: 'count' }
+        ];
+        for (const args of cases) {
+            const builtin = await search(args);
+            const ripgrep = await search({ ...args, engine: 'ripgrep' });
+            assert.strictEqual(ripgrep.engine, 'ripgrep');
+            const label = JSON.stringify(args);
+            assert.strictEqual(ripgrep.matches, builtin.matches, label);
+            assert.deepStrictEqual(
+                ripgrep.results.map(({ file, line, end_line, count, before_context, after_context }) => ({ file, line, end_line, count, before_context, after_context })),
+                builtin.results.map(({ file, line, end_line, count, before_context, after_context }) => ({ file, line, end_line, count, before_context, after_context })),
+                label
+            );
+        }
+    });
+
+    fs.rmSync(root, { recursive: true, force: true });
+
+    console.log('\n测试完成！');
+    console.log(`\n测试结果：`);
+    console.log(`总测试用例数：${testResults.total}`);
+    console.log(`通过：${testResults.passed}`);
+    console.log(`失败：${testResults.failed}`);
+
+    if (testResults.failed > 0) {
+        console.log('\n失败详情：');
+        testResults.errors.forEach((err, index) => {
+            console.log(`${index + 1}. ${err.description}`);
+            console.log(`   错误: ${err.error}`);
+        });
+        process.exit(1);
+    } else {
+        console.log('\n所有测试用例都通过了！');
+        process.exit(0);
+    }
+}
+
+main();
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+
+/**
+ * HTTP 传输层测试脚本（鉴权、Host/Origin 校验与会话复用）
+ */
+
+const assert = require('assert');
+const http = require('http');
+const { startHttpTransport, MCP_ENDPOINT } = require('../lib/httpTransport');
+
+// 测试结果
+const testResults = {
+    total: 0,
+    passed: 0,
+    failed: 0,
+    errors: []
+};
+
+// 测试函数
+async function runTest(description, testFn) {
+    testResults.total++;
+    try {
+        await testFn();
+        testResults.passed++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        testResults.failed++;
+        testResults.errors.push({ description, error: error.message });
+        console.log(`✗ ${description}`);
+        console.error(`  错误: ${error.message}`);
+    }
+}
+
+const INITIALIZE = {
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'initialize',
+    params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+};
+
+// 发送请求，返回状态码、响应头与响应体（SSE 响应取第一条 data）
+function request(port, { method = 'POST', headers = {}, body } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({
+            host: '127.0.0.1',
+            port,
+            path: MCP_ENDPOINT,
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                Accept: 'application/json, text/event-stream',
+                ...headers
+            }
+        }, res => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => {
+                const data = /^data: (.*)$/m.exec(text);
+                let json = null;
+                try {
+                    json = JSON.parse(data ? data[1] : text);
+                } catch (error) {
+                    json = null;
+                }
+                resolve({ status: res.statusCode, headers: res.headers, json });
+            });
+        });
+        req.on('error', reject);
+        req.end(body === undefined ? undefined : JSON.stringify(body));
+    });
+}
+
+async function main() {
+    console.log('开始测试 HTTP 传输层...\n');
+
+    const [{ Server }, { StreamableHTTPServerTransport }, { SSEServerTransport }, { isInitializeRequest }] = await Promise.all([
+        import('@modelcontextprotocol/sdk/server/index.js'),
+        import('@modelcontextprotocol/sdk/server/streamableHttp.js'),
+        import('@modelcontextprotocol/sdk/server/sse.js'),
+        import('@modelcontextprotocol/sdk/types.js')
+    ]);
+    const sdk = { StreamableHTTPServerTransport, SSEServerTransport, isInitializeRequest };
+
+    // 记录创建与关闭的会话
+    const stats = { created: 0, closed: 0 };
+    const createSessionServer = () => {
+        stats.created++;
+        const server = new Server({ name: 'test', version: '1.0.0' }, { capabilities: { tools: {} } });
+        const close = server.close.bind(server);
+        server.close = async () => {
+            stats.closed++;
+            return close();
+        };
+        return server;
+    };
+    const start = options => startHttpTransport({ mode: 'http', host: '127.0.0.1', port: 0, createSessionServer, sdk, ...options });
+
+    const secured = await start({ authToken: 'secret-token' });
+    const open = await start({});
+    const securedPort = secured.address().port;
+    const openPort = open.address().port;
+
+    await runTest('配置 token 时缺少或错误的 token 返回 401', async () => {
+        const missing = await request(securedPort, { body: INITIALIZE });
+        assert.strictEqual(missing.status, 401);
+        assert.strictEqual(missing.headers['www-authenticate'], 'Bearer');
+        const wrong = await request(securedPort, { body: INITIALIZE, headers: { Authorization: 'Bearer wrong-token!' } });
+        assert.strictEqual(wrong.status, 401);
+        const ok = await request(securedPort, { body: INITIALIZE, headers: { Authorization: 'Bearer secret-token' } });
+        assert.strictEqual(ok.status, 200);
+        assert.ok(ok.headers['mcp-session-id']);
+    });
+
+    await runTest('绑定本机地址时拒绝其他 Host 与 Origin（DNS 重绑定）', async () => {
+        const before = stats.created;
+        const host = await request(openPort, { body: INITIALIZE, headers: { Host: `evil.example.com:${openPort}` } });
+        assert.strictEqual(host.status, 403);
+        const origin = await request(openPort, { body: INITIALIZE, headers: { Origin: 'http://evil.example.com' } });
+        assert.strictEqual(origin.status, 403);
+        assert.strictEqual(stats.created, before);
+
+        const local = await request(openPort, { body: INITIALIZE, headers: { Host: `localhost:${openPort}`, Origin: `http://localhost:${openPort}` } });
+        assert.strictEqual(local.status, 200);
+    });
+
+    await runTest('后续请求复用会话，未知会话返回 404', async () => {
+        const init = await request(openPort, { body: INITIALIZE });
+        const sessionId = init.headers['mcp-session-id'];
+        assert.strictEqual(init.json.result.serverInfo.name, 'test');
+        const headers = { 'mcp-session-id': sessionId, 'mcp-protocol-version': '2025-03-26' };
+        await request(openPort, { headers, body: { jsonrpc: '2.0', method: 'notifications/initialized' } });
+
+        const created = stats.created;
+        const ping = await request(openPort, { headers, body: { jsonrpc: '2.0', id: 2, method: 'ping' } });
+        assert.strictEqual(ping.status, 200);
+        assert.deepStrictEqual(ping.json, { jsonrpc: '2.0', id: 2, result: {} });
+        assert.strictEqual(stats.created, created);
+
+        const unknown = await request(openPort, { headers: { 'mcp-session-id': 'missing' }, body: { jsonrpc: '2.0', id: 3, method: 'ping' } });
+        assert.strictEqual(unknown.status, 404);
+    });
+
+    await runTest('initialize 失败时关闭已创建的会话', async () => {
+        const { created, closed } = stats;
+        const rejected = await request(openPort, { body: INITIALIZE, headers: { Accept: 'text/plain' } });
+        assert.strictEqual(rejected.status, 406);
+        assert.strictEqual(stats.created, created + 1);
+        assert.strictEqual(stats.closed, closed + 1);
+    });
+
+    await Promise.all([secured, open].map(server => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+    })));
+
+    console.log('\n测试完成！');
+    console.log(`\n测试结果：`);
+    console.log(`总测试用例数：${testResults.total}`);
+    console.log(`通过：${testResults.passed}`);
+    console.log(`失败：${testResults.failed}`);
+
+    if (testResults.failed > 0) {
+        console.log('\n失败详情：');
+        testResults.errors.forEach((err, index) => {
+            console.log(`${index + 1}. ${err.description}`);
+            console.log(`   错误: ${err.error}`);
+        });
+        process.exit(1);
+    } else {
+        console.log('\n所有测试用例都通过了！');
+        process.exit(0);
+    }
+}
+
+main();
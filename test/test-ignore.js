@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+/**
+ * glob 转换与 .gitignore 规则匹配测试脚本
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { globToRegExp } = require('../lib/glob');
+const { parseIgnoreRules, IgnoreMatcher } = require('../lib/ignore');
+
+// 测试结果
+const testResults = {
+    total: 0,
+    passed: 0,
+    failed: 0,
+    errors: []
+};
+
+// 测试函数
+function runTest(description, testFn) {
+    testResults.total++;
+    try {
+        testFn();
+        testResults.passed++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        testResults.failed++;
+        testResults.errors.push({ description, error: error.message });
+        console.log(`✗ ${description}`);
+        console.error(`  错误: ${error.message}`);
+    }
+}
+
+const base = path.resolve('/repo');
+const matcher = (text) => new IgnoreMatcher(parseIgnoreRules(text, base));
+const at = (rel) => path.join(base, ...rel.split('/'));
+
+console.log('开始测试忽略规则功能...\n');
+
+runTest('* 不跨越目录，** 匹配任意层级', () => {
+    assert.ok(globToRegExp('*.js').test('a.js'));
+    assert.ok(!globToRegExp('*.js').test('src/a.js'));
+    assert.ok(globToRegExp('**/*.test.js').test('a.test.js'));
+    assert.ok(globToRegExp('**/*.test.js').test('src/deep/a.test.js'));
+    assert.ok(globToRegExp('src/**').test('src/x/y'));
+});
+
+runTest('字符类、花括号与转义', () => {
+    assert.ok(globToRegExp('file[0-9].txt').test('file3.txt'));
+    assert.ok(!globToRegExp('file[!0-9].txt').test('file3.txt'));
+    assert.ok(globToRegExp('*.{js,ts}').test('a.ts'));
+    assert.ok(!globToRegExp('*.{js,ts}').test('a.jsx'));
+    assert.ok(globToRegExp('\\*.md').test('*.md'));
+    assert.ok(!globToRegExp('\\*.md').test('a.md'));
+});
+
+runTest('无斜杠模式匹配任意层级的名称', () => {
+    const m = matcher('*.log\nnode_modules\n');
+    assert.ok(m.ignores(at('a.log'), false));
+    assert.ok(m.ignores(at('src/deep/b.log'), false));
+    assert.ok(m.ignores(at('pkg/node_modules'), true));
+    assert.ok(!m.ignores(at('src/a.js'), false));
+});
+
+runTest('含斜杠模式相对规则目录锚定', () => {
+    const m = matcher('/build\ndocs/*.html\n');
+    assert.ok(m.ignores(at('build'), true));
+    assert.ok(!m.ignores(at('src/build'), true));
+    assert.ok(m.ignores(at('docs/index.html'), false));
+    assert.ok(!m.ignores(at('src/docs/index.html'), false));
+});
+
+runTest('目录专用规则与否定规则', () => {
+    const m = matcher('out/\n*.log\n!keep.log\n');
+    assert.ok(m.ignores(at('out'), true));
+    assert.ok(!m.ignores(at('out'), false));
+    assert.ok(m.ignores(at('x.log'), false));
+    assert.ok(!m.ignores(at('keep.log'), false));
+});
+
+runTest('注释、空行与规则目录之外的路径', () => {
+    const m = matcher('# comment\n\n\\#literal\n*.tmp\n');
+    assert.ok(m.ignores(at('#literal'), false));
+    assert.ok(!m.ignores(path.resolve('/other/a.tmp'), false));
+});
+
+console.log('\n测试完成！');
+console.log(`\n测试结果：`);
+console.log(`总测试用例数：${testResults.total}`);
+console.log(`通过：${testResults.passed}`);
+console.log(`失败：${testResults.failed}`);
+
+if (testResults.failed > 0) {
+    console.log('\n失败详情：');
+    testResults.errors.forEach((err, index) => {
+        console.log(`${index + 1}. ${err.description}`);
+        console.log(`   错误: ${err.error}`);
+    });
+    process.exit(1);
+} else {
+    console.log('\n所有测试用例都通过了！');
+    process.exit(0);
+}
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+/**
+ * 补丁解析与模糊应用测试脚本
+ */
+
+const assert = require('assert');
+const { parsePatch, applyHunks } = require('../lib/patch');
+
+// 测试结果
+const testResults = {
+    total: 0,
+    passed: 0,
+    failed: 0,
+    errors: []
+};
+
+// 测试函数
+function runTest(description, testFn) {
+    testResults.total++;
+    try {
+        testFn();
+        testResults.passed++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        testResults.failed++;
+        testResults.errors.push({ description, error: error.message });
+        console.log(`✗ ${description}`);
+        console.error(`  错误: ${error.message}`);
+    }
+}
+
+const base = ['a', 'b', 'c', 'd', 'e', 'f', 'g'];
+
+console.log('开始测试补丁功能...\n');
+
+runTest('解析带文件头的补丁', () => {
+    const hunks = parsePatch('--- a/x\n+++ b/x\n@@ -2,3 +2,3 @@\n b\n-c\n+C\n d\n');
+    assert.strictEqual(hunks.length, 1);
+    assert.strictEqual(hunks[0].oldStart, 2);
+    assert.deepStrictEqual(hunks[0].lines.map(l => l.op), [' ', '-', '+', ' ']);
+});
+
+runTest('拒绝多文件补丁', () => {
+    assert.throws(() => parsePatch('--- a/x\n+++ b/x\n@@ -1 +1 @@\n-a\n+b\n--- a/y\n+++ b/y\n@@ -1 +1 @@\n-a\n+b\n'), /单文件/);
+});
+
+runTest('行号准确时直接应用', () => {
+    const { lines, report } = applyHunks(base, parsePatch('@@ -2,3 +2,3 @@\n b\n-c\n+C\n d\n'));
+    assert.deepStrictEqual(lines, ['a', 'b', 'C', 'd', 'e', 'f', 'g']);
+    assert.strictEqual(report[0].status, 'applied');
+    assert.strictEqual(report[0].offset, 0);
+});
+
+runTest('行号漂移时按上下文就近匹配', () => {
+    const { lines, report } = applyHunks(base, parsePatch('@@ -1,3 +1,3 @@\n d\n-e\n+E\n f\n'));
+    assert.deepStrictEqual(lines, ['a', 'b', 'c', 'd', 'E', 'f', 'g']);
+    assert.strictEqual(report[0].offset, 3);
+});
+
+runTest('上下文空白不同时忽略空白匹配并保留原文', () => {
+    const { lines, report } = applyHunks(['x  =  1', 'y'], parsePatch('@@ -1,2 +1,2 @@\n x = 1\n-y\n+z\n'));
+    assert.deepStrictEqual(lines, ['x  =  1', 'z']);
+    assert.strictEqual(report[0].ignore_whitespace, true);
+});
+
+runTest('上下文不匹配时通过 fuzz 缩减上下文', () => {
+    const { lines, report } = applyHunks(base, parsePatch('@@ -3,3 +3,3 @@\n zzz\n-d\n+D\n e\n'));
+    assert.deepStrictEqual(lines, ['a', 'b', 'c', 'D', 'e', 'f', 'g']);
+    assert.strictEqual(report[0].fuzz, 1);
+});
+
+runTest('无法匹配的块报告失败', () => {
+    const { lines, report } = applyHunks(base, parsePatch('@@ -1,1 +1,1 @@\n-nope\n+x\n'));
+    assert.deepStrictEqual(lines, base);
+    assert.strictEqual(report[0].status, 'failed');
+});
+
+runTest('纯插入块', () => {
+    const { lines } = applyHunks(base, parsePatch('@@ -0,0 +1,1 @@\n+top\n'));
+    assert.strictEqual(lines[0], 'top');
+});
+
+console.log('\n测试完成！');
+console.log(`\n测试结果：`);
+console.log(`总测试用例数：${testResults.total}`);
+console.log(`通过：${testResults.passed}`);
+console.log(`失败：${testResults.failed}`);
+
+if (testResults.failed > 0) {
+    console.log('\n失败详情：');
+    testResults.errors.forEach((err, index) => {
+        console.log(`${index + 1}. ${err.description}`);
+        console.log(`   错误: ${err.error}`);
+    });
+    process.exit(1);
+} else {
+    console.log('\n所有测试用例都通过了！');
+    process.exit(0);
+}
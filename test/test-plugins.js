@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+/**
+ * 插件加载测试脚本
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadPlugins, normalizeManifest, resolvePackage } = require('../lib/pluginLoader');
+const { loadConfig } = require('../lib/config');
+
+// 测试结果
+const testResults = {
+    total: 0,
+    passed: 0,
+    failed: 0,
+    errors: []
+};
+
+// 测试函数
+async function runTest(description, testFn) {
+    testResults.total++;
+    try {
+        await testFn();
+        testResults.passed++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        testResults.failed++;
+        testResults.errors.push({ description, error: error.message });
+        console.log(`✗ ${description}`);
+        console.error(`  错误: ${error.message}`);
+    }
+}
+
+// 记录注册结果的最小 registry
+function createRegistry(existing = []) {
+    const tools = new Map(existing.map(name => [name, {}]));
+    return {
+        tools,
+        filter: null,
+        registerTool(descriptor, instance) {
+            if (tools.has(descriptor.name)) throw new Error(`工具已存在: ${descriptor.name}`);
+            tools.set(descriptor.name, { descriptor, instance });
+        },
+        setToolFilter(filter) {
+            this.filter = filter;
+        }
+    };
+}
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'ax-plugins-'));
+const pluginDir = path.join(root, 'plugins');
+fs.mkdirSync(pluginDir);
+fs.writeFileSync(path.join(pluginDir, 'hello.js'), `module.exports = {
+  name: 'hello_plugin',
+  schema: { properties: { who: { type: 'string' } } },
+  handler: async (args, { buildOutput }) => buildOutput('text', 'hello ' + args.who, {})
+};`);
+fs.writeFileSync(path.join(pluginDir, 'multi.js'), `module.exports = { tools: [
+  { name: 'team_a', handler: () => 'a' },
+  { name: 'execute_command', handler: () => 'dup' }
+] };`);
+fs.writeFileSync(path.join(pluginDir, 'broken.js'), 'module.exports = {');
+fs.writeFileSync(path.join(pluginDir, '_skipped.js'), 'throw new Error("should not load")');
+const configFile = path.join(root, 'config.json');
+fs.writeFileSync(configFile, JSON.stringify({
+    plugins: { directories: ['./plugins'], packages: ['ax-missing-plugin-package'] },
+    tools: { disabled: ['execute_command'] }
+}));
+const config = loadConfig({ configFile, projectDir: root });
+
+async function main() {
+    console.log('开始测试插件加载...\n');
+
+    await runTest('manifest 校验', () => {
+        const { descriptor } = normalizeManifest({ name: 'ok_tool', handler: () => '' }, 'src', {});
+        assert.deepStrictEqual(descriptor.inputSchema.properties, {});
+        assert.throws(() => normalizeManifest({ name: 'bad name', handler: () => '' }, 'src', {}), /工具名无效/);
+        assert.throws(() => normalizeManifest({ name: 'no_handler' }, 'src', {}), /缺少 handler/);
+    });
+
+    await runTest('从配置目录加载插件并应用禁用列表', async () => {
+        const registry = createRegistry(['execute_command']);
+        const warnings = [];
+        const result = loadPlugins(registry, { config, log: message => warnings.push(message) });
+
+        assert.deepStrictEqual(result.loaded.map(item => item.name).sort(), ['hello_plugin', 'team_a']);
+        assert.deepStrictEqual(registry.filter.disabled, ['execute_command']);
+        const output = await registry.tools.get('hello_plugin').instance.handle({ who: 'ax' });
+        assert.strictEqual(output.content[0].text, 'hello ax');
+    });
+
+    await runTest('加载失败只记录警告', () => {
+        const registry = createRegistry(['execute_command']);
+        const warnings = [];
+        const result = loadPlugins(registry, { config, log: message => warnings.push(message) });
+
+        const sources = result.errors.map(item => path.basename(item.source)).sort();
+        assert.deepStrictEqual(sources, ['ax-missing-plugin-package', 'broken.js', 'multi.js']);
+        assert.strictEqual(warnings.length, 3);
+        assert.ok(result.errors.every(item => !item.error.includes('\n')));
+    });
+
+    await runTest('npm 插件包只从指定目录解析，不查找当前目录', () => {
+        const writePackage = (dir, name) => {
+            fs.mkdirSync(path.join(dir, name), { recursive: true });
+            fs.writeFileSync(path.join(dir, name, 'package.json'), JSON.stringify({ name, main: 'main.js' }));
+            fs.writeFileSync(path.join(dir, name, 'main.js'), `module.exports = { name: '${name.replace(/\W/g, '_')}', handler: () => '' };`);
+        };
+        const trusted = path.join(root, 'config', 'node_modules');
+        writePackage(trusted, '@team/tools');
+        writePackage(path.join(root, 'node_modules'), 'ax-cwd-plugin');
+
+        assert.strictEqual(resolvePackage('@team/tools', [trusted]), path.join(trusted, '@team', 'tools', 'main.js'));
+        assert.throws(() => resolvePackage('../node_modules/ax-cwd-plugin', [trusted]), /无效的包名/);
+
+        // 当前目录下的 node_modules 可能被工具写入，不能作为插件来源
+        const cwd = process.cwd();
+        process.chdir(root);
+        try {
+            assert.throws(() => resolvePackage('ax-cwd-plugin', [trusted]), /找不到插件包/);
+            const registry = createRegistry();
+            const result = loadPlugins(registry, { config: { plugins: { packages: ['ax-cwd-plugin'] }, tools: {} }, log: () => {} });
+            assert.deepStrictEqual(result.loaded, []);
+            assert.strictEqual(result.errors[0].source, 'ax-cwd-plugin');
+        } finally {
+            process.chdir(cwd);
+        }
+    });
+
+    fs.rmSync(root, { recursive: true, force: true });
+
+    console.log('\n测试完成！');
+    console.log(`\n测试结果：`);
+    console.log(`总测试用例数：${testResults.total}`);
+    console.log(`通过：${testResults.passed}`);
+    console.log(`失败：${testResults.failed}`);
+
+    if (testResults.failed > 0) {
+        console.log('\n失败详情：');
+        testResults.errors.forEach((err, index) => {
+            console.log(`${index + 1}. ${err.description}`);
+            console.log(`   错误: ${err.error}`);
+        });
+        process.exit(1);
+    } else {
+        console.log('\n所有测试用例都通过了！');
+        process.exit(0);
+    }
+}
+
+main();
@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+
+/**
+ * 后台进程管理测试脚本
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RingBuffer } = require('../lib/ringBuffer');
+const { TerminalScreen, stripAnsi } = require('../lib/terminalScreen');
+const { loadConfig } = require('../lib/config');
+const ProcessManagerTool = require('../tools/processManager');
+const CommandExecutionTool = require('../tools/commandExecution');
+
+// 测试结果
+const testResults = {
+    total: 0,
+    passed: 0,
+    failed: 0,
+    errors: []
+};
+
+// 测试函数
+async function runTest(description, testFn) {
+    testResults.total++;
+    try {
+        await testFn();
+        testResults.passed++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        testResults.failed++;
+        testResults.errors.push({ description, error: error.message });
+        console.log(`✗ ${description}`);
+        console.error(`  错误: ${error.message}`);
+    }
+}
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'ax-process-'));
+const configFile = path.join(root, 'config.json');
+fs.writeFileSync(configFile, JSON.stringify({ limits: { max_processes: 3, process_buffer: 64 } }));
+
+const call = async (tool, args) => (await tool.handle({ ...args, output_format: 'json' })).content[0].json;
+
+// 进程是否仍在运行（已结束但未被回收的僵尸进程视为已结束）
+function isAlive(pid) {
+    try {
+        process.kill(pid, 0);
+    } catch (error) {
+        return false;
+    }
+    try {
+        return !/\)\s+Z\s/.test(fs.readFileSync(`/proc/${pid}/stat`, 'utf8'));
+    } catch (error) {
+        return true;
+    }
+}
+
+async function main() {
+    console.log('开始测试后台进程管理...\n');
+    process.on('exit', () => ProcessManagerTool.killAll());
+    loadConfig({ configFile, projectDir: root });
+    const tool = new ProcessManagerTool({ isPathAllowed: () => true });
+
+    await runTest('RingBuffer 只保留最近的内容并标明被覆盖的字符数', () => {
+        const buffer = new RingBuffer(5);
+        buffer.write('abc');
+        assert.deepStrictEqual(buffer.read(0), { data: 'abc', offset: 0, next_offset: 3, dropped: 0 });
+        buffer.write('defg');
+        assert.strictEqual(buffer.end, 7);
+        assert.deepStrictEqual(buffer.read(0), { data: 'cdefg', offset: 2, next_offset: 7, dropped: 2 });
+        assert.deepStrictEqual(buffer.read(5, 1), { data: 'f', offset: 5, next_offset: 6, dropped: 0 });
+        assert.deepStrictEqual(buffer.read(7), { data: '', offset: 7, next_offset: 7, dropped: 0 });
+    });
+
+    await runTest('start 返回句柄，wait 等待结束，read_output 增量读取', async () => {
+        const started = await call(tool, { operation: 'start', command: 'echo out; echo err >&2', working_directory: root });
+        assert.strictEqual(started.status, 'running');
+        assert.strictEqual(started.handle, 'p1');
+        assert.strictEqual(started.cwd, root);
+
+        const waited = await call(tool, { operation: 'wait', handle: 'p1', timeout_ms: 5000 });
+        assert.strictEqual(waited.timed_out, false);
+        assert.strictEqual(waited.exit_code, 0);
+
+        const first = await call(tool, { operation: 'read_output', handle: 'p1' });
+        assert.strictEqual(first.stdout.data, 'out\n');
+        assert.strictEqual(first.stderr.data, 'err\n');
+        assert.strictEqual(first.stdout.next_offset, 4);
+
+        const second = await call(tool, { operation: 'read_output', handle: 'p1', stream: 'stdout' });
+        assert.strictEqual(second.stdout.data, '');
+        assert.strictEqual(second.stderr, undefined);
+
+        const again = await call(tool, { operation: 'read_output', handle: 'p1', stdout_offset: 1, max_chars: 2 });
+        assert.strictEqual(again.stdout.data, 'ut');
+        assert.strictEqual(again.stdout.next_offset, 3);
+    });
+
+    await runTest('write_stdin 写入标准输入并可关闭', async () => {
+        const { handle } = await call(tool, { operation: 'start', command: 'cat', working_directory: root });
+        await call(tool, { operation: 'write_stdin', handle, input: 'hello\n' });
+        const result = await call(tool, { operation: 'write_stdin', handle, input: 'bye\n', close_stdin: true });
+        assert.strictEqual(result.stdin_closed, true);
+
+        const waited = await call(tool, { operation: 'wait', handle, timeout_ms: 5000 });
+        assert.strictEqual(waited.exit_code, 0);
+        assert.strictEqual((await call(tool, { operation: 'read_output', handle })).stdout.data, 'hello\nbye\n');
+        await assert.rejects(tool.handle({ operation: 'write_stdin', handle, input: 'x' }), error => error.code === 'E_CONFLICT');
+    });
+
+    await runTest('输出超过缓冲上限时丢弃最早的部分', async () => {
+        const { handle } = await call(tool, { operation: 'start', command: 'i=0; while [ $i -lt 20 ]; do echo line$i; i=$((i+1)); done', working_directory: root });
+        await call(tool, { operation: 'wait', handle, timeout_ms: 5000 });
+        const { stdout } = await call(tool, { operation: 'read_output', handle });
+        assert.strictEqual(stdout.data.length, 64);
+        assert.ok(stdout.dropped > 0);
+        assert.strictEqual(stdout.offset, stdout.dropped);
+        assert.ok(stdout.data.endsWith('line19\n'));
+    });
+
+    await runTest('wait 超时与 signal 结束整个进程组', async () => {
+        const { handle } = await call(tool, { operation: 'start', command: 'sleep 30 & sleep 30; wait', working_directory: root });
+        const waited = await call(tool, { operation: 'wait', handle, timeout_ms: 100 });
+        assert.strictEqual(waited.timed_out, true);
+        assert.strictEqual(waited.status, 'running');
+
+        const listed = await call(tool, { operation: 'list' });
+        assert.ok(listed.processes.some(item => item.handle === handle && item.status === 'running'));
+
+        await call(tool, { operation: 'signal', handle, signal: 'SIGKILL' });
+        const done = await call(tool, { operation: 'wait', handle, timeout_ms: 5000 });
+        assert.strictEqual(done.signal, 'SIGKILL');
+        await assert.rejects(tool.handle({ operation: 'signal', handle }), error => error.code === 'E_CONFLICT');
+        await assert.rejects(tool.handle({ operation: 'signal', handle: 'p99' }), error => error.code === 'E_NOT_FOUND');
+        await assert.rejects(tool.handle({ operation: 'signal', handle, signal: 'SIGSTOP' }), error => error.code === 'E_INVALID_ARGS');
+    });
+
+    await runTest('命令策略与进程数上限', async () => {
+        await assert.rejects(tool.handle({ operation: 'start', command: 'sleep 1 && mkfs /dev/null', working_directory: root }), error => error.code === 'E_DANGEROUS_CMD');
+        const warned = await call(tool, { operation: 'start', command: 'sudo sleep 1', working_directory: root });
+        assert.strictEqual(warned.status, 'need_confirm');
+
+        const denied = new ProcessManagerTool({ isPathAllowed: () => false });
+        await assert.rejects(denied.handle({ operation: 'start', command: 'true', working_directory: root }), error => error.code === 'E_PATH_DENIED');
+
+        const session = tool.createSession();
+        for (let i = 0; i < 3; i++) {
+            await call(session, { operation: 'start', command: 'sleep 30', working_directory: root });
+        }
+        await assert.rejects(session.handle({ operation: 'start', command: 'sleep 30', working_directory: root }), error => error.code === 'E_LIMIT_REACHED');
+        assert.strictEqual((await call(tool, { operation: 'list' })).processes.every(item => item.command !== 'sleep 30'), true);
+
+        session.closeAll();
+        for (const handle of ['p1', 'p2', 'p3']) {
+            const waited = await call(session, { operation: 'wait', handle, timeout_ms: 5000 });
+            assert.strictEqual(waited.signal, 'SIGTERM');
+        }
+    });
+
+    await runTest('会话结束时结束子进程及其后代', async () => {
+        const session = tool.createSession();
+        const pidFile = path.join(root, 'child.pid');
+        const { handle } = await call(session, { operation: 'start', command: `sleep 30 & echo $! > "${pidFile}"; wait`, working_directory: root });
+        for (let i = 0; i < 50 && !fs.existsSync(pidFile); i++) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        const grandchild = Number(fs.readFileSync(pidFile, 'utf8'));
+        assert.ok(isAlive(grandchild));
+
+        session.closeAll();
+        await call(session, { operation: 'wait', handle, timeout_ms: 5000 });
+        for (let i = 0; i < 50 && isAlive(grandchild); i++) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        assert.strictEqual(isAlive(grandchild), false);
+    });
+
+    await runTest('TerminalScreen 渲染光标移动、清除、换行与备用屏幕', () => {
+        const screen = new TerminalScreen(10, 3);
+        screen.write('hello\r\nworld\x1b[1;1Hj\x1b[2;3H\x1b[K\x1b[31mX\x1b[0m');
+        assert.deepStrictEqual(screen.snapshot().lines, ['jello', 'woX', '']);
+        assert.deepStrictEqual(screen.snapshot().cursor, { row: 1, col: 3, visible: true });
+
+        screen.write('\r\n中文abcdefg\r\nnext');
+        assert.deepStrictEqual(screen.snapshot().lines, ['中文abcdef', 'g', 'next']);
+        assert.deepStrictEqual(screen.snapshot({ scrollback: true }).lines.slice(0, 2), ['jello', 'woX']);
+
+        screen.write('\x1b[?1049h\x1b[2J\x1b[Hvim\x1b]0;title\x07');
+        assert.strictEqual(screen.snapshot().text, 'vim');
+        assert.strictEqual(screen.snapshot().alternate_screen, true);
+        assert.strictEqual(screen.snapshot().title, 'title');
+        screen.write('\x1b[?1049l');
+        assert.strictEqual(screen.snapshot().text, '中文abcdef\ng\nnext');
+
+        const replies = [];
+        screen.onReply = reply => replies.push(reply);
+        screen.write('\x1b[6n');
+        assert.deepStrictEqual(replies, ['\x1b[3;5R']);
+
+        screen.resize(4, 2);
+        assert.strictEqual(screen.snapshot().text, 'g\nnext');
+        assert.strictEqual(stripAnsi('\x1b[1;32mok\x1b[0m\r\n\x1b]0;t\x07done\r'), 'ok\ndone');
+    });
+
+    await runTest('pty 模式：wait_for、send_keys、snapshot 与 resize', async () => {
+        const session = tool.createSession();
+        const command = 'printf "Name? "; read name; printf "\\033[2J\\033[HHello %s\\n" "$name"; stty size; trap "stty size" WINCH; while :; do sleep 0.05; done';
+        const started = await call(session, { operation: 'start', command, pty: true, cols: 40, rows: 10, working_directory: root });
+        assert.deepStrictEqual(started.pty, { cols: 40, rows: 10 });
+
+        const prompt = await call(session, { operation: 'wait_for', handle: started.handle, pattern: 'Name\\? ', timeout_ms: 5000 });
+        assert.strictEqual(prompt.matched, true);
+        await call(session, { operation: 'send_keys', handle: started.handle, keys: ['Bob', 'Enter'] });
+
+        const size = await call(session, { operation: 'wait_for', handle: started.handle, pattern: '(\\d+) (\\d+)', timeout_ms: 5000 });
+        assert.deepStrictEqual(size.groups, ['10', '40']);
+        const { screen } = await call(session, { operation: 'snapshot', handle: started.handle });
+        assert.deepStrictEqual(screen.lines.slice(0, 2), ['Hello Bob', '10 40']);
+        assert.deepStrictEqual([screen.cols, screen.rows], [40, 10]);
+
+        await call(session, { operation: 'resize', handle: started.handle, cols: 100, rows: 30 });
+        const resized = await call(session, { operation: 'wait_for', handle: started.handle, pattern: '30 100', target: 'screen', timeout_ms: 5000 });
+        assert.strictEqual(resized.matched, true);
+
+        const missed = await call(session, { operation: 'wait_for', handle: started.handle, pattern: 'never', timeout_ms: 100 });
+        assert.strictEqual(missed.timed_out, true);
+
+        await call(session, { operation: 'send_keys', handle: started.handle, keys: ['C-c'] });
+        const done = await call(session, { operation: 'wait', handle: started.handle, timeout_ms: 5000 });
+        assert.strictEqual(done.status, 'exited');
+
+        const plain = await call(session, { operation: 'start', command: 'echo ready', working_directory: root });
+        assert.strictEqual((await call(session, { operation: 'wait_for', handle: plain.handle, pattern: 'ready', timeout_ms: 5000 })).matched, true);
+        await assert.rejects(session.handle({ operation: 'snapshot', handle: plain.handle }), error => error.code === 'E_INVALID_ARGS');
+        await assert.rejects(session.handle({ operation: 'wait_for', handle: plain.handle, pattern: '(' }), error => error.code === 'E_INVALID_ARGS');
+    });
+
+    await runTest('execute_command 的 pty 模式返回渲染后的终端输出', async () => {
+        const executor = new CommandExecutionTool({ isPathAllowed: () => true });
+        const result = (await executor.handle({ command: 'test -t 1 && echo tty; printf "abc\\rX\\n"; exit 3', pty: true, working_directory: root, output_format: 'json' })).content[0].json;
+        assert.strictEqual(result.exit_code, 3);
+        assert.strictEqual(result.stdout, 'tty\nXbc');
+        await assert.rejects(executor.handle({ command: 'true', pty: true, cols: 0 }), error => error.code === 'E_INVALID_ARGS');
+    });
+
+    tool.closeAll();
+    loadConfig({ configFile: path.join(root, 'missing.json'), projectDir: root });
+    fs.rmSync(root, { recursive: true, force: true });
+
+    console.log('\n测试完成！');
+    console.log(`\n测试结果：`);
+    console.log(`总测试用例数：${testResults.total}`);
+    console.log(`通过：${testResults.passed}`);
+    console.log(`失败：${testResults.failed}`);
+
+    if (testResults.failed > 0) {
+        console.log('\n失败详情：');
+        testResults.errors.forEach((err, index) => {
+            console.log(`${index + 1}. ${err.description}`);
+            console.log(`   错误: ${err.error}`);
+        });
+        process.exit(1);
+    } else {
+        console.log('\n所有测试用例都通过了！');
+        process.exit(0);
+    }
+}
+
+main();
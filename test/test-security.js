@@ -0,0 +1,297 @@
+#!/usr/bin/env node
+
+/**
+ * 路径访问控制测试脚本
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SecurityValidator = require('../tools/securityValidator');
+const { resolveRealPath, locatePath, readFileNoFollow } = require('../lib/pathUtils');
+
+// 测试结果
+const testResults = {
+    total: 0,
+    passed: 0,
+    failed: 0,
+    errors: []
+};
+
+// 测试函数
+async function runTest(description, testFn) {
+    testResults.total++;
+    try {
+        await testFn();
+        testResults.passed++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        testResults.failed++;
+        testResults.errors.push({ description, error: error.message });
+        console.log(`✗ ${description}`);
+        console.error(`  错误: ${error.message}`);
+    }
+}
+
+const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'ax-security-')));
+const project = path.join(root, 'project');
+const shared = path.join(root, 'shared');
+fs.mkdirSync(path.join(project, '.ssh'), { recursive: true });
+fs.mkdirSync(shared);
+fs.writeFileSync(path.join(project, 'a.txt'), 'a');
+fs.writeFileSync(path.join(project, '.env'), 'TOKEN=1');
+fs.writeFileSync(path.join(shared, 'notes.txt'), 'n');
+
+// 允许范围之外的目录与指向它的各类符号链接
+const outside = path.join(root, 'outside');
+fs.mkdirSync(outside);
+fs.writeFileSync(path.join(outside, 'secret.txt'), 's');
+fs.symlinkSync(outside, path.join(project, 'escape'));
+fs.symlinkSync(path.join(outside, 'secret.txt'), path.join(project, 'secret-link'));
+fs.symlinkSync(path.join(outside, 'missing.txt'), path.join(project, 'dangling'));
+fs.symlinkSync(path.join(project, 'a.txt'), path.join(project, 'a-link'));
+fs.symlinkSync(shared, path.join(project, 'shared-link'));
+fs.symlinkSync(path.join(shared, 'notes.txt'), path.join(project, 'notes-link'));
+fs.symlinkSync(path.join(project, '.ssh'), path.join(project, 'keys'));
+
+const validator = new SecurityValidator();
+validator.configure({
+    roots: [
+        { path: project, access: 'read-write' },
+        { path: shared, access: 'read', deny: ['secrets/**'] }
+    ],
+    deny: ['**/*.pem']
+});
+
+const deniedCode = fn => assert.throws(fn, error => error.code === 'E_PATH_DENIED');
+
+async function main() {
+        console.log('开始测试路径访问控制...\n');
+
+    await runTest('根目录内的路径按权限放行', () => {
+        assert.strictEqual(validator.resolveAndAssert('a.txt', project, { access: 'write' }), path.join(project, 'a.txt'));
+        assert.strictEqual(validator.resolveAndAssert(path.join(shared, 'notes.txt')), path.join(shared, 'notes.txt'));
+        deniedCode(() => validator.resolveAndAssert(path.join(shared, 'notes.txt'), null, { access: 'write' }));
+    });
+
+    await runTest('working_directory 不能扩大可访问范围', () => {
+        deniedCode(() => validator.resolveAndAssert('/etc/passwd', '/'));
+        deniedCode(() => validator.resolveAndAssert('../../etc/passwd', project));
+        deniedCode(() => validator.resolveAndAssert(root));
+        assert.strictEqual(validator.isPathAllowed('passwd', '/etc'), false);
+    });
+
+    await runTest('deny glob 对文件与目录生效', () => {
+        deniedCode(() => validator.resolveAndAssert(path.join(project, '.env')));
+        deniedCode(() => validator.resolveAndAssert(path.join(project, '.ssh')));
+        deniedCode(() => validator.resolveAndAssert(path.join(project, '.ssh', 'id_rsa')));
+        deniedCode(() => validator.resolveAndAssert(path.join(project, 'certs', 'server.pem')));
+        deniedCode(() => validator.resolveAndAssert(path.join(shared, 'secrets', 'key.txt')));
+        assert.strictEqual(validator.isDenied(path.join(project, 'secrets', 'key.txt')), false);
+    });
+
+    await runTest('嵌套根目录取最具体的权限', () => {
+        const nested = new SecurityValidator({
+            roots: [{ path: root, access: 'read-write' }, { path: shared, access: 'read' }]
+        });
+        assert.ok(nested.isPathAllowed(path.join(project, 'a.txt'), null, { access: 'write' }));
+        assert.strictEqual(nested.isPathAllowed(path.join(shared, 'notes.txt'), null, { access: 'write' }), false);
+        assert.deepStrictEqual(nested.listRoots().map(item => item.access), ['read', 'read-write']);
+        assert.throws(() => nested.configure({ roots: [{ path: root, access: 'all' }] }), /access 无效/);
+    });
+
+    await runTest('符号链接离开允许范围时拒绝', () => {
+        deniedCode(() => validator.resolveAndAssert(path.join(project, 'secret-link')));
+        deniedCode(() => validator.resolveAndAssert(path.join(project, 'escape', 'secret.txt')));
+        deniedCode(() => validator.resolveAndAssert(path.join(project, 'dangling'), null, { access: 'write' }));
+        // 尚不存在的目标按最近的已存在父目录解析
+        deniedCode(() => validator.resolveAndAssert(path.join(project, 'escape', 'new', 'file.txt'), null, { access: 'write' }));
+        deniedCode(() => validator.resolveAndAssert(path.join(project, 'keys', 'id_rsa')));
+    });
+
+    await runTest('指向允许范围内的符号链接按目标权限放行', () => {
+        assert.strictEqual(validator.resolveAndAssert('a-link', project, { access: 'write' }), path.join(project, 'a-link'));
+        assert.ok(validator.isPathAllowed(path.join(project, 'shared-link', 'notes.txt')));
+        deniedCode(() => validator.resolveAndAssert(path.join(project, 'shared-link', 'notes.txt'), null, { access: 'write' }));
+    });
+
+    await runTest('真实路径解析支持不存在的路径', () => {
+        assert.strictEqual(resolveRealPath(path.join(project, 'escape', 'x', 'y.txt')), path.join(outside, 'x', 'y.txt'));
+        assert.strictEqual(resolveRealPath(path.join(project, 'dangling')), path.join(outside, 'missing.txt'));
+        assert.strictEqual(locatePath(path.join(project, 'escape', 'link')), path.join(outside, 'link'));
+    });
+
+    await runTest('打开文件时不跟随未经校验的符号链接', async () => {
+        await assert.rejects(readFileNoFollow(path.join(project, 'a-link')), error => error.code === 'E_SYMLINK_DENIED');
+        assert.strictEqual((await validator.readFile(path.join(project, 'a-link'))).toString(), 'a');
+
+        // 校验通过后被替换为指向范围之外的链接
+        const swapped = path.join(project, 'swap.txt');
+        fs.writeFileSync(swapped, 'ok');
+        const checked = validator.resolveAndAssert(swapped);
+        fs.rmSync(swapped);
+        fs.symlinkSync(path.join(outside, 'secret.txt'), swapped);
+        await assert.rejects(validator.readFile(checked), error => error.code === 'E_SYMLINK_DENIED');
+        // 链接目标位于只读根目录时不能以写方式打开
+        const handle = await validator.openFile(path.join(project, 'notes-link'));
+        await handle.close();
+        await assert.rejects(validator.openFile(path.join(project, 'notes-link'), 'r+'), error => error.code === 'E_SYMLINK_DENIED');
+    });
+
+    await runTest('历史记录中的路径同样校验，历史目录禁止访问', async () => {
+        // 历史目录位于家目录下，模块加载前切换到临时家目录
+        const home = path.join(root, 'home');
+        fs.mkdirSync(home);
+        process.env.HOME = home;
+        const journal = require('../lib/historyJournal');
+        const FileHistoryTool = require('../tools/fileHistory');
+        const history = new FileHistoryTool(validator);
+
+        // 伪造指向允许范围之外的记录
+        const forged = path.join(journal.getHistoryDir(), '1-forged');
+        fs.mkdirSync(forged, { recursive: true });
+        fs.writeFileSync(path.join(forged, 'data'), '');
+        fs.writeFileSync(path.join(forged, 'meta.json'), JSON.stringify({ id: '1-forged', path: path.join(outside, 'secret.txt'), kind: 'file' }));
+        await assert.rejects(history.handle({ operation: 'diff', id: '1-forged' }), error => error.code === 'E_PATH_DENIED');
+        const listed = (await history.handle({ operation: 'list', output_format: 'json' })).content[0].json;
+        assert.deepStrictEqual(listed.entries, []);
+
+        // 符号链接按链接本身记录，不复制链接目标
+        const id = await journal.recordSnapshot(path.join(project, 'secret-link'), { tool: 'test', operation: 'write' });
+        const meta = await journal.getEntry(id);
+        assert.strictEqual(meta.kind, 'symlink');
+        assert.strictEqual(meta.link, path.join(outside, 'secret.txt'));
+        assert.strictEqual(fs.existsSync(path.join(journal.getHistoryDir(), id, 'data')), false);
+
+        const defaults = new SecurityValidator();
+        deniedCode(() => defaults.resolveAndAssert(path.join(forged, 'meta.json'), null, { access: 'write' }));
+    });
+
+    await runTest('复制、移动与压缩目录时校验其中每个条目的 deny 规则', async () => {
+        const home = path.join(root, 'home2');
+        const vault = path.join(root, 'vault');
+        fs.mkdirSync(path.join(home, '.axlocalop'), { recursive: true });
+        fs.writeFileSync(path.join(home, '.axlocalop', 'policy.json'), '{}');
+        fs.mkdirSync(path.join(home, 'bundle', 'private'), { recursive: true });
+        fs.writeFileSync(path.join(home, 'bundle', 'private', 'k.txt'), 'k');
+        fs.mkdirSync(vault);
+        process.env.HOME = home;
+        const treeValidator = new SecurityValidator({
+            roots: [{ path: home }, { path: vault, deny: ['*/private/**'] }]
+        });
+        const FileOperationTool = require('../tools/fileOperation');
+        const FileArchiveTool = require('../tools/fileArchive');
+        const files = new FileOperationTool(treeValidator);
+        const archive = new FileArchiveTool(treeValidator);
+        const denied = error => error.code === 'E_PATH_DENIED';
+
+        // 递归复制出本服务的配置目录
+        await assert.rejects(files.handle({ operation: 'copy', path: path.join(home, '.axlocalop'), destination: path.join(home, 'leak'), recursive: true }), denied);
+        assert.strictEqual(fs.existsSync(path.join(home, 'leak')), false);
+        // 整体移出配置目录（修改后再移回即可绕过写入禁止）
+        await assert.rejects(files.handle({ operation: 'move', path: path.join(home, '.axlocalop'), destination: path.join(home, 'moved') }), denied);
+        assert.ok(fs.existsSync(path.join(home, '.axlocalop', 'policy.json')));
+        // 条目在目标位置命中 deny 规则
+        await assert.rejects(files.handle({ operation: 'move', path: path.join(home, 'bundle'), destination: path.join(vault, 'bundle') }), denied);
+        await assert.rejects(files.handle({ operation: 'copy', path: path.join(home, 'bundle'), destination: path.join(vault, 'bundle'), recursive: true }), denied);
+        assert.strictEqual(fs.existsSync(path.join(vault, 'bundle')), false);
+        // 打包配置目录
+        const tarball = path.join(home, 'conf.tar');
+        await assert.rejects(archive.handle({ operation: 'compress', source: path.join(home, '.axlocalop'), destination: tarball, format: 'tar' }), denied);
+        assert.strictEqual(fs.existsSync(tarball), false);
+
+        // 不含被禁止条目的目录照常复制
+        await files.handle({ operation: 'copy', path: path.join(home, 'bundle'), destination: path.join(home, 'bundle-copy'), recursive: true });
+        assert.strictEqual(fs.readFileSync(path.join(home, 'bundle-copy', 'private', 'k.txt'), 'utf8'), 'k');
+    });
+
+    await runTest('递归删除与恢复历史记录时不删除被禁止的条目', async () => {
+        const FileOperationTool = require('../tools/fileOperation');
+        const FileHistoryTool = require('../tools/fileHistory');
+        const files = new FileOperationTool(validator);
+        const history = new FileHistoryTool(validator);
+        const dir = path.join(project, 'deploy');
+        fs.mkdirSync(dir);
+        fs.writeFileSync(path.join(dir, 'app.txt'), 'v1');
+        const { history_id: id } = (await files.handle({ operation: 'write', path: path.join(dir, 'app.txt'), content: 'v2', output_format: 'json' })).content[0].json;
+        const preview = (await files.handle({ operation: 'delete', path: dir, dry_run: true, output_format: 'json' })).content[0].json;
+        assert.strictEqual(preview.affected.length, 2);
+
+        fs.writeFileSync(path.join(dir, '.env'), 'TOKEN=1');
+        const denied = error => error.code === 'E_PATH_DENIED';
+        await assert.rejects(files.handle({ operation: 'delete', path: dir }), denied);
+        await assert.rejects(files.handle({ operation: 'delete', path: dir, dry_run: true }), denied);
+        assert.ok(fs.existsSync(path.join(dir, '.env')));
+
+        // 恢复目录快照前需删除当前目录
+        const dirId = await require('../lib/historyJournal').recordSnapshot(dir, { tool: 'test', operation: 'delete' });
+        fs.writeFileSync(path.join(dir, '.env'), 'TOKEN=2');
+        await assert.rejects(history.handle({ operation: 'restore', id: dirId }), denied);
+        assert.strictEqual(fs.readFileSync(path.join(dir, '.env'), 'utf8'), 'TOKEN=2');
+        // 文件快照不受目录中其他条目影响
+        await history.handle({ operation: 'restore', id });
+        assert.strictEqual(fs.readFileSync(path.join(dir, 'app.txt'), 'utf8'), 'v1');
+    });
+
+    await runTest('列出目录时不返回被禁止的条目', async () => {
+        const FileOperationTool = require('../tools/fileOperation');
+        fs.writeFileSync(path.join(project, '.ssh', 'id_rsa'), 'key');
+        const files = new FileOperationTool(validator);
+        for (const recursive of [false, true]) {
+            const listed = (await files.handle({ operation: 'list', path: project, recursive, git_status: false, output_format: 'json' })).content[0].json;
+            const names = listed.entries.map(entry => entry.name);
+            assert.ok(names.includes('a.txt'), String(recursive));
+            assert.ok(!names.includes('.env') && !names.includes('.ssh') && !names.includes('id_rsa'), String(recursive));
+        }
+    });
+
+    await runTest('按行读取不跟随校验后被替换的符号链接', async () => {
+        const FileOperationTool = require('../tools/fileOperation');
+        const files = new FileOperationTool(validator);
+        const swapped = path.join(project, 'lines.txt');
+        fs.writeFileSync(swapped, 'one\ntwo\n');
+        const checked = validator.resolveAndAssert(swapped);
+        const stats = fs.statSync(checked);
+        assert.strictEqual((await files.readLineRange(checked, stats, 2)).content[0].text.includes('two'), true);
+        fs.rmSync(swapped);
+        fs.symlinkSync(path.join(outside, 'secret.txt'), swapped);
+        // 超出范围的行号也不能泄露链接目标的行数
+        await assert.rejects(files.readLineRange(checked, stats, 5), error => error.code === 'E_SYMLINK_DENIED');
+    });
+
+    await runTest('目录比较跳过被禁止的条目，不输出其内容', async () => {
+        const FileCompareTool = require('../tools/fileCompare');
+        for (const [side, value] of [['cmp-a', 'one'], ['cmp-b', 'two']]) {
+            fs.mkdirSync(path.join(project, side));
+            fs.writeFileSync(path.join(project, side, '.env'), `SECRET=${value}\n`);
+            fs.writeFileSync(path.join(project, side, 'app.txt'), `${value}\n`);
+        }
+        const compare = new FileCompareTool(validator);
+        const result = (await compare.handle({ file1: path.join(project, 'cmp-a'), file2: path.join(project, 'cmp-b'), include_diffs: true, output_format: 'json' })).content[0].json;
+        assert.deepStrictEqual(result.changed.map(entry => entry.path), ['app.txt']);
+        assert.ok(!JSON.stringify(result).includes('SECRET'));
+    });
+
+    fs.rmSync(root, { recursive: true, force: true });
+
+    console.log('\n测试完成！');
+    console.log(`\n测试结果：`);
+    console.log(`总测试用例数：${testResults.total}`);
+    console.log(`通过：${testResults.passed}`);
+    console.log(`失败：${testResults.failed}`);
+
+    if (testResults.failed > 0) {
+        console.log('\n失败详情：');
+        testResults.errors.forEach((err, index) => {
+            console.log(`${index + 1}. ${err.description}`);
+            console.log(`   错误: ${err.error}`);
+        });
+        process.exit(1);
+    } else {
+        console.log('\n所有测试用例都通过了！');
+        process.exit(0);
+    }
+}
+
+main();
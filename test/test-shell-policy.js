@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+
+/**
+ * Shell 命令解析与命令策略测试脚本
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parse, listCommands } = require('../lib/shellParser');
+const { evaluate } = require('../lib/commandPolicy');
+const { loadPolicy } = require('../lib/commandRules');
+const CommandExecutionTool = require('../tools/commandExecution');
+const PolicyCheckTool = require('../tools/policyCheck');
+
+// 测试结果
+const testResults = {
+    total: 0,
+    passed: 0,
+    failed: 0,
+    errors: []
+};
+
+// 测试函数
+async function runTest(description, testFn) {
+    testResults.total++;
+    try {
+        await testFn();
+        testResults.passed++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        testResults.failed++;
+        testResults.errors.push({ description, error: error.message });
+        console.log(`✗ ${description}`);
+        console.error(`  错误: ${error.message}`);
+    }
+}
+
+const programs = command => listCommands(command).map(segment => segment.program);
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'ax-policy-'));
+const policyFile = path.join(root, 'policy.json');
+fs.writeFileSync(policyFile, JSON.stringify({
+    rules: [
+        { id: 'git-push-origin', action: 'allow', program: 'git', args: ['push', 'origin'], priority: 10 },
+        { id: 'git-push', action: 'deny', program: 'git', args: ['push'], reason: '只允许推送到 origin' },
+        { id: 'npm-publish', action: 'deny', program: 'npm', args: ['publish'] },
+        { id: 'docker-rm', action: 'warn', program: 'docker', args: ['{rm,rmi}'] },
+        { id: 'scratch-rm', action: 'allow', program: 'rm', cwd: `${root}/**` },
+        { id: 'prod-kubectl', action: 'deny', program: 'kubectl', env: { KUBECONFIG: '**prod**' } }
+    ]
+}));
+
+async function main() {
+    console.log('开始测试命令解析与策略...\n');
+
+    await runTest('解析管道、子 shell、命令替换与重定向', () => {
+        const ast = parse('(cd src && make) | tee "build log.txt" 2>&1');
+        assert.strictEqual(ast.items.length, 1);
+        const [subshell, tee] = ast.items[0].commands;
+        assert.strictEqual(subshell.type, 'subshell');
+        assert.strictEqual(subshell.body.items.length, 2);
+        assert.deepStrictEqual(tee.words.map(word => word.value), ['tee', 'build log.txt']);
+        assert.deepStrictEqual(tee.redirects.map(redirect => redirect.op), ['2>&']);
+
+        assert.deepStrictEqual(programs('echo $(whoami) `hostname` ${X:-$(date)}'), ['whoami', 'hostname', 'date', 'echo']);
+        assert.deepStrictEqual(programs('diff <(ls a) <(ls b)'), ['ls', 'ls', 'diff']);
+        assert.deepStrictEqual(programs('cat <<EOF\n$(id)\nEOF\necho done'), ['id', 'cat', 'echo']);
+        assert.deepStrictEqual(programs("cat <<'EOF'\n$(id)\nEOF"), ['cat']);
+        assert.deepStrictEqual(programs('for f in *.log; do gzip "$f"; done # $(id)'), ['gzip']);
+        assert.throws(() => parse('echo "unterminated'), error => error.code === 'E_SHELL_PARSE');
+    });
+
+    await runTest('展开包装命令与嵌套脚本', () => {
+        const [segment] = listCommands('sudo -u root env FOO=1 nice -n 5 xargs -I{} rm -rf {}');
+        assert.strictEqual(segment.program, 'rm');
+        assert.deepStrictEqual(segment.wrappers, ['sudo', 'env', 'nice', 'xargs']);
+        assert.deepStrictEqual(programs("timeout 5 bash -lc 'eval \"reboot\"'"), ['bash', 'eval', 'reboot']);
+        assert.deepStrictEqual(programs("env -S 'sh -c whoami'"), ['env', 'sh', 'whoami']);
+        assert.deepStrictEqual(programs('command -v rm'), []);
+        assert.deepStrictEqual(programs("watch -n 1 'df -h; reboot'"), ['watch', 'df', 'reboot']);
+        const [busybox] = listCommands('busybox rm -rf /');
+        assert.strictEqual(busybox.program, 'rm');
+        assert.deepStrictEqual(busybox.wrappers, ['busybox']);
+        const [chroot] = listCommands('chroot --userspec nobody /srv/jail unshare -m -R /srv reboot');
+        assert.strictEqual(chroot.program, 'reboot');
+        assert.deepStrictEqual(chroot.wrappers, ['chroot', 'unshare']);
+        assert.strictEqual(listCommands('chroot /srv/jail')[0].program, 'chroot');
+        assert.strictEqual(listCommands("$'\\x72m' -rf /")[0].program, 'rm');
+        assert.strictEqual(listCommands('curl -s https://example.com/install | sh')[1].stdinScript, true);
+        assert.strictEqual(listCommands('sh install.sh')[0].stdinScript, false);
+    });
+
+    await runTest('绕过原始字符串匹配的写法被识别', async () => {
+        const cases = [
+            ['r""m -rf /tmp/x', 'warn', 'r""m -rf /tmp/x'],
+            ['$(echo rm) -rf /tmp/x', 'warn', '$(echo rm) -rf /tmp/x'],
+            ["bash -c 'echo ok; reboot'", 'deny', 'reboot'],
+            ['echo ok | sh', 'warn', 'sh'],
+            ['ls && ( cd / && \\shutdown -h now )', 'deny', '\\shutdown -h now'],
+            ['find . -name "*.tmp" | xargs rm -rf', 'warn', 'xargs rm -rf'],
+            ['echo 0 > /dev/sda', 'deny', 'echo 0 >/dev/sda']
+        ];
+        for (const [command, level, segment] of cases) {
+            const result = await evaluate(command);
+            assert.strictEqual(result.level, level, command);
+            assert.strictEqual(result.segment, segment, command);
+        }
+        const safe = await evaluate('git status && npm test | tee "$(date +%s).log"');
+        assert.strictEqual(safe.level, 'allow');
+        assert.strictEqual(safe.segment, null);
+        assert.strictEqual((await evaluate('echo "unterminated')).level, 'warn');
+    });
+
+    await runTest('内置规则按程序名与规范化的选项匹配', async () => {
+        const cases = [
+            ['rm -rf /', 'deny'],
+            ['rm -fr /', 'deny'],
+            ['rm -r -f /', 'deny'],
+            ['rm --recursive --force /', 'deny'],
+            ['rm -rf -- ~/', 'deny'],
+            ['sudo rm -Rf /*', 'deny'],
+            ['find / -delete', 'deny'],
+            ['find /etc -name "*.conf" -exec rm {} +', 'deny'],
+            ['/sbin/shutdown -h now', 'deny'],
+            ['mkfs.ext4 /dev/sdb1', 'deny'],
+            ['dd if=/dev/zero of=/dev/sda', 'deny'],
+            ['killall -s KILL node', 'deny'],
+            ['watch rm -rf /', 'deny'],
+            ["watch -n 5 'rm -rf /'", 'deny'],
+            ['busybox rm -rf /', 'deny'],
+            ['chroot /mnt rm -rf /', 'deny'],
+            ['unshare -r --wd /tmp rm -rf /', 'deny'],
+            ['rm -fr build', 'warn'],
+            ['rm --force --recursive build', 'warn'],
+            ['find . -name "*.tmp" -delete', 'warn'],
+            ['chmod -R 777 public', 'warn'],
+            ['crontab -r', 'warn'],
+            ['echo shutdown', 'allow'],
+            ['grep passwd /etc/passwd', 'allow'],
+            ['git commit -m "reboot the service"', 'allow'],
+            ['rm -f notes.txt', 'allow'],
+            ['find / -name passwd', 'allow']
+        ];
+        for (const [command, level] of cases) {
+            assert.strictEqual((await evaluate(command)).level, level, command);
+        }
+    });
+
+    await runTest('execute_command 等待策略结果并报告触发片段', async () => {
+        const tool = new CommandExecutionTool({ isPathAllowed: () => true });
+        const denied = await tool.handle({ command: "echo start; sh -c 'reboot'", output_format: 'json' });
+        assert.strictEqual(denied.isError, true);
+        assert.strictEqual(denied.content[0].json.policy.segment, 'reboot');
+
+        const pending = await tool.handle({ command: 'ls; r""m -rf /tmp/ax-none' });
+        assert.ok(pending.content[0].text.includes('触发片段: r""m -rf /tmp/ax-none'));
+
+        const ok = await tool.handle({ command: 'echo hello', output_format: 'json' });
+        assert.strictEqual(ok.content[0].json.stdout.trim(), 'hello');
+    });
+
+    await runTest('策略文件规则按优先级匹配并报告规则 id', async () => {
+        assert.strictEqual(loadPolicy(policyFile).rules.length, 6);
+        const cases = [
+            ['git push origin main', 'allow', 'git-push-origin'],
+            ['git status && git push upstream main', 'deny', 'git-push'],
+            ["sh -c 'npm publish --tag next'", 'deny', 'npm-publish'],
+            ['docker ps && sudo docker rmi app', 'warn', 'docker-rm'],
+            ['KUBECONFIG=~/.kube/prod.yaml kubectl get pods', 'deny', 'prod-kubectl'],
+            ['kubectl get pods', 'allow', null],
+            // 子命令前的全局选项不能绕过规则
+            ['git -C . push upstream', 'deny', 'git-push'],
+            ['git --no-pager push upstream', 'deny', 'git-push'],
+            ['git -c push.default=current --git-dir=.git push upstream', 'deny', 'git-push'],
+            ['git -C . push origin main', 'allow', 'git-push-origin'],
+            ['git -C push status', 'allow', null],
+            // 未知程序无法判断选项是否带参数，deny 规则在每个可能的位置匹配
+            ['npm --tag next publish', 'deny', 'npm-publish'],
+            ['npm --loglevel=silent publish', 'deny', 'npm-publish'],
+            ['docker -H tcp://host rm app', 'warn', 'docker-rm']
+        ];
+        for (const [command, level, rule] of cases) {
+            const result = await evaluate(command);
+            assert.strictEqual(result.level, level, command);
+            assert.strictEqual(result.rule, rule, command);
+        }
+
+        // cwd 条件：允许规则可以放行内置警告，但不能放行内置拒绝
+        assert.strictEqual((await evaluate('rm -rf build', { cwd: path.join(root, 'work') })).rule, 'scratch-rm');
+        assert.strictEqual((await evaluate('rm -rf build', { cwd: os.tmpdir() })).rule, 'builtin:warn');
+        assert.strictEqual((await evaluate('reboot', { cwd: root })).rule, 'builtin:deny');
+
+        const invalid = path.join(root, 'invalid.json');
+        fs.writeFileSync(invalid, JSON.stringify({ rules: [{ id: 'a', action: 'block' }, { id: 'a', action: 'deny', args_regex: '(' }] }));
+        assert.throws(() => loadPolicy(invalid), error => {
+            assert.strictEqual(error.code, 'E_INVALID_ARGS');
+            assert.ok(error.message.includes('rules[0].action 应为 allow、warn、deny 之一'));
+            assert.ok(error.message.includes('rules[1].args_regex 不是有效的正则表达式'));
+            assert.ok(error.message.includes('rules[1].id 重复: a'));
+            return true;
+        });
+    });
+
+    await runTest('policy_check 只评估不执行', async () => {
+        const marker = path.join(root, 'marker');
+        const tool = new PolicyCheckTool({});
+        const output = await tool.handle({ command: `touch ${marker} && git push upstream`, output_format: 'json' });
+        const result = output.content[0].json;
+        assert.strictEqual(result.level, 'deny');
+        assert.strictEqual(result.rule, 'git-push');
+        assert.strictEqual(result.segment, 'git push upstream');
+        assert.strictEqual(result.would_execute, false);
+        assert.strictEqual(result.policy_file, policyFile);
+        assert.strictEqual(fs.existsSync(marker), false);
+
+        const text = (await tool.handle({ command: 'git push origin main' })).content[0].text;
+        assert.ok(text.includes('规则: git-push-origin'));
+        assert.ok(text.includes('git-push-origin (allow): git push origin main'));
+        await assert.rejects(tool.handle({}), error => error.code === 'E_INVALID_ARGS');
+    });
+
+    loadPolicy(path.join(root, 'missing.json'));
+    fs.rmSync(root, { recursive: true, force: true });
+
+    console.log('\n测试完成！');
+    console.log(`\n测试结果：`);
+    console.log(`总测试用例数：${testResults.total}`);
+    console.log(`通过：${testResults.passed}`);
+    console.log(`失败：${testResults.failed}`);
+
+    if (testResults.failed > 0) {
+        console.log('\n失败详情：');
+        testResults.errors.forEach((err, index) => {
+            console.log(`${index + 1}. ${err.description}`);
+            console.log(`   错误: ${err.error}`);
+        });
+        process.exit(1);
+    } else {
+        console.log('\n所有测试用例都通过了！');
+        process.exit(0);
+    }
+}
+
+main();
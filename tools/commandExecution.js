@@ -2,25 +2,74 @@
  * 命令执行工具模块
  * 支持安全的本地命令执行
  * 使用 spawn 替代 exec 以避免命令注入风险
+ * 客户端提供 progressToken 时以进度通知流式返回输出，请求被取消时结束整个进程树
  */
 
 const { spawn } = require('child_process');
+const { StringDecoder } = require('string_decoder');
 const { evaluate } = require('../lib/commandPolicy');
+const { spawnPty, isPtySupported, assertSize } = require('../lib/pty');
+const { TerminalScreen, createAnsiStripper } = require('../lib/terminalScreen');
+const { killTree } = require('../lib/processTree');
 const { ERR } = require('../errors');
+const { buildOutput } = require('../lib/output');
+const { getConfig } = require('../lib/config');
 
-// 默认输出限制
-const DEFAULT_STDOUT_MAX = 4000;
-const DEFAULT_STDERR_MAX = 2000;
+const PROGRESS_INTERVAL_MS = 200;  // 输出进度通知的合并间隔
+const PROGRESS_CHUNK_MAX = 8192;    // 单条进度通知的最大字符数
+const KILL_GRACE_MS = 5000;         // SIGTERM 之后等待多久再 SIGKILL
+
+/**
+ * 把命令输出合并后作为进度通知发送
+ * progress 为累计发送的字符数，message 为新增的输出（stderr 的内容以 [stderr] 开头）
+ * @param {function(number, string): void} progress - 发送一条进度通知
+ * @returns {{write: function(string, string): void, end: function(): void}}
+ */
+function createOutputReporter(progress) {
+  let sent = 0;
+  let pending = [];
+  let timer = null;
+
+  const flush = () => {
+    timer = null;
+    for (const { stream, text } of pending) {
+      for (let index = 0; index < text.length; index += PROGRESS_CHUNK_MAX) {
+        const chunk = text.slice(index, index + PROGRESS_CHUNK_MAX);
+        sent += chunk.length;
+        progress(sent, stream === 'stderr' ? `[stderr] ${chunk}` : chunk);
+      }
+    }
+    pending = [];
+  };
+
+  return {
+    write(stream, text) {
+      if (!text) return;
+      const last = pending[pending.length - 1];
+      if (last && last.stream === stream) last.text += text;
+      else pending.push({ stream, text });
+      if (!timer) timer = setTimeout(flush, PROGRESS_INTERVAL_MS);
+    },
+    end() {
+      if (timer) clearTimeout(timer);
+      flush();
+    }
+  };
+}
 
 /**
  * 使用 spawn 安全执行命令
+ * 命令以独立进程组启动，超时或取消时结束整个进程树
  * @param {string} command - 要执行的命令
  * @param {Object} options - 选项
- * @returns {Promise<{stdout: string, stderr: string, exitCode: number}>}
+ * @param {AbortSignal} options.signal - 取消信号，触发时结束进程树
+ * @param {function(string, string): void} options.onOutput - 收到输出时回调 (stream, text)
+ * @returns {Promise<{stdout: string, stderr: string, exitCode: number, killed: boolean, cancelled: boolean}>}
  */
 function spawnExec(command, options = {}) {
   return new Promise((resolve, reject) => {
-    const { cwd, timeout_ms, stdout_max = DEFAULT_STDOUT_MAX, stderr_max = DEFAULT_STDERR_MAX } = options;
+    const { limits } = getConfig();
+    const { cwd, timeout_ms, stdout_max = limits.stdout_max, stderr_max = limits.stderr_max, pty = false, cols = 80, rows = 24, signal, onOutput } = options;
 
     // 使用 bash/sh 执行命令，支持管道、重定向等功能
     const shellCmd = process.platform === 'win32' ? 'cmd.exe' : 'sh';
@@ -28,47 +77,77 @@ function spawnExec(command, options = {}) {
       ? ['/c', command]  // Windows: cmd /c command
       : ['-c', command]; // Unix: sh -c command
 
-    const child = spawn(shellCmd, shellArgs, {
-      cwd,
-      timeout: timeout_ms,
-      env: process.env,
-      stdio: ['pipe', 'pipe', 'pipe']  // pipe 所有 stdio 以捕获输出
-    });
+    // pty 模式：命令运行在伪终端中，输出经终端模拟渲染后作为 stdout（stderr 已合并），标准输入立即结束
+    const child = pty
+      ? spawnPty(command, { cwd, env: process.env, cols, rows })
+      : spawn(shellCmd, shellArgs, {
+        cwd,
+        env: process.env,
+        stdio: ['pipe', 'pipe', 'pipe'],  // pipe 所有 stdio 以捕获输出
+        detached: process.platform !== 'win32'  // 独立进程组，便于结束整个进程树
+      });
+    const screen = pty ? new TerminalScreen(cols, rows) : null;
+    const decoders = { stdout: new StringDecoder('utf8'), stderr: new StringDecoder('utf8') };
+    const stripTerminal = pty ? createAnsiStripper() : null;
+    if (pty) child.stdin.end();
 
     let stdout = '';
     let stderr = '';
     let killed = false;
-
-    // 捕获 stdout
-    child.stdout.on('data', (data) => {
-      const text = data.toString();
-      if (stdout.length < stdout_max) {
-        stdout += text.slice(0, stdout_max - stdout.length);
-      }
-    });
-
-    // 捕获 stderr
-    child.stderr.on('data', (data) => {
-      const text = data.toString();
-      if (stderr.length < stderr_max) {
+    let cancelled = false;
+    let exited = false;
+
+    const receive = (stream, text) => {
+      if (!text) return;
+      if (onOutput) onOutput(stream, stripTerminal && stream === 'stdout' ? stripTerminal(text) : text);
+      if (screen && stream === 'stdout') {
+        screen.write(text);
+      } else if (stream === 'stdout') {
+        if (stdout.length < stdout_max) stdout += text.slice(0, stdout_max - stdout.length);
+      } else if (stderr.length < stderr_max) {
         stderr += text.slice(0, stderr_max - stderr.length);
       }
-    });
+    };
+
+    // 捕获 stdout / stderr
+    child.stdout.on('data', data => receive('stdout', decoders.stdout.write(data)));
+    child.stderr.on('data', data => receive('stderr', decoders.stderr.write(data)));
+
+    // 结束进程树：先 SIGTERM，仍未退出则强制杀死
+    const terminate = () => {
+      killTree(child.pid, 'SIGTERM');
+      setTimeout(() => {
+        if (!exited) killTree(child.pid, 'SIGKILL');
+      }, KILL_GRACE_MS).unref();
+    };
 
     // 处理超时
     const timeoutHandle = timeout_ms ? setTimeout(() => {
       killed = true;
-      child.kill('SIGTERM');
-      // 5秒后强制杀死
-      setTimeout(() => {
-        if (!child.killed) {
-          child.kill('SIGKILL');
-        }
-      }, 5000);
+      terminate();
     }, timeout_ms) : null;
 
-    child.on('close', (code) => {
+    // 处理取消（MCP notifications/cancelled）
+    const onAbort = () => {
+      cancelled = true;
+      terminate();
+    };
+    if (signal) {
+      if (signal.aborted) onAbort();
+      else signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    const cleanup = () => {
+      exited = true;
       if (timeoutHandle) clearTimeout(timeoutHandle);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+
+    child.on('close', (code) => {
+      cleanup();
+      receive('stdout', decoders.stdout.end());
+      receive('stderr', decoders.stderr.end());
+      if (screen) stdout = screen.snapshot({ scrollback: true }).text;
 
       // 截断处理
       const stdoutTruncated = stdout.length > stdout_max;
@@ -77,30 +156,39 @@ function spawnExec(command, options = {}) {
       resolve({
         stdout: stdout.slice(0, stdout_max) + (stdoutTruncated ? `\n... <truncated ${stdout.length - stdout_max} chars>` : ''),
         stderr: stderr.slice(0, stderr_max) + (stderrTruncated ? `\n... <truncated ${stderr.length - stderr_max} chars>` : ''),
-        exitCode: code,
+        exitCode: screen && (killed || cancelled) ? null : code,  // script 被结束时以 0 退出
         stdoutTruncated,
         stderrTruncated,
-        killed
+        killed,
+        cancelled
       });
     });
 
     child.on('error', (error) => {
-      if (timeoutHandle) clearTimeout(timeoutHandle);
+      cleanup();
       reject(error);
     });
   });
 }
 
+// 触发策略的片段（与整条命令不同时才单独显示）与规则
+function describePolicy(policy, command) {
+  const segment = policy.segment && policy.segment !== command ? `\n触发片段: ${policy.segment}` : '';
+  return `${segment}${policy.rule ? `\n规则: ${policy.rule}` : ''}`;
+}
+
 /**
  * 构建输出响应
  */
 function buildResponse(data, output_format, command, cwd, duration_ms, policy) {
+  const { limits } = getConfig();
   const truncatedInfo = [];
-  if (data.stdoutTruncated) truncatedInfo.push(`stdout截断${data.stdout.length - DEFAULT_STDOUT_MAX}chars`);
-  if (data.stderrTruncated) truncatedInfo.push(`stderr截断${data.stderr.length - DEFAULT_STDERR_MAX}chars`);
+  if (data.stdoutTruncated) truncatedInfo.push(`stdout截断${data.stdout.length - limits.stdout_max}chars`);
+  if (data.stderrTruncated) truncatedInfo.push(`stderr截断${data.stderr.length - limits.stderr_max}chars`);
 
+  const heading = data.cancelled ? '命令已取消' : '命令执行完成';
   const responseData = {
-    status: data.exitCode === 0 ? 'ok' : 'error',
+    status: data.cancelled ? 'cancelled' : data.exitCode === 0 ? 'ok' : 'error',
     command,
     cwd: cwd || null,
     policy,
@@ -116,7 +204,7 @@ function buildResponse(data, output_format, command, cwd, duration_ms, policy) {
   }
 
   if (output_format === 'both') {
-    let textMsg = `命令执行完成:\n命令: ${command}\n`;
+    let textMsg = `${heading}:\n命令: ${command}\n`;
     if (cwd) textMsg += `工作目录: ${cwd}\n`;
     textMsg += `耗时: ${duration_ms}ms\n退出码: ${data.exitCode}\n`;
     textMsg += `stdout:\n${data.stdout}`;
@@ -132,7 +220,7 @@ function buildResponse(data, output_format, command, cwd, duration_ms, policy) {
   }
 
   // text 格式
-  let textMsg = `命令执行完成:\n命令: ${command}\n`;
+  let textMsg = `${heading}:\n命令: ${command}\n`;
   if (cwd) textMsg += `工作目录: ${cwd}\n`;
   textMsg += `耗时: ${duration_ms}ms\n退出码: ${data.exitCode}\n`;
   textMsg += `stdout:\n${data.stdout}`;
@@ -147,22 +235,39 @@ class CommandExecutionTool {
     this.securityValidator = securityValidator;
   }
 
-  async handle(args) {
+  /**
+   * @param {Object} args - 工具参数
+   * @param {Object} context - 调用上下文
+   * @param {AbortSignal} context.signal - 请求被取消时触发，结束正在执行的命令
+   * @param {function(number, string): void} context.progress - 客户端提供 progressToken 时发送进度通知，用于流式输出
+   */
+  async handle(args, { signal, progress } = {}) {
     const {
       command,
       working_directory,
       working_dir,
       confirm = false,
+      dry_run = false,
       output_format = 'text',
-      timeout_ms = 60000  // 默认60秒超时
+      timeout_ms = 60000,  // 默认60秒超时
+      pty = false,
+      cols = 80,
+      rows = 24
     } = args;
 
+    if (pty) {
+      if (!isPtySupported()) throw ERR.INVALID_ARGS('当前平台不支持 pty 模式');
+      assertSize(cols, rows);
+    }
+
     const cwd = working_directory || working_dir;
-    const stdout_max = args.stdout_max || DEFAULT_STDOUT_MAX;
-    const stderr_max = args.stderr_max || DEFAULT_STDERR_MAX;
+    const { limits } = getConfig();
+    const stdout_max = args.stdout_max || limits.stdout_max;
+    const stderr_max = args.stderr_max || limits.stderr_max;
 
     // 检查工作目录是否被允许
-    if (cwd && !this.securityValidator.isPathAllowed(cwd)) {
+    // 命令可以修改工作目录中的任何内容，因此需要写权限
+    if (cwd && !this.securityValidator.isPathAllowed(cwd, null, { access: 'write' })) {
       const errorResponse = {
         status: 'error',
         command,
@@ -192,8 +297,29 @@ class CommandExecutionTool {
       };
     }
 
+    // 演练模式：只评估策略并说明是否会执行，不启动进程
+    if (dry_run) {
+      const verdict = await evaluate(command, { cwd: cwd || undefined });
+      const wouldExecute = verdict.level === 'allow' || (verdict.level === 'warn' && confirm);
+      const outcome = wouldExecute ? '将执行' : verdict.level === 'deny' ? '将被拒绝' : '需要 { "confirm": true } 才会执行';
+      return buildOutput(output_format, `[演练] 命令未执行\n命令: ${command}\n${cwd ? `工作目录: ${cwd}\n` : ''}策略: ${verdict.level}${verdict.reason ? `（${verdict.reason}）` : ''}${describePolicy(verdict, command)}\n结果: ${outcome}`, {
+        status: 'dry_run',
+        command,
+        cwd: cwd || null,
+        policy: verdict,
+        would_execute: wouldExecute,
+        exit_code: null,
+        stdout: '',
+        stderr: '',
+        duration_ms: 0,
+        truncated: false
+      });
+    }
+
     // 策略评估
-    const policy = evaluate(command);
+    const policy = await evaluate(command, { cwd: cwd || undefined });
+    const denyMessage = `危险命令被拒绝: ${command}${describePolicy(policy, command)}`;
+    const warnMessage = `警告: 高风险命令，需要确认后才能执行。\n命令: ${command}${describePolicy(policy, command)}\n策略: ${policy.reason}\n请加参数 { "confirm": true } 继续。`;
 
     // Deny 策略：直接拒绝
     if (policy.level === 'deny') {
@@ -201,9 +327,10 @@ class CommandExecutionTool {
         status: 'error',
         command,
         cwd: cwd || null,
+        policy,
         exit_code: -1,
         stdout: '',
-        stderr: `危险命令被拒绝: ${command}`,
+        stderr: denyMessage,
         duration_ms: 0,
         truncated: false
       };
@@ -214,14 +341,14 @@ class CommandExecutionTool {
       if (output_format === 'both') {
         return {
           content: [
-            { type: 'text', text: `危险命令被拒绝: ${command}` },
+            { type: 'text', text: denyMessage },
             { type: 'json', json: errorResponse }
           ],
           isError: true
         };
       }
       return {
-        content: [{ type: 'text', text: `危险命令被拒绝: ${command}` }],
+        content: [{ type: 'text', text: denyMessage }],
         isError: true
       };
     }
@@ -232,6 +359,7 @@ class CommandExecutionTool {
         status: 'need_confirm',
         command,
         cwd: cwd || null,
+        policy,
         exit_code: null,
         stdout: '',
         stderr: '',
@@ -245,30 +373,38 @@ class CommandExecutionTool {
       if (output_format === 'both') {
         return {
           content: [
-            { type: 'text', text: `警告: 高风险命令，需要确认后才能执行。\n命令: ${command}\n策略: ${policy.reason}\n请加参数 { "confirm": true } 继续。` },
+            { type: 'text', text: warnMessage },
             { type: 'json', json: warnResponse }
           ]
         };
       }
       return {
-        content: [{ type: 'text', text: `警告: 高风险命令，需要确认后才能执行。\n命令: ${command}\n策略: ${policy.reason}\n请加参数 { "confirm": true } 继续。` }]
+        content: [{ type: 'text', text: warnMessage }]
       };
     }
 
     // 执行命令
     const started = Date.now();
+    const reporter = progress ? createOutputReporter(progress) : null;
     try {
       const result = await spawnExec(command, {
         cwd,
         timeout_ms,
         stdout_max,
-        stderr_max
+        stderr_max,
+        pty,
+        cols,
+        rows,
+        signal,
+        onOutput: reporter && reporter.write
       });
+      if (reporter) reporter.end();
       const duration_ms = Date.now() - started;
 
       return buildResponse(result, output_format, command, cwd, duration_ms, policy);
 
     } catch (error) {
+      if (reporter) reporter.end();
       // 命令执行失败（不是退出码非0，而是 spawn 失败）
       const failure = {
         status: 'error',
@@ -8,6 +8,8 @@ const path = require('path');
 const { spawn } = require('child_process');
 const { buildOutput } = require('../lib/output');
 const { ERR } = require('../errors');
+const { recordSnapshot } = require('../lib/historyJournal');
+const { collectPaths, formatPathList, MAX_PREVIEW_PATHS } = require('../lib/dryRun');
 
 class FileArchiveTool {
   constructor(securityValidator) {
@@ -15,7 +17,7 @@ class FileArchiveTool {
   }
 
   async handle(args) {
-  const { operation, source, destination, format = 'zip', output_format = 'text' } = args;
+  const { operation, source, destination, format = 'zip', dry_run = false, output_format = 'text' } = args;
 
     // 字符白名单：字母数字、下划线、点、连字符、斜杠（不允许分号/换行等）
     const safePattern = /^[A-Za-z0-9._\-\/]+$/;
@@ -24,8 +26,9 @@ class FileArchiveTool {
     }
 
     // 检查路径是否被允许
-    if (!this.securityValidator.isPathAllowed(source) || (destination && !this.securityValidator.isPathAllowed(destination))) {
-      throw ERR.PATH_DENIED(source);
+    if (!this.securityValidator.isPathAllowed(source)) throw ERR.PATH_DENIED(source);
+    if (destination && !this.securityValidator.isPathAllowed(destination, null, { access: dry_run ? 'read' : 'write' })) {
+      throw ERR.PATH_DENIED(destination);
     }
 
     // 验证格式
@@ -37,9 +40,9 @@ class FileArchiveTool {
     try {
       switch (operation) {
         case 'compress':
-          return await this.compress(source, destination, format, output_format);
+          return await this.compress(source, destination, format, output_format, { dryRun: dry_run });
         case 'extract':
-          return await this.extract(source, destination, output_format);
+          return await this.extract(source, destination, output_format, { dryRun: dry_run });
         default:
           throw ERR.INVALID_ARGS(`不支持的操作类型: ${operation}`);
       }
@@ -49,13 +52,13 @@ class FileArchiveTool {
     }
   }
 
-  async compress(source, destination, format, outputFormat) {
+  async compress(source, destination, format, outputFormat, { dryRun = false } = {}) {
     const sourcePath = this.securityValidator.resolveAndAssert(source);
-    const destPath = destination ? this.securityValidator.resolveAndAssert(destination) : this.generateArchiveName(sourcePath, format);
+    const destPath = this.securityValidator.resolveAndAssert(destination || this.generateArchiveName(sourcePath, format), null, { access: dryRun ? 'read' : 'write' });
     let cmd; let args;
     switch (format.toLowerCase()) {
       case 'zip':
-        cmd = 'zip'; args = ['-r', destPath, path.basename(sourcePath)];
+        cmd = 'zip'; args = ['-ry', destPath, path.basename(sourcePath)];
         break;
       case 'tar':
         cmd = 'tar'; args = ['-cf', destPath, path.basename(sourcePath)];
@@ -70,6 +73,9 @@ class FileArchiveTool {
       default:
         throw ERR.INVALID_ARGS(`不支持的压缩格式: ${format}`);
     }
+    // 目录中被禁止的条目不能被打包带出
+    await this.securityValidator.assertTreeAllowed(sourcePath);
+    if (dryRun) return await this.previewCompress(sourcePath, destPath, format, outputFormat);
     const cwd = path.dirname(sourcePath);
     await this.runProcess(cmd, args, { cwd, pipeTo: format === 'gz' ? destPath : null });
     const stats = await fs.stat(destPath);
@@ -77,9 +83,12 @@ class FileArchiveTool {
     return buildOutput(outputFormat, `压缩成功:\n源文件: ${info.source}\n压缩文件: ${info.archive}\n格式: ${info.format}\n大小: ${info.size} 字节`, info);
   }
 
-  async extract(source, destination, outputFormat) {
+  async extract(source, destination, outputFormat, { dryRun = false } = {}) {
     const sourcePath = this.securityValidator.resolveAndAssert(source);
-    const destPath = destination ? this.securityValidator.resolveAndAssert(destination) : path.dirname(sourcePath);
+    const destPath = this.securityValidator.resolveAndAssert(destination || path.dirname(sourcePath), null, { access: dryRun ? 'read' : 'write' });
+    if (dryRun) return await this.previewExtract(sourcePath, destPath, outputFormat);
+    // 解压会覆盖目标目录中的同名文件，先记录快照（超过快照上限时跳过）
+    const historyId = await recordSnapshot(destPath, { tool: 'file_archive', operation: 'extract' });
     await fs.mkdir(destPath, { recursive: true });
     if (sourcePath.endsWith('.zip')) {
       await this.runProcess('unzip', [sourcePath, '-d', destPath]);
@@ -93,10 +102,65 @@ class FileArchiveTool {
     } else {
       throw ERR.INVALID_ARGS('无法识别的压缩文件格式');
     }
-    const info = { action: 'extract', source: sourcePath, destination: destPath };
+    const info = { action: 'extract', source: sourcePath, destination: destPath, history_id: historyId };
     return buildOutput(outputFormat, `解压成功:\n压缩文件: ${info.source}\n解压到: ${info.destination}`, info);
   }
 
+  // 演练压缩：列出将打包的路径与目标压缩文件，不执行压缩
+  async previewCompress(sourcePath, destPath, format, outputFormat) {
+    const collected = await collectPaths(sourcePath);
+    const archiveExists = await fs.access(destPath).then(() => true, () => false);
+    const info = {
+      action: 'compress',
+      dry_run: true,
+      format: format.toUpperCase(),
+      source: sourcePath,
+      archive: destPath,
+      archive_exists: archiveExists,
+      affected: collected.paths,
+      truncated: collected.truncated
+    };
+    const note = archiveExists ? `\n注意: 压缩文件已存在，执行时将被${format.toLowerCase() === 'zip' ? '更新' : '覆盖'}` : '';
+    return buildOutput(outputFormat, `[演练] 将压缩 ${collected.paths.length}${collected.truncated ? '+' : ''} 项到 ${destPath} (${info.format})，未修改磁盘:\n${formatPathList(collected.paths, collected.truncated)}${note}`, info);
+  }
+
+  // 演练解压：列出压缩包内将写出的路径，标注会覆盖的已有文件与越出目标目录的条目
+  async previewExtract(sourcePath, destPath, outputFormat) {
+    let names;
+    if (sourcePath.endsWith('.zip')) {
+      names = (await this.runProcess('unzip', ['-Z1', sourcePath])).stdout.split('\n');
+    } else if (sourcePath.endsWith('.tar')) {
+      names = (await this.runProcess('tar', ['-tf', sourcePath])).stdout.split('\n');
+    } else if (sourcePath.endsWith('.tar.gz')) {
+      names = (await this.runProcess('tar', ['-tzf', sourcePath])).stdout.split('\n');
+    } else if (sourcePath.endsWith('.gz')) {
+      names = [path.basename(sourcePath, '.gz')];
+    } else {
+      throw ERR.INVALID_ARGS('无法识别的压缩文件格式');
+    }
+
+    names = names.filter(Boolean);
+    const affected = [];
+    for (const name of names.slice(0, MAX_PREVIEW_PATHS)) {
+      const target = path.resolve(destPath, name);
+      const outside = target !== destPath && !target.startsWith(destPath + path.sep);
+      const exists = await fs.access(target).then(() => true, () => false);
+      affected.push({ path: target, type: name.endsWith('/') ? 'directory' : 'file', exists, outside });
+    }
+    const info = {
+      action: 'extract',
+      dry_run: true,
+      source: sourcePath,
+      destination: destPath,
+      affected,
+      overwrites: affected.filter(entry => entry.exists && entry.type === 'file').length,
+      truncated: names.length > MAX_PREVIEW_PATHS
+    };
+    const lines = affected.map(entry => `  ${entry.path}${entry.exists && entry.type === 'file' ? '（覆盖）' : ''}${entry.outside ? '（越出目标目录）' : ''}`);
+    if (info.truncated) lines.push(`  ...（超过 ${MAX_PREVIEW_PATHS} 项，已截断）`);
+    return buildOutput(outputFormat, `[演练] 将解压 ${names.length} 项到 ${destPath}，其中覆盖 ${info.overwrites} 个已有文件，未修改磁盘:\n${lines.join('\n')}`, info);
+  }
+
   generateArchiveName(source, format) {
     const sourcePath = path.resolve(source);
     const baseName = path.basename(sourcePath);
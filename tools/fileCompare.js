@@ -1,10 +1,21 @@
 /**
  * 文件比较工具模块
- * 支持比较两个文件的差异
+ * 基于 Myers 差异算法比较两个文件，输出差异块与 unified diff
+ * 两个路径均为目录时比较目录树：仅左侧/仅右侧/相同/变更文件
  */
 
 const fs = require('fs').promises;
+const path = require('path');
 const crypto = require('crypto');
+const { diffText } = require('../lib/diff');
+const { normalizeIgnore, isIgnored } = require('../lib/ignore');
+const { buildOutput } = require('../lib/output');
+const { normalizeEncoding, decodeBuffer } = require('../lib/encoding');
+const { ERR } = require('../errors');
+
+// 目录比较限制
+const MAX_TREE_ENTRIES = 20000;          // 单侧最多遍历条目数
+const MAX_DIFF_FILE_SIZE = 1024 * 1024;  // include_diffs 时单文件上限: 1MB
 
 class FileCompareTool {
   constructor(securityValidator) {
@@ -12,23 +23,63 @@ class FileCompareTool {
   }
 
   async handle(args) {
-    const { file1, file2, source_path, target_path, output_format = 'text' } = args;
-    const left = file1 || source_path;
-    const right = file2 || target_path;
-    if (!left || !right) throw new Error('缺少文件参数: 需要 file1/file2 或 source_path/target_path');
-
-    // 检查路径是否被允许
-    if (!this.securityValidator.isPathAllowed(left) || !this.securityValidator.isPathAllowed(right)) {
-      throw new Error('不允许比较指定路径的文件');
-    }
+    const {
+      file1,
+      file2,
+      source_path,
+      target_path,
+      context_lines = 3,
+      ignore_whitespace = false,
+      ignore_case = false,
+      ignore_line_ending = false,
+      compare_by = 'hash',
+      include_diffs = false,
+      ignore = [],
+      max_depth = 16,
+      encoding = 'auto',
+      output_format = 'text'
+    } = args;
+    if (!(file1 || source_path) || !(file2 || target_path)) throw new Error('缺少文件参数: 需要 file1/file2 或 source_path/target_path');
+
+    // 解析并校验路径，之后只通过校验后的路径读取
+    const left = this.securityValidator.resolveAndAssert(file1 || source_path);
+    const right = this.securityValidator.resolveAndAssert(file2 || target_path);
 
     try {
-      const [content1, content2] = await Promise.all([
-        fs.readFile(left, 'utf8'),
-        fs.readFile(right, 'utf8')
+      if (normalizeEncoding(encoding) === 'base64') throw new Error('比较文本内容不支持 base64 编码');
+      const [leftStats, rightStats] = await Promise.all([fs.stat(left), fs.stat(right)]);
+      if (leftStats.isDirectory() !== rightStats.isDirectory()) {
+        throw new Error('不能比较文件与目录：两个路径需同为文件或同为目录');
+      }
+      if (leftStats.isDirectory()) {
+        if (!['size', 'mtime', 'hash'].includes(compare_by)) {
+          throw new Error(`不支持的比较方式: ${compare_by}（可选 size、mtime、hash）`);
+        }
+        const result = await this.compareDirectories(left, right, {
+          compare_by,
+          include_diffs,
+          ignore: normalizeIgnore(ignore),
+          max_depth,
+          encoding,
+          diffOptions: { context_lines, ignore_whitespace, ignore_case, ignore_line_ending }
+        });
+        return buildOutput(output_format, this.formatTextDirectoryComparison(result), result);
+      }
+
+      // 两侧分别检测编码，GBK 与 UTF-8 文件也能按文本比较
+      const [decoded1, decoded2] = await Promise.all([
+        this.securityValidator.readFile(left).then(buffer => decodeBuffer(buffer, encoding)),
+        this.securityValidator.readFile(right).then(buffer => decodeBuffer(buffer, encoding))
       ]);
+      const binary = [[left, decoded1], [right, decoded2]].find(([, decoded]) => decoded.binary);
+      if (binary) throw new Error(`不支持按文本比较二进制文件: ${binary[0]}，可使用 file_hash 比较内容是否一致`);
+      const content1 = decoded1.text;
+      const content2 = decoded2.text;
 
-      const comparison = this.compareContents(content1, content2, left, right);
+      if (!Number.isInteger(context_lines) || context_lines < 0) {
+        throw new Error(`context_lines 无效: ${context_lines}`);
+      }
+      const comparison = this.compareContents(content1, content2, left, right, { context_lines, ignore_whitespace, ignore_case, ignore_line_ending });
       const stats = this.diffStats(comparison.differences);
       const payload = { ...comparison, diff_stats: stats };
       
@@ -43,6 +94,8 @@ class FileCompareTool {
       return { content: [{ type: 'text', text: this.formatTextComparison(payload) }] };
 
     } catch (error) {
+      if (error.code === 'E_SYMLINK_DENIED') throw ERR.PATH_DENIED(error.message);
+      if (error.code && error.code.startsWith('E_')) throw error;
       if (error.code === 'ENOENT') {
         throw new Error(`文件不存在: ${error.path}`);
       } else if (error.code === 'EACCES') {
@@ -53,26 +106,17 @@ class FileCompareTool {
     }
   }
 
-  compareContents(content1, content2, file1, file2) {
-    const lines1 = content1.split('\n');
-    const lines2 = content2.split('\n');
-    
-    const maxLines = Math.max(lines1.length, lines2.length);
-    const differences = [];
-    
-    for (let i = 0; i < maxLines; i++) {
-      const line1 = lines1[i] || '';
-      const line2 = lines2[i] || '';
-      
-      if (line1 !== line2) {
-        differences.push({
-          line: i + 1,
-          file1_content: line1,
-          file2_content: line2,
-          type: line1 === '' ? 'added' : line2 === '' ? 'removed' : 'modified'
-        });
-      }
-    }
+  compareContents(content1, content2, file1, file2, options = {}) {
+    const { context_lines = 3, ignore_whitespace = false, ignore_case = false, ignore_line_ending = false } = options;
+    const diff = diffText(content1, content2, {
+      context: context_lines,
+      fromFile: file1,
+      toFile: file2,
+      ignoreWhitespace: ignore_whitespace,
+      ignoreCase: ignore_case,
+      ignoreLineEnding: ignore_line_ending
+    });
+    const differences = this.collectDifferences(diff.ops, diff.oldLines, diff.newLines);
 
     // 计算文件哈希
     const hash1 = crypto.createHash('md5').update(content1).digest('hex');
@@ -85,11 +129,14 @@ class FileCompareTool {
       },
       identical: differences.length === 0,
       total_lines: {
-        file1: lines1.length,
-        file2: lines2.length
+        file1: diff.oldLines.length,
+        file2: diff.newLines.length
       },
       differences_count: differences.length,
       differences: differences,
+      hunks: diff.hunks.map(h => ({ old_start: h.oldStart, old_lines: h.oldLines, new_start: h.newStart, new_lines: h.newLines })),
+      unified_diff: diff.unified,
+      options: { context_lines, ignore_whitespace, ignore_case, ignore_line_ending },
       hashes: {
         file1: hash1,
         file2: hash2
@@ -97,30 +144,178 @@ class FileCompareTool {
     };
   }
 
+  // 将编辑脚本整理为逐行差异：同一变更块内删除与新增逐行配对为 modified，多余部分为 removed/added
+  collectDifferences(ops, oldLines, newLines) {
+    const differences = [];
+    let i = 0;
+    while (i < ops.length) {
+      if (ops[i].type === 'equal') { i++; continue; }
+      const deleted = [];
+      const inserted = [];
+      while (i < ops.length && ops[i].type !== 'equal') {
+        (ops[i].type === 'delete' ? deleted : inserted).push(ops[i]);
+        i++;
+      }
+      const paired = Math.min(deleted.length, inserted.length);
+      for (let j = 0; j < Math.max(deleted.length, inserted.length); j++) {
+        const del = deleted[j];
+        const ins = inserted[j];
+        differences.push({
+          line: del ? del.a + 1 : ins.b + 1,
+          file1_line: del ? del.a + 1 : null,
+          file2_line: ins ? ins.b + 1 : null,
+          file1_content: del ? oldLines[del.a] : '',
+          file2_content: ins ? newLines[ins.b] : '',
+          type: j < paired ? 'modified' : del ? 'removed' : 'added'
+        });
+      }
+    }
+    return differences;
+  }
+
   formatTextComparison(comparison) {
     let result = `文件比较结果:\n`;
     result += `文件1: ${comparison.files.file1}\n`;
     result += `文件2: ${comparison.files.file2}\n`;
     result += `行数: ${comparison.total_lines.file1} vs ${comparison.total_lines.file2}\n`;
-    result += `差异数量: ${comparison.differences_count}\n`;
-    result += `是否相同: ${comparison.identical ? '是' : '否'}\n\n`;
+    result += `差异数量: ${comparison.differences_count}`;
+    if (comparison.diff_stats) {
+      const { added, removed, modified } = comparison.diff_stats;
+      result += ` (新增 ${added}, 删除 ${removed}, 修改 ${modified})`;
+    }
+    result += `\n是否相同: ${comparison.identical ? '是' : '否'}\n`;
 
     if (comparison.differences_count > 0) {
-      result += `差异详情:\n`;
-      result += `${'='.repeat(60)}\n`;
-      
-      comparison.differences.forEach(diff => {
-        result += `行 ${diff.line}:\n`;
-        result += `  文件1: ${diff.file1_content}\n`;
-        result += `  文件2: ${diff.file2_content}\n`;
-        result += `  类型: ${diff.type}\n`;
-        result += `${'-'.repeat(40)}\n`;
-      });
+      result += `\n${comparison.unified_diff}`;
     }
 
     return result;
   }
 
+  // 遍历目录树，返回 相对路径 -> { type, size, mtime }；跳过被 deny 规则禁止的条目
+  async walkTree(root, ignoreList, maxDepth) {
+    const entries = new Map();
+    let truncated = false;
+    const walk = async (dir, rel, depth) => {
+      if (depth > maxDepth) return;
+      const items = await fs.readdir(dir, { withFileTypes: true });
+      for (const item of items) {
+        if (isIgnored(item.name, ignoreList)) continue;
+        if (entries.size >= MAX_TREE_ENTRIES) { truncated = true; return; }
+        const itemRel = rel ? `${rel}/${item.name}` : item.name;
+        const full = path.join(dir, item.name);
+        if (this.securityValidator.isDenied(full)) continue;
+        if (item.isDirectory()) {
+          entries.set(itemRel, { type: 'directory' });
+          await walk(full, itemRel, depth + 1);
+        } else if (item.isFile()) {
+          const stats = await fs.stat(full);
+          entries.set(itemRel, { type: 'file', size: stats.size, mtime: stats.mtime.getTime() });
+        }
+      }
+    };
+    await walk(root, '', 0);
+    return { entries, truncated };
+  }
+
+  async compareDirectories(left, right, { compare_by, include_diffs, ignore, max_depth, encoding, diffOptions }) {
+    const [leftTree, rightTree] = await Promise.all([
+      this.walkTree(left, ignore, max_depth),
+      this.walkTree(right, ignore, max_depth)
+    ]);
+
+    const onlyInLeft = [];
+    const onlyInRight = [];
+    const identical = [];
+    const changed = [];
+
+    for (const [rel, l] of leftTree.entries) {
+      const r = rightTree.entries.get(rel);
+      if (!r) { onlyInLeft.push(rel); continue; }
+      if (l.type !== r.type) { changed.push({ path: rel, reason: 'type', left_type: l.type, right_type: r.type }); continue; }
+      if (l.type === 'directory') continue;
+
+      const reason = await this.fileChangeReason(path.join(left, rel), path.join(right, rel), l, r, compare_by);
+      if (!reason) { identical.push(rel); continue; }
+
+      const entry = { path: rel, reason, left_size: l.size, right_size: r.size };
+      if (include_diffs) {
+        const diff = await this.textDiffFor(path.join(left, rel), path.join(right, rel), l, r, rel, encoding, diffOptions);
+        if (diff !== null) entry.unified_diff = diff;
+      }
+      changed.push(entry);
+    }
+    for (const rel of rightTree.entries.keys()) {
+      if (!leftTree.entries.has(rel)) onlyInRight.push(rel);
+    }
+
+    return {
+      mode: 'directory',
+      files: { file1: left, file2: right },
+      compare_by,
+      identical: onlyInLeft.length === 0 && onlyInRight.length === 0 && changed.length === 0,
+      only_in_left: onlyInLeft.sort(),
+      only_in_right: onlyInRight.sort(),
+      identical_files: identical.sort(),
+      changed: changed.sort((a, b) => a.path.localeCompare(b.path)),
+      summary: {
+        only_in_left: onlyInLeft.length,
+        only_in_right: onlyInRight.length,
+        identical: identical.length,
+        changed: changed.length
+      },
+      truncated: leftTree.truncated || rightTree.truncated
+    };
+  }
+
+  // 返回文件变更原因（size/mtime/hash），相同时返回 null
+  async fileChangeReason(leftPath, rightPath, l, r, compareBy) {
+    if (l.size !== r.size) return 'size';
+    if (compareBy === 'size') return null;
+    if (compareBy === 'mtime') return l.mtime !== r.mtime ? 'mtime' : null;
+    const [h1, h2] = await Promise.all([this.hashFile(leftPath), this.hashFile(rightPath)]);
+    return h1 !== h2 ? 'hash' : null;
+  }
+
+  // 通过 securityValidator.openFile 打开后计算 sha256，不跟随校验后被替换的符号链接
+  async hashFile(fullPath) {
+    const handle = await this.securityValidator.openFile(fullPath);
+    const hash = crypto.createHash('sha256');
+    // 流结束或出错时自动关闭句柄
+    for await (const chunk of handle.createReadStream()) hash.update(chunk);
+    return hash.digest('hex');
+  }
+
+  // 仅对不超过上限的文本文件生成 unified diff，二进制或过大文件返回 null
+  async textDiffFor(leftPath, rightPath, l, r, rel, encoding, diffOptions) {
+    if (l.size > MAX_DIFF_FILE_SIZE || r.size > MAX_DIFF_FILE_SIZE) return null;
+    const [d1, d2] = await Promise.all([leftPath, rightPath]
+      .map(file => this.securityValidator.readFile(file).then(buffer => decodeBuffer(buffer, encoding))));
+    if (d1.binary || d2.binary) return null;
+    return this.compareContents(d1.text, d2.text, `a/${rel}`, `b/${rel}`, diffOptions).unified_diff;
+  }
+
+  formatTextDirectoryComparison(result) {
+    const { summary } = result;
+    let text = `目录比较结果:\n`;
+    text += `目录1: ${result.files.file1}\n`;
+    text += `目录2: ${result.files.file2}\n`;
+    text += `比较方式: ${result.compare_by}\n`;
+    text += `仅目录1: ${summary.only_in_left}，仅目录2: ${summary.only_in_right}，相同: ${summary.identical}，变更: ${summary.changed}\n`;
+    text += `是否相同: ${result.identical ? '是' : '否'}${result.truncated ? `（条目超过 ${MAX_TREE_ENTRIES}，已截断）` : ''}\n`;
+
+    const lines = [
+      ...result.only_in_left.map(p => `- ${p}`),
+      ...result.only_in_right.map(p => `+ ${p}`),
+      ...result.changed.map(c => `M ${c.path} (${c.reason})`)
+    ];
+    if (lines.length > 0) text += `\n${lines.join('\n')}\n`;
+
+    const diffs = result.changed.filter(c => c.unified_diff).map(c => c.unified_diff);
+    if (diffs.length > 0) text += `\n${diffs.join('\n')}`;
+    return text;
+  }
+
   diffStats(differences) {
     const stats = { added: 0, removed: 0, modified: 0 };
     for (const d of differences) {
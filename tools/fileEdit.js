@@ -1,9 +1,18 @@
 /**
  * 文件编辑工具模块
- * 支持删除行、插入行、替换行、追加行等操作
+ * 支持删除行、插入行、替换行、追加行、精确字符串替换、正则替换、应用补丁和统一换行符等操作
+ * 编辑在 LF 文本上进行，写回时恢复文件原有的换行风格与末尾换行状态
  */
 
-const fs = require('fs').promises;
+const { buildOutput } = require('../lib/output');
+const { parsePatch, applyHunks } = require('../lib/patch');
+const { recordSnapshot } = require('../lib/historyJournal');
+const { writeFileAtomic } = require('../lib/atomicWrite');
+const { decodeBuffer, encodeText, detectLineEnding } = require('../lib/encoding');
+const { splitLines } = require('../lib/diff');
+const { previewDiff } = require('../lib/dryRun');
+
+const LINE_ENDINGS = { lf: '\n', crlf: '\r\n' };
 
 class FileEditTool {
   constructor(securityValidator) {
@@ -11,23 +20,50 @@ class FileEditTool {
   }
 
   async handle(args) {
-    const { operation, path: filePath, file_path, start_line, end_line, content, encoding = 'utf8', output_format = 'text' } = args;
-    const target = filePath || file_path;
-    if (!target) throw new Error('缺少 path 或 file_path 参数');
+    const {
+      operation,
+      path: filePath,
+      file_path,
+      start_line,
+      end_line,
+      content,
+      old_string,
+      new_string,
+      all_occurrences = false,
+      pattern,
+      replacement = '',
+      case_sensitive = true,
+      patch,
+      fuzz = 2,
+      allow_partial = false,
+      line_ending,
+      encoding = 'auto',
+      dry_run = false,
+      output_format = 'text'
+    } = args;
+    const requested = filePath || file_path;
+    if (!requested) throw new Error('缺少 path 或 file_path 参数');
 
-    // 检查路径是否被允许
-    if (!this.securityValidator.isPathAllowed(target)) {
-      throw new Error(`不允许操作路径: ${target}`);
-    }
+    // 检查路径是否被允许，后续读写都使用校验后的路径
+    const target = this.securityValidator.resolveAndAssert(requested, null, { access: dry_run ? 'read' : 'write' });
 
     try {
-      // 读取文件内容
-  const fileContent = await fs.readFile(target, encoding);
-      const lines = fileContent.split(/\r?\n/);
+      // 读取文件内容，写回时保持原编码、BOM 与换行风格
+      const decoded = decodeBuffer(await this.securityValidator.readFile(target), encoding);
+      if (decoded.encoding === 'base64') {
+        throw new Error(decoded.binary ? `不支持编辑二进制文件: ${target}` : 'file_edit 不支持 base64 编码，请使用 file_operation write');
+      }
+      const lineEnding = detectLineEnding(decoded.text);
+      // CRLF 文件转为 LF 编辑；LF 为主的文件中零星的 \r 留在行内，写回时原样保留
+      const fileContent = lineEnding === 'crlf' ? toLf(decoded.text) : decoded.text;
+      const { lines, finalNewline: hadFinalNewline } = splitLines(fileContent);
       const totalLines = lines.length;
+      let finalNewline = hadFinalNewline;
+      let targetEnding = lineEnding === 'crlf' ? 'crlf' : 'lf';
 
       let result;
       let modifiedLines = [...lines];
+      const details = {};
 
       switch (operation) {
         case 'delete_lines':
@@ -48,8 +84,9 @@ class FileEditTool {
           if (start_line < 1 || start_line > totalLines + 1) {
             throw new Error(`插入位置无效: ${start_line}，文件总行数: ${totalLines}`);
           }
-          const insertContent = content.split(/\r?\n/);
-          modifiedLines.splice(start_line - 1, 0, ...insertContent);
+          const inserted = splitLines(toLf(content));
+          modifiedLines.splice(start_line - 1, 0, ...inserted.lines);
+          if (totalLines === 0) finalNewline = inserted.finalNewline;
           result = `成功在第 ${start_line} 行插入内容`;
           break;
 
@@ -60,8 +97,7 @@ class FileEditTool {
           if (start_line < 1 || end_line > totalLines || start_line > end_line) {
             throw new Error(`行号范围无效: ${start_line}-${end_line}，文件总行数: ${totalLines}`);
           }
-          const replaceContent = content.split(/\r?\n/);
-          modifiedLines.splice(start_line - 1, end_line - start_line + 1, ...replaceContent);
+          modifiedLines.splice(start_line - 1, end_line - start_line + 1, ...splitLines(toLf(content)).lines);
           result = `成功替换第 ${start_line} 到第 ${end_line} 行`;
           break;
 
@@ -69,24 +105,141 @@ class FileEditTool {
           if (!content) {
             throw new Error('追加行操作需要指定 content');
           }
-          const appendContent = content.split(/\r?\n/);
-          modifiedLines.push(...appendContent);
+          const appended = splitLines(toLf(content));
+          modifiedLines.push(...appended.lines);
+          if (totalLines === 0) finalNewline = appended.finalNewline;
           result = `成功在文件末尾追加内容`;
           break;
 
+        case 'str_replace': {
+          if (typeof old_string !== 'string' || old_string === '' || typeof new_string !== 'string') {
+            throw new Error('字符串替换操作需要指定非空的 old_string 和 new_string');
+          }
+          // 文件按 LF 匹配，CRLF 文件也可直接使用 \n 书写 old_string
+          const search = lineEnding === 'crlf' ? toLf(old_string) : old_string;
+          const substitute = lineEnding === 'crlf' ? toLf(new_string) : new_string;
+          const occurrences = fileContent.split(search).length - 1;
+          if (occurrences === 0) {
+            throw new Error('未找到 old_string，请确认内容（包括空白和缩进）与文件完全一致');
+          }
+          if (occurrences > 1 && !all_occurrences) {
+            throw new Error(`old_string 匹配到 ${occurrences} 处，请补充上下文使其唯一，或设置 all_occurrences: true 全部替换`);
+          }
+          const replaced = all_occurrences ? occurrences : 1;
+          const newText = all_occurrences
+            ? fileContent.split(search).join(substitute)
+            : fileContent.replace(search, () => substitute);
+          ({ lines: modifiedLines, finalNewline } = splitLines(newText));
+          Object.assign(details, { occurrences, replaced });
+          result = `成功替换 ${replaced} 处（共匹配 ${occurrences} 处）`;
+          break;
+        }
+
+        case 'replace_all': {
+          if (!pattern) {
+            throw new Error('正则替换操作需要指定 pattern');
+          }
+          let regex;
+          try {
+            regex = new RegExp(pattern, case_sensitive ? 'gm' : 'gim');
+          } catch (e) {
+            throw new Error(`无效的正则表达式: ${e.message}`);
+          }
+          const occurrences = (fileContent.match(regex) || []).length;
+          if (occurrences === 0) {
+            throw new Error(`未找到匹配: ${pattern}`);
+          }
+          ({ lines: modifiedLines, finalNewline } = splitLines(fileContent.replace(regex, replacement)));
+          Object.assign(details, { occurrences, replaced: occurrences });
+          result = `成功替换 ${occurrences} 处匹配`;
+          break;
+        }
+
+        case 'apply_patch': {
+          if (!patch) {
+            throw new Error('应用补丁操作需要指定 patch（unified diff 格式）');
+          }
+          const applied = applyHunks(lines, parsePatch(patch), { maxFuzz: fuzz });
+          const failed = applied.report.filter(h => h.status === 'failed');
+          const hunkSummary = applied.report.map(h => h.status === 'applied'
+            ? `  块 ${h.hunk}: 已应用于第 ${h.line} 行${h.offset ? `（偏移 ${h.offset}）` : ''}${h.fuzz ? `（fuzz ${h.fuzz}）` : ''}${h.ignore_whitespace ? '（忽略空白）' : ''}`
+            : `  块 ${h.hunk}: 失败 ${h.header}`).join('\n');
+          if (failed.length > 0 && !allow_partial) {
+            throw new Error(`${failed.length}/${applied.report.length} 个补丁块无法应用，文件未修改:\n${hunkSummary}`);
+          }
+          modifiedLines = applied.lines;
+          Object.assign(details, { hunks: applied.report, applied: applied.report.length - failed.length, failed: failed.length });
+          result = `补丁应用完成: ${details.applied}/${applied.report.length} 个块\n${hunkSummary}`;
+          break;
+        }
+
+        case 'normalize_eol': {
+          if (!LINE_ENDINGS[line_ending]) {
+            throw new Error('统一换行符操作需要指定 line_ending: lf 或 crlf');
+          }
+          // 统计换行符与目标不同的行数（末行无换行符时不计入）
+          const crlfCount = (decoded.text.match(/\r\n/g) || []).length;
+          const lfCount = (decoded.text.match(/\n/g) || []).length - crlfCount;
+          const changed = line_ending === 'lf' ? crlfCount : lfCount;
+          targetEnding = line_ending;
+          modifiedLines = splitLines(toLf(decoded.text)).lines;
+          Object.assign(details, { changed_lines: changed, from: lineEnding, to: line_ending });
+          if (changed === 0) {
+            return buildOutput(output_format, `换行符已是 ${line_ending.toUpperCase()}，无需修改\n文件: ${target}`, {
+              action: operation,
+              path: target,
+              total_lines_before: totalLines,
+              total_lines_after: totalLines,
+              encoding: decoded.encoding,
+              line_ending: line_ending,
+              ...details,
+              history_id: null
+            });
+          }
+          result = `成功统一 ${changed} 行的换行符为 ${line_ending.toUpperCase()}`;
+          break;
+        }
+
         default:
           throw new Error(`不支持的操作类型: ${operation}`);
       }
 
-      // 写回文件
-      const newContent = modifiedLines.join('\n');
-      await fs.writeFile(target, newContent, encoding);
-      if (output_format === 'json') {
-        return { content: [{ type: 'json', json: { action: operation, path: target, total_lines_before: totalLines, total_lines_after: modifiedLines.length } }] };
+      // 写回文件：恢复换行风格与末尾换行状态（空文件不补换行）
+      const eol = LINE_ENDINGS[targetEnding];
+      const newContent = modifiedLines.join(eol) + (finalNewline && modifiedLines.length > 0 ? eol : '');
+      const data = encodeText(newContent, decoded.encoding, { bom: decoded.bom });
+      if (dry_run) {
+        const preview = previewDiff(target, decoded.text, newContent);
+        return buildOutput(output_format, `[演练] ${result.replace(/^成功/, '将')}（未修改磁盘）\n文件: ${target}\n总行数: ${totalLines} → ${modifiedLines.length}\n\n${preview.diff || '（内容无变化）'}`, {
+          action: operation,
+          dry_run: true,
+          path: target,
+          total_lines_before: totalLines,
+          total_lines_after: modifiedLines.length,
+          encoding: decoded.encoding,
+          line_ending: targetEnding,
+          final_newline: finalNewline,
+          ...details,
+          ...preview
+        });
       }
-      return { content: [{ type: 'text', text: `${result}\n文件: ${target}\n总行数: ${totalLines} → ${modifiedLines.length}` }] };
+      const writeTarget = await this.securityValidator.resolveWriteTarget(target);
+      const historyId = await recordSnapshot(writeTarget, { tool: 'file_edit', operation });
+      await writeFileAtomic(writeTarget, data);
+      return buildOutput(output_format, `${result}\n文件: ${target}\n总行数: ${totalLines} → ${modifiedLines.length}${historyId ? `\n可通过 file_history restore 回滚，id: ${historyId}` : ''}`, {
+        action: operation,
+        path: target,
+        total_lines_before: totalLines,
+        total_lines_after: modifiedLines.length,
+        encoding: decoded.encoding,
+        line_ending: targetEnding,
+        final_newline: finalNewline,
+        ...details,
+        history_id: historyId
+      });
 
     } catch (error) {
+      if (error.code && error.code.startsWith('E_')) throw error;
       if (error.code === 'ENOENT') {
   throw new Error(`文件不存在: ${target}`);
       } else if (error.code === 'EACCES') {
@@ -98,4 +251,8 @@ class FileEditTool {
   }
 }
 
+function toLf(text) {
+  return text.replace(/\r\n/g, '\n');
+}
+
 module.exports = FileEditTool;
@@ -0,0 +1,217 @@
+/**
+ * 文件查找工具模块
+ * 按 glob 模式查找文件名，支持类型、大小、修改时间、深度过滤，遵循忽略文件，排序并分页返回
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { buildOutput } = require('../lib/output');
+const { ERR } = require('../errors');
+const { globToRegExp } = require('../lib/glob');
+const { normalizeIgnore, isIgnored, IgnoreMatcher } = require('../lib/ignore');
+
+const TYPES = ['any', 'file', 'directory', 'symlink'];
+const SORT_FIELDS = ['name', 'size', 'mtime'];
+const MAX_MATCHES = 100000;   // 排序前最多收集的匹配数，防止超大目录耗尽内存
+
+class FileFindTool {
+  constructor(securityValidator) {
+    this.securityValidator = securityValidator;
+  }
+
+  async handle(args) {
+    const {
+      path: rootArg,
+      search_path,
+      working_directory,
+      pattern = '*',
+      type = 'any',
+      min_size,
+      max_size,
+      modified_after,
+      modified_before,
+      max_depth = 16,
+      include_hidden = true,
+      case_sensitive = true,
+      ignore = [],
+      respect_ignore_files = true,
+      sort_by = 'name',
+      order = 'asc',
+      offset = 0,
+      limit = 100,
+      timeout_ms = 10000,
+      output_format = 'text'
+    } = args;
+
+    const root = rootArg || search_path || working_directory;
+    if (!root) throw ERR.INVALID_ARGS('缺少 path 参数');
+    if (!TYPES.includes(type)) throw ERR.INVALID_ARGS(`不支持的类型: ${type}，可选 ${TYPES.join('/')}`);
+    if (!SORT_FIELDS.includes(sort_by)) throw ERR.INVALID_ARGS(`不支持的排序字段: ${sort_by}，可选 ${SORT_FIELDS.join('/')}`);
+    if (offset < 0 || limit <= 0) throw ERR.INVALID_ARGS('offset 不能为负数，limit 必须大于 0');
+
+    const rootPath = this.securityValidator.resolveAndAssert(root, working_directory);
+    const patterns = (Array.isArray(pattern) ? pattern : [pattern]).filter(Boolean);
+    const filters = {
+      // 含 / 的模式匹配相对路径，否则只匹配名称
+      matchers: patterns.map(p => ({ regex: globToRegExp(p, { caseSensitive: case_sensitive }), byPath: p.includes('/') })),
+      type,
+      minSize: min_size,
+      maxSize: max_size,
+      after: this.parseTime(modified_after, 'modified_after'),
+      before: this.parseTime(modified_before, 'modified_before'),
+      maxDepth: max_depth,
+      includeHidden: include_hidden,
+      ignoreList: normalizeIgnore(ignore)
+    };
+
+    try {
+      const stats = await fs.stat(rootPath);
+      if (!stats.isDirectory()) throw ERR.INVALID_ARGS(`不是目录: ${rootPath}`);
+
+      const controller = { cancelled: false, truncated: false };
+      const timer = setTimeout(() => { controller.cancelled = true; }, timeout_ms);
+      const started = Date.now();
+      const matches = [];
+      try {
+        const matcher = respect_ignore_files ? await IgnoreMatcher.forRoot(rootPath) : null;
+        await this.walk(rootPath, rootPath, 0, matcher, filters, matches, controller);
+      } finally {
+        clearTimeout(timer);
+      }
+
+      this.sortEntries(matches, sort_by, order);
+      const entries = matches.slice(offset, offset + limit);
+      const nextOffset = offset + entries.length < matches.length ? offset + entries.length : null;
+      const payload = {
+        path: rootPath,
+        pattern: patterns,
+        total: matches.length,
+        offset,
+        limit,
+        returned: entries.length,
+        next_offset: nextOffset,
+        sort_by,
+        order,
+        truncated: controller.truncated,
+        timed_out: controller.cancelled,
+        elapsed_ms: Date.now() - started,
+        entries
+      };
+      return buildOutput(output_format, this.formatText(payload), payload);
+    } catch (error) {
+      if (error.code && error.code.startsWith('E_')) throw error;
+      if (error.code === 'ENOENT') throw ERR.NOT_FOUND(rootPath);
+      throw ERR.INVALID_ARGS(`查找失败: ${error.message}`);
+    }
+  }
+
+  async walk(rootPath, dirPath, depth, matcher, filters, matches, controller) {
+    if (controller.cancelled || controller.truncated || depth > filters.maxDepth) return;
+    let items;
+    try {
+      items = await fs.readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+      // 忽略无权限的目录
+      if (error.code === 'EACCES' || error.code === 'EPERM') return;
+      throw error;
+    }
+    // 根目录的规则已由 IgnoreMatcher.forRoot 加载
+    const scope = matcher && depth > 0 ? await matcher.child(dirPath) : matcher;
+
+    for (const item of items) {
+      if (controller.cancelled) return;
+      if (!filters.includeHidden && item.name.startsWith('.')) continue;
+      if (isIgnored(item.name, filters.ignoreList)) continue;
+
+      const fullPath = path.join(dirPath, item.name);
+      if (this.securityValidator.isDenied(fullPath)) continue;
+      const isDirectory = item.isDirectory();
+      if (scope && ((isDirectory && item.name === '.git') || scope.ignores(fullPath, isDirectory))) continue;
+
+      const relativePath = path.relative(rootPath, fullPath).split(path.sep).join('/');
+      const entryType = item.isSymbolicLink() ? 'symlink' : isDirectory ? 'directory' : item.isFile() ? 'file' : 'other';
+      if (this.matchesName(item.name, relativePath, filters) && (filters.type === 'any' || filters.type === entryType)) {
+        const entry = await this.describe(fullPath, relativePath, entryType);
+        if (entry && this.matchesStats(entry, filters)) {
+          if (matches.length >= MAX_MATCHES) {
+            controller.truncated = true;
+            return;
+          }
+          matches.push(entry);
+        }
+      }
+
+      // 不跟随目录符号链接，避免循环
+      if (isDirectory) {
+        await this.walk(rootPath, fullPath, depth + 1, scope, filters, matches, controller);
+      }
+    }
+  }
+
+  matchesName(name, relativePath, filters) {
+    if (filters.matchers.length === 0) return true;
+    return filters.matchers.some(m => m.regex.test(m.byPath ? relativePath : name));
+  }
+
+  matchesStats(entry, filters) {
+    if (filters.minSize !== undefined && entry.size < filters.minSize) return false;
+    if (filters.maxSize !== undefined && entry.size > filters.maxSize) return false;
+    const mtime = Date.parse(entry.mtime);
+    if (filters.after !== null && mtime < filters.after) return false;
+    if (filters.before !== null && mtime > filters.before) return false;
+    return true;
+  }
+
+  async describe(fullPath, relativePath, type) {
+    try {
+      const stats = await fs.lstat(fullPath);
+      const entry = {
+        path: fullPath,
+        relative_path: relativePath,
+        name: path.basename(fullPath),
+        type,
+        size: stats.size,
+        mtime: stats.mtime.toISOString()
+      };
+      if (type === 'symlink') entry.target = await fs.readlink(fullPath);
+      return entry;
+    } catch (error) {
+      // 遍历期间被删除的条目直接跳过
+      if (error.code === 'ENOENT' || error.code === 'EACCES') return null;
+      throw error;
+    }
+  }
+
+  sortEntries(entries, sortBy, order) {
+    const direction = order === 'desc' ? -1 : 1;
+    const byName = (a, b) => (a.relative_path < b.relative_path ? -1 : a.relative_path > b.relative_path ? 1 : 0);
+    entries.sort((a, b) => {
+      let diff = 0;
+      if (sortBy === 'size') diff = a.size - b.size;
+      else if (sortBy === 'mtime') diff = Date.parse(a.mtime) - Date.parse(b.mtime);
+      return (diff || byName(a, b)) * direction;
+    });
+  }
+
+  /**
+   * 解析时间参数：ISO 日期字符串或毫秒时间戳
+   * @returns {number|null} 毫秒时间戳
+   */
+  parseTime(value, name) {
+    if (value === undefined || value === null || value === '') return null;
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    if (Number.isNaN(time)) throw ERR.INVALID_ARGS(`${name} 不是有效的时间: ${value}`);
+    return time;
+  }
+
+  formatText(payload) {
+    const header = `查找结果: ${payload.path} (${payload.pattern.join(', ')}) 共 ${payload.total} 项，显示 ${payload.offset + 1}-${payload.offset + payload.returned}` +
+      `${payload.timed_out ? ' (超时截断)' : ''}${payload.truncated ? ' (结果过多已截断)' : ''}`;
+    if (payload.returned === 0) return `查找结果: ${payload.path} 中没有匹配 ${payload.pattern.join(', ')} 的条目`;
+    const lines = payload.entries.map(e => `${e.type === 'directory' ? 'd' : e.type === 'symlink' ? 'l' : '-'} ${String(e.size).padStart(10)}  ${e.mtime}  ${e.relative_path}${e.target ? ` -> ${e.target}` : ''}`);
+    const footer = payload.next_offset !== null ? `\n更多结果: 使用 offset=${payload.next_offset} 继续` : '';
+    return `${header}\n${lines.join('\n')}${footer}`;
+  }
+}
+
+module.exports = FileFindTool;
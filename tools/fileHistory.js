@@ -0,0 +1,120 @@
+/**
+ * 文件历史工具模块
+ * 列出、比较、回滚和清理可变更操作前自动记录的快照
+ */
+
+const { buildOutput } = require('../lib/output');
+const { ERR } = require('../errors');
+const journal = require('../lib/historyJournal');
+const { decodeBuffer } = require('../lib/encoding');
+const FileCompareTool = require('./fileCompare');
+
+const DEFAULT_LIST_LIMIT = 50;
+
+class FileHistoryTool {
+  constructor(securityValidator) {
+    this.securityValidator = securityValidator;
+    this.compareTool = new FileCompareTool(securityValidator);
+  }
+
+  async handle(args) {
+    const {
+      operation,
+      id,
+      path: filePath,
+      file_path,
+      limit = DEFAULT_LIST_LIMIT,
+      older_than_days,
+      keep,
+      output_format = 'text'
+    } = args;
+
+    try {
+      switch (operation) {
+        case 'list':
+          return await this.list(filePath || file_path, limit, output_format);
+        case 'diff':
+          return await this.diff(id, output_format);
+        case 'restore':
+          return await this.restore(id, output_format);
+        case 'prune':
+          return await this.prune(id, older_than_days, keep, output_format);
+        default:
+          throw ERR.INVALID_ARGS(`不支持的操作类型: ${operation}`);
+      }
+    } catch (error) {
+      if (error.code && error.code.startsWith('E_')) throw error;
+      if (error.code === 'ENOENT') throw ERR.NOT_FOUND(`历史记录 ${id}`);
+      throw ERR.INVALID_ARGS(`文件历史操作失败: ${error.message}`);
+    }
+  }
+
+  async list(filterPath, limit, outputFormat) {
+    const filter = filterPath ? this.securityValidator.resolveAndAssert(filterPath) : undefined;
+    // meta.json 位于本地目录，可能被改写；只展示允许访问的路径
+    const entries = await journal.listEntries({
+      path: filter,
+      limit,
+      filter: meta => typeof meta.path === 'string' && this.securityValidator.isPathAllowed(meta.path)
+    });
+    const text = entries.length === 0
+      ? '没有历史记录'
+      : entries.map(e => `${e.id}  ${e.created_at}  ${e.tool}.${e.operation}  [${e.kind}] ${e.path}`).join('\n');
+    return buildOutput(outputFormat, `历史记录 (${entries.length} 条):\n${text}`, { action: 'list', entries });
+  }
+
+  async diff(id, outputFormat) {
+    if (!id) throw ERR.INVALID_ARGS('diff 操作需要指定 id');
+    const meta = await journal.getEntry(id);
+    if (meta.kind === 'directory' || meta.kind === 'symlink') {
+      throw ERR.INVALID_ARGS(`历史记录 ${id} 是${meta.kind === 'directory' ? '目录' : '符号链接'}快照，不支持 diff`);
+    }
+
+    // meta.path 来自磁盘上的 meta.json，与工具参数一样需要校验
+    const target = this.securityValidator.resolveAndAssert(meta.path);
+    const before = (await journal.readSnapshot(meta)) || '';
+    let current = '';
+    let exists = true;
+    try {
+      current = decodeBuffer(await this.securityValidator.readFile(target)).text;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      exists = false;
+    }
+
+    const comparison = this.compareTool.compareContents(before, current, `${meta.path}@${id}`, meta.path);
+    const payload = { action: 'diff', id, path: meta.path, exists, ...comparison, diff_stats: this.compareTool.diffStats(comparison.differences) };
+    return buildOutput(outputFormat, this.compareTool.formatTextComparison(payload), payload);
+  }
+
+  async restore(id, outputFormat) {
+    if (!id) throw ERR.INVALID_ARGS('restore 操作需要指定 id');
+    const meta = await journal.getEntry(id);
+    if (!this.securityValidator.isPathAllowed(meta.path, null, { access: 'write' })) {
+      throw ERR.PATH_DENIED(meta.path);
+    }
+
+    // 恢复会先删除当前路径，其中被禁止的条目（如 .env、.ssh）不能随之删除
+    const { backup_id } = await journal.restoreEntry(id, {
+      beforeRemove: target => this.securityValidator.assertTreeAllowed(target)
+    });
+    const action = meta.kind === 'absent' ? '已删除（快照时不存在）' : '已恢复';
+    return buildOutput(outputFormat, `${action}: ${meta.path}\n来源记录: ${id}\n恢复前状态已记录为: ${backup_id || '（超过快照上限，未记录）'}`, {
+      action: 'restore',
+      id,
+      path: meta.path,
+      kind: meta.kind,
+      backup_id
+    });
+  }
+
+  async prune(id, olderThanDays, keep, outputFormat) {
+    if (id === undefined && olderThanDays === undefined && keep === undefined) {
+      throw ERR.INVALID_ARGS('prune 操作需要指定 id、older_than_days 或 keep 之一');
+    }
+    const removed = await journal.pruneEntries({ id, olderThanDays, keep });
+    return buildOutput(outputFormat, `已清理 ${removed.length} 条历史记录`, { action: 'prune', removed });
+  }
+}
+
+module.exports = FileHistoryTool;
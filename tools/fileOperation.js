@@ -1,6 +1,6 @@
 /**
  * 文件操作工具模块
- * 支持读取、写入、列表目录、创建目录、删除文件等操作
+ * 支持读取、写入、列表目录、创建目录、删除、移动、复制、重命名等操作
  * 包含文件大小限制，防止内存溢出
  */
 
@@ -8,11 +8,24 @@ const fs = require('fs').promises;
 const path = require('path');
 const { buildOutput } = require('../lib/output');
 const { ERR } = require('../errors');
+const { recordSnapshot } = require('../lib/historyJournal');
+const { readGitStatus, statusOf } = require('../lib/gitStatus');
+const { writeFileAtomic, hashFile, hashBuffer, HASH_ALGORITHM } = require('../lib/atomicWrite');
+const { normalizeEncoding, detectFileEncoding, decodeBuffer, encodeText, detectLineEnding } = require('../lib/encoding');
+const { previewDiff, collectPaths, formatPathList } = require('../lib/dryRun');
+const { getConfig } = require('../lib/config');
 
-// 配置常量
-const MAX_FILE_SIZE = 10 * 1024 * 1024;  // 最大文件大小: 10MB
-const MAX_READ_SIZE = 2 * 1024 * 1024;   // 最大读取内容: 2MB（用于输出）
-const MAX_ENTRIES = 1000;                // 目录列表最大条目数
+// 配置常量（文件大小、读取与列表上限见配置 limits）
+const MAX_LIST_SCAN = 20000;             // 递归列表最多遍历的条目数
+const DEFAULT_LIST_DEPTH = 3;            // 递归列表默认深度
+const LIST_SORT_FIELDS = ['name', 'size', 'mtime', 'type'];
+const CONFLICT_POLICIES = ['fail', 'overwrite', 'skip', 'rename'];
+const RANGE_ENCODINGS = ['utf8', 'latin1'];  // 可按字节/行定位的文本编码
+
+// 单次读取输出上限
+function maxReadSize() {
+  return getConfig().limits.max_read_size;
+}
 
 class FileOperationTool {
   constructor(securityValidator) {
@@ -33,100 +46,128 @@ class FileOperationTool {
       content,
       working_directory,
       output_format = 'text',
-      max_size = MAX_FILE_SIZE
+      max_size = getConfig().limits.max_file_size,
+      offset,
+      length,
+      start_line,
+      end_line,
+      recursive,
+      max_depth,
+      include_hidden,
+      sort_by,
+      order,
+      limit,
+      git_status,
+      destination,
+      new_name,
+      conflict,
+      preserve_mode,
+      expected_hash,
+      expected_mtime,
+      encoding,
+      dry_run = false
     } = args;
 
     const targetPath = filePath || file_path || dir_path; // alias 归一
     if (!targetPath) throw ERR.INVALID_ARGS('缺少 path/file_path/dir_path 参数');
 
-    // 检查路径是否被允许（支持工作目录；相对路径默认home）
-    if (!this.securityValidator.isPathAllowed(targetPath, working_directory)) {
-      throw ERR.PATH_DENIED(targetPath);
-    }
+    // 检查路径是否被允许（相对路径基于工作目录，未提供时基于 home）；写入类操作在各自方法中校验写权限
+    this.securityValidator.resolveAndAssert(targetPath, working_directory);
 
     switch (operation) {
       case 'read':
-        return await this.readFile(targetPath, working_directory, output_format, max_size);
+        return await this.readFile(targetPath, working_directory, output_format, max_size, { offset, length, start_line, end_line }, encoding);
       case 'write':
-        return await this.writeFile(targetPath, content, working_directory, output_format, max_size);
+        return await this.writeFile(targetPath, content, working_directory, output_format, max_size, { expected_hash, expected_mtime }, { encoding, dryRun: dry_run });
       case 'list':
-        return await this.listDirectory(targetPath, working_directory, output_format);
+        return await this.listDirectory(targetPath, working_directory, output_format, {
+          recursive, max_depth, include_hidden, sort_by, order, offset, limit, git_status
+        });
       case 'create_dir':
         return await this.createDirectory(targetPath, working_directory, output_format);
       case 'delete':
-        return await this.deleteFileOrDirectory(targetPath, working_directory, output_format);
+        return await this.deleteFileOrDirectory(targetPath, working_directory, output_format, { dryRun: dry_run });
+      case 'move':
+      case 'rename': {
+        if (new_name && /[\\/]/.test(new_name)) throw ERR.INVALID_ARGS('new_name 不能包含路径分隔符');
+        const dest = destination || (new_name && path.join(path.dirname(targetPath), new_name));
+        if (!dest) throw ERR.INVALID_ARGS(`${operation} 操作需要 destination${operation === 'rename' ? ' 或 new_name' : ''} 参数`);
+        return await this.movePath(targetPath, dest, working_directory, output_format, { operation, conflict });
+      }
+      case 'copy':
+        if (!destination) throw ERR.INVALID_ARGS('copy 操作需要 destination 参数');
+        return await this.copyPath(targetPath, destination, working_directory, output_format, { recursive, conflict, preserve_mode });
       default:
         throw new Error(`不支持的操作类型: ${operation}`);
     }
   }
 
-  async readFile(filePath, workingDirectory = null, outputFormat, maxSize = MAX_FILE_SIZE) {
+  async readFile(filePath, workingDirectory = null, outputFormat, maxSize = getConfig().limits.max_file_size, range = {}, encoding) {
     try {
       const fullPath = this.securityValidator.resolveAndAssert(filePath, workingDirectory);
+      const requested = normalizeEncoding(encoding);
+      const byteRange = range.offset !== undefined || range.length !== undefined;
+      const lineRange = range.start_line !== undefined || range.end_line !== undefined;
+      if (byteRange && lineRange) {
+        throw ERR.INVALID_ARGS('offset/length 与 start_line/end_line 不能同时使用');
+      }
 
-      // 检查文件大小
+      // 检查文件大小（分块读取不受 max_size 限制）
       const stats = await fs.stat(fullPath);
-      if (stats.size > maxSize) {
+      if (!byteRange && !lineRange && stats.size > maxSize) {
         throw ERR.FILE_TOO_LARGE(stats.size, maxSize);
       }
 
-      // 读取文件的前几个字节来检测是否为二进制文件
-      const fd = await fs.open(fullPath, 'r');
-      const buffer = Buffer.alloc(512); // 读取前512字节作为样本
-      const { bytesRead } = await fd.read(buffer, 0, 512, 0);
-      await fd.close();
-
-      // 检查已读取的字节范围（0到bytesRead）是否包含null字节，这通常是二进制文件的标志
-      let isBinary = false;
-      for (let i = 0; i < bytesRead; i++) {
-        if (buffer[i] === 0) {
-          isBinary = true;
-          break;
-        }
-      }
-
-      if (isBinary) {
-        throw new Error(`不支持读取二进制文件: ${filePath}`);
+      if (byteRange || lineRange) {
+        const rangeEncoding = await this.resolveRangeEncoding(fullPath, filePath, requested);
+        if (lineRange && rangeEncoding === 'base64') throw ERR.INVALID_ARGS('base64 模式仅支持 offset/length 分块读取');
+        return byteRange
+          ? await this.readByteRange(fullPath, stats, range.offset, range.length, outputFormat, rangeEncoding)
+          : await this.readLineRange(fullPath, stats, range.start_line, range.end_line, outputFormat, rangeEncoding);
       }
 
-      // 更精确地检查：检查已读取的字节中是否包含过多的不可打印字符，也可能是二进制文件
-      let binaryCount = 0;
-      let totalChecked = 0;
-      for (let i = 0; i < bytesRead; i++) {
-        totalChecked++;
-        // 检查是否为不可打印的ASCII字符（除了常见的空白字符等）
-        if ((buffer[i] < 32 && ![0x09, 0x0A, 0x0D].includes(buffer[i])) || buffer[i] === 0x7F) {
-          binaryCount++;
-        }
-      }
+      const raw = await this.securityValidator.readFile(fullPath);
+      if (requested === 'base64') return this.readBase64(fullPath, raw, stats, outputFormat);
 
-      // 如果不可打印字符超过一定比例，判定为二进制文件
-      if (totalChecked > 0 && (binaryCount / totalChecked) > 0.3) {
-        throw new Error(`不支持读取二进制文件: ${filePath}`);
+      const decoded = decodeBuffer(raw, requested);
+      if (decoded.binary) {
+        throw new Error(`不支持读取二进制文件: ${filePath}，如需读取原始字节请使用 encoding: "base64"`);
       }
+      let contentData = decoded.text;
 
-      // 如果不是二进制文件，则正常读取全部内容
-      let contentData = await fs.readFile(fullPath, 'utf8');
-
-      // 限制输出内容大小
+      // 限制输出内容大小：按 UTF-8 字节计算，截断在完整字符处
       let truncated = false;
-      if (contentData.length > MAX_READ_SIZE) {
-        contentData = contentData.slice(0, MAX_READ_SIZE);
+      const contentBytes = Buffer.from(contentData, 'utf8');
+      if (contentBytes.length > maxReadSize()) {
+        contentData = contentBytes.toString('utf8', 0, utf8SafeLength(contentBytes, maxReadSize()));
         truncated = true;
       }
+      // 只有分块读取支持的编码才返回续读游标
+      const resumable = RANGE_ENCODINGS.includes(decoded.encoding);
 
       const resultData = {
         action: 'read',
         path: fullPath,
         content: contentData,
         size: stats.size,
-        truncated
+        encoding: decoded.encoding,
+        bom: decoded.bom,
+        line_ending: detectLineEnding(contentData),
+        hash: hashBuffer(raw),
+        mtime: stats.mtime.toISOString(),
+        truncated,
+        next_offset: truncated && resumable ? encodeText(contentData, decoded.encoding, { bom: decoded.bom }).length : null
       };
 
-      const truncationMsg = truncated ? `\n\n[内容已截断，显示前 ${formatBytes(MAX_READ_SIZE)}]` : '';
-      return buildOutput(outputFormat, `文件内容 (${fullPath}, ${formatBytes(stats.size)}):\n${contentData}${truncationMsg}`, resultData);
+      const encodingNote = decoded.encoding === 'utf8' && !decoded.bom ? '' : `, ${decoded.encoding}${decoded.bom ? ' BOM' : ''}`;
+      const resumeHint = resumable
+        ? `继续读取请使用 offset=${resultData.next_offset}`
+        : `${decoded.encoding} 编码不支持分块读取，可调大 limits.max_read_size 或使用 encoding=base64 读取原始字节`;
+      const truncationMsg = truncated ? `\n\n[内容已截断，显示前 ${formatBytes(maxReadSize())}，${resumeHint}]` : '';
+      return buildOutput(outputFormat, `文件内容 (${fullPath}, ${formatBytes(stats.size)}${encodingNote}):\n${contentData}${truncationMsg}`, resultData);
     } catch (error) {
       if (error.code === 'E_FILE_TOO_LARGE') throw error;
+      if (error.code === 'E_INVALID_ARGS') throw error;
       if (error.message.includes('不支持读取二进制文件')) {
         throw ERR.INVALID_ARGS(error.message);
       } else if (error.code === 'ENOENT') {
@@ -139,68 +180,403 @@ class FileOperationTool {
     }
   }
 
-  async writeFile(filePath, content, workingDirectory = null, outputFormat, maxSize = MAX_FILE_SIZE) {
+  // 以 base64 返回原始字节，单次最多 limits.max_read_size 字节（按 3 字节对齐，便于拼接）
+  readBase64(fullPath, raw, stats, outputFormat) {
+    const limit = Math.floor(maxReadSize() / 3) * 3;
+    const truncated = raw.length > limit;
+    const bytes = truncated ? raw.subarray(0, limit) : raw;
+    const resultData = {
+      action: 'read',
+      path: fullPath,
+      content: bytes.toString('base64'),
+      size: stats.size,
+      encoding: 'base64',
+      hash: hashBuffer(raw),
+      mtime: stats.mtime.toISOString(),
+      truncated,
+      next_offset: truncated ? bytes.length : null
+    };
+    const truncationMsg = truncated ? `\n\n[内容已截断，继续读取请使用 encoding=base64, offset=${bytes.length}]` : '';
+    return buildOutput(outputFormat, `文件内容 (${fullPath}, ${formatBytes(stats.size)}, base64):\n${resultData.content}${truncationMsg}`, resultData);
+  }
+
+  /**
+   * 确定分块读取使用的编码：按字节/行定位只对 UTF-8、Latin-1 与原始字节可靠，
+   * 其他编码需整体读取
+   */
+  async resolveRangeEncoding(fullPath, filePath, requested) {
+    if (requested === 'base64' || RANGE_ENCODINGS.includes(requested)) return requested;
+    if (requested !== 'auto') {
+      throw ERR.INVALID_ARGS(`分块读取仅支持 utf8/latin1/base64 编码，${requested} 文件请去掉 offset/start_line 整体读取`);
+    }
+    const detected = await detectFileEncoding(fullPath);
+    if (detected.binary) {
+      throw new Error(`不支持读取二进制文件: ${filePath}，如需读取原始字节请使用 encoding: "base64"`);
+    }
+    if (!RANGE_ENCODINGS.includes(detected.encoding)) {
+      throw ERR.INVALID_ARGS(`文件编码为 ${detected.encoding}，分块读取仅支持 utf8/latin1，请去掉 offset/start_line 整体读取`);
+    }
+    return detected.encoding;
+  }
+
+  // 按字节区间读取，返回 next_offset 作为下一页游标
+  async readByteRange(fullPath, stats, offset = 0, length = maxReadSize(), outputFormat, encoding = 'utf8') {
+    if (!Number.isInteger(offset) || offset < 0) throw ERR.INVALID_ARGS(`offset 无效: ${offset}`);
+    if (!Number.isInteger(length) || length <= 0) throw ERR.INVALID_ARGS(`length 无效: ${length}`);
+
+    const readLength = Math.min(length, maxReadSize(), Math.max(stats.size - offset, 0));
+    const buffer = Buffer.alloc(readLength);
+    const fd = await this.securityValidator.openFile(fullPath);
+    let bytesRead;
     try {
-      const fullPath = this.securityValidator.resolveAndAssert(filePath, workingDirectory);
-      const contentBytes = Buffer.byteLength(content || '', 'utf8');
+      ({ bytesRead } = await fd.read(buffer, 0, readLength, offset));
+    } finally {
+      await fd.close();
+    }
+
+    // 未到文件末尾时，避免把多字节 UTF-8 字符截成两半
+    const consumed = encoding === 'utf8' && offset + bytesRead < stats.size ? utf8SafeLength(buffer, bytesRead) : bytesRead;
+    const nextOffset = offset + consumed;
+    const eof = nextOffset >= stats.size;
+    const contentData = buffer.toString(encoding, 0, consumed);
+
+    const resultData = {
+      action: 'read',
+      path: fullPath,
+      content: contentData,
+      size: stats.size,
+      encoding,
+      offset,
+      length: consumed,
+      next_offset: eof ? null : nextOffset,
+      eof,
+      mtime: stats.mtime.toISOString()
+    };
+
+    const cursorMsg = eof ? '' : `\n\n[未读完，继续读取请使用 offset=${nextOffset}]`;
+    return buildOutput(outputFormat, `文件内容 (${fullPath}, 字节 ${offset}-${nextOffset}/${stats.size}):\n${contentData}${cursorMsg}`, resultData);
+  }
+
+  // 按行区间读取（行号从1开始，含首尾），单次最多返回 maxReadSize() 字节
+  // 单行超过上限时截断该行，next_offset 指向该行剩余内容的起始字节，next_line 指向下一行
+  async readLineRange(fullPath, stats, startLine = 1, endLine = Infinity, outputFormat, encoding = 'utf8') {
+    if (!Number.isInteger(startLine) || startLine < 1) throw ERR.INVALID_ARGS(`start_line 无效: ${startLine}`);
+    if (endLine !== Infinity && (!Number.isInteger(endLine) || endLine < startLine)) {
+      throw ERR.INVALID_ARGS(`end_line 无效: ${endLine}`);
+    }
+
+    // 扫描与读取使用同一个不跟随符号链接打开的句柄
+    const fd = await this.securityValidator.openFile(fullPath);
+    let span;
+    let buffer;
+    let bytesRead;
+    let truncated;
+    try {
+      span = await scanLineRange(fd, startLine, endLine, maxReadSize());
+      // 空文件从第 1 行读取时返回空内容
+      if (span.from === null && span.totalLines === 0 && startLine === 1) span = { from: 0, to: 0, lastLine: 0 };
+      if (span.from === null) {
+        throw ERR.INVALID_ARGS(`start_line 超出范围: ${startLine}，文件总行数: ${span.totalLines}`);
+      }
+      truncated = span.to - span.from > maxReadSize();
+      const readLength = Math.min(span.to - span.from, maxReadSize());
+      buffer = Buffer.alloc(readLength);
+      ({ bytesRead } = await fd.read(buffer, 0, readLength, span.from));
+    } finally {
+      await fd.close();
+    }
+    const consumed = truncated && encoding === 'utf8' ? utf8SafeLength(buffer, bytesRead) : bytesRead;
+    const contentData = buffer.toString(encoding, 0, consumed);
+    const lastPage = span.to >= stats.size;
+    const eof = lastPage && !truncated;
+    const nextLine = lastPage ? null : span.lastLine + 1;
+    const nextOffset = truncated ? span.from + consumed : span.to;
+
+    const resultData = {
+      action: 'read',
+      path: fullPath,
+      content: contentData,
+      size: stats.size,
+      encoding,
+      start_line: startLine,
+      end_line: span.lastLine,
+      next_line: nextLine,
+      next_offset: eof ? null : nextOffset,
+      eof,
+      truncated,
+      mtime: stats.mtime.toISOString()
+    };
+
+    const cursorMsg = nextLine === null ? '' : `\n\n[未读完，继续读取请使用 start_line=${nextLine}]`;
+    const truncationMsg = truncated ? `\n[第 ${span.lastLine} 行超过 ${formatBytes(maxReadSize())}，已截断，读取该行剩余内容请使用 offset=${nextOffset}]` : '';
+    return buildOutput(outputFormat, `文件内容 (${fullPath}, 第 ${startLine}-${span.lastLine} 行):\n${contentData}${truncationMsg}${cursorMsg}`, resultData);
+  }
+
+  async writeFile(filePath, content, workingDirectory = null, outputFormat, maxSize = getConfig().limits.max_file_size, preconditions = {}, options = {}) {
+    const { encoding, dryRun = false } = options;
+    try {
+      const fullPath = this.securityValidator.resolveAndAssert(filePath, workingDirectory, { access: 'write' });
+      const target = await this.resolveWriteEncoding(fullPath, encoding);
+      const data = encodeText(content || '', target.encoding, { bom: target.bom });
+      const contentBytes = data.length;
 
       // 检查写入大小
       if (contentBytes > maxSize) {
         throw ERR.FILE_TOO_LARGE(contentBytes, maxSize);
       }
 
-      await fs.writeFile(fullPath, content, 'utf8');
-      return buildOutput(outputFormat, `成功写入文件: ${fullPath}`, {
+      await this.checkPreconditions(fullPath, preconditions);
+      if (dryRun) return await this.previewWrite(fullPath, content || '', data, target, outputFormat);
+      // 符号链接写入其目标（快照同样针对目标）
+      const writeTarget = await this.securityValidator.resolveWriteTarget(fullPath);
+      const historyId = await recordSnapshot(writeTarget, { tool: 'file_operation', operation: 'write' });
+      const written = await writeFileAtomic(writeTarget, data);
+      return buildOutput(outputFormat, `成功写入文件: ${fullPath} (${target.encoding}${target.bom ? ' BOM' : ''})\n${HASH_ALGORITHM}: ${written.hash}${historyNote(historyId)}`, {
         action: 'write',
         path: fullPath,
-        size: contentBytes
+        size: contentBytes,
+        encoding: target.encoding,
+        bom: target.bom,
+        hash: written.hash,
+        hash_algorithm: HASH_ALGORITHM,
+        mtime: written.mtime.toISOString(),
+        history_id: historyId
       });
     } catch (error) {
       if (error.code === 'E_FILE_TOO_LARGE') throw error;
       if (error.code === 'E_PATH_DENIED') throw error;
+      if (error.code === 'E_CONFLICT' || error.code === 'E_INVALID_ARGS') throw error;
+      if (error.code === 'E_SYMLINK_DENIED') throw ERR.PATH_DENIED(`${filePath}（${error.message}）`);
       if (error.code === 'EACCES') throw ERR.INVALID_ARGS(`没有权限写入文件: ${filePath}`);
       throw ERR.INVALID_ARGS(`写入文件失败: ${error.message}`);
     }
   }
 
-  async listDirectory(dirPath, workingDirectory = null, outputFormat) {
+  // 演练写入：与现有内容比较生成 unified diff，不修改文件
+  async previewWrite(fullPath, content, data, target, outputFormat) {
+    let before = null;
     try {
-      const fullPath = this.securityValidator.resolveAndAssert(dirPath, workingDirectory);
-      const items = await fs.readdir(fullPath, { withFileTypes: true });
+      before = await this.securityValidator.readFile(fullPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    const previous = before ? decodeBuffer(before) : null;
+    const payload = {
+      action: 'write',
+      dry_run: true,
+      path: fullPath,
+      exists: before !== null,
+      changed: !before || !before.equals(data),
+      size: data.length,
+      encoding: target.encoding,
+      bom: target.bom
+    };
 
-      // 限制条目数量
-      let entries = items.map(i => ({ name: i.name, type: i.isDirectory() ? 'directory' : 'file' }));
-      let truncated = false;
-      if (entries.length > MAX_ENTRIES) {
-        entries = entries.slice(0, MAX_ENTRIES);
-        truncated = true;
+    const verb = before ? '覆盖' : '创建';
+    let detail;
+    if (target.encoding === 'base64' || (previous && previous.binary)) {
+      detail = `将写入 ${formatBytes(data.length)}（二进制内容不生成 diff）`;
+    } else {
+      Object.assign(payload, previewDiff(fullPath, previous ? previous.text : '', content));
+      detail = `新增 ${payload.lines_added} 行，删除 ${payload.lines_removed} 行\n\n${payload.diff || '（内容无变化）'}`;
+    }
+    return buildOutput(outputFormat, `[演练] 将${verb}文件: ${fullPath} (${target.encoding}${target.bom ? ' BOM' : ''})，未修改磁盘\n${detail}`, payload);
+  }
+
+  /**
+   * 确定写入编码：未指定时沿用已有文件的编码，新文件或二进制文件使用 UTF-8；
+   * 与已有文件编码一致时保留其 BOM
+   */
+  async resolveWriteEncoding(fullPath, encoding) {
+    const requested = normalizeEncoding(encoding);
+    if (requested === 'base64') return { encoding: requested, bom: false };
+    const existing = await detectFileEncoding(fullPath).catch(() => null);
+    if (!existing || existing.binary) return { encoding: requested === 'auto' ? 'utf8' : requested, bom: false };
+    if (requested === 'auto' || requested === existing.encoding) return { encoding: existing.encoding, bom: existing.bom };
+    return { encoding: requested, bom: false };
+  }
+
+  /**
+   * 乐观并发校验：文件自读取后被修改时拒绝写入
+   * expected_hash 为读取时返回的 hash（sha256）；expected_mtime 为 ISO 时间或毫秒时间戳
+   */
+  async checkPreconditions(fullPath, { expected_hash, expected_mtime } = {}) {
+    if (expected_hash === undefined && expected_mtime === undefined) return;
+    let stats;
+    try {
+      stats = await fs.stat(fullPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      throw ERR.CONFLICT(`文件已不存在: ${fullPath}`);
+    }
+
+    if (expected_mtime !== undefined) {
+      const expected = typeof expected_mtime === 'number' ? expected_mtime : Date.parse(expected_mtime);
+      if (Number.isNaN(expected)) throw ERR.INVALID_ARGS(`expected_mtime 不是有效的时间: ${expected_mtime}`);
+      // 与读取时返回的 mtime 一样按毫秒比较
+      if (stats.mtime.getTime() !== Math.floor(expected)) {
+        throw ERR.CONFLICT(`文件已被修改: ${fullPath}（期望修改时间 ${new Date(expected).toISOString()}，实际 ${stats.mtime.toISOString()}）`);
+      }
+    }
+    if (expected_hash !== undefined) {
+      const actual = await hashFile(fullPath);
+      if (actual !== String(expected_hash).toLowerCase()) {
+        throw ERR.CONFLICT(`文件已被修改: ${fullPath}（期望 ${HASH_ALGORITHM} ${expected_hash}，实际 ${actual}）`);
       }
+    }
+  }
 
-      const resultText = entries.map(item => {
-        const type = item.type === 'directory' ? '[目录]' : '[文件]';
-        return `${type} ${item.name}`;
-      }).join('\n');
+  async listDirectory(dirPath, workingDirectory = null, outputFormat, options = {}) {
+    const {
+      recursive = false,
+      max_depth,
+      include_hidden = true,
+      sort_by = 'name',
+      order = 'asc',
+      offset = 0,
+      limit = getConfig().limits.max_entries,
+      git_status = true
+    } = options;
+    if (!LIST_SORT_FIELDS.includes(sort_by)) {
+      throw ERR.INVALID_ARGS(`不支持的排序字段: ${sort_by}，可选 ${LIST_SORT_FIELDS.join('/')}`);
+    }
+    if (offset < 0 || limit <= 0) throw ERR.INVALID_ARGS('offset 不能为负数，limit 必须大于 0');
+    const maxDepth = recursive ? (max_depth !== undefined ? max_depth : DEFAULT_LIST_DEPTH) : 0;
+    const pageSize = Math.min(limit, getConfig().limits.max_entries);
 
-      const truncationMsg = truncated ? `\n[仅显示前 ${MAX_ENTRIES} 个条目]` : '';
+    try {
+      const fullPath = this.securityValidator.resolveAndAssert(dirPath, workingDirectory);
+      const git = git_status ? await readGitStatus(fullPath) : null;
+      const state = { scanned: 0, truncated: false };
+      const tree = await this.collectEntries(fullPath, fullPath, 0, { maxDepth, includeHidden: include_hidden, sortBy: sort_by, order, git }, state);
+
+      // 先序展开为平铺列表，分页基于展开后的顺序
+      const flat = [];
+      const flatten = (nodes, ancestorsLast) => nodes.forEach((node, i) => {
+        const last = i === nodes.length - 1;
+        flat.push({ entry: node.entry, prefix: ancestorsLast, last });
+        if (node.children) flatten(node.children, [...ancestorsLast, last]);
+      });
+      flatten(tree, []);
+
+      const page = flat.slice(offset, offset + pageSize);
+      const entries = page.map(item => item.entry);
+      const nextOffset = offset + page.length < flat.length ? offset + page.length : null;
+
+      const resultText = recursive
+        ? page.map(item => `${item.prefix.map(l => (l ? '    ' : '│   ')).join('')}${item.last ? '└── ' : '├── '}${this.describeEntry(item.entry)}`).join('\n')
+        : entries.map(item => `${item.type === 'directory' ? '[目录]' : item.type === 'symlink' ? '[链接]' : '[文件]'} ${this.describeEntry(item)}`).join('\n');
+
+      const notes = [];
+      if (nextOffset !== null) notes.push(`[显示 ${offset + 1}-${offset + page.length} / ${flat.length} 个条目，继续请使用 offset=${nextOffset}]`);
+      if (state.truncated) notes.push(`[条目超过 ${MAX_LIST_SCAN} 个，已停止遍历]`);
       const jsonData = {
         action: 'list',
         path: fullPath,
+        recursive,
+        max_depth: maxDepth,
         entries,
-        total: items.length,
-        truncated
+        total: flat.length,
+        offset,
+        limit: pageSize,
+        next_offset: nextOffset,
+        git: git ? { root: git.root } : null,
+        truncated: state.truncated || nextOffset !== null
       };
 
-      return buildOutput(outputFormat, `目录内容 (${fullPath}):\n${resultText}${truncationMsg}`, jsonData);
+      const heading = recursive ? `${fullPath}/` : `目录内容 (${fullPath}):`;
+      return buildOutput(outputFormat, `${heading}\n${resultText}${notes.length ? `\n${notes.join('\n')}` : ''}`, jsonData);
     } catch (error) {
       if (error.code === 'ENOENT') throw ERR.NOT_FOUND(dirPath);
-      if (error.code === 'E_PATH_DENIED') throw error;
+      if (error.code === 'E_PATH_DENIED' || error.code === 'E_INVALID_ARGS') throw error;
       throw ERR.INVALID_ARGS(`列出目录失败: ${error.message}`);
     }
   }
 
+  // 读取一层目录并按需递归，返回 [{ entry, children? }]；跳过被 deny 规则禁止的条目
+  async collectEntries(rootPath, dirPath, depth, options, state) {
+    let items;
+    try {
+      items = await fs.readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+      // 子目录无权限时跳过，根目录错误照常抛出
+      if (depth > 0 && (error.code === 'EACCES' || error.code === 'EPERM')) return [];
+      throw error;
+    }
+
+    const nodes = [];
+    for (const item of items) {
+      if (!options.includeHidden && item.name.startsWith('.')) continue;
+      if (state.scanned >= MAX_LIST_SCAN) {
+        state.truncated = true;
+        break;
+      }
+      state.scanned++;
+
+      const itemPath = path.join(dirPath, item.name);
+      if (this.securityValidator.isDenied(itemPath)) continue;
+      const entry = await this.statEntry(rootPath, itemPath, item, depth, options.git);
+      if (!entry) continue;
+      const node = { entry };
+      // 不跟随符号链接；.git 内部不展开
+      if (entry.type === 'directory' && depth < options.maxDepth && item.name !== '.git') {
+        node.children = await this.collectEntries(rootPath, itemPath, depth + 1, options, state);
+      }
+      nodes.push(node);
+    }
+
+    const direction = options.order === 'desc' ? -1 : 1;
+    nodes.sort((a, b) => {
+      const x = a.entry;
+      const y = b.entry;
+      let diff = 0;
+      if (options.sortBy === 'size') diff = x.size - y.size;
+      else if (options.sortBy === 'mtime') diff = Date.parse(x.mtime) - Date.parse(y.mtime);
+      else if (options.sortBy === 'type') diff = (x.type === 'directory' ? 0 : 1) - (y.type === 'directory' ? 0 : 1);
+      if (!diff) diff = x.name < y.name ? -1 : x.name > y.name ? 1 : 0;
+      return diff * direction;
+    });
+    return nodes;
+  }
+
+  async statEntry(rootPath, itemPath, dirent, depth, git) {
+    let stats;
+    try {
+      stats = await fs.lstat(itemPath);
+    } catch (error) {
+      // 遍历期间被删除
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    const type = stats.isSymbolicLink() ? 'symlink' : stats.isDirectory() ? 'directory' : stats.isFile() ? 'file' : 'other';
+    const entry = {
+      name: dirent.name,
+      path: path.relative(rootPath, itemPath).split(path.sep).join('/'),
+      type,
+      depth,
+      size: stats.size,
+      mtime: stats.mtime.toISOString(),
+      mode: (stats.mode & 0o7777).toString(8).padStart(4, '0')
+    };
+    if (type === 'symlink') {
+      entry.target = await fs.readlink(itemPath).catch(() => null);
+    }
+    const status = statusOf(git, itemPath);
+    if (status) entry.git_status = status;
+    return entry;
+  }
+
+  describeEntry(entry) {
+    const name = entry.type === 'directory' ? `${entry.name}/` : entry.name;
+    const link = entry.type === 'symlink' ? ` -> ${entry.target}` : '';
+    const size = entry.type === 'file' ? `  (${formatBytes(entry.size)})` : '';
+    const status = entry.git_status ? `  [${entry.git_status.trim()}]` : '';
+    return `${name}${link}${size}${status}`;
+  }
+
   async createDirectory(dirPath, workingDirectory = null, outputFormat) {
     try {
-      const fullPath = this.securityValidator.resolveAndAssert(dirPath, workingDirectory);
+      const fullPath = this.securityValidator.resolveAndAssert(dirPath, workingDirectory, { access: 'write' });
       await fs.mkdir(fullPath, { recursive: true });
       return buildOutput(outputFormat, `成功创建目录: ${fullPath}`, {
         action: 'create_dir',
@@ -214,25 +590,42 @@ class FileOperationTool {
     }
   }
 
-  async deleteFileOrDirectory(filePath, workingDirectory = null, outputFormat) {
+  async deleteFileOrDirectory(filePath, workingDirectory = null, outputFormat, options = {}) {
     try {
-      const fullPath = this.securityValidator.resolveAndAssert(filePath, workingDirectory);
+      const fullPath = this.securityValidator.resolveAndAssert(filePath, workingDirectory, { access: 'write' });
       const stats = await fs.stat(fullPath);
+      // 递归删除（含演练）前校验目录中的每个条目
+      await this.securityValidator.assertTreeAllowed(fullPath);
+      if (options.dryRun) {
+        const affected = await collectPaths(fullPath);
+        return buildOutput(outputFormat, `[演练] 将删除以下 ${affected.paths.length}${affected.truncated ? '+' : ''} 项，未修改磁盘:\n${formatPathList(affected.paths, affected.truncated)}`, {
+          action: 'delete',
+          dry_run: true,
+          path: fullPath,
+          type: stats.isDirectory() ? 'directory' : 'file',
+          deleted: false,
+          affected: affected.paths,
+          truncated: affected.truncated
+        });
+      }
+      const historyId = await recordSnapshot(fullPath, { tool: 'file_operation', operation: 'delete' });
       if (stats.isDirectory()) {
         await fs.rmdir(fullPath, { recursive: true });
-        return buildOutput(outputFormat, `成功删除目录: ${fullPath}`, {
+        return buildOutput(outputFormat, `成功删除目录: ${fullPath}${historyNote(historyId)}`, {
           action: 'delete',
           path: fullPath,
           type: 'directory',
-          deleted: true
+          deleted: true,
+          history_id: historyId
         });
       } else {
         await fs.unlink(fullPath);
-        return buildOutput(outputFormat, `成功删除文件: ${fullPath}`, {
+        return buildOutput(outputFormat, `成功删除文件: ${fullPath}${historyNote(historyId)}`, {
           action: 'delete',
           path: fullPath,
           type: 'file',
-          deleted: true
+          deleted: true,
+          history_id: historyId
         });
       }
     } catch (error) {
@@ -242,6 +635,168 @@ class FileOperationTool {
       throw ERR.INVALID_ARGS(`删除失败: ${error.message}`);
     }
   }
+
+  /**
+   * 移动或重命名；rename 只允许在同一目录内改名
+   */
+  async movePath(sourcePath, destination, workingDirectory = null, outputFormat, options = {}) {
+    const { operation = 'move', conflict = 'fail' } = options;
+    try {
+      const source = this.securityValidator.resolveAndAssert(sourcePath, workingDirectory, { access: 'write' });
+      const requested = this.securityValidator.resolveAndAssert(destination, workingDirectory, { access: 'write' });
+      if (operation === 'rename' && path.dirname(source) !== path.dirname(requested)) {
+        throw ERR.INVALID_ARGS('rename 只能在同一目录内改名，跨目录请使用 move');
+      }
+      const sourceStats = await fs.lstat(source);
+      this.assertNotInside(source, requested, sourceStats);
+
+      const { target, action } = await this.resolveConflict(requested, conflict);
+      if (action === 'skip') {
+        return buildOutput(outputFormat, `目标已存在，已跳过: ${requested}`, { action: operation, source, destination: requested, skipped: true });
+      }
+      await this.securityValidator.assertTreeAllowed(source, target);
+
+      const historyIds = [
+        await recordSnapshot(source, { tool: 'file_operation', operation }),
+        await recordSnapshot(target, { tool: 'file_operation', operation })
+      ].filter(Boolean);
+      if (action === 'overwrite') await fs.rm(target, { recursive: true, force: true });
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      try {
+        await fs.rename(source, target);
+      } catch (error) {
+        // 跨文件系统时退化为复制后删除
+        if (error.code !== 'EXDEV') throw error;
+        await this.copyEntry(source, target, { conflict: 'overwrite', preserveMode: true }, { files: 0, skipped: [] });
+        await fs.rm(source, { recursive: true, force: true });
+      }
+
+      const verb = operation === 'rename' ? '重命名' : '移动';
+      return buildOutput(outputFormat, `成功${verb}: ${source} → ${target}${action === 'rename' ? '（目标已存在，已自动改名）' : ''}${historyNote(historyIds[0])}`, {
+        action: operation,
+        source,
+        destination: target,
+        type: sourceStats.isDirectory() ? 'directory' : 'file',
+        conflict_action: action,
+        history_ids: historyIds
+      });
+    } catch (error) {
+      throw this.wrapTransferError(error, sourcePath, operation === 'rename' ? '重命名' : '移动');
+    }
+  }
+
+  /**
+   * 复制文件或目录（目录需 recursive=true）
+   */
+  async copyPath(sourcePath, destination, workingDirectory = null, outputFormat, options = {}) {
+    const { recursive = false, conflict = 'fail', preserve_mode = true } = options;
+    try {
+      const source = this.securityValidator.resolveAndAssert(sourcePath, workingDirectory);
+      const requested = this.securityValidator.resolveAndAssert(destination, workingDirectory, { access: 'write' });
+      const sourceStats = await fs.lstat(source);
+      if (sourceStats.isDirectory() && !recursive) {
+        throw ERR.INVALID_ARGS(`源路径是目录，复制目录需要 recursive=true: ${source}`);
+      }
+      this.assertNotInside(source, requested, sourceStats);
+
+      const { target, action } = await this.resolveConflict(requested, conflict);
+      if (action === 'skip') {
+        return buildOutput(outputFormat, `目标已存在，已跳过: ${requested}`, { action: 'copy', source, destination: requested, skipped: true });
+      }
+      await this.securityValidator.assertTreeAllowed(source, target);
+
+      const historyId = await recordSnapshot(target, { tool: 'file_operation', operation: 'copy' });
+      const summary = { files: 0, skipped: [] };
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await this.copyEntry(source, target, { conflict: action === 'overwrite' ? 'overwrite' : conflict, preserveMode: preserve_mode }, summary);
+
+      const skippedNote = summary.skipped.length ? `，跳过已存在 ${summary.skipped.length} 项` : '';
+      return buildOutput(outputFormat, `成功复制: ${source} → ${target}（${summary.files} 个文件${skippedNote}）${historyNote(historyId)}`, {
+        action: 'copy',
+        source,
+        destination: target,
+        type: sourceStats.isDirectory() ? 'directory' : 'file',
+        conflict_action: action,
+        files_copied: summary.files,
+        skipped: summary.skipped,
+        history_id: historyId
+      });
+    } catch (error) {
+      throw this.wrapTransferError(error, sourcePath, '复制');
+    }
+  }
+
+  // 递归复制单个条目；目标目录已存在时合并，其中的同名文件按 conflict 处理
+  async copyEntry(source, target, options, summary) {
+    const stats = await fs.lstat(source);
+    if (stats.isDirectory()) {
+      await fs.mkdir(target, { recursive: true });
+      for (const name of await fs.readdir(source)) {
+        await this.copyEntry(path.join(source, name), path.join(target, name), options, summary);
+      }
+      if (options.preserveMode) await fs.chmod(target, stats.mode & 0o7777);
+      return;
+    }
+
+    let dest = target;
+    if (await pathExists(dest)) {
+      if (options.conflict === 'skip') {
+        summary.skipped.push(dest);
+        return;
+      }
+      if (options.conflict === 'rename') dest = await uniquePath(dest);
+      else if (options.conflict === 'fail') throw ERR.INVALID_ARGS(`目标已存在: ${dest}`);
+      else await fs.rm(dest, { recursive: true, force: true });
+    }
+
+    if (stats.isSymbolicLink()) {
+      // 复制链接本身，不跟随
+      await fs.symlink(await fs.readlink(source), dest);
+    } else {
+      await fs.copyFile(source, dest);
+      if (options.preserveMode) {
+        await fs.chmod(dest, stats.mode & 0o7777);
+      } else {
+        await fs.chmod(dest, 0o666 & ~process.umask());
+      }
+      summary.files++;
+    }
+  }
+
+  /**
+   * 按冲突策略确定最终目标
+   * @returns {Promise<{target: string, action: 'create'|'overwrite'|'skip'|'rename'}>}
+   */
+  async resolveConflict(target, conflict) {
+    if (!CONFLICT_POLICIES.includes(conflict)) {
+      throw ERR.INVALID_ARGS(`不支持的冲突策略: ${conflict}，可选 ${CONFLICT_POLICIES.join('/')}`);
+    }
+    if (!(await pathExists(target))) return { target, action: 'create' };
+    switch (conflict) {
+      case 'overwrite':
+        return { target, action: 'overwrite' };
+      case 'skip':
+        return { target, action: 'skip' };
+      case 'rename':
+        return { target: await uniquePath(target), action: 'rename' };
+      default:
+        throw ERR.INVALID_ARGS(`目标已存在: ${target}（可使用 conflict=overwrite/skip/rename）`);
+    }
+  }
+
+  assertNotInside(source, target, sourceStats) {
+    if (target === source) throw ERR.INVALID_ARGS('源路径与目标路径相同');
+    if (sourceStats.isDirectory() && target.startsWith(source + path.sep)) {
+      throw ERR.INVALID_ARGS(`不能把目录复制或移动到其自身内部: ${target}`);
+    }
+  }
+
+  wrapTransferError(error, sourcePath, verb) {
+    if (error.code && error.code.startsWith('E_')) return error;
+    if (error.code === 'ENOENT') return ERR.NOT_FOUND(sourcePath);
+    if (error.code === 'EACCES' || error.code === 'EPERM') return ERR.INVALID_ARGS(`没有权限${verb}: ${sourcePath}`);
+    return ERR.INVALID_ARGS(`${verb}失败: ${error.message}`);
+  }
 }
 
 // 辅助函数：格式化字节
@@ -251,4 +806,84 @@ function formatBytes(bytes) {
   return (bytes / 1024 / 1024).toFixed(2) + ' MB';
 }
 
+// 辅助函数：路径是否存在（不跟随符号链接）
+async function pathExists(target) {
+  try {
+    await fs.lstat(target);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+// 辅助函数：生成不冲突的路径，如 "a (1).txt"
+async function uniquePath(target) {
+  const ext = path.extname(target);
+  const base = target.slice(0, target.length - ext.length);
+  for (let i = 1; ; i++) {
+    const candidate = `${base} (${i})${ext}`;
+    if (!(await pathExists(candidate))) return candidate;
+  }
+}
+
+// 辅助函数：可回滚提示
+function historyNote(historyId) {
+  return historyId ? `\n可通过 file_history restore 回滚，id: ${historyId}` : '';
+}
+
+// 辅助函数：去掉缓冲区末尾不完整的 UTF-8 字符，返回可安全解码的字节数
+function utf8SafeLength(buffer, length) {
+  let i = length - 1;
+  // 回退到最后一个非续字节（10xxxxxx）
+  while (i >= 0 && length - i <= 4 && (buffer[i] & 0xC0) === 0x80) i--;
+  if (i < 0) return length;
+  const lead = buffer[i];
+  const expected = lead >= 0xF0 ? 4 : lead >= 0xE0 ? 3 : lead >= 0xC0 ? 2 : 1;
+  const safe = length - i < expected ? i : length;
+  // 区间内不足一个完整字符时原样返回，保证游标前进
+  return safe > 0 ? safe : length;
+}
+
+// 辅助函数：从已打开的文件句柄流式扫描换行符，定位 [startLine, endLine] 的字节区间
+// 返回 { from, to, lastLine, totalLines }；from 为 null 表示 startLine 超出文件行数
+async function scanLineRange(fd, startLine, endLine, budget) {
+  let line = 1;        // 当前行号
+  let lineStart = 0;   // 当前行起始字节
+  let offset = 0;      // 已扫描字节数
+  let from = null;
+  let to = null;
+  let lastLine = startLine - 1;
+
+  for await (const chunk of fd.createReadStream({ start: 0, autoClose: false })) {
+    let idx = chunk.indexOf(0x0A);
+    while (idx !== -1) {
+      const lineEnd = offset + idx + 1;
+      if (line === startLine) from = lineStart;
+      if (from !== null) {
+        // 超出单次读取预算时停在上一行（至少返回一行）
+        if (lineEnd - from > budget && lastLine >= startLine) return { from, to, lastLine, totalLines: null };
+        to = lineEnd;
+        lastLine = line;
+        if (line === endLine) return { from, to, lastLine, totalLines: null };
+      }
+      line++;
+      lineStart = lineEnd;
+      idx = chunk.indexOf(0x0A, idx + 1);
+    }
+    offset += chunk.length;
+  }
+
+  // 末行没有换行符
+  const hasTail = lineStart < offset;
+  if (hasTail) {
+    if (line === startLine) from = lineStart;
+    if (from !== null && (lastLine < startLine || offset - from <= budget)) {
+      to = offset;
+      lastLine = line;
+    }
+  }
+  return { from, to, lastLine, totalLines: hasTail ? line : line - 1 };
+}
+
 module.exports = FileOperationTool;
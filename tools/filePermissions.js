@@ -7,6 +7,8 @@ const fs = require('fs').promises;
 const path = require('path');
 const { ERR } = require('../errors');
 const { text } = require('../responses');
+const { buildOutput } = require('../lib/output');
+const { collectPaths, MAX_PREVIEW_PATHS } = require('../lib/dryRun');
 const { CrossPlatformPermissionManager } = require('../lib/crossPlatformPermissions');
 const platformUtils = require('../lib/platformUtils');
 
@@ -26,7 +28,8 @@ class FilePermissionsTool {
       recursive = false, 
       max_depth = 5, 
       output_format = 'text',
-      skip_errors = false
+      skip_errors = false,
+      dry_run = false
     } = args;
     
     const target = filePath || file_path || dir_path;
@@ -34,12 +37,16 @@ class FilePermissionsTool {
       throw ERR.INVALID_ARGS('缺少路径参数: 需要 path / file_path / dir_path 之一');
     }
 
-    // 检查路径是否被允许
-    if (!this.securityValidator.isPathAllowed(target)) {
+    // 检查路径是否被允许（修改权限需要写权限）
+    if (!this.securityValidator.isPathAllowed(target, null, { access: dry_run ? 'read' : 'write' })) {
       throw ERR.PATH_DENIED(target);
     }
 
     try {
+      if (dry_run) {
+        return await this.previewPermissions(target, { mode, permissions, recursive, max_depth }, output_format);
+      }
+
       const start = Date.now();
       let result;
       
@@ -144,6 +151,47 @@ class FilePermissionsTool {
     }
   }
 
+  /**
+   * 演练模式：列出将被修改权限的路径及当前/目标权限，不执行 chmod
+   * 递归深度与 setPermissionsRecursive 一致（根路径为 0，深度达到 max_depth 的条目会报错）
+   */
+  async previewPermissions(target, { mode, permissions, recursive, max_depth }, outputFormat) {
+    if (mode && !this.isValidMode(mode)) {
+      throw ERR.INVALID_ARGS(`无效的权限模式: ${mode}。请使用八进制格式，如 755, 644 等`);
+    }
+    if (!mode && (!permissions || typeof permissions !== 'object' || Object.keys(permissions).length === 0)) {
+      throw ERR.INVALID_ARGS('必须提供mode或permissions参数');
+    }
+
+    const planned = mode ? parseInt(mode, 8).toString(8).padStart(3, '0') : null;
+    const collected = await collectPaths(target, { maxDepth: recursive ? max_depth - 1 : 0 });
+    const affected = [];
+    for (const entry of collected.paths) {
+      const stats = await fs.stat(entry.path).catch(() => null);
+      const current = stats ? (stats.mode & 0o7777).toString(8).padStart(3, '0') : null;
+      affected.push({ ...entry, current, planned, changed: planned === null || current !== planned });
+    }
+
+    const data = {
+      action: 'chmod',
+      dry_run: true,
+      platform: platformUtils.getPlatformInfo().platform,
+      path: target,
+      requested: { mode, permissions },
+      recursive,
+      max_depth,
+      affected,
+      changes: affected.filter(entry => entry.changed).length,
+      truncated: collected.truncated,
+      depth_exceeded: recursive && collected.depth_exceeded
+    };
+
+    const lines = affected.map(entry => `  ${entry.path}: ${entry.current || '?'} → ${planned || JSON.stringify(permissions)}${entry.changed ? '' : '（不变）'}`);
+    if (data.truncated) lines.push(`  ...（超过 ${MAX_PREVIEW_PATHS} 项，已截断）`);
+    if (data.depth_exceeded) lines.push(`  注意: 存在超过 max_depth=${max_depth} 的条目，实际执行时会报错（可设置 skip_errors）`);
+    return buildOutput(outputFormat, `[演练] 将修改 ${data.changes} 项的权限，未修改磁盘:\n${lines.join('\n')}`, data);
+  }
+
   /**
    * 格式化文本输出
    */
@@ -1,10 +1,19 @@
 /**
  * 文件搜索工具模块
- * 支持在文件中搜索内容，支持正则表达式
+ * 支持在文件中搜索内容，支持正则表达式；流式逐行匹配、跳过二进制文件、
+ * 自动遵循 .gitignore/.ignore，本机安装 rg 时可委托 ripgrep 执行
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const { normalizeIgnore, isIgnored, IgnoreMatcher } = require('../lib/ignore');
+const { searchFile, compilePattern, defaultPoolSize, SearchWorkerPool } = require('../lib/searchWorker');
+const { locateRipgrep, ripgrepSearch } = require('../lib/ripgrep');
+
+const ENGINES = ['auto', 'builtin', 'ripgrep'];
+const OUTPUT_MODES = ['content', 'files_with_matches', 'count'];
+const IO_CONCURRENCY = 8;     // 主线程同时打开的文件数
+const POOL_THRESHOLD = 32;    // 待搜索文件超过该数量时启用 worker 线程池
 
 class FileSearchTool {
   constructor(securityValidator) {
@@ -22,10 +31,20 @@ class FileSearchTool {
       max_depth = 8,
       timeout_ms = 5000,
       ignore = [],
+      respect_ignore_files = true,
+      engine = 'auto',
+      before_context = 0,
+      after_context = 0,
+      fixed_strings = false,
+      whole_word = false,
+      multiline = false,
+      output_mode = 'content',
       output_format = 'text'
     } = args;
     const targetPath = search_path || root_path;
     if (!targetPath) throw new Error('缺少搜索路径参数: 需要 search_path 或 root_path');
+    if (!ENGINES.includes(engine)) throw new Error(`不支持的搜索引擎: ${engine}，可选 ${ENGINES.join('/')}`);
+    if (!OUTPUT_MODES.includes(output_mode)) throw new Error(`不支持的输出模式: ${output_mode}，可选 ${OUTPUT_MODES.join('/')}`);
 
     // 检查路径是否被允许
     if (!this.securityValidator.isPathAllowed(targetPath)) {
@@ -33,17 +52,63 @@ class FileSearchTool {
     }
 
     try {
-  const controller = { cancelled: false };
-  const timer = setTimeout(()=> { controller.cancelled = true; }, timeout_ms);
-  const started = Date.now();
-  const results = await this.searchInDirectory(targetPath, pattern, file_types, case_sensitive, max_results, 0, max_depth, this.normalizeIgnore(ignore), controller);
-  clearTimeout(timer);
-  const elapsed = Date.now() - started;
+      const matchOptions = { caseSensitive: case_sensitive, fixedStrings: fixed_strings, wholeWord: whole_word, multiline };
+      const regex = compilePattern(pattern, matchOptions);
+      const options = {
+        fileTypes: file_types,
+        maxResults: max_results,
+        maxDepth: max_depth,
+        ignoreList: this.normalizeIgnore(ignore),
+        respectIgnoreFiles: respect_ignore_files,
+        beforeContext: Math.max(0, before_context),
+        afterContext: Math.max(0, after_context),
+        mode: output_mode,
+        multiline
+      };
+      const controller = { cancelled: false };
+      const timer = setTimeout(() => { controller.cancelled = true; }, timeout_ms);
+      const started = Date.now();
+
+      let usedEngine = 'builtin';
+      let results = null;
+      try {
+        if (engine !== 'builtin' && await locateRipgrep()) {
+          try {
+            const found = await ripgrepSearch({
+              root: targetPath,
+              pattern,
+              ...matchOptions,
+              ...options,
+              respectIgnore: respect_ignore_files,
+              timeoutMs: timeout_ms
+            });
+            // 内置引擎在遍历时跳过禁止访问的路径，ripgrep 的结果在这里过滤
+            results = found.results.filter(result => !this.securityValidator.isDenied(path.resolve(result.file)));
+            controller.cancelled = controller.cancelled || found.timedOut;
+            usedEngine = 'ripgrep';
+          } catch {
+            // rg 不支持的正则语法等情况回退到内置引擎
+            results = null;
+          }
+        }
+        if (!results) {
+          results = await this.searchBuiltin(targetPath, regex, options, controller);
+        }
+      } finally {
+        clearTimeout(timer);
+      }
+      // 并发搜索的完成顺序不固定，按文件与行号排序保证输出稳定
+      results.sort((a, b) => (a.file < b.file ? -1 : a.file > b.file ? 1 : a.line - b.line));
+      results = results.slice(0, max_results);
+      const elapsed = Date.now() - started;
+      const fileCount = new Set(results.map(result => result.file)).size;
       
       const summary = {
         pattern,
         path: targetPath,
-        matches: results.length,
+        output_mode,
+        matches: output_mode === 'count' ? results.reduce((sum, result) => sum + result.count, 0) : results.length,
+        files: fileCount,
         max_results,
         truncated: results.length >= max_results,
         depth_limit: max_depth,
@@ -52,7 +117,12 @@ class FileSearchTool {
         timed_out: controller.cancelled,
         case_sensitive,
         file_types,
-        ignore_normalized: this.normalizeIgnore(ignore)
+        ignore_normalized: this.normalizeIgnore(ignore),
+        respect_ignore_files,
+        fixed_strings,
+        whole_word,
+        multiline,
+        engine: usedEngine
       };
 
       if (results.length === 0) {
@@ -67,89 +137,115 @@ class FileSearchTool {
         return { content: [{ type: 'text', text: `在 ${targetPath} 中未找到匹配 "${pattern}" 的内容` }] };
       }
 
-      const resultText = results.map(result => 
-        `文件: ${result.file}\n行 ${result.line}: ${result.content}\n${'='.repeat(50)}`
-      ).join('\n');
+      const resultText = this.formatResults(results, output_mode);
+      const heading = output_mode === 'content'
+        ? `搜索结果 (${results.length} 个匹配)`
+        : `搜索结果 (${fileCount} 个文件, ${summary.matches} ${output_mode === 'count' ? '处匹配' : '个文件含匹配'})`;
 
       if (output_format === 'json') {
         return { content: [{ type: 'json', json: { ...summary, results } }] };
       } else if (output_format === 'both') {
         return { content: [
-          { type: 'text', text: `搜索结果 (${results.length} 个匹配) | depth<=${max_depth} | 用时 ${elapsed}ms${controller.cancelled ? ' (超时截断)' : ''}:\n\n${resultText}` },
+          { type: 'text', text: `${heading} | depth<=${max_depth} | 用时 ${elapsed}ms${controller.cancelled ? ' (超时截断)' : ''}:\n\n${resultText}` },
           { type: 'json', json: { ...summary, results } }
         ]};
       }
-      return { content: [{ type: 'text', text: `搜索结果 (${results.length} 个匹配) | depth<=${max_depth} | 用时 ${elapsed}ms${controller.cancelled ? ' (超时截断)' : ''}:\n\n${resultText}` }] };
+      return { content: [{ type: 'text', text: `${heading} | depth<=${max_depth} | 用时 ${elapsed}ms${controller.cancelled ? ' (超时截断)' : ''}:\n\n${resultText}` }] };
 
     } catch (error) {
       throw new Error(`搜索失败: ${error.message}`);
     }
   }
 
-  async searchInDirectory(dirPath, pattern, fileTypes, caseSensitive, maxResults, depth, maxDepth, ignoreList, controller) {
+  /**
+   * 内置引擎：遍历目录（逐层叠加 .gitignore/.ignore 规则）并并发流式搜索文件，
+   * 文件较多且有空闲 CPU 时交给 worker 线程池执行正则匹配
+   */
+  async searchBuiltin(rootPath, regex, options, controller) {
+    const { maxResults } = options;
     const results = [];
-    const regex = new RegExp(pattern, caseSensitive ? 'g' : 'gi');
+    const poolSize = defaultPoolSize();
+    const concurrency = Math.max(IO_CONCURRENCY, poolSize * 2);
+    const matcher = options.respectIgnoreFiles ? await IgnoreMatcher.forRoot(rootPath) : null;
+    const inflight = new Set();
+    let pool = null;
+    let scheduled = 0;
+    let failure = null;
 
     try {
-      if (controller.cancelled) return results;
-      if (depth > maxDepth) return results;
-      const items = await fs.readdir(dirPath, { withFileTypes: true });
-      
-      for (const item of items) {
-        if (results.length >= maxResults) break;
-        if (controller.cancelled) break;
-        if (this.isIgnored(item.name, ignoreList)) continue;
-
-        const fullPath = path.join(dirPath, item.name);
-        
-        if (item.isDirectory()) {
-          const subResults = await this.searchInDirectory(fullPath, pattern, fileTypes, caseSensitive, maxResults - results.length, depth + 1, maxDepth, ignoreList, controller);
-          results.push(...subResults);
-        } else if (item.isFile()) {
-          // 检查文件类型
-          if (this.matchesFileType(item.name, fileTypes)) {
-            const fileResults = await this.searchInFile(fullPath, regex, maxResults - results.length);
-            results.push(...fileResults);
-          }
-        }
-      }
-    } catch (error) {
-      // 忽略权限错误，继续搜索其他文件
-      if (error.code !== 'EACCES') {
-        throw error;
+      for await (const file of this.walkFiles(rootPath, 0, matcher, options, controller)) {
+        if (failure || controller.cancelled || results.length >= maxResults) break;
+        // 小目录直接在主线程搜索，避免线程启动开销
+        if (!pool && poolSize > 0 && ++scheduled > POOL_THRESHOLD) pool = new SearchWorkerPool(poolSize);
+
+        const fileOptions = {
+          maxResults: maxResults - results.length,
+          beforeContext: options.beforeContext,
+          afterContext: options.afterContext,
+          mode: options.mode,
+          multiline: options.multiline
+        };
+        const pending = pool
+          ? pool.run({ file, source: regex.source, flags: regex.flags, options: fileOptions })
+          : searchFile(file, regex, fileOptions);
+        const task = pending
+          .then(found => { results.push(...found); }, error => { failure = failure || error; })
+          .finally(() => inflight.delete(task));
+        inflight.add(task);
+        if (inflight.size >= concurrency) await Promise.race(inflight);
       }
+      await Promise.all(inflight);
+    } finally {
+      if (pool) await pool.destroy();
     }
-
+    if (failure) throw failure;
     return results;
   }
 
-  async searchInFile(filePath, regex, maxResults) {
-    const results = [];
-    
+  formatResults(results, outputMode) {
+    if (outputMode === 'files_with_matches') return results.map(result => result.file).join('\n');
+    if (outputMode === 'count') return results.map(result => `${result.file}: ${result.count}`).join('\n');
+
+    const contextLines = (entries = []) => entries.map(entry => `  ${entry.line}- ${entry.content}`);
+    return results.map(result => {
+      const range = result.end_line ? `${result.line}-${result.end_line}` : `${result.line}`;
+      return [
+        `文件: ${result.file}`,
+        ...contextLines(result.before_context),
+        `行 ${range} 列 ${result.column}: ${result.content}`,
+        ...contextLines(result.after_context),
+        '='.repeat(50)
+      ].join('\n');
+    }).join('\n');
+  }
+
+  async *walkFiles(dirPath, depth, matcher, options, controller) {
+    if (controller.cancelled || depth > options.maxDepth) return;
+    let items;
     try {
-      const content = await fs.readFile(filePath, 'utf8');
-      const lines = content.split('\n');
-      
-      for (let i = 0; i < lines.length && results.length < maxResults; i++) {
-        const line = lines[i];
-        const matches = line.match(regex);
-        
-        if (matches) {
-          results.push({
-            file: filePath,
-            line: i + 1,
-            content: line.trim()
-          });
-        }
-      }
+      items = await fs.readdir(dirPath, { withFileTypes: true });
     } catch (error) {
-      // 忽略无法读取的文件
-      if (error.code !== 'EACCES' && error.code !== 'ENOENT') {
-        throw error;
-      }
+      // 忽略权限错误，继续搜索其他目录
+      if (error.code === 'EACCES' || error.code === 'EPERM') return;
+      throw error;
     }
+    // 根目录的规则已由 IgnoreMatcher.forRoot 加载
+    const scope = matcher && depth > 0 ? await matcher.child(dirPath) : matcher;
 
-    return results;
+    for (const item of items) {
+      if (controller.cancelled) return;
+      if (this.isIgnored(item.name, options.ignoreList)) continue;
+
+      const fullPath = path.join(dirPath, item.name);
+      if (this.securityValidator.isDenied(fullPath)) continue;
+      if (item.isDirectory()) {
+        if (scope && (item.name === '.git' || scope.ignores(fullPath, true))) continue;
+        yield* this.walkFiles(fullPath, depth + 1, scope, options, controller);
+      } else if (item.isFile() && this.matchesFileType(item.name, options.fileTypes)) {
+        if (scope && scope.ignores(fullPath, false)) continue;
+        yield fullPath;
+      }
+    }
   }
 
   matchesFileType(fileName, fileTypes) {
@@ -162,18 +258,11 @@ class FileSearchTool {
   }
 
   normalizeIgnore(ignore) {
-    if (Array.isArray(ignore)) return ignore.filter(Boolean);
-    if (typeof ignore === 'string') return ignore.split(',').map(s => s.trim()).filter(Boolean);
-    return [];
+    return normalizeIgnore(ignore);
   }
 
   isIgnored(name, ignoreList) {
-    return ignoreList.some(pattern => {
-      if (pattern === name) return true;
-      if (pattern.startsWith('*') && name.endsWith(pattern.slice(1))) return true;
-      if (pattern.endsWith('*') && name.startsWith(pattern.slice(0, -1))) return true;
-      return false;
-    });
+    return isIgnored(name, ignoreList);
   }
 }
 
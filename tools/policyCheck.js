@@ -0,0 +1,61 @@
+/**
+ * 命令策略检查工具模块
+ * 按 execute_command 相同的规则评估命令（内置规则、配置与策略文件），不执行命令
+ */
+
+const { evaluate } = require('../lib/commandPolicy');
+const { getPolicy } = require('../lib/commandRules');
+const { ERR } = require('../errors');
+const { buildOutput } = require('../lib/output');
+
+const OUTCOMES = {
+  allow: '将直接执行',
+  warn: '需要 { "confirm": true } 才会执行',
+  deny: '将被拒绝'
+};
+
+class PolicyCheckTool {
+  constructor(securityValidator) {
+    this.securityValidator = securityValidator;
+  }
+
+  async handle(args) {
+    const { command, working_directory, working_dir, output_format = 'text' } = args;
+    if (!command || typeof command !== 'string') {
+      throw ERR.INVALID_ARGS('缺少 command 参数');
+    }
+    const cwd = working_directory || working_dir;
+
+    const verdict = await evaluate(command, { cwd: cwd || undefined });
+    const { file } = getPolicy();
+
+    const lines = [
+      `命令: ${command}`,
+      ...(cwd ? [`工作目录: ${cwd}`] : []),
+      `策略: ${verdict.level}${verdict.reason ? `（${verdict.reason}）` : ''}`,
+      ...(verdict.rule ? [`规则: ${verdict.rule}`] : []),
+      ...(verdict.segment && verdict.segment !== command ? [`触发片段: ${verdict.segment}`] : []),
+      `结果: ${OUTCOMES[verdict.level]}`
+    ];
+    if (verdict.matches.length > 0) {
+      lines.push('命中的自定义规则:');
+      verdict.matches.forEach(match => lines.push(`  ${match.rule} (${match.action}): ${match.segment}`));
+    }
+    lines.push(`策略文件: ${file || '未配置'}`);
+
+    return buildOutput(output_format, lines.join('\n'), {
+      command,
+      cwd: cwd || null,
+      level: verdict.level,
+      reason: verdict.reason,
+      rule: verdict.rule,
+      segment: verdict.segment,
+      program: verdict.program,
+      matches: verdict.matches,
+      would_execute: verdict.level === 'allow',
+      policy_file: file
+    });
+  }
+}
+
+module.exports = PolicyCheckTool;
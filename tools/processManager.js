@@ -0,0 +1,551 @@
+/**
+ * 后台进程管理工具模块
+ * 启动开发服务器、监听模式的构建与测试等长时间运行的命令，增量读取输出、写入标准输入、发送信号与等待结束。
+ * 每个进程的 stdout/stderr 保存在有界缓冲中；进程归属于启动它的 MCP 会话，会话结束或服务退出时全部结束。
+ * 以 pty 模式启动时命令运行在伪终端中，可以发送按键、获取渲染后的屏幕并等待输出匹配正则，用于驱动交互式命令行程序。
+ */
+
+const { spawn } = require('child_process');
+const { StringDecoder } = require('string_decoder');
+const { evaluate } = require('../lib/commandPolicy');
+const { getConfig } = require('../lib/config');
+const { RingBuffer } = require('../lib/ringBuffer');
+const { killTree } = require('../lib/processTree');
+const { spawnPty, findPtyChild, resizePty, isPtySupported } = require('../lib/pty');
+const { TerminalScreen, createAnsiStripper } = require('../lib/terminalScreen');
+const platformUtils = require('../lib/platformUtils');
+const { ERR } = require('../errors');
+const { buildOutput } = require('../lib/output');
+
+const SIGNALS = ['SIGTERM', 'SIGINT', 'SIGKILL', 'SIGHUP', 'SIGQUIT', 'SIGUSR1', 'SIGUSR2'];
+const MAX_FINISHED = 20;        // 每个会话保留的已结束进程记录数
+const MAX_WAIT_MS = 10 * 60 * 1000;
+const KILL_GRACE_MS = 2000;     // 会话结束时 SIGTERM 之后等待多久再 SIGKILL
+const DEFAULT_WAIT_FOR_MS = 10000;
+
+// send_keys 支持的按键名（xterm 普通模式下的编码），同时接受 tmux 的写法
+const KEYS = {
+  Enter: '\r',
+  Tab: '\t',
+  BTab: '\x1b[Z',
+  Escape: '\x1b',
+  Esc: '\x1b',
+  Backspace: '\x7f',
+  BSpace: '\x7f',
+  Space: ' ',
+  Up: '\x1b[A',
+  Down: '\x1b[B',
+  Right: '\x1b[C',
+  Left: '\x1b[D',
+  Home: '\x1b[H',
+  End: '\x1b[F',
+  PageUp: '\x1b[5~',
+  PPage: '\x1b[5~',
+  PageDown: '\x1b[6~',
+  NPage: '\x1b[6~',
+  Insert: '\x1b[2~',
+  IC: '\x1b[2~',
+  Delete: '\x1b[3~',
+  DC: '\x1b[3~',
+  F1: '\x1bOP',
+  F2: '\x1bOQ',
+  F3: '\x1bOR',
+  F4: '\x1bOS',
+  F5: '\x1b[15~',
+  F6: '\x1b[17~',
+  F7: '\x1b[18~',
+  F8: '\x1b[19~',
+  F9: '\x1b[20~',
+  F10: '\x1b[21~',
+  F11: '\x1b[23~',
+  F12: '\x1b[24~'
+};
+
+/**
+ * 把按键序列编码为写入终端的字节
+ * 按键名（Enter、Up、F1 等）、C-x（Ctrl）与 M-x（Alt）会被转换，其余内容按原文发送；literal 时全部按原文发送
+ */
+function encodeKeys(keys, literal) {
+  return keys.map((key) => {
+    if (literal) return key;
+    if (Object.prototype.hasOwnProperty.call(KEYS, key)) return KEYS[key];
+    const ctrl = key.match(/^C-(.)$/);
+    if (ctrl) {
+      const ch = ctrl[1] === ' ' ? '@' : ctrl[1].toUpperCase();
+      const code = ch.charCodeAt(0);
+      if (code >= 0x40 && code <= 0x5f) return String.fromCharCode(code - 0x40);
+      if (ch === '?') return '\x7f';
+    }
+    const meta = key.match(/^M-(.)$/);
+    if (meta) return `\x1b${meta[1]}`;
+    return key;
+  }).join('');
+}
+
+// 所有会话中仍在运行的进程，服务退出时统一结束
+const liveProcesses = new Set();
+
+/**
+ * 向进程及其子进程发送信号
+ * POSIX 下进程以独立进程组启动，信号发给整个进程组；Windows 下用 taskkill /T 结束进程树
+ */
+function sendSignal(record, signal) {
+  // 伪终端中的命令在 script 创建的新会话里，信号发给终端内的进程组；找不到时退回到 script 本身
+  const target = record.terminal && ptyChild(record);
+  if (target) {
+    killTree(target.pid, signal);
+    if (signal === 'SIGKILL') killTree(record.pid, signal);
+    return;
+  }
+  if (platformUtils.isWindows && signal !== 'SIGKILL' && signal !== 'SIGTERM') {
+    record.child.kill(signal);
+    return;
+  }
+  killTree(record.pid, signal);
+}
+
+// 伪终端中由 script 启动的进程（首次查到后缓存）
+function ptyChild(record) {
+  if (!record.terminal.child && record.status === 'running') {
+    record.terminal.child = findPtyChild(record.pid);
+  }
+  return record.terminal.child;
+}
+
+// 进程的对外描述
+function describe(record) {
+  return {
+    handle: record.handle,
+    pid: record.pid,
+    command: record.command,
+    cwd: record.cwd,
+    status: record.status,
+    exit_code: record.exitCode,
+    signal: record.signal,
+    started_at: new Date(record.startedAt).toISOString(),
+    ended_at: record.endedAt ? new Date(record.endedAt).toISOString() : null,
+    stdout_size: record.stdout.end,
+    stderr_size: record.stderr.end,
+    pty: record.terminal ? { cols: record.terminal.screen.cols, rows: record.terminal.screen.rows } : null
+  };
+}
+
+class ProcessManagerTool {
+  constructor(securityValidator) {
+    this.securityValidator = securityValidator;
+    this.processes = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * 为一个 MCP 会话创建独立的进程表（HTTP/SSE 下每个会话一份）
+   * @returns {ProcessManagerTool}
+   */
+  createSession() {
+    return new ProcessManagerTool(this.securityValidator);
+  }
+
+  async handle(args) {
+    const { operation } = args;
+    switch (operation) {
+      case 'start':
+        return this.start(args);
+      case 'read_output':
+        return this.readOutput(args);
+      case 'write_stdin':
+        return this.writeStdin(args);
+      case 'signal':
+        return this.signal(args);
+      case 'wait':
+        return this.wait(args);
+      case 'list':
+        return this.list(args);
+      case 'send_keys':
+        return this.sendKeys(args);
+      case 'snapshot':
+        return this.snapshot(args);
+      case 'wait_for':
+        return this.waitFor(args);
+      case 'resize':
+        return this.resize(args);
+      default:
+        throw ERR.INVALID_ARGS(`不支持的操作: ${operation}（可选 start、read_output、write_stdin、signal、wait、list、send_keys、snapshot、wait_for、resize）`);
+    }
+  }
+
+  getRecord(handle) {
+    const record = this.processes.get(handle);
+    if (!record) throw ERR.NOT_FOUND(`后台进程 ${handle}`);
+    return record;
+  }
+
+  getTerminal(handle) {
+    const record = this.getRecord(handle);
+    if (!record.terminal) {
+      throw ERR.INVALID_ARGS(`后台进程 ${handle} 不是以 pty 模式启动的`);
+    }
+    return record;
+  }
+
+  async start(args) {
+    const { command, working_directory, working_dir, env = {}, confirm = false, pty = false, cols = 80, rows = 24, output_format = 'text' } = args;
+    if (!command || typeof command !== 'string') {
+      throw ERR.INVALID_ARGS('缺少 command 参数');
+    }
+    if (typeof env !== 'object' || Array.isArray(env) || Object.values(env).some(value => typeof value !== 'string')) {
+      throw ERR.INVALID_ARGS('env 应为字符串值的对象');
+    }
+    if (pty && !isPtySupported()) {
+      throw ERR.INVALID_ARGS('当前平台不支持 pty 模式');
+    }
+    const cwd = working_directory || working_dir;
+
+    // 与 execute_command 相同：工作目录需要写权限，命令需要通过策略评估
+    if (cwd && !this.securityValidator.isPathAllowed(cwd, null, { access: 'write' })) {
+      throw ERR.PATH_DENIED(cwd);
+    }
+    const childEnv = { ...process.env, ...env };
+    const policy = await evaluate(command, { cwd: cwd || undefined, env: childEnv });
+    const trigger = `${policy.segment && policy.segment !== command ? `，触发片段: ${policy.segment}` : ''}${policy.rule ? `，规则: ${policy.rule}` : ''}`;
+    if (policy.level === 'deny') {
+      throw ERR.DANGEROUS_CMD(`${command}（${policy.reason}${trigger}）`);
+    }
+    if (policy.level === 'warn' && !confirm) {
+      return buildOutput(output_format, `警告: 高风险命令，需要确认后才能启动。\n命令: ${command}\n策略: ${policy.reason}${trigger}\n请加参数 { "confirm": true } 继续。`, {
+        status: 'need_confirm',
+        command,
+        cwd: cwd || null,
+        policy
+      });
+    }
+
+    const { limits } = getConfig();
+    const running = [...this.processes.values()].filter(record => record.status === 'running');
+    if (running.length >= limits.max_processes) {
+      throw ERR.LIMIT_REACHED(`后台进程数已达上限 ${limits.max_processes}，请先结束不再需要的进程`);
+    }
+    this.pruneFinished();
+
+    const shellCmd = platformUtils.isWindows ? 'cmd.exe' : 'sh';
+    const shellArgs = platformUtils.isWindows ? ['/c', command] : ['-c', command];
+    const child = pty ? spawnPty(command, { cwd, env: childEnv, cols, rows }) : spawn(shellCmd, shellArgs, {
+      cwd,
+      env: childEnv,
+      stdio: ['pipe', 'pipe', 'pipe'],
+      detached: !platformUtils.isWindows,  // 独立进程组，便于结束整个进程树
+      windowsHide: true
+    });
+
+    const record = {
+      handle: `p${this.nextId++}`,
+      child,
+      pid: child.pid,
+      command,
+      cwd: cwd || null,
+      status: 'running',
+      exitCode: null,
+      signal: null,
+      error: null,
+      startedAt: Date.now(),
+      endedAt: null,
+      stdout: new RingBuffer(limits.process_buffer),
+      stderr: new RingBuffer(limits.process_buffer),
+      readOffsets: { stdout: 0, stderr: 0 },
+      terminal: pty ? { screen: new TerminalScreen(cols, rows), child: null } : null,
+      pending: '',             // wait_for 尚未匹配过的输出（已去除控制序列）
+      watchers: new Set()      // 等待输出或退出的 wait_for
+    };
+    const notify = () => record.watchers.forEach(watcher => watcher());
+    const strippers = { stdout: createAnsiStripper(), stderr: createAnsiStripper() };
+    const feed = (stream, text) => {
+      if (!text) return;
+      record[stream].write(text);
+      if (record.terminal && stream === 'stdout') record.terminal.screen.write(text);
+      record.pending = (record.pending + strippers[stream](text)).slice(-limits.process_buffer);
+      notify();
+    };
+    if (record.terminal) {
+      // 程序查询光标位置等时由模拟的终端应答
+      record.terminal.screen.onReply = reply => child.stdin.writable && child.stdin.write(reply);
+    }
+    record.exited = new Promise(resolve => {
+      const finish = (status) => {
+        if (record.status !== 'running') return;
+        record.status = status;
+        record.endedAt = Date.now();
+        liveProcesses.delete(record);
+        resolve();
+        notify();
+      };
+      child.on('exit', (code, signal) => {
+        record.exitCode = code;
+        record.signal = signal;
+        finish('exited');
+      });
+      child.on('error', (error) => {
+        record.error = error.message;
+        record.stderr.write(`启动失败: ${error.message}\n`);
+        finish('failed');
+      });
+    });
+
+    for (const stream of ['stdout', 'stderr']) {
+      const decoder = new StringDecoder('utf8');
+      child[stream].on('data', chunk => feed(stream, decoder.write(chunk)));
+      child[stream].on('end', () => feed(stream, decoder.end()));
+    }
+    child.stdin.on('error', () => {});  // 进程退出后写入会触发 EPIPE，由 write_stdin 报告
+
+    this.processes.set(record.handle, record);
+    if (record.status === 'running') liveProcesses.add(record);
+
+    const usage = pty ? '使用 send_keys 发送按键，snapshot 查看屏幕，wait_for 等待输出' : '使用 read_output 读取输出，signal 结束进程';
+    return buildOutput(output_format, `已启动后台进程 ${record.handle}${record.pid ? ` (pid ${record.pid})` : ''}${pty ? `，伪终端 ${cols}x${rows}` : ''}\n命令: ${command}\n${cwd ? `工作目录: ${cwd}\n` : ''}${usage}`, {
+      status: 'started',
+      ...describe(record),
+      policy
+    });
+  }
+
+  // 保留最近的已结束进程记录
+  pruneFinished() {
+    const finished = [...this.processes.values()].filter(record => record.status !== 'running');
+    finished.slice(0, Math.max(0, finished.length - MAX_FINISHED + 1)).forEach(record => this.processes.delete(record.handle));
+  }
+
+  /**
+   * 增量读取输出：未指定偏移量时从上次读取的位置继续
+   */
+  readOutput(args) {
+    const { handle, stream = 'both', stdout_offset, stderr_offset, max_chars, output_format = 'text' } = args;
+    const record = this.getRecord(handle);
+    if (!['stdout', 'stderr', 'both'].includes(stream)) {
+      throw ERR.INVALID_ARGS(`stream 无效: ${stream}（可选 stdout、stderr、both）`);
+    }
+    const { limits } = getConfig();
+    const streams = stream === 'both' ? ['stdout', 'stderr'] : [stream];
+    const requested = { stdout: stdout_offset, stderr: stderr_offset };
+    const defaults = { stdout: limits.stdout_max, stderr: limits.stderr_max };
+
+    const result = { handle, status: record.status, exit_code: record.exitCode, signal: record.signal };
+    const sections = [];
+    for (const name of streams) {
+      const offset = Number.isInteger(requested[name]) ? requested[name] : record.readOffsets[name];
+      const chunk = record[name].read(offset, max_chars || defaults[name]);
+      record.readOffsets[name] = chunk.next_offset;
+      result[name] = { ...chunk, total: record[name].end };
+      const notes = [
+        chunk.dropped ? `前 ${chunk.dropped} 个字符已被覆盖` : '',
+        chunk.next_offset < record[name].end ? `还有 ${record[name].end - chunk.next_offset} 个字符未读` : ''
+      ].filter(Boolean);
+      sections.push(`${name} [${chunk.offset}-${chunk.next_offset}]${notes.length ? `（${notes.join('，')}）` : ''}:\n${chunk.data}`);
+    }
+
+    const state = record.status === 'running' ? '运行中' : `已结束，退出码 ${record.exitCode}${record.signal ? `，信号 ${record.signal}` : ''}`;
+    return buildOutput(output_format, `后台进程 ${handle}（${state}）\n${sections.join('\n')}`, result);
+  }
+
+  async writeStdin(args) {
+    const { handle, input = '', close_stdin = false, output_format = 'text' } = args;
+    const record = this.getRecord(handle);
+    if (typeof input !== 'string') throw ERR.INVALID_ARGS('input 应为字符串');
+    const stdin = record.child.stdin;
+    if (record.status !== 'running' || !stdin.writable) {
+      throw ERR.CONFLICT(`后台进程 ${handle} 的标准输入已关闭`);
+    }
+    if (input) {
+      await new Promise((resolve, reject) => stdin.write(input, error => (error ? reject(ERR.CONFLICT(`写入标准输入失败: ${error.message}`)) : resolve())));
+    }
+    if (close_stdin) stdin.end();
+    return buildOutput(output_format, `已向 ${handle} 写入 ${input.length} 个字符${close_stdin ? '，并关闭标准输入' : ''}`, {
+      handle,
+      written: input.length,
+      stdin_closed: Boolean(close_stdin)
+    });
+  }
+
+  signal(args) {
+    const { handle, signal = 'SIGTERM', output_format = 'text' } = args;
+    const record = this.getRecord(handle);
+    if (!SIGNALS.includes(signal)) {
+      throw ERR.INVALID_ARGS(`不支持的信号: ${signal}（可选 ${SIGNALS.join('、')}）`);
+    }
+    if (record.status !== 'running') {
+      throw ERR.CONFLICT(`后台进程 ${handle} 已结束`);
+    }
+    sendSignal(record, signal);
+    return buildOutput(output_format, `已向 ${handle} (pid ${record.pid}) 发送 ${signal}`, { handle, pid: record.pid, signal });
+  }
+
+  async wait(args) {
+    const { handle, timeout_ms = 30000, output_format = 'text' } = args;
+    const record = this.getRecord(handle);
+    const limit = Math.min(Math.max(Number(timeout_ms) || 0, 0), MAX_WAIT_MS);
+    let timer;
+    const timedOut = await Promise.race([
+      record.exited.then(() => false),
+      new Promise(resolve => { timer = setTimeout(() => resolve(true), limit); })
+    ]);
+    clearTimeout(timer);
+
+    const info = describe(record);
+    const text = timedOut
+      ? `后台进程 ${handle} 在 ${limit}ms 内未结束`
+      : `后台进程 ${handle} 已结束，退出码 ${record.exitCode}${record.signal ? `，信号 ${record.signal}` : ''}${record.error ? `，${record.error}` : ''}`;
+    return buildOutput(output_format, text, { ...info, timed_out: timedOut });
+  }
+
+  list(args) {
+    const { output_format = 'text' } = args;
+    const processes = [...this.processes.values()].map(describe);
+    const text = processes.length === 0
+      ? '没有后台进程'
+      : processes.map(item => `${item.handle} pid=${item.pid} ${item.status}${item.exit_code !== null ? `(${item.exit_code})` : ''} ${item.command}`).join('\n');
+    return buildOutput(output_format, text, { processes });
+  }
+
+  async sendKeys(args) {
+    const { handle, keys, literal = false, output_format = 'text' } = args;
+    const record = this.getTerminal(handle);
+    if (!Array.isArray(keys) || keys.length === 0 || keys.some(key => typeof key !== 'string')) {
+      throw ERR.INVALID_ARGS('keys 应为非空的字符串数组，如 ["git status", "Enter"]');
+    }
+    const stdin = record.child.stdin;
+    if (record.status !== 'running' || !stdin.writable) {
+      throw ERR.CONFLICT(`后台进程 ${handle} 已结束`);
+    }
+    const data = encodeKeys(keys, literal);
+    await new Promise((resolve, reject) => stdin.write(data, error => (error ? reject(ERR.CONFLICT(`发送按键失败: ${error.message}`)) : resolve())));
+    return buildOutput(output_format, `已向 ${handle} 发送 ${keys.length} 个按键`, { handle, keys: keys.length, bytes: Buffer.byteLength(data) });
+  }
+
+  snapshot(args) {
+    const { handle, scrollback = false, output_format = 'text' } = args;
+    const record = this.getTerminal(handle);
+    const screen = record.terminal.screen.snapshot({ scrollback });
+    const state = record.status === 'running' ? '运行中' : `已结束，退出码 ${record.exitCode}`;
+    const header = `后台进程 ${handle}（${state}）屏幕 ${screen.cols}x${screen.rows}，光标 ${screen.cursor.row + 1}:${screen.cursor.col + 1}${screen.alternate_screen ? '，备用屏幕' : ''}`;
+    return buildOutput(output_format, `${header}\n${screen.text}`, {
+      handle,
+      status: record.status,
+      exit_code: record.exitCode,
+      screen
+    });
+  }
+
+  /**
+   * 等待输出匹配正则（expect 风格）
+   * target 为 output 时匹配上次匹配之后的新输出（已去除控制序列），匹配成功后消费到匹配结尾；
+   * 为 screen 时匹配当前屏幕文本。进程结束仍未匹配时立即返回。
+   */
+  async waitFor(args) {
+    const { handle, pattern, flags = '', target = 'output', timeout_ms = DEFAULT_WAIT_FOR_MS, output_format = 'text' } = args;
+    const record = target === 'screen' ? this.getTerminal(handle) : this.getRecord(handle);
+    if (!['output', 'screen'].includes(target)) {
+      throw ERR.INVALID_ARGS(`target 无效: ${target}（可选 output、screen）`);
+    }
+    if (typeof pattern !== 'string' || pattern === '') {
+      throw ERR.INVALID_ARGS('缺少 pattern 参数');
+    }
+    let regex;
+    try {
+      regex = new RegExp(pattern, String(flags).replace(/[gy]/g, ''));
+    } catch (error) {
+      throw ERR.INVALID_ARGS(`pattern 不是有效的正则: ${error.message}`);
+    }
+    const limit = Math.min(Math.max(Number(timeout_ms) || 0, 0), MAX_WAIT_MS);
+
+    const check = () => {
+      if (target === 'screen') return record.terminal.screen.snapshot().text.match(regex);
+      const match = record.pending.match(regex);
+      if (match) record.pending = record.pending.slice(match.index + match[0].length);
+      return match;
+    };
+
+    let timer;
+    let watcher;
+    const { match, timedOut } = await new Promise((resolve) => {
+      let settled = false;
+      const settle = (result) => {
+        settled = true;
+        resolve(result);
+      };
+      watcher = () => {
+        if (settled) return;
+        const found = check();
+        if (found) settle({ match: found, timedOut: false });
+        else if (record.status !== 'running') settle({ match: null, timedOut: false });
+      };
+      timer = setTimeout(() => settle({ match: null, timedOut: true }), limit);
+      record.watchers.add(watcher);
+      watcher();
+    });
+    clearTimeout(timer);
+    record.watchers.delete(watcher);
+
+    const screen = record.terminal ? record.terminal.screen.snapshot().text : null;
+    const outcome = match
+      ? `已匹配: ${match[0]}`
+      : timedOut ? `${limit}ms 内未匹配 /${pattern}/` : `进程已结束（退出码 ${record.exitCode}），未匹配 /${pattern}/`;
+    return buildOutput(output_format, `后台进程 ${handle} ${outcome}${screen !== null ? `\n屏幕:\n${screen}` : ''}`, {
+      handle,
+      matched: Boolean(match),
+      match: match ? match[0] : null,
+      groups: match ? match.slice(1) : [],
+      timed_out: timedOut,
+      status: record.status,
+      exit_code: record.exitCode,
+      screen
+    });
+  }
+
+  resize(args) {
+    const { handle, cols, rows, output_format = 'text' } = args;
+    const record = this.getTerminal(handle);
+    if (record.status !== 'running') {
+      throw ERR.CONFLICT(`后台进程 ${handle} 已结束`);
+    }
+    const target = ptyChild(record);
+    if (!target) {
+      throw ERR.CONFLICT(`后台进程 ${handle} 的终端尚未就绪，请稍后重试`);
+    }
+    resizePty(target.tty, cols, rows);
+    record.terminal.screen.resize(cols, rows);
+    return buildOutput(output_format, `已将 ${handle} 的终端调整为 ${cols}x${rows}`, { handle, cols, rows });
+  }
+
+  /**
+   * 结束本会话的所有后台进程：先 SIGTERM，超时后 SIGKILL
+   */
+  closeAll() {
+    for (const record of this.processes.values()) {
+      if (record.status !== 'running') continue;
+      try {
+        sendSignal(record, 'SIGTERM');
+      } catch (error) {
+        // 进程可能已退出
+      }
+      setTimeout(() => {
+        if (record.status === 'running') ProcessManagerTool.kill(record);
+      }, KILL_GRACE_MS).unref();
+    }
+  }
+
+  /**
+   * 立即结束所有会话的后台进程（服务退出时调用，必须同步）
+   */
+  static killAll() {
+    for (const record of liveProcesses) ProcessManagerTool.kill(record);
+    liveProcesses.clear();
+  }
+
+  static kill(record) {
+    try {
+      sendSignal(record, 'SIGKILL');
+    } catch (error) {
+      // 进程可能已退出
+    }
+  }
+}
+
+module.exports = ProcessManagerTool;
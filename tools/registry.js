@@ -2,18 +2,23 @@ const SecurityValidator = require('./securityValidator');
 const FileOperationTool = require('./fileOperation');
 const FileEditTool = require('./fileEdit');
 const FileSearchTool = require('./fileSearch');
+const FileFindTool = require('./fileFind');
 const FileCompareTool = require('./fileCompare');
 const FileHashTool = require('./fileHash');
 const FilePermissionsTool = require('./filePermissions');
 const FileArchiveTool = require('./fileArchive');
 const FileWatchTool = require('./fileWatch');
+const FileHistoryTool = require('./fileHistory');
 const CommandExecutionTool = require('./commandExecution');
+const PolicyCheckTool = require('./policyCheck');
+const ProcessManagerTool = require('./processManager');
 const TaskManagerTool = require('./taskManager');
 const TimeTool = require('./timeTool');
 const EnvironmentMemoryAdapter = require('./environmentMemoryAdapter');
 const SudoConfigTool = require('./sudoConfig');
 const WorkspaceManager = require('./workspaceManager');
 const platformUtils = require('../lib/platformUtils');
+const { ERR } = require('../errors');
 
 const securityValidator = new SecurityValidator();
 
@@ -22,12 +27,16 @@ const instances = {
   file_operation: new FileOperationTool(securityValidator),
   file_edit: new FileEditTool(securityValidator),
   file_search: new FileSearchTool(securityValidator),
+  file_find: new FileFindTool(securityValidator),
   file_compare: new FileCompareTool(securityValidator),
   file_hash: new FileHashTool(securityValidator),
   file_permissions: new FilePermissionsTool(securityValidator),
   file_archive: new FileArchiveTool(securityValidator),
   file_watch: new FileWatchTool(securityValidator),
+  file_history: new FileHistoryTool(securityValidator),
   execute_command: new CommandExecutionTool(securityValidator),
+  policy_check: new PolicyCheckTool(securityValidator),
+  process_manager: new ProcessManagerTool(securityValidator),
   task_manager: new TaskManagerTool(securityValidator),
   time_tool: new TimeTool(securityValidator),
   environment_memory: new EnvironmentMemoryAdapter(securityValidator),
@@ -90,6 +99,7 @@ const DESCS = {
   file_types: '逗号分隔的文件扩展名列表，如 "js,ts,json"',
   ignore: '要忽略的文件/目录模式列表，支持通配符如 "*.log"、"node_modules"',
   content: '要写入或追加的文件内容',
+  encoding: '文件编码：auto(自动检测 BOM/UTF-16/UTF-8/GBK/Shift-JIS/Latin-1，默认)、utf8、utf16le、utf16be、gbk、gb18030、shift_jis、latin1',
   start_line: '起始行号（从1开始）',
   end_line: '结束行号（从1开始）',
   algorithm: '哈希算法：md5、sha1、sha256、sha512',
@@ -131,6 +141,14 @@ const OUTPUT_SCHEMAS = {
       path: { type: 'string', description: '文件/目录绝对路径' },
       content: { type: 'string', description: '读取的文件内容' },
       size: { type: 'number', description: '文件大小（字节）' },
+      hash: { type: 'string', description: 'read（完整读取）/write: 文件内容的 sha256，可作为下次写入的 expected_hash' },
+      mtime: { type: 'string', description: 'read/write: 文件修改时间，可作为下次写入的 expected_mtime' },
+      encoding: { type: 'string', description: 'read/write: 实际使用的编码；二进制内容为 base64' },
+      bom: { type: 'boolean', description: 'read/write: 文件是否带 BOM' },
+      line_ending: { type: 'string', enum: ['lf', 'crlf', 'none'], description: 'read 专用：主要换行风格' },
+      next_offset: { type: ['number', 'null'], description: '分页游标：read 为下一块的起始字节（仅 utf8/latin1 文件提供；按行读取截断单行时为该行剩余内容的起始字节），list 为下一页的条目偏移；没有更多时为 null' },
+      next_line: { type: ['number', 'null'], description: '按行读取游标：下一页的起始行号，之后没有更多行时为 null' },
+      eof: { type: 'boolean', description: '分块读取是否已到文件末尾' },
       entries: {
         type: 'array',
         description: '目录列表',
@@ -138,12 +156,27 @@ const OUTPUT_SCHEMAS = {
           type: 'object',
           properties: {
             name: { type: 'string' },
-            type: { type: 'string', enum: ['file', 'directory'] }
+            path: { type: 'string', description: '相对列出目录的路径' },
+            type: { type: 'string', enum: ['file', 'directory', 'symlink', 'other'] },
+            depth: { type: 'number', description: '层级，0 为直接子项' },
+            size: { type: 'number', description: '大小（字节）' },
+            mtime: { type: 'string', description: '修改时间' },
+            mode: { type: 'string', description: '八进制权限，如 0644' },
+            target: { type: 'string', description: '符号链接目标' },
+            git_status: { type: 'string', description: 'git porcelain 两位状态码，如 " M"、"??"' }
           }
         }
       },
+      total: { type: 'number', description: 'list: 条目总数（分页前）' },
       deleted: { type: 'boolean', description: '是否删除成功' },
-      created: { type: 'boolean', description: '是否创建成功' }
+      created: { type: 'boolean', description: '是否创建成功' },
+      source: { type: 'string', description: 'move/copy/rename: 源路径' },
+      destination: { type: 'string', description: 'move/copy/rename: 实际目标路径' },
+      conflict_action: { type: 'string', enum: ['create', 'overwrite', 'rename'], description: '目标冲突的处理结果' },
+      skipped: { type: ['boolean', 'array'], description: '因目标已存在而跳过（copy 目录时为跳过的路径列表）' },
+      dry_run: { type: 'boolean', description: '是否为演练结果（未修改磁盘）' },
+      diff: { type: 'string', description: 'write 演练：与现有内容的 unified diff' },
+      affected: { type: 'array', description: 'delete 演练：将被删除的路径列表', items: { type: 'object' } }
     }
   },
   file_search: {
@@ -158,12 +191,59 @@ const OUTPUT_SCHEMAS = {
           properties: {
             file: { type: 'string', description: '文件路径' },
             line: { type: 'number', description: '行号' },
-            content: { type: 'string', description: '匹配行内容' }
+            end_line: { type: 'number', description: '多行匹配的结束行号' },
+            column: { type: 'number', description: '首个匹配的列号（1 起始）' },
+            content: { type: 'string', description: '匹配行内容（去除首尾空白）' },
+            submatches: {
+              type: 'array',
+              description: '匹配区间，start/end 为相对 line 行首的字符偏移',
+              items: {
+                type: 'object',
+                properties: {
+                  start: { type: 'number' },
+                  end: { type: 'number' },
+                  text: { type: 'string' }
+                }
+              }
+            },
+            before_context: { type: 'array', description: '前文行 [{line, content}]' },
+            after_context: { type: 'array', description: '后文行 [{line, content}]' },
+            count: { type: 'number', description: 'count 模式下该文件的匹配数' }
           }
         }
       },
+      files: { type: 'number', description: '包含匹配的文件数' },
+      output_mode: { type: 'string', description: '输出模式' },
       timed_out: { type: 'boolean', description: '是否超时' },
-      truncated: { type: 'boolean', description: '结果是否被截断' }
+      truncated: { type: 'boolean', description: '结果是否被截断' },
+      engine: { type: 'string', description: '实际使用的搜索引擎：builtin 或 ripgrep' }
+    }
+  },
+  file_find: {
+    type: 'object',
+    properties: {
+      path: { type: 'string', description: '查找根目录' },
+      total: { type: 'number', description: '匹配总数（分页前）' },
+      returned: { type: 'number', description: '本页条数' },
+      next_offset: { type: ['number', 'null'], description: '下一页 offset，没有更多时为 null' },
+      entries: {
+        type: 'array',
+        description: '匹配条目',
+        items: {
+          type: 'object',
+          properties: {
+            path: { type: 'string', description: '绝对路径' },
+            relative_path: { type: 'string', description: '相对根目录的路径' },
+            name: { type: 'string', description: '名称' },
+            type: { type: 'string', enum: ['file', 'directory', 'symlink', 'other'], description: '条目类型' },
+            size: { type: 'number', description: '大小（字节）' },
+            mtime: { type: 'string', description: '修改时间' },
+            target: { type: 'string', description: '符号链接目标' }
+          }
+        }
+      },
+      truncated: { type: 'boolean', description: '匹配数超过上限被截断' },
+      timed_out: { type: 'boolean', description: '是否超时' }
     }
   },
   file_compare: {
@@ -180,6 +260,35 @@ const OUTPUT_SCHEMAS = {
           removed: { type: 'number', description: '删除行数' },
           modified: { type: 'number', description: '修改行数' }
         }
+      },
+      hunks: {
+        type: 'array',
+        description: '差异块',
+        items: {
+          type: 'object',
+          properties: {
+            old_start: { type: 'number' },
+            old_lines: { type: 'number' },
+            new_start: { type: 'number' },
+            new_lines: { type: 'number' }
+          }
+        }
+      },
+      unified_diff: { type: 'string', description: '标准 unified diff 文本' },
+      only_in_left: { type: 'array', items: { type: 'string' }, description: '目录模式：仅存在于 file1 的相对路径' },
+      only_in_right: { type: 'array', items: { type: 'string' }, description: '目录模式：仅存在于 file2 的相对路径' },
+      identical_files: { type: 'array', items: { type: 'string' }, description: '目录模式：相同的文件' },
+      changed: {
+        type: 'array',
+        description: '目录模式：变更的文件',
+        items: {
+          type: 'object',
+          properties: {
+            path: { type: 'string' },
+            reason: { type: 'string', enum: ['type', 'size', 'mtime', 'hash'] },
+            unified_diff: { type: 'string' }
+          }
+        }
       }
     }
   },
@@ -197,7 +306,32 @@ const OUTPUT_SCHEMAS = {
       path: { type: 'string', description: '文件/目录路径' },
       mode: { type: 'string', description: '设置的权限模式' },
       recursive: { type: 'boolean', description: '是否递归处理' },
-      changed: { type: 'boolean', description: '权限是否更改成功' }
+      changed: { type: 'boolean', description: '权限是否更改成功' },
+      dry_run: { type: 'boolean', description: '是否为演练结果（未修改权限）' },
+      affected: { type: 'array', description: '演练：将被修改的路径及当前/目标权限', items: { type: 'object' } }
+    }
+  },
+  file_history: {
+    type: 'object',
+    properties: {
+      action: { type: 'string', description: '执行的操作' },
+      entries: {
+        type: 'array',
+        description: '历史记录列表（新的在前）',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', description: '记录ID' },
+            tool: { type: 'string', description: '产生记录的工具' },
+            operation: { type: 'string', description: '产生记录的操作' },
+            path: { type: 'string', description: '被修改的路径' },
+            kind: { type: 'string', enum: ['file', 'directory', 'absent'], description: '快照类型，absent 表示修改前不存在' },
+            created_at: { type: 'string', description: '记录时间' }
+          }
+        }
+      },
+      backup_id: { type: 'string', description: 'restore 前当前状态的记录ID' },
+      removed: { type: 'array', items: { type: 'string' }, description: '被清理的记录ID' }
     }
   },
   file_archive: {
@@ -222,6 +356,37 @@ const OUTPUT_SCHEMAS = {
       truncated: { type: 'boolean', description: '输出是否被截断' }
     }
   },
+  policy_check: {
+    type: 'object',
+    properties: {
+      command: { type: 'string', description: '检查的命令' },
+      level: { type: 'string', description: '策略结果：allow/warn/deny' },
+      reason: { type: 'string', description: '判定原因' },
+      rule: { type: 'string', description: '触发判定的规则 id（builtin:* 为内置规则）' },
+      segment: { type: 'string', description: '触发判定的命令片段' },
+      matches: { type: 'array', description: '命中自定义规则的片段', items: { type: 'object' } },
+      would_execute: { type: 'boolean', description: '不加 confirm 时是否会直接执行' },
+      policy_file: { type: 'string', description: '生效的策略文件' }
+    }
+  },
+  process_manager: {
+    type: 'object',
+    properties: {
+      handle: { type: 'string', description: '后台进程句柄' },
+      pid: { type: 'number', description: '进程ID' },
+      status: { type: 'string', description: '进程状态：running/exited/failed（start 需要确认时为 need_confirm）' },
+      exit_code: { type: 'number', description: '退出码' },
+      stdout: { type: 'object', description: 'read_output 读取的 stdout：data、offset、next_offset、dropped、total' },
+      stderr: { type: 'object', description: 'read_output 读取的 stderr，结构同 stdout' },
+      timed_out: { type: 'boolean', description: 'wait/wait_for 是否超时' },
+      processes: { type: 'array', description: 'list 返回的进程列表', items: { type: 'object' } },
+      pty: { type: 'object', description: 'pty 模式的终端尺寸：cols、rows，非 pty 进程为 null' },
+      screen: { description: 'snapshot 返回的屏幕：lines、text、cursor、cols、rows、alternate_screen、title；wait_for 返回屏幕文本' },
+      matched: { type: 'boolean', description: 'wait_for 是否匹配' },
+      match: { type: 'string', description: 'wait_for 匹配到的文本' },
+      groups: { type: 'array', description: 'wait_for 的捕获组', items: { type: 'string' } }
+    }
+  },
   task_manager: {
     type: 'object',
     properties: {
@@ -264,14 +429,42 @@ const OUTPUT_SCHEMAS = {
 const descriptors = [
   // file_operation: 混合操作（读/写/列目录/创建/删除）
   createDescriptor('file_operation',
-    '文件操作：读取、写入、列出目录、创建目录、删除文件或目录。支持工作目录解析和相对路径。\n\n' +
+    '文件操作：读取、写入、列出目录、创建目录、删除、移动、复制、重命名文件或目录，源和目标路径均经过安全校验。支持工作目录解析和相对路径。写入通过临时文件 + rename 原子完成，可用 expected_hash/expected_mtime 做乐观并发校验。目录列表可递归并附带大小、修改时间、权限、链接目标与 git 状态。' +
+    '读取时自动检测编码（GBK、Shift-JIS、UTF-16 等），写入已有文件时沿用其编码与 BOM；二进制文件使用 encoding=base64 读写。\n\n' +
     '示例：读取文件 { "operation": "read", "path": "src/index.js", "output_format": "json" }\n' +
-    '示例：写入文件 { "operation": "write", "path": "test.txt", "content": "Hello", "output_format": "text" }', {
-    operation: { type: 'string', enum: ['read', 'write', 'list', 'create_dir', 'delete'], description: DESCS.operation },
-    path: { type: 'string', description: DESCS.path },
+    '示例：写入文件 { "operation": "write", "path": "test.txt", "content": "Hello", "output_format": "text" }\n' +
+    '示例：分块读取大文件 { "operation": "read", "path": "app.log", "offset": 0, "length": 65536 }（用返回的 next_offset 继续）\n' +
+    '示例：按行读取 { "operation": "read", "path": "app.log", "start_line": 1000, "end_line": 1200 }（用返回的 next_line 继续）\n' +
+    '示例：项目结构树 { "operation": "list", "path": ".", "recursive": true, "max_depth": 2, "include_hidden": false, "sort_by": "type" }\n' +
+    '示例：复制目录 { "operation": "copy", "path": "templates", "destination": "out/templates", "recursive": true, "conflict": "skip" }\n' +
+    '示例：重命名 { "operation": "rename", "path": "src/old.js", "new_name": "new.js" }\n' +
+    '示例：防止覆盖他人修改 { "operation": "write", "path": "config.json", "content": "...", "expected_hash": "<read 返回的 hash>" }\n' +
+    '示例：读取二进制文件 { "operation": "read", "path": "logo.png", "encoding": "base64" }\n' +
+    '示例：预览写入差异 { "operation": "write", "path": "config.json", "content": "...", "dry_run": true }', {
+    operation: { type: 'string', enum: ['read', 'write', 'list', 'create_dir', 'delete', 'move', 'copy', 'rename'], description: DESCS.operation },
+    path: { type: 'string', description: DESCS.path + '（move/copy/rename 为源路径）' },
+    destination: { type: 'string', description: 'move/copy/rename 专用：目标路径（即最终路径，而非目标目录）' },
+    new_name: { type: 'string', description: 'rename 专用：新名称（不含路径），可代替 destination' },
+    conflict: { type: 'string', enum: ['fail', 'overwrite', 'skip', 'rename'], description: 'move/copy/rename 专用：目标已存在时的策略，fail(报错，默认)、overwrite(覆盖；复制目录时合并)、skip(跳过)、rename(自动改名为 "name (1).ext")' },
+    preserve_mode: { type: 'boolean', description: 'copy 专用：保留源文件权限位，默认true' },
+    expected_hash: { type: 'string', description: 'write 专用：期望的当前文件 sha256（取自 read 返回的 hash），不一致时以 E_CONFLICT 拒绝写入' },
+    expected_mtime: { type: ['string', 'number'], description: 'write 专用：期望的当前文件修改时间（取自 read 返回的 mtime），不一致时以 E_CONFLICT 拒绝写入' },
+    dry_run: { type: 'boolean', description: 'write/delete 专用：' + DESCS.dry_run + '；write 返回 unified diff，delete 返回将删除的路径列表' },
     working_directory: { type: 'string', description: DESCS.working_directory },
-    content: { type: 'string', description: DESCS.content },
-    max_size: { type: 'number', description: '最大文件大小限制（字节），默认 10485760 (10MB)' },
+    content: { type: 'string', description: DESCS.content + '；encoding 为 base64 时为 base64 编码的字节' },
+    encoding: { type: 'string', enum: ['auto', 'utf8', 'utf16le', 'utf16be', 'gbk', 'gb18030', 'shift_jis', 'latin1', 'base64'], description: 'read/write 专用：' + DESCS.encoding + '、base64(原始字节)。write 省略时沿用已有文件编码，新文件为 utf8；分块读取仅支持 utf8/latin1/base64' },
+    max_size: { type: 'number', description: '最大文件大小限制（字节），默认 10485760 (10MB)；分块读取不受此限制' },
+    offset: { type: 'number', description: 'read: 起始字节偏移（从0开始）；list: 分页起始条目' },
+    length: { type: 'number', description: 'read 专用：读取字节数，单次最多 2MB' },
+    start_line: { type: 'number', description: 'read 专用：' + DESCS.start_line },
+    end_line: { type: 'number', description: 'read 专用：' + DESCS.end_line + '，省略时读到 2MB 上限为止' },
+    recursive: { type: 'boolean', description: 'list: 递归列出子目录并以 ASCII 树形显示；copy: 复制目录时必须为 true。默认false' },
+    max_depth: { type: 'number', description: 'list 专用：递归深度，0 表示只列直接子项，默认3' },
+    include_hidden: { type: 'boolean', description: 'list 专用：是否包含以 . 开头的条目，默认true' },
+    sort_by: { type: 'string', enum: ['name', 'size', 'mtime', 'type'], description: 'list 专用：同级条目排序字段，type 表示目录在前，默认 name' },
+    order: { type: 'string', enum: ['asc', 'desc'], description: 'list 专用：排序方向，默认 asc' },
+    limit: { type: 'number', description: 'list 专用：每页条目数，默认且最多1000；offset 为分页起始位置' },
+    git_status: { type: 'boolean', description: 'list 专用：位于 git 仓库时标注每个条目的状态，默认true' },
     output_format: { type: 'string', enum: ['text', 'json', 'both'], description: DESCS.output_format }
   }, ['operation'], {
     readOnlyHint: false,
@@ -298,14 +491,31 @@ const descriptors = [
 
   // file_edit: 修改文件内容
   createDescriptor('file_edit',
-    '文件行级编辑：在指定位置删除、插入、替换或追加内容。操作前自动备份原文件。\n\n' +
+    '文件编辑：按行删除、插入、替换或追加内容；按精确字符串或正则替换；应用 unified diff 补丁（支持模糊匹配）；统一换行符。' +
+    '写回时保持文件原有的换行风格（LF/CRLF）与末尾换行状态，CRLF 文件的 old_string/content 可直接使用 \\n。\n\n' +
     '示例：删除第 3-5 行 { "operation": "delete_lines", "path": "test.js", "start_line": 3, "end_line": 5 }\n' +
-    '示例：插入内容到第 2 行后 { "operation": "insert_lines", "path": "test.js", "start_line": 2, "content": "new line" }', {
-    operation: { type: 'string', enum: ['delete_lines', 'insert_lines', 'replace_lines', 'append_lines'], description: '编辑操作：delete_lines(删除行)、insert_lines(插入行)、replace_lines(替换行)、append_lines(追加行)' },
+    '示例：插入内容到第 2 行后 { "operation": "insert_lines", "path": "test.js", "start_line": 2, "content": "new line" }\n' +
+    '示例：精确替换 { "operation": "str_replace", "path": "test.js", "old_string": "const a = 1;", "new_string": "const a = 2;" }\n' +
+    '示例：正则替换 { "operation": "replace_all", "path": "test.js", "pattern": "foo(\\d+)", "replacement": "bar$1" }\n' +
+    '示例：应用补丁 { "operation": "apply_patch", "path": "test.js", "patch": "@@ -1,2 +1,2 @@\\n-old\\n+new\\n ctx" }\n' +
+    '示例：统一为 LF { "operation": "normalize_eol", "path": "script.sh", "line_ending": "lf" }', {
+    operation: { type: 'string', enum: ['delete_lines', 'insert_lines', 'replace_lines', 'append_lines', 'str_replace', 'replace_all', 'apply_patch', 'normalize_eol'], description: '编辑操作：delete_lines(删除行)、insert_lines(插入行)、replace_lines(替换行)、append_lines(追加行)、str_replace(精确字符串替换)、replace_all(正则全部替换)、apply_patch(应用补丁)、normalize_eol(统一换行符)' },
     path: { type: 'string', description: DESCS.path },
     start_line: { type: 'number', description: DESCS.start_line },
     end_line: { type: 'number', description: DESCS.end_line },
     content: { type: 'string', description: DESCS.content },
+    old_string: { type: 'string', description: 'str_replace 专用：要替换的原文，必须与文件内容完全一致且默认要求唯一' },
+    new_string: { type: 'string', description: 'str_replace 专用：替换后的文本' },
+    all_occurrences: { type: 'boolean', description: 'str_replace 专用：替换全部匹配而不要求唯一，默认 false' },
+    pattern: { type: 'string', description: 'replace_all 专用：' + DESCS.pattern + '（多行模式，^/$ 匹配每行）' },
+    replacement: { type: 'string', description: 'replace_all 专用：替换文本，支持 $1 等分组引用' },
+    case_sensitive: { type: 'boolean', description: 'replace_all 专用：是否区分大小写，默认 true' },
+    patch: { type: 'string', description: 'apply_patch 专用：unified diff 文本（单文件）' },
+    fuzz: { type: 'number', description: 'apply_patch 专用：匹配失败时最多忽略的首尾上下文行数，默认 2' },
+    allow_partial: { type: 'boolean', description: 'apply_patch 专用：部分块失败时仍写入已成功的块，默认 false（全部成功才写入）' },
+    line_ending: { type: 'string', enum: ['lf', 'crlf'], description: 'normalize_eol 专用：目标换行符，返回的 changed_lines 为实际改动的行数' },
+    dry_run: { type: 'boolean', description: DESCS.dry_run + '，返回编辑结果的 unified diff' },
+    encoding: { type: 'string', enum: ['auto', 'utf8', 'utf16le', 'utf16be', 'gbk', 'gb18030', 'shift_jis', 'latin1'], description: DESCS.encoding + '。写回时保持原编码、BOM 与换行风格' },
     output_format: { type: 'string', enum: ['text', 'json', 'both'], description: DESCS.output_format }
   }, ['operation', 'path'], {
     readOnlyHint: false,
@@ -316,9 +526,13 @@ const descriptors = [
 
   // file_search: 只读搜索
   createDescriptor('file_search',
-    '文件内容搜索：在目录中搜索匹配正则表达式的内容。支持文件类型过滤、深度限制、超时控制和忽略模式。\n\n' +
+    '文件内容搜索：在目录中搜索匹配正则表达式的内容。支持文件类型过滤、深度限制、超时控制和忽略模式。' +
+    '流式逐行搜索并自动跳过二进制文件，默认遵循 .gitignore/.ignore；本机安装 rg 时自动委托 ripgrep（engine=auto），正则不兼容时回退内置引擎。\n\n' +
     '示例：搜索 JS 文件中的函数定义 { "search_path": "src", "pattern": "function\\s+\\w+", "file_types": "js,ts" }\n' +
-    '示例：忽略 node_modules 搜索 { "search_path": ".", "pattern": "TODO", "ignore": ["node_modules", "*.log"] }', {
+    '示例：忽略 node_modules 搜索 { "search_path": ".", "pattern": "TODO", "ignore": ["node_modules", "*.log"] }\n' +
+    '示例：带前后文的整词字面量搜索 { "search_path": "src", "pattern": "user.id", "fixed_strings": true, "whole_word": true, "before_context": 2, "after_context": 2 }\n' +
+    '示例：跨行匹配 { "search_path": "src", "pattern": "catch \\(e\\) \\{\\s*\\}", "multiline": true }\n' +
+    '示例：只列出包含匹配的文件 { "search_path": ".", "pattern": "TODO", "output_mode": "files_with_matches" }', {
     search_path: { type: 'string', description: '搜索起始目录路径' },
     pattern: { type: 'string', description: DESCS.pattern },
     file_types: { type: 'string', description: DESCS.file_types },
@@ -327,6 +541,14 @@ const descriptors = [
     max_depth: { type: 'number', description: DESCS.max_depth },
     timeout_ms: { type: 'number', description: DESCS.timeout_ms },
     ignore: { type: 'array', items: { type: 'string' }, description: DESCS.ignore },
+    respect_ignore_files: { type: 'boolean', description: '是否遵循 .gitignore/.ignore 规则并跳过 .git 目录，默认true' },
+    before_context: { type: 'number', description: '每个匹配前附带的上下文行数，默认0' },
+    after_context: { type: 'number', description: '每个匹配后附带的上下文行数，默认0' },
+    fixed_strings: { type: 'boolean', description: '将 pattern 视为普通字符串而非正则表达式' },
+    whole_word: { type: 'boolean', description: '只匹配完整单词（前后不能是字母、数字或下划线）' },
+    multiline: { type: 'boolean', description: '多行模式：在整个文件上匹配，可用 \\n 或 [\\s\\S] 跨行，结果带 end_line' },
+    output_mode: { type: 'string', enum: ['content', 'files_with_matches', 'count'], description: '输出模式：content(逐条匹配，默认)、files_with_matches(只列出文件)、count(每个文件的匹配行数)' },
+    engine: { type: 'string', enum: ['auto', 'builtin', 'ripgrep'], description: '搜索引擎：auto(有 rg 时使用 ripgrep，默认)、builtin(内置 JavaScript 正则)、ripgrep(优先 rg，不可用时回退)' },
     output_format: { type: 'string', enum: ['text', 'json', 'both'], description: DESCS.output_format }
   }, ['search_path', 'pattern'], {
     readOnlyHint: true,
@@ -335,12 +557,56 @@ const descriptors = [
     openWorldHint: false
   }, OUTPUT_SCHEMAS.file_search),
 
+  // file_find: 只读查找
+  createDescriptor('file_find',
+    '文件查找：按 glob 模式查找文件/目录名（* 不跨目录，** 匹配任意层级，支持 ?、[abc]、{a,b}；含 / 的模式匹配相对路径，否则只匹配名称）。' +
+    '支持类型、大小、修改时间与深度过滤，默认遵循 .gitignore/.ignore，可按名称/大小/修改时间排序并分页。\n\n' +
+    '示例：查找所有测试文件 { "path": ".", "pattern": "**/*.test.js" }\n' +
+    '示例：最近一天修改的大文件 { "path": "logs", "type": "file", "min_size": 1048576, "modified_after": "2024-01-01T00:00:00Z", "sort_by": "size", "order": "desc" }\n' +
+    '示例：翻页 { "path": "src", "pattern": "*.{js,ts}", "offset": 100, "limit": 100 }', {
+    path: { type: 'string', description: '查找根目录' },
+    working_directory: { type: 'string', description: DESCS.working_directory },
+    pattern: { type: ['string', 'array'], items: { type: 'string' }, description: 'glob 模式，可传数组（任一匹配即可），默认 *' },
+    type: { type: 'string', enum: ['any', 'file', 'directory', 'symlink'], description: '条目类型过滤，默认 any' },
+    min_size: { type: 'number', description: '最小大小（字节）' },
+    max_size: { type: 'number', description: '最大大小（字节）' },
+    modified_after: { type: ['string', 'number'], description: '修改时间下限（ISO 时间或毫秒时间戳）' },
+    modified_before: { type: ['string', 'number'], description: '修改时间上限（ISO 时间或毫秒时间戳）' },
+    max_depth: { type: 'number', description: '最大深度，0 表示只查找根目录下的直接子项，默认16' },
+    include_hidden: { type: 'boolean', description: '是否包含以 . 开头的条目，默认true' },
+    case_sensitive: { type: 'boolean', description: 'glob 是否区分大小写，默认true' },
+    ignore: { type: 'array', items: { type: 'string' }, description: DESCS.ignore },
+    respect_ignore_files: { type: 'boolean', description: '是否遵循 .gitignore/.ignore 规则并跳过 .git 目录，默认true' },
+    sort_by: { type: 'string', enum: ['name', 'size', 'mtime'], description: '排序字段，默认 name（相对路径）' },
+    order: { type: 'string', enum: ['asc', 'desc'], description: '排序方向，默认 asc' },
+    offset: { type: 'number', description: '分页起始位置，默认0' },
+    limit: { type: 'number', description: '每页条数，默认100' },
+    timeout_ms: { type: 'number', description: '超时时间（毫秒），默认10000，超时返回已找到的结果' },
+    output_format: { type: 'string', enum: ['text', 'json', 'both'], description: DESCS.output_format }
+  }, ['path'], {
+    readOnlyHint: true,
+    destructiveHint: false,
+    idempotentHint: true,
+    openWorldHint: false
+  }, OUTPUT_SCHEMAS.file_find),
+
   // file_compare: 只读比较
   createDescriptor('file_compare',
-    '文件差异比较：比较两个文件的差异，以文本或JSON格式输出差异统计和详细对比。\n\n' +
-    '示例：比较两个文件 { "file1": "a.js", "file2": "b.js", "output_format": "json" }', {
+    '文件差异比较：使用 Myers 差异算法比较两个文件，输出差异统计、差异块和标准 unified diff。支持忽略空白、大小写和换行符差异。两个路径均为目录时比较目录树，列出仅存在于一侧、相同与变更的文件。\n\n' +
+    '示例：比较两个文件 { "file1": "a.js", "file2": "b.js", "output_format": "json" }\n' +
+    '示例：忽略空白、保留 5 行上下文 { "file1": "a.js", "file2": "b.js", "ignore_whitespace": true, "context_lines": 5 }\n' +
+    '示例：比较两个目录树 { "file1": "generated", "file2": "reference", "ignore": ["node_modules", ".git"], "include_diffs": true }', {
     file1: { type: 'string', description: DESCS.file1 },
     file2: { type: 'string', description: DESCS.file2 },
+    context_lines: { type: 'number', description: 'unified diff 上下文行数，默认3' },
+    ignore_whitespace: { type: 'boolean', description: '忽略行内空白差异（连续空白视为一个，忽略首尾空白）' },
+    ignore_case: { type: 'boolean', description: '忽略大小写差异' },
+    ignore_line_ending: { type: 'boolean', description: '忽略 CRLF/LF 以及文件末尾换行差异' },
+    compare_by: { type: 'string', enum: ['size', 'mtime', 'hash'], description: '目录模式专用：判定文件变更的方式，size(大小)、mtime(大小+修改时间)、hash(大小+SHA256)，默认 hash' },
+    include_diffs: { type: 'boolean', description: '目录模式专用：为变更的文本文件附带 unified diff（单文件不超过1MB）' },
+    ignore: { type: 'array', items: { type: 'string' }, description: '目录模式专用：' + DESCS.ignore },
+    max_depth: { type: 'number', description: '目录模式专用：最大递归深度，默认16' },
+    encoding: { type: 'string', enum: ['auto', 'utf8', 'utf16le', 'utf16be', 'gbk', 'gb18030', 'shift_jis', 'latin1'], description: DESCS.encoding + '，两侧文件分别检测' },
     output_format: { type: 'string', enum: ['text', 'json', 'both'], description: DESCS.output_format }
   }, ['file1', 'file2'], {
     readOnlyHint: true,
@@ -373,6 +639,7 @@ const descriptors = [
     permissions: { type: 'object', description: DESCS.permissions },
     recursive: { type: 'boolean', description: DESCS.recursive },
     max_depth: { type: 'number', description: DESCS.max_depth },
+    dry_run: { type: 'boolean', description: DESCS.dry_run + '，列出受影响路径及当前/目标权限' },
     output_format: { type: 'string', enum: ['text', 'json', 'both'], description: DESCS.output_format }
   }, ['path'], {
     readOnlyHint: false,
@@ -390,6 +657,7 @@ const descriptors = [
     source: { type: 'string', description: DESCS.source },
     destination: { type: 'string', description: DESCS.destination },
     format: { type: 'string', enum: ['zip', 'tar', 'gz', 'tar.gz'], description: DESCS.format },
+    dry_run: { type: 'boolean', description: DESCS.dry_run + '；compress 列出将打包的路径，extract 列出将写出的路径并标注覆盖的文件' },
     output_format: { type: 'string', enum: ['text', 'json', 'both'], description: DESCS.output_format }
   }, ['operation', 'source'], {
     readOnlyHint: false,
@@ -398,6 +666,27 @@ const descriptors = [
     openWorldHint: false
   }, OUTPUT_SCHEMAS.file_archive),
 
+  // file_history: 修改历史与回滚
+  createDescriptor('file_history',
+    '文件修改历史：file_operation 写入/删除、file_edit 编辑和 file_archive 解压前会自动快照到 ~/.axlocalop/history。可列出记录、与当前内容比较、按 id 回滚或清理。\n\n' +
+    '示例：列出某文件的历史 { "operation": "list", "path": "src/index.js" }\n' +
+    '示例：查看改动 { "operation": "diff", "id": "1730000000000-a1b2c3" }\n' +
+    '示例：回滚 { "operation": "restore", "id": "1730000000000-a1b2c3" }\n' +
+    '示例：清理 30 天前的记录 { "operation": "prune", "older_than_days": 30 }', {
+    operation: { type: 'string', enum: ['list', 'diff', 'restore', 'prune'], description: '操作：list(列出)、diff(与当前内容比较)、restore(回滚)、prune(清理)' },
+    id: { type: 'string', description: '历史记录ID（diff/restore/prune）' },
+    path: { type: 'string', description: 'list 专用：只列出该文件或目录下的记录' },
+    limit: { type: 'number', description: 'list 专用：最大条数，默认50' },
+    older_than_days: { type: 'number', description: 'prune 专用：清理早于 N 天的记录' },
+    keep: { type: 'number', description: 'prune 专用：只保留最新的 N 条' },
+    output_format: { type: 'string', enum: ['text', 'json', 'both'], description: DESCS.output_format }
+  }, ['operation'], {
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: false,
+    openWorldHint: false
+  }, OUTPUT_SCHEMAS.file_history),
+
   // file_watch: 只读监控
   createDescriptor('file_watch',
     '文件监控：监控文件或目录的创建、删除、修改事件。支持递归监控和深度限制。\n\n' +
@@ -420,13 +709,18 @@ const descriptors = [
   createDescriptor('execute_command',
     '命令执行：在系统中执行shell命令。支持管道、重定向，集成命令策略评估和sudo配置。\n\n' +
     '示例：列出文件 { "command": "ls -la", "output_format": "json" }\n' +
-    '示例：带工作目录执行 { "command": "npm test", "working_directory": "/project", "timeout_ms": 120000 }', {
+    '示例：带工作目录执行 { "command": "npm test", "working_directory": "/project", "timeout_ms": 120000 }\n' +
+    '示例：在伪终端中执行 { "command": "ls --color=auto", "pty": true }（需要交互时使用 process_manager 的 pty 模式）', {
     command: { type: 'string', description: DESCS.command },
     working_directory: { type: 'string', description: DESCS.working_directory },
     confirm: { type: 'boolean', description: DESCS.confirm },
+    dry_run: { type: 'boolean', description: '只评估命令策略（allow/warn/deny）并说明是否会执行，不运行命令' },
     timeout_ms: { type: 'number', description: DESCS.timeout_ms },
     stdout_max: { type: 'number', description: DESCS.stdout_max },
     stderr_max: { type: 'number', description: DESCS.stderr_max },
+    pty: { type: 'boolean', description: '在伪终端中执行（适用于要求终端的程序），stdout 为渲染后的终端文本，stderr 合并其中；不支持输入，仅 macOS/Linux' },
+    cols: { type: 'number', description: 'pty 模式的终端列数，默认80' },
+    rows: { type: 'number', description: 'pty 模式的终端行数，默认24' },
     output_format: { type: 'string', enum: ['text', 'json', 'both'], description: DESCS.output_format }
   }, ['command'], {
     readOnlyHint: false,
@@ -435,6 +729,64 @@ const descriptors = [
     openWorldHint: false
   }, OUTPUT_SCHEMAS.execute_command),
 
+  // policy_check: 只评估命令策略
+  createDescriptor('policy_check',
+    '命令策略检查：按 execute_command 的规则（内置规则、配置中的 command.deny/warn 与策略文件中的自定义规则）评估命令，返回 allow/warn/deny、触发的规则 id 与命令片段，不执行命令。\n\n' +
+    '示例：检查命令 { "command": "git push upstream main", "output_format": "json" }\n' +
+    '示例：按工作目录检查 { "command": "npm publish", "working_directory": "/project" }', {
+    command: { type: 'string', description: '要检查的命令' },
+    working_directory: { type: 'string', description: '命令的执行目录（用于匹配规则的 cwd 条件）' },
+    output_format: { type: 'string', enum: ['text', 'json', 'both'], description: DESCS.output_format }
+  }, ['command'], {
+    readOnlyHint: true,
+    destructiveHint: false,
+    idempotentHint: true,
+    openWorldHint: false
+  }, OUTPUT_SCHEMAS.policy_check),
+
+  // process_manager: 后台进程（高风险）
+  createDescriptor('process_manager',
+    '后台进程管理：启动长时间运行的命令（开发服务器、监听模式的构建与测试）并立即返回句柄，之后增量读取输出、写入标准输入、发送信号、等待结束或列出进程。' +
+    '命令同样经过命令策略评估；每个输出流只保留最近的部分，会话结束时结束本会话启动的所有进程。\n\n' +
+    '示例：启动 { "operation": "start", "command": "npm run dev", "working_directory": "/project" }\n' +
+    '示例：读取新输出 { "operation": "read_output", "handle": "p1" }\n' +
+    '示例：结束 { "operation": "signal", "handle": "p1", "signal": "SIGTERM" }\n\n' +
+    'pty 模式（macOS/Linux）：start 时加 "pty": true，命令运行在伪终端中，可驱动 REPL、git rebase 提示、npm init 等交互程序：\n' +
+    '示例：启动 { "operation": "start", "command": "python3", "pty": true, "cols": 120, "rows": 40 }\n' +
+    '示例：等待提示符 { "operation": "wait_for", "handle": "p1", "pattern": ">>> $", "target": "screen" }\n' +
+    '示例：发送按键 { "operation": "send_keys", "handle": "p1", "keys": ["print(1 + 1)", "Enter"] }\n' +
+    '示例：查看屏幕 { "operation": "snapshot", "handle": "p1" }', {
+    operation: { type: 'string', enum: ['start', 'read_output', 'write_stdin', 'signal', 'wait', 'list', 'send_keys', 'snapshot', 'wait_for', 'resize'], description: '操作：start(启动)、read_output(读取输出)、write_stdin(写入标准输入)、signal(发送信号)、wait(等待结束)、list(列出)、send_keys(发送按键)、snapshot(屏幕快照)、wait_for(等待输出匹配)、resize(调整终端尺寸)' },
+    command: { type: 'string', description: 'start：要执行的命令' },
+    working_directory: { type: 'string', description: DESCS.working_directory },
+    env: { type: 'object', additionalProperties: { type: 'string' }, description: 'start：追加的环境变量' },
+    confirm: { type: 'boolean', description: DESCS.confirm },
+    pty: { type: 'boolean', description: 'start：在伪终端中运行（stderr 合并到 stdout），之后可使用 send_keys、snapshot、resize' },
+    cols: { type: 'number', description: 'start/resize：终端列数，默认80' },
+    rows: { type: 'number', description: 'start/resize：终端行数，默认24' },
+    handle: { type: 'string', description: 'start 返回的进程句柄，如 p1' },
+    stream: { type: 'string', enum: ['stdout', 'stderr', 'both'], description: 'read_output：读取的输出流，默认 both' },
+    stdout_offset: { type: 'number', description: 'read_output：stdout 起始偏移量，默认接着上次读取的位置' },
+    stderr_offset: { type: 'number', description: 'read_output：stderr 起始偏移量，默认接着上次读取的位置' },
+    max_chars: { type: 'number', description: 'read_output：每个流最多返回的字符数，默认同 stdout_max/stderr_max' },
+    input: { type: 'string', description: 'write_stdin：写入的内容' },
+    close_stdin: { type: 'boolean', description: 'write_stdin：写入后关闭标准输入' },
+    signal: { type: 'string', enum: ['SIGTERM', 'SIGINT', 'SIGKILL', 'SIGHUP', 'SIGQUIT', 'SIGUSR1', 'SIGUSR2'], description: 'signal：发送的信号，默认 SIGTERM' },
+    timeout_ms: { type: 'number', description: 'wait：最长等待时间（毫秒），默认30000；wait_for 默认10000' },
+    keys: { type: 'array', items: { type: 'string' }, description: 'send_keys：依次发送的按键；Enter、Tab、Escape、Backspace、Up/Down/Left/Right、Home、End、PageUp、PageDown、Delete、F1-F12、C-c（Ctrl）、M-x（Alt）按按键发送，其余按原文发送' },
+    literal: { type: 'boolean', description: 'send_keys：全部按原文发送，不识别按键名' },
+    pattern: { type: 'string', description: 'wait_for：要等待的正则' },
+    flags: { type: 'string', description: 'wait_for：正则标志，如 i、m' },
+    target: { type: 'string', enum: ['output', 'screen'], description: 'wait_for：output 匹配上次匹配之后的新输出（已去除控制序列，默认），screen 匹配当前屏幕文本（仅 pty）' },
+    scrollback: { type: 'boolean', description: 'snapshot：同时返回滚出屏幕的行' },
+    output_format: { type: 'string', enum: ['text', 'json', 'both'], description: DESCS.output_format }
+  }, ['operation'], {
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: false,
+    openWorldHint: false
+  }, OUTPUT_SCHEMAS.process_manager),
+
   // task_manager: 任务管理
   createDescriptor('task_manager',
     '任务管理：创建、更新、完成、列出和清空任务。支持优先级、截止日期、子任务和进度跟踪。\n\n' +
@@ -512,7 +864,115 @@ if (platformUtils.isLinux) {
   );
 }
 
-function getToolInstance(name) { return instances[name]; }
-function listToolNames() { return Object.keys(instances); }
+// 工具启用/禁用列表（来自配置文件，由 loadPlugins 设置）
+let enabledTools = null;
+const disabledTools = new Set();
 
-module.exports = { instances, getToolInstance, listToolNames, descriptors, securityValidator };
+/**
+ * 注册外部工具（插件）；工具名不能与已有工具重复
+ * @param {Object} descriptor - 工具描述（name/description/inputSchema/annotations/outputSchema）
+ * @param {{handle: Function}} instance - 工具实例
+ */
+function registerTool(descriptor, instance) {
+  if (instances[descriptor.name]) {
+    throw new Error(`工具名 ${descriptor.name} 已存在，插件不能覆盖已有工具`);
+  }
+  instances[descriptor.name] = instance;
+  descriptors.push(descriptor);
+}
+
+/**
+ * 设置工具启用/禁用列表：enabled 非空时只暴露其中的工具，disabled 中的工具始终隐藏
+ * @param {{enabled?: string[], disabled?: string[]}} filter
+ */
+function setToolFilter({ enabled, disabled } = {}) {
+  enabledTools = Array.isArray(enabled) && enabled.length > 0 ? new Set(enabled) : null;
+  disabledTools.clear();
+  (disabled || []).forEach(name => disabledTools.add(name));
+}
+
+function isToolEnabled(name) {
+  if (disabledTools.has(name)) return false;
+  return !enabledTools || enabledTools.has(name);
+}
+
+// 只读模式下读写混合工具仍可使用的操作；其余破坏性工具整体隐藏
+const READ_ONLY_OPERATIONS = {
+  file_operation: ['read', 'list'],
+  file_history: ['list', 'diff'],
+  task_manager: ['list'],
+  environment_memory: ['read', 'get'],
+  workspace_manager: ['get_current', 'status']
+};
+let readOnly = false;
+
+/**
+ * 开启或关闭只读模式（--read-only 或配置 read_only）
+ * @param {boolean} value
+ */
+function setReadOnly(value) { readOnly = Boolean(value); }
+function isReadOnly() { return readOnly; }
+
+// MCP 规范中 readOnlyHint 默认 false、destructiveHint 默认 true，未声明 annotations 的工具（如插件）按破坏性处理
+function isDestructive(descriptor) {
+  const annotations = descriptor.annotations || {};
+  return annotations.readOnlyHint !== true && annotations.destructiveHint !== false;
+}
+
+// 只读模式下需要限制的工具：破坏性工具，以及登记了只读操作的非破坏性写入工具（如 workspace_manager 的 set_default 会写入配置）
+function isRestricted(descriptor) {
+  return isDestructive(descriptor) || Boolean(READ_ONLY_OPERATIONS[descriptor.name]);
+}
+
+// 只读模式下的工具描述：受限工具只保留只读操作，没有只读操作的返回 null
+function readOnlyView(descriptor) {
+  if (!isRestricted(descriptor)) return descriptor;
+  const operations = READ_ONLY_OPERATIONS[descriptor.name];
+  if (!operations) return null;
+  const { properties } = descriptor.inputSchema;
+  return {
+    ...descriptor,
+    description: `${descriptor.description}\n\n只读模式：仅支持 ${operations.join('、')} 操作。`,
+    inputSchema: { ...descriptor.inputSchema, properties: { ...properties, operation: { ...properties.operation, enum: operations } } },
+    annotations: { ...descriptor.annotations, readOnlyHint: true, destructiveHint: false }
+  };
+}
+
+/**
+ * 只读模式下校验工具调用，破坏性工具或操作抛出 E_READ_ONLY
+ * @param {string} name - 工具名
+ * @param {Object} args - 调用参数
+ */
+function assertReadOnlyAllowed(name, args = {}) {
+  if (!readOnly) return;
+  const descriptor = descriptors.find(item => item.name === name);
+  if (!descriptor || !isRestricted(descriptor)) return;
+  const operations = READ_ONLY_OPERATIONS[name];
+  if (!operations) throw ERR.READ_ONLY(`只读模式下不允许调用工具 ${name}`);
+  if (!operations.includes(args.operation)) {
+    throw ERR.READ_ONLY(`只读模式下 ${name} 仅支持 ${operations.join('、')} 操作，不允许 ${args.operation}`);
+  }
+}
+
+function listDescriptors() {
+  const enabled = descriptors.filter(descriptor => isToolEnabled(descriptor.name));
+  return readOnly ? enabled.map(readOnlyView).filter(Boolean) : enabled;
+}
+function getToolInstance(name) { return isToolEnabled(name) ? instances[name] : undefined; }
+function listToolNames() { return Object.keys(instances).filter(isToolEnabled); }
+
+module.exports = {
+  instances,
+  getToolInstance,
+  listToolNames,
+  descriptors,
+  listDescriptors,
+  registerTool,
+  setToolFilter,
+  isToolEnabled,
+  setReadOnly,
+  isReadOnly,
+  assertReadOnlyAllowed,
+  createDescriptor,
+  securityValidator
+};
@@ -1,62 +1,230 @@
 /**
  * 安全验证模块
  * 提供路径和命令的安全检查功能
+ *
+ * 路径访问基于启动时配置的允许根目录（配置 security.roots），每个根目录声明 read 或 read-write 权限，
+ * 并可附加 deny glob；内置的 DEFAULT_DENY 与配置的全局 deny glob（security.deny）对所有根目录生效。
+ * working_directory 只用于解析相对路径，不能扩大可访问范围；工具参数无法修改这里的配置。
+ * 校验基于真实路径：经由符号链接离开允许范围的路径会被拒绝，链接位置与链接目标都需满足权限与 deny 规则。
  */
 
+const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
-const { resolveUserPath, assertInHome } = require('../lib/pathUtils');
+const { resolveUserPath, isWithinRoot, resolveRealPath, locatePath, openNoFollow, readFileNoFollow } = require('../lib/pathUtils');
+const { resolveWriteTarget } = require('../lib/atomicWrite');
+const { globToRegExp } = require('../lib/glob');
+const platformUtils = require('../lib/platformUtils');
 const { ERR } = require('../errors');
 
+const ACCESS_LEVELS = ['read', 'read-write'];
+
+// 默认禁止访问的路径：密钥、凭据以及本服务自身的配置、命令策略、插件与历史快照
+// （防止绕过只读模式、放宽命令规则、注入插件代码或伪造历史记录）
+const DEFAULT_DENY = [
+  '**/.ssh/**',
+  '**/.gnupg/**',
+  '**/.env',
+  '~/.axlocalop/config.json',
+  '~/.axlocalop/policy.json',
+  '~/.axlocalop/plugins/**',
+  '~/.axlocalop/node_modules/**',
+  '~/.axlocalop/history/**'
+];
+
+// 统一为 / 分隔、去掉开头 / 的形式，供 glob 匹配
+function toGlobPath(filePath) {
+  return filePath.split(path.sep).join('/').replace(/^\/+/, '');
+}
+
+// 展开 ~ 为家目录
+function expandHome(value, home) {
+  return value === '~' || value.startsWith('~/') ? path.join(home, value.slice(1)) : value;
+}
+
+/**
+ * 编译 deny glob：以 / 或 ~/ 开头的按绝对路径匹配，其余相对于所属根目录匹配
+ * @param {string} pattern - glob
+ * @param {string} home - 家目录
+ * @returns {{pattern: string, absolute: boolean, regex: RegExp}}
+ */
+function compileDeny(pattern, home) {
+  const expanded = expandHome(pattern, home);
+  const absolute = path.isAbsolute(expanded);
+  const source = absolute ? toGlobPath(path.resolve(expanded)) : pattern;
+  return { pattern, absolute, regex: globToRegExp(source, { caseSensitive: !platformUtils.isWindows }) };
+}
+
 class SecurityValidator {
-  constructor() {
+  /**
+   * @param {Object} options - 同 configure
+   */
+  constructor(options = {}) {
     this.userHome = os.homedir();
+    this.configure(options);
   }
 
-  isPathAllowed(filePath, workingDirectory = null) {
-    try {
-      // 如果提供了工作目录，验证文件路径是否在工作目录内
-      if (workingDirectory) {
-        const abs = resolveUserPath(filePath, { workingDir: workingDirectory });
-        // 验证路径是否在指定的工作目录内
-        const resolvedWorkingDir = path.resolve(workingDirectory);
-        const absPath = path.resolve(abs);
-        if (!absPath.startsWith(resolvedWorkingDir + path.sep) && absPath !== resolvedWorkingDir) {
-          return false;
-        }
-        return true;
-      } else {
-        // 如果没有提供工作目录，则检查路径是否在用户家目录内
-        const abs = resolveUserPath(filePath);
-        assertInHome(abs);
-        return true;
+  /**
+   * 设置允许的根目录与 deny 规则（启动时由配置调用）
+   * @param {Object} options - 选项
+   * @param {Array<{path: string, access?: string, deny?: string[]}>} options.roots - 允许的根目录，默认家目录（read-write）
+   * @param {string[]} options.deny - 追加到 DEFAULT_DENY 之后的全局 deny glob
+   */
+  configure({ roots, deny = [] } = {}) {
+    const rootList = roots && roots.length > 0 ? roots : [{ path: this.userHome, access: 'read-write' }];
+    this.deny = [...new Set([...DEFAULT_DENY, ...deny])].map(pattern => compileDeny(pattern, this.userHome));
+    this.roots = rootList.map(root => {
+      const access = root.access || 'read-write';
+      if (!ACCESS_LEVELS.includes(access)) {
+        throw ERR.INVALID_ARGS(`根目录 ${root.path} 的 access 无效: ${access}（可选 ${ACCESS_LEVELS.join('、')}）`);
       }
-    } catch (e) {
-      return false;
+      const rootPath = path.resolve(expandHome(root.path, this.userHome));
+      return {
+        path: rootPath,
+        real: resolveRealPath(rootPath),
+        access,
+        deny: (root.deny || []).map(pattern => compileDeny(pattern, this.userHome))
+      };
+    })
+      // 嵌套根目录取最具体的一个
+      .sort((a, b) => b.real.length - a.real.length);
+  }
+
+  /**
+   * 当前允许的根目录（供展示）
+   * @returns {Array<{path: string, access: string, deny: string[]}>}
+   */
+  listRoots() {
+    return this.roots.map(root => ({ path: root.path, access: root.access, deny: root.deny.map(rule => rule.pattern) }));
+  }
+
+  // 路径所属的根目录（最具体的一个），不在任何根目录内时返回 null
+  findRoot(absPath) {
+    return this.roots.find(root => isWithinRoot(absPath, root.real) || isWithinRoot(absPath, root.path)) || null;
+  }
+
+  /**
+   * 返回命中的 deny glob；禁止目录内全部内容的规则同样禁止该目录本身
+   * @param {string} absPath - 绝对路径
+   * @returns {string|null}
+   */
+  matchDeny(absPath) {
+    const root = this.findRoot(absPath);
+    const full = toGlobPath(absPath);
+    const base = root && (isWithinRoot(absPath, root.real) ? root.real : root.path);
+    const relative = root ? toGlobPath(path.relative(base, absPath)) : null;
+    const rules = root ? [...this.deny, ...root.deny] : this.deny;
+    for (const rule of rules) {
+      const candidate = rule.absolute ? full : relative;
+      if (candidate === null) continue;
+      if (rule.regex.test(candidate) || rule.regex.test(`${candidate}/`)) return rule.pattern;
     }
+    return null;
   }
 
-  resolveAndAssert(filePath, workingDirectory = null) {
-    // 如果提供了工作目录，验证文件路径是否在工作目录内
-    if (workingDirectory) {
-      const abs = resolveUserPath(filePath, { workingDir: workingDirectory });
-      const resolvedWorkingDir = path.resolve(workingDirectory);
-      const absPath = path.resolve(abs);
-      if (!absPath.startsWith(resolvedWorkingDir + path.sep) && absPath !== resolvedWorkingDir) {
-        throw ERR.PATH_DENIED(filePath);
-      }
-      return abs;
-    } else {
-      // 如果没有提供工作目录，则使用家目录限制
-      const abs = resolveUserPath(filePath);
-      try {
-        return assertInHome(abs);
-      } catch (e) {
-        throw ERR.PATH_DENIED(filePath);
+  /**
+   * 路径是否被 deny 规则禁止（遍历类工具用于跳过条目）
+   * @param {string} absPath - 绝对路径
+   * @returns {boolean}
+   */
+  isDenied(absPath) {
+    return this.matchDeny(absPath) !== null;
+  }
+
+  /**
+   * 校验目录树中的每个条目都未被 deny 规则禁止（复制、移动、打包整棵目录前调用）
+   * 只校验顶层路径时，目录内被禁止的文件会随目录一起被复制出去或移动回来；有任何条目命中时拒绝整个操作。
+   * 不跟随符号链接（链接按链接本身复制）。
+   * @param {string} source - resolveAndAssert 返回的源路径
+   * @param {string} target - 条目将被放到的目标路径（可选），提供时同时校验每个条目在目标位置对应的路径
+   */
+  async assertTreeAllowed(source, target = null) {
+    const stack = [''];
+    while (stack.length > 0) {
+      const relative = stack.pop();
+      const entry = relative ? path.join(source, relative) : source;
+      const denied = this.matchDeny(entry) || (target && this.matchDeny(relative ? path.join(target, relative) : target));
+      if (denied) throw ERR.PATH_DENIED(`${entry}（目录中的条目匹配禁止规则 ${denied}）`);
+      const stats = await fs.lstat(entry);
+      if (!stats.isDirectory()) continue;
+      for (const name of await fs.readdir(entry)) {
+        stack.push(path.join(relative, name));
       }
     }
   }
 
+  /**
+   * 解析路径并校验访问权限
+   * @param {string} filePath - 绝对路径，或相对 working_directory（未提供时相对家目录）的路径
+   * @param {string} workingDirectory - 工作目录，仅用于解析相对路径
+   * @param {Object} options - 选项
+   * @param {string} options.access - 需要的权限：read 或 write，默认 read
+   * @returns {string} 绝对路径（父目录为真实路径，最后一级为符号链接时指向链接本身）
+   */
+  resolveAndAssert(filePath, workingDirectory = null, { access = 'read' } = {}) {
+    let abs; let located; let target;
+    try {
+      abs = resolveUserPath(filePath, workingDirectory ? { workingDir: workingDirectory } : {});
+      located = locatePath(abs);
+      target = resolveRealPath(abs);
+    } catch (e) {
+      throw ERR.PATH_DENIED(filePath);
+    }
+    const root = this.findRoot(located);
+    if (!root) throw ERR.PATH_DENIED(filePath);
+    const targetRoot = target === located ? root : this.findRoot(target);
+    if (!targetRoot) throw ERR.PATH_DENIED(`${filePath}（符号链接指向允许范围之外: ${target}）`);
+    const denied = this.matchDeny(abs) || this.matchDeny(located) || this.matchDeny(target);
+    if (denied) throw ERR.PATH_DENIED(`${filePath}（匹配禁止规则 ${denied}）`);
+    if (access === 'write') {
+      const readOnlyRoot = [root, targetRoot].find(item => item.access !== 'read-write');
+      if (readOnlyRoot) throw ERR.PATH_DENIED(`${filePath}（根目录 ${readOnlyRoot.path} 为只读）`);
+    }
+    return located;
+  }
+
+  /**
+   * 路径是否允许访问（参数同 resolveAndAssert）
+   * @returns {boolean}
+   */
+  isPathAllowed(filePath, workingDirectory = null, options = {}) {
+    try {
+      this.resolveAndAssert(filePath, workingDirectory, options);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * 打开已校验的文件：不跟随校验后被替换的符号链接，合法链接的目标会重新校验
+   * @param {string} fullPath - resolveAndAssert 返回的路径
+   * @param {string} flags - 'r' 或 'r+'
+   * @returns {Promise<import('fs').promises.FileHandle>}
+   */
+  openFile(fullPath, flags = 'r') {
+    const access = flags === 'r' ? 'read' : 'write';
+    return openNoFollow(fullPath, flags, { verify: realPath => this.isPathAllowed(realPath, null, { access }) });
+  }
+
+  /**
+   * 读取已校验的文件（见 openFile）
+   * @param {string} fullPath - resolveAndAssert 返回的路径
+   * @returns {Promise<Buffer>}
+   */
+  readFile(fullPath) {
+    return readFileNoFollow(fullPath, { verify: realPath => this.isPathAllowed(realPath) });
+  }
+
+  /**
+   * 确定写入已校验路径时实际写入的文件：符号链接按其真实目标写入，目标需有写权限（见 resolveWriteTarget）
+   * @param {string} fullPath - resolveAndAssert(..., { access: 'write' }) 返回的路径
+   * @returns {Promise<string>}
+   */
+  resolveWriteTarget(fullPath) {
+    return resolveWriteTarget(fullPath, { verify: realPath => this.isPathAllowed(realPath, null, { access: 'write' }) });
+  }
+
   isDangerousCommand(command) {
     // 兼容旧接口（将被 commandPolicy 取代）
     const legacy = ['rm -rf', 'sudo', 'su', 'chmod 777', 'chown', 'passwd'];
@@ -64,4 +232,7 @@ class SecurityValidator {
   }
 }
 
+SecurityValidator.ACCESS_LEVELS = ACCESS_LEVELS;
+SecurityValidator.DEFAULT_DENY = DEFAULT_DENY;
+
 module.exports = SecurityValidator;
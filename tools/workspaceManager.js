@@ -23,6 +23,20 @@ class WorkspaceManager {
         instance = this;
     }
 
+    /**
+     * 创建会话级工作目录管理器
+     * 与单例共享默认工作目录（持久化在环境记忆中），但临时工作目录相互隔离，
+     * 供 HTTP/SSE 传输下的每个 MCP 会话独立使用
+     * @returns {WorkspaceManager} 会话级实例
+     */
+    createSession() {
+        const session = Object.create(WorkspaceManager.prototype);
+        session.securityValidator = this.securityValidator;
+        session.tempWorkspace = null;
+        session.logger = this.logger;
+        return session;
+    }
+
     /**
      * 从用户输入中解析工作目录命令
      * @param {string} userInput 用户输入文本